@@ -1,181 +1,122 @@
 import { useState, useEffect, useRef } from "react";
-
-// ─── LoRa Airtime Formula (Semtech AN1200.13) ──────────────────────────────
-function calcAirtime({ sf, bw, preamble, payloadBytes, cr, crc, explicitHeader, lowDROptimize }) {
-  const DE = lowDROptimize ? 1 : 0;
-  // SF6 on SX1276/RFM95W requires implicit header mode — explicit header not supported at SF6
-  const IH = (sf === 6 || !explicitHeader) ? 1 : 0;
-  const CRC = crc ? 1 : 0;
-  const t_sym = (Math.pow(2, sf) / bw) * 1000; // ms
-  const t_preamble = (preamble + 4.25) * t_sym;
-  const inner = (8 * payloadBytes - 4 * sf + 28 + 16 * CRC - 20 * IH);
-  const payload_sym_nb = 8 + Math.max(Math.ceil(inner / (4 * (sf - 2 * DE))) * (cr + 4), 0);
-  const t_payload = payload_sym_nb * t_sym;
-  return t_preamble + t_payload; // ms
-}
-
-// ─── TX Power → Current mapping (SX1262/SX1276 typical) ──────────────────
-// RFM95W/96W/98W HopeRF datasheet v2.0, Table 5
-// RFM95W / SX1276 HF band TX current (mA) — two PA paths:
-// PA_BOOST (17, 20 dBm): direct from Table 5 (§2.4.5: SF12, CR4/6, BW125)
-// RFO_HF (2–14 dBm):   linearly interpolated from Table 5 anchors
-//   7 dBm/20 mA and 13 dBm/29 mA → slope 1.5 mA/dBm [est. ±2–3 mA]
-//   14 dBm = PA_HF max per §5.4.2; 15 dBm per Table 31 register ceiling
-// 15–16 dBm omitted — PA transition zone, current indeterminate
-const TX_CURRENT = {
-  2: 13, 5: 17, 8: 22, 11: 26, 14: 31, 17: 87, 20: 120,
-};
-const TX_POWER_OPTIONS = [2, 5, 8, 11, 14, 17, 20];
-
-// ─── Presets ──────────────────────────────────────────────────────────────
-const PRESETS = {
-  heartbeat: {
-    label: "Sensor Heartbeat",
-    desc: "Node alive · battery voltage · temperature",
-    // EU: SF12 (max range). US: SF7/BW125 (45 ms — well within 400 ms dwell limit)
-    sf_eu: 12, sf_us: 7, bw_eu: 125, bw_us: 125,
-    payload: 12, cr: 2, txPower_eu: 14, txPower_us: 14,
-  },
-  status: {
-    label: "Status Report",
-    desc: "RPi diagnostics · sensor health metrics",
-    // EU: SF12. US: SF7/BW125 (70 ms — compliant)
-    sf_eu: 12, sf_us: 7, bw_eu: 125, bw_us: 125,
-    payload: 24, cr: 2, txPower_eu: 14, txPower_us: 14,
-  },
-  detection: {
-    label: "Detection Event",
-    desc: "Seismic trigger · node ID + timestamp + amplitude",
-    // EU: SF12. US: SF7/BW125 (39 ms — compliant)
-    sf_eu: 12, sf_us: 7, bw_eu: 125, bw_us: 125,
-    payload: 8, cr: 2, txPower_eu: 14, txPower_us: 14,
-  },
-  ping: {
-    label: "Alive Ping",
-    desc: "Minimal keepalive · lowest power",
-    // EU: SF12. US: SF7/BW125 (39 ms — compliant)
-    sf_eu: 12, sf_us: 7, bw_eu: 125, bw_us: 125,
-    payload: 6, cr: 2, txPower_eu: 14, txPower_us: 14,
-  },
-  custom: { label: "Custom", sf_eu: 12, sf_us: 7, bw_eu: 125, bw_us: 125, payload: 12, cr: 2, txPower_eu: 14, txPower_us: 14 },
-};
-
-// ─── EU Sub-bands ──────────────────────────────────────────────────────────
-// ─── EU sub-bands (g and g1 combined — identical duty/BW rules) ───────────
-const EU_BANDS = [
-  { id: "g",  label: "g/g1  863.0–868.6 MHz", duty: 1   },
-  { id: "g2", label: "g2    868.7–869.2 MHz",  duty: 0.1 },
-  { id: "g3", label: "g3    869.4–869.65 MHz", duty: 10  },
+import {
+  PRESETS, TX_CURRENT, TX_INTERVAL_RANGE_MIN, REGIONS, ACCESS_MODES, DEFAULT_CONFIG, regionTxPowers, presetRadio, bandWidth_kHz,
+  fmt, evaluateConfig, evaluationInputs, linkedDetections, configToQuery, configFromQuery, hasConfigQuery, schemaLayout,
+} from "./lora-engine/index.js";
+import TrafficProfile from "./components/TrafficProfile.jsx";
+import PowerInputs from "./components/PowerInputs.jsx";
+import PowerBudget from "./components/PowerBudget.jsx";
+import LinkBudget from "./components/LinkBudget.jsx";
+import ArrayPlanner from "./components/ArrayPlanner.jsx";
+import CadSimulator from "./components/CadSimulator.jsx";
+import ShareConfig from "./components/ShareConfig.jsx";
+import DesignLibrary from "./components/DesignLibrary.jsx";
+import FirmwareExport from "./components/FirmwareExport.jsx";
+import Optimizer from "./components/Optimizer.jsx";
+import LorawanInputs from "./components/LorawanInputs.jsx";
+import LorawanSummary from "./components/LorawanSummary.jsx";
+import PayloadSchema from "./components/PayloadSchema.jsx";
+import DownlinkInputs from "./components/DownlinkInputs.jsx";
+import DownlinkSummary from "./components/DownlinkSummary.jsx";
+import Reliability from "./components/Reliability.jsx";
+import BatteryLife from "./components/BatteryLife.jsx";
+import SolarHarvest from "./components/SolarHarvest.jsx";
+import TxTimeline from "./components/TxTimeline.jsx";
+import DutyTraceCheck from "./components/DutyTraceCheck.jsx";
+import SweepCharts from "./components/SweepCharts.jsx";
+import FhssPlanner from "./components/FhssPlanner.jsx";
+
+// ─── Views ────────────────────────────────────────────────────────────────
+// Left column (radio inputs) is shared; the right column switches per view.
+const VIEWS = [
+  ["calculator", "Single Sensor"],
+  ["array", "Array Planner"],
+  ["cad", "CAD Backoff Sim"],
+  ["schema", "Payload Schema"],
+  ["sweep", "Parameter Sweep"],
+  ["compare", "Saved & Compare"],
+  ["firmware", "Firmware Export"],
 ];
 
-const fmt = (n, d = 2) => Number(n.toFixed(d)).toLocaleString();
-
-// ─── Configuration Optimizer ──────────────────────────────────────────────
-// Iterates all SF/BW/CR/TX-power combinations (and EU sub-bands).
-// Primary sort: re-arm time (EU) or ToA (US) — compliance/capacity metric.
-// Tiebreaker: energy per TX — among equal compliance, lower power wins.
-function runOptimizer({ payloadBytes, region, txInterval_min }) {
-  const results = [];
-  const bws = [125, 250, 500];
-  const bands = region === "eu" ? EU_BANDS : [null];
-  const VOLTAGE = 3.7; // fixed for energy comparison
-
-  for (const band of bands) {
-    for (let sf = 7; sf <= 12; sf++) {
-      for (const bw of bws) {
-        for (let cr = 2; cr <= 5; cr++) {
-
-          // ── EU sub-band BW physical constraints ───────────────────────
-          if (region === "eu") {
-            if (band.id === "g3" && bw >= 250) continue;
-            if (band.id === "g2" && bw === 500) continue;
-          }
-
-          const tSym = Math.pow(2, sf) / (bw * 1000) * 1000;
-          const de = tSym > 16 ? 1 : 0;
-          const toa = calcAirtime({
-            sf, bw: bw * 1000, preamble: 8, payloadBytes, cr,
-            crc: true, explicitHeader: true, lowDROptimize: de === 1,
-          });
-
-          // ── Compliance filter ─────────────────────────────────────────
-          if (region === "us") {
-            if (toa > 400) continue;
-          } else {
-            const duty_used_pct = (toa / 1000 / 60 / txInterval_min) * 100;
-            if (duty_used_pct > band.duty) continue;
-          }
-
-          const rearm_s = region === "eu" ? toa / (band.duty / 100) / 1000 : null;
-
-          // ── Iterate TX power — find minimum energy for this SF/BW/CR ──
-          // EU: max 14 dBm (EIRP limit). US: all options allowed.
-          const maxPower = region === "eu" ? 14 : 20;
-          for (const pwr of TX_POWER_OPTIONS.filter(p => p <= maxPower)) {
-            const mA = TX_CURRENT[pwr] ?? 31;
-            const energy_mJ = (mA / 1000) * VOLTAGE * (toa / 1000) * 1000;
-            results.push({
-              sf, bw, cr, toa, rearm_s, ldro: de === 1,
-              band: band ?? null, txPower: pwr, energy_mJ,
-            });
-          }
-        }
-      }
-    }
-  }
-
-  // Primary: re-arm (EU) or ToA (US). Tiebreaker: energy per TX ascending.
-  results.sort((a, b) => {
-    const primary = region === "eu"
-      ? (a.rearm_s ?? 0) - (b.rearm_s ?? 0)
-      : a.toa - b.toa;
-    if (Math.abs(primary) > 0.0001) return primary;
-    return a.energy_mJ - b.energy_mJ;
-  });
-
-  // Deduplicate: keep only the best (lowest energy) entry per SF/BW/CR/band combo
-  // so results show distinct radio configs, not same config at different TX powers
-  const seen = new Set();
-  const deduped = [];
-  for (const r of results) {
-    const key = `${r.sf}-${r.bw}-${r.cr}-${r.band?.id ?? "us"}`;
-    if (!seen.has(key)) { seen.add(key); deduped.push(r); }
-    if (deduped.length === 5) break;
-  }
-  return deduped;
+// Configuration carried in the URL hash wins over the defaults on load
+function loadInitialConfig() {
+  if (typeof window === "undefined" || !hasConfigQuery(window.location.hash)) return DEFAULT_CONFIG;
+  return configFromQuery(window.location.hash).config;
 }
 
 export default function App() {
-  const [region, setRegion] = useState("eu");
-  const [preset, setPreset] = useState("heartbeat");
-  const [sf, setSf] = useState(12);
-  const [bw, setBw] = useState(125);
-  const [payload, setPayload] = useState(12);
-  const [cr, setCr] = useState(2);
-  const [preamble, setPreamble] = useState(8);
-  const [crc, setCrc] = useState(true);
-  const [explicitHeader, setExplicitHeader] = useState(true);
-  const [txPower, setTxPower] = useState(14);
-  const [voltage, setVoltage] = useState(3.7);
-  const [txIntervalMin, setTxIntervalMin] = useState(15);
-  const [euBand, setEuBand] = useState("g3");
-  const [battCapacity, setBattCapacity] = useState(2000);
-  const [ldrManual, setLdrManual] = useState(false);
+  const [init] = useState(loadInitialConfig);
+  const [region, setRegion] = useState(init.region);
+  const [preset, setPreset] = useState(init.preset);
+  const [sf, setSf] = useState(init.sf);
+  const [bw, setBw] = useState(init.bw);
+  const [payload, setPayload] = useState(init.payload);
+  const [cr, setCr] = useState(init.cr);
+  const [preamble, setPreamble] = useState(init.preamble);
+  const [crc, setCrc] = useState(init.crc);
+  const [explicitHeader, setExplicitHeader] = useState(init.explicitHeader);
+  const [txPower, setTxPower] = useState(init.txPower);
+  const [voltage, setVoltage] = useState(init.voltage);
+  const [txIntervalMin, setTxIntervalMin] = useState(init.txIntervalMin);
+  const [euBand, setEuBand] = useState(init.euBand);
+  const [access, setAccess] = useState(init.access);
+  const [battCapacity, setBattCapacity] = useState(init.battCapacity);
+  const [trafficMode, setTrafficMode] = useState(init.trafficMode);
+  const [traffic, setTraffic] = useState(init.traffic);
+  const [power, setPower] = useState(init.power);
+  const [link, setLink] = useState(init.link);
+  const [lorawan, setLorawan] = useState(init.lorawan);
+  const [schema, setSchema] = useState(init.schema);
+  const [downlink, setDownlink] = useState(init.downlink);
+  const [reliability, setReliability] = useState(init.reliability);
+  const [batteryModel, setBatteryModel] = useState(init.batteryModel);
+  const [solar, setSolar] = useState(init.solar);
+  const [hopping, setHopping] = useState(init.hopping);
+  const [ldrManual, setLdrManual] = useState(init.ldrManual);
   const [showCadNotes, setShowCadNotes] = useState(false);
-
-  const tSym_ms = Math.pow(2, sf) / bw;
-  const ldrRequired = tSym_ms > 16;
-  const ldrOptimize = ldrRequired || ldrManual;
-
-  // Apply preset (fires on preset change only — region switching handled by switchRegion)
+  const [view, setView] = useState("calculator");
+
+  // Current setup — shared, saved and evaluated in this shape
+  const config = {
+    region, preset, sf, bw, cr, payload, preamble, crc, explicitHeader, ldrManual,
+    txPower, voltage, txIntervalMin, euBand, access, battCapacity, trafficMode, traffic, power, link, lorawan, schema, downlink,
+    reliability, batteryModel, solar, hopping,
+  };
+  // Detection rate follows the traffic profile when it has a detection stream
+  const detectionsLinked = linkedDetections(config);
+
+  // What the calculator evaluates — the sweep view re-runs it with one input stepped
+  const evalInputs = evaluationInputs(config);
+  const result = evaluateConfig(evalInputs);
+  const {
+    tSym_ms, ldrRequired, ldrOptimize, airtime, bitrate_kbps,
+    current_mA, energy_mJ, energy_uAh,
+    plan, rules, band: bandObj, duty_limit, tx_per_hour, duty_used_per_hour, duty_pct_of_limit, max_tx_per_hour, min_interval_s,
+    dwell_ok, dwell_limit_ms, tx_energy_per_day_mAh, batt_days,
+    dutyCompliant, compliant, warnings, hasErrors, hasCautions, traffic: mixedTraffic,
+    power: nodePower, link: linkBudget, lorawan: lorawanResult, radio, air_payload,
+    downlink: downlinkResult, reliability: reliabilityResult, batteryLife, solar: solarResult,
+    hopping: hoppingResult,
+  } = result;
+  // LoRaWAN mode: the data rate owns the radio settings
+  const lorawanOn = lorawanResult != null;
+
+  // Apply preset (fires on preset change only — region switching handled by switchRegion).
+  // appliedPreset skips the preset that arrived with a restored config, so its
+  // own SF/BW/payload values are not overwritten by the preset defaults.
+  const appliedPreset = useRef(init.preset);
   useEffect(() => {
+    if (preset === appliedPreset.current) return;
+    appliedPreset.current = preset;
     if (preset === "custom") return;
     const p = PRESETS[preset];
-    setSf(region === "us" ? p.sf_us : p.sf_eu);
-    setBw(region === "us" ? p.bw_us : p.bw_eu);
+    const r = presetRadio(p, region);
+    setSf(r.sf);
+    setBw(r.bw);
     setPayload(p.payload);
+    if (schema.enabled && p.schema) setSchema({ ...schema, fields: p.schema });
     setCr(p.cr);
-    setTxPower(region === "us" ? p.txPower_us : p.txPower_eu);
+    setTxPower(r.txPower);
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [preset]);
 
@@ -183,19 +124,22 @@ export default function App() {
     if (ldrRequired) setLdrManual(false);
   }, [ldrRequired]);
 
-  useEffect(() => {
-    setOptResults(null);
-  }, [region]);
-
   const markCustom = () => setPreset("custom");
 
+  // An active payload schema owns the payload size; invalid edits keep the last good size
+  function changeSchema(next) {
+    setSchema(next);
+    const { bytes, errors } = schemaLayout(next.fields);
+    if (!next.enabled || errors.length || bytes === payload) return;
+    setPayload(bytes);
+    markCustom();
+  }
+
   // ── Per-region state snapshots ───────────────────────────────────────────
   // Saves SF/BW/CR/txPower/euBand/preset when leaving a region,
   // restores them when returning. Prevents cross-region violations.
-  const regionSnapshots = useRef({
-    eu: null,
-    us: null,
-  });
+  const emptySnapshots = () => Object.fromEntries(REGIONS.map(r => [r.id, null]));
+  const regionSnapshots = useRef(emptySnapshots());
 
   function switchRegion(newRegion) {
     if (newRegion === region) return;
@@ -209,142 +153,65 @@ export default function App() {
       setPreset(snap.preset);
     } else {
       // First visit to this region — load current preset's region defaults
-      const p = PRESETS[preset] ?? PRESETS.heartbeat;
-      setSf(newRegion === "us" ? p.sf_us : p.sf_eu);
-      setBw(newRegion === "us" ? p.bw_us : p.bw_eu);
-      setTxPower(newRegion === "us" ? p.txPower_us : p.txPower_eu);
-      // EU band stays at g3 default; no EU band concept for US
+      const r = presetRadio(PRESETS[preset] ?? PRESETS.heartbeat, newRegion);
+      setSf(r.sf);
+      setBw(r.bw);
+      setTxPower(r.txPower);
+      // EU sub-band stays as is; single-band plans ignore it
     }
     setRegion(newRegion);
   }
 
-  // ── Optimizer state ──────────────────────────────────────────────────────
-  const [optResults, setOptResults] = useState(null);
-  const [optRunning, setOptRunning] = useState(false);
-
-  function handleOptimize() {
-    setOptRunning(true);
-    setOptResults(null);
-    setTimeout(() => {
-      const results = runOptimizer({
-        payloadBytes: payload, region,
-        txInterval_min: txIntervalMin,
-      });
-      setOptResults(results);
-      setOptRunning(false);
-    }, 20);
+  // ── Shareable configuration ──────────────────────────────────────────────
+  const configQuery = configToQuery(config);
+
+  // Keep the URL in step with the current setup so it can be copied at any time
+  useEffect(() => {
+    window.history.replaceState(null, "", `#${configQuery}`);
+  }, [configQuery]);
+
+  function applyConfig(c) {
+    appliedPreset.current = c.preset;
+    regionSnapshots.current = emptySnapshots();
+    setRegion(c.region); setPreset(c.preset);
+    setSf(c.sf); setBw(c.bw); setCr(c.cr); setPayload(c.payload); setPreamble(c.preamble);
+    setCrc(c.crc); setExplicitHeader(c.explicitHeader); setLdrManual(c.ldrManual);
+    setTxPower(c.txPower); setVoltage(c.voltage); setTxIntervalMin(c.txIntervalMin);
+    setEuBand(c.euBand); setAccess(c.access); setBattCapacity(c.battCapacity);
+    setTrafficMode(c.trafficMode); setTraffic(c.traffic); setPower(c.power); setLink(c.link);
+    setLorawan(c.lorawan); setSchema(c.schema); setDownlink(c.downlink); setReliability(c.reliability);
+    setBatteryModel(c.batteryModel); setSolar(c.solar); setHopping(c.hopping);
   }
 
+  // A pasted link in the same tab only changes the hash — restore from it.
+  // The listener stays subscribed once and reads the latest applyConfig.
+  const applyConfigRef = useRef(applyConfig);
+  applyConfigRef.current = applyConfig;
+  useEffect(() => {
+    function onHashChange() {
+      if (hasConfigQuery(window.location.hash)) applyConfigRef.current(configFromQuery(window.location.hash).config);
+    }
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  // ── Optimizer ────────────────────────────────────────────────────────────
   function applyOptResult(r) {
     setSf(r.sf); setBw(r.bw); setCr(r.cr);
-    if (region === "eu" && r.band) setEuBand(r.band.id);
+    setPreamble(r.preamble); setExplicitHeader(r.explicitHeader);
+    if (plan.subBands.length > 1) setEuBand(r.band.id);
     setTxPower(r.txPower);
     markCustom();
-    setOptResults(null);
   }
 
-  const airtime = calcAirtime({ sf, bw: bw * 1000, preamble, payloadBytes: payload, cr, crc, explicitHeader, lowDROptimize: ldrOptimize });
-  const current_mA = TX_CURRENT[txPower] ?? 31;
-  const energy_mJ = (current_mA / 1000) * voltage * (airtime / 1000) * 1000;
-  const energy_uAh = (current_mA * (airtime / 1000)) / 3.6;
-
-  // EU duty cycle
-  const euBandObj = EU_BANDS.find(b => b.id === euBand);
-  const duty_limit = euBandObj?.duty ?? 1;
-  const duty_used_per_tx = (airtime / 3_600_000) * 100;
-  const tx_per_hour = txIntervalMin > 0 ? 60 / txIntervalMin : 0;
-  const duty_used_per_hour = duty_used_per_tx * tx_per_hour;
-  const duty_pct_of_limit = (duty_used_per_hour / duty_limit) * 100;
-  const max_tx_per_hour = Math.floor((duty_limit / 100 * 3_600_000) / airtime);
-  const min_interval_s = airtime / (duty_limit / 100) / 1000;
-
-  // g vs g3 re-arm for current ToA (always derived, shown in EU card)
-  const rearm_g_s  = airtime / 0.01 / 1000;   // 1% duty
-  const rearm_g3_s = airtime / 0.10 / 1000;   // 10% duty
-
-  // US dwell time
-  const us_dwell_ok = airtime <= 400;
-
-  // Battery life
-  const tx_energy_per_day_mAh = (energy_uAh / 1000) * tx_per_hour * 24;
-  const batt_days = tx_energy_per_day_mAh > 0 ? battCapacity / tx_energy_per_day_mAh : Infinity;
-
-  const euCompliant = duty_used_per_hour <= duty_limit;
-  const compliant = region === "eu" ? euCompliant : us_dwell_ok;
-
   const isDetection = preset === "detection";
 
-  // ─── Configuration warnings ───────────────────────────────────────────────
-  // Each: { level: "error"|"caution", label, message }
-  const warnings = [];
-
-  // W1 — BW500 on EU g3: physically impossible (sub-band only 250 kHz wide)
-  if (region === "eu" && bw === 500 && euBand === "g3") {
-    warnings.push({
-      level: "error",
-      label: "BW + Sub-band",
-      message: "BW500 cannot fit in g3 — the sub-band is only 250 kHz wide (869.4–869.65 MHz). Use BW125 or switch sub-band.",
-    });
-  }
-  // W2 — BW250 on EU g3: fills the entire slice with no frequency margin
-  if (region === "eu" && bw === 250 && euBand === "g3") {
-    warnings.push({
-      level: "caution",
-      label: "BW250 + g3",
-      message: "BW250 fills the entire g3 slice with no frequency margin. BW125 recommended on g3.",
-    });
-  }
-  // W3 — TX Power > 14 dBm on EU: exceeds ETSI EN 300 220 EIRP limit for all sub-bands
-  if (region === "eu" && txPower > 14) {
-    warnings.push({
-      level: "error",
-      label: "TX Power (EU)",
-      message: `+${txPower} dBm exceeds EU EIRP limit of 14 dBm (25 mW) under ETSI EN 300 220. Reduce TX Power to ≤14 dBm.`,
-    });
-  }
-  // W4 — TX Power = 20 dBm: RFM95W hardware duty-cycle restriction (any region)
-  if (txPower === 20) {
-    warnings.push({
-      level: "caution",
-      label: "+20 dBm duty limit",
-      message: "RFM95W duty-cycle limited to 1% max at +20 dBm (Table 33, DC_20dBm). Continuous operation rated to +17 dBm.",
-    });
-  }
-  // W5 — US dwell time exceeded
-  if (region === "us" && !us_dwell_ok) {
-    warnings.push({
-      level: "error",
-      label: "US Dwell Time",
-      message: `ToA ${fmt(airtime, 1)} ms exceeds 400 ms FCC §15.247 dwell limit. Reduce SF, increase BW, or shorten payload.`,
-    });
-  }
-  // W6 — EU g2 sub-band: 0.1% duty is extremely restrictive, rarely appropriate
-  if (region === "eu" && euBand === "g2") {
-    warnings.push({
-      level: "caution",
-      label: "g2 sub-band",
-      message: "g2 duty cycle is 0.1% — 10× more restrictive than g/g1. Avoid for regular sensor TX unless legally required.",
-    });
-  }
-  // W7 — Preamble < 8: risks sync failures (LoRaWAN specifies 8 minimum)
-  if (preamble < 8) {
-    warnings.push({
-      level: "caution",
-      label: "Preamble symbols",
-      message: `Preamble ${preamble} symbols is below the LoRaWAN minimum of 8. Risk of sync failure, especially at range.`,
-    });
-  }
-  // W8 — SF6 + explicit header: not supported on SX1276/RFM95W
-  if (sf === 6 && explicitHeader) {
-    warnings.push({
-      level: "error",
-      label: "SF6 + Explicit Header",
-      message: "SF6 requires implicit header mode on SX1276/RFM95W — explicit header is not supported at SF6. Disable Explicit Header. Both sensor and brain must have payload length hardcoded in firmware.",
-    });
-  }
+  const lbtAfa = rules.mode === "lbtafa";
 
-  const hasErrors   = warnings.some(w => w.level === "error");
-  const hasCautions = warnings.some(w => w.level === "caution");
+  // Re-arm time on each duty-limited sub-band of the plan; highest duty re-arms fastest
+  const rearmBands = plan.subBands.filter(b => b.duty != null)
+    .map(b => ({ ...b, rearm_s: airtime / (b.duty / 100) / 1000 }));
+  const fastestBand = rearmBands.reduce((a, b) => (b.duty > a.duty ? b : a), rearmBands[0]);
 
   return (
     <div style={{
@@ -371,8 +238,8 @@ export default function App() {
         }
         .toggle-btn.active { background: #2a4a2c; border-color: #6fcf6f; color: #9fe89f; }
         .region-btn {
-          padding: 8px 24px; border: 1px solid #2d4a30; background: #1a2e1c;
-          color: #8ab88a; cursor: pointer; font-family: inherit; font-size: 13px;
+          padding: 8px 12px; border: 1px solid #2d4a30; background: #1a2e1c;
+          color: #8ab88a; cursor: pointer; font-family: inherit; font-size: 12px;
           transition: all 0.15s; letter-spacing: 0.05em;
         }
         .region-btn:first-child { border-radius: 4px 0 0 4px; }
@@ -401,10 +268,10 @@ export default function App() {
           background: #0d1a0f; border-radius: 4px; padding: 8px 10px;
           border: 1px solid #1a2e1c;
         }
-        .rearm-box.g3 { border-color: #2a5a2c; background: #0d1f10; }
+        .rearm-box.best { border-color: #2a5a2c; background: #0d1f10; }
         .rearm-label { font-size: 10px; color: #4a7a4a; letter-spacing: 0.06em; text-transform: uppercase; margin-bottom: 3px; }
         .rearm-val { font-size: 16px; color: #8ab88a; }
-        .rearm-val.g3 { color: #6fcf6f; }
+        .rearm-val.best { color: #6fcf6f; }
         .rearm-duty { font-size: 10px; color: #3a6a3a; margin-top: 1px; }
         .warn-row {
           display: flex; align-items: flex-start; gap: 10px;
@@ -422,6 +289,13 @@ export default function App() {
         }
         .warn-badge.error   { background: #5a1a1a; color: #f0a0a0; }
         .warn-badge.caution { background: #5a3a00; color: #f0c060; }
+        .view-tab {
+          padding: 8px 14px; border: none; border-bottom: 2px solid transparent;
+          background: transparent; color: #5a8a5a; cursor: pointer;
+          font-family: inherit; font-size: 12px; letter-spacing: 0.05em; transition: all 0.15s;
+        }
+        .view-tab:hover { color: #8ab88a; }
+        .view-tab.active { color: #c8f5c8; border-bottom-color: #6fcf6f; }
         .warn-label { font-size: 10px; color: #5a7a5a; text-transform: uppercase;
                       letter-spacing: 0.07em; margin-bottom: 2px; }
       `}</style>
@@ -431,23 +305,35 @@ export default function App() {
         <div style={{ maxWidth: "900px", margin: "0 auto", display: "flex", alignItems: "center", justifyContent: "space-between", flexWrap: "wrap", gap: "12px" }}>
           <div>
             <div style={{ fontSize: "18px", letterSpacing: "0.05em" }}>📡 Jumbo Shoo Project</div>
-            <div style={{ fontSize: "11px", color: "#4a7a4a", marginTop: "2px" }}>LoRa Airtime & Compliance Calculator · Semtech AN1200.13 · EU ETSI EN 300 220 · US FCC §15.247</div>
+            <div style={{ fontSize: "11px", color: "#4a7a4a", marginTop: "2px" }}>LoRa Airtime & Compliance Calculator · Semtech AN1200.13 · EU ETSI EN 300 220 · US FCC §15.247 · LoRaWAN RP002 regional plans</div>
             <div style={{ fontSize: "10px", color: "#3a6a5a", marginTop: "3px", fontStyle: "italic" }}>
-              Single-sensor model — all calculations assume one node transmitting independently.
-              Multi-sensor array notes (CAD backoff, channel staggering) are documented in the Excel Profiles tab.
+              Single Sensor view assumes one node transmitting independently.
+              Array Planner estimates collisions and gateway load for many nodes sharing a channel.
             </div>
           </div>
           <div style={{ display: "flex" }}>
-            {["eu", "us"].map(r => (
-              <button key={r} className={`region-btn ${region === r ? "active" : ""}`}
-                onClick={() => switchRegion(r)}>
-                {r === "eu" ? "EU 868 MHz" : "US 915 MHz"}
+            {REGIONS.map(r => (
+              <button key={r.id} className={`region-btn ${region === r.id ? "active" : ""}`}
+                title={r.name} onClick={() => switchRegion(r.id)}>
+                {r.label}
               </button>
             ))}
           </div>
         </div>
       </div>
 
+      {/* View tabs */}
+      <div style={{ background: "#0c170d", borderBottom: "1px solid #1a2e1c" }}>
+        <div style={{ maxWidth: "900px", margin: "0 auto", padding: "0 16px", display: "flex", flexWrap: "wrap", gap: "4px" }}>
+          {VIEWS.map(([id, label]) => (
+            <button key={id} className={`view-tab ${view === id ? "active" : ""}`}
+              onClick={() => setView(id)}>
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
       <div style={{ maxWidth: "900px", margin: "0 auto", padding: "24px 16px", display: "grid", gridTemplateColumns: "320px 1fr", gap: "20px", alignItems: "start" }}>
 
         {/* ── LEFT COLUMN — Inputs ── */}
@@ -469,48 +355,56 @@ export default function App() {
                 {PRESETS[preset].desc}
               </div>
             )}
+            {PRESETS[preset]?.schema && (
+              <div style={{ fontSize: "10px", color: "#3a6a5a", marginTop: "4px" }}>
+                {PRESETS[preset].payload} B = {PRESETS[preset].schema.map(f => `${f.name} ${f.bits}`).join(" · ")} bits
+              </div>
+            )}
           </div>
 
           {/* RF Parameters */}
           <div className="card">
-            <div className="label">RF Parameters</div>
+            <div className="label">RF Parameters{lorawanOn ? ` — set by DR${lorawanResult.dr}` : ""}</div>
             <div className="input-row">
               <div>
                 <div className="label">Spreading Factor</div>
-                <select value={sf} onChange={e => { setSf(+e.target.value); markCustom(); }}>
+                <select value={radio.sf} disabled={lorawanOn} onChange={e => { setSf(+e.target.value); markCustom(); }}>
                   {[6,7,8,9,10,11,12].map(v => <option key={v}>{v}</option>)}
                 </select>
               </div>
               <div>
                 <div className="label">Bandwidth</div>
-                <select value={bw} onChange={e => { setBw(+e.target.value); markCustom(); }}>
-                  {[125,250,500].map(v => <option key={v} value={v}>{v} kHz</option>)}
+                <select value={radio.bw} disabled={lorawanOn} onChange={e => { setBw(+e.target.value); markCustom(); }}>
+                  {[125,250,500].map(v => (
+                    <option key={v} value={v}>{v} kHz{plan.bandwidths.includes(v) ? "" : ` (not in ${plan.label})`}</option>
+                  ))}
                 </select>
               </div>
             </div>
             <div className="input-row">
               <div>
                 <div className="label">Coding Rate</div>
-                <select value={cr} onChange={e => { setCr(+e.target.value); markCustom(); }}>
+                <select value={radio.cr} disabled={lorawanOn} onChange={e => { setCr(+e.target.value); markCustom(); }}>
                   {[1,2,3,4].map(v => <option key={v} value={v}>4/{v+4}</option>)}
                 </select>
               </div>
               <div>
-                <div className="label">Payload (bytes)</div>
-                <input type="number" min={1} max={255} value={payload}
+                <div className="label">{lorawanOn ? "App payload (bytes)" : "Payload (bytes)"}{schema.enabled ? " — schema" : ""}</div>
+                <input type="number" min={1} max={255} value={payload} disabled={schema.enabled}
+                  title={schema.enabled ? "Set by the Payload Schema view" : undefined}
                   onChange={e => { setPayload(+e.target.value); markCustom(); }} />
               </div>
             </div>
             <div className="input-row">
               <div>
                 <div className="label">Preamble Symbols</div>
-                <input type="number" min={6} max={65535} value={preamble}
+                <input type="number" min={6} max={65535} value={radio.preamble} disabled={lorawanOn}
                   onChange={e => { setPreamble(+e.target.value); markCustom(); }} />
               </div>
               <div>
                 <div className="label">TX Power (dBm)</div>
                 <select value={txPower} onChange={e => { setTxPower(+e.target.value); markCustom(); }}>
-                  {TX_POWER_OPTIONS.filter(p => region === "us" || p <= 14).map(v =>
+                  {regionTxPowers(region, euBand).map(v =>
                     <option key={v} value={v}>{v} dBm · {TX_CURRENT[v]} mA</option>)}
                 </select>
                 {txPower === 20 && (
@@ -522,21 +416,21 @@ export default function App() {
             </div>
             <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", marginBottom: "8px" }}>
               {[
-                ["CRC", crc, setCrc],
-                ["Explicit Hdr", explicitHeader, setExplicitHeader],
+                ["CRC", radio.crc, setCrc],
+                ["Explicit Hdr", radio.explicitHeader, setExplicitHeader],
               ].map(([label, val, setter]) => (
-                <button key={label} className={`toggle-btn ${val ? "active" : ""}`}
+                <button key={label} className={`toggle-btn ${val ? "active" : ""}`} disabled={lorawanOn}
                   onClick={() => { setter(!val); markCustom(); }}>
                   {label}: {val ? "ON" : "OFF"}
                 </button>
               ))}
               <button className={`toggle-btn ${ldrOptimize ? "active" : ""}`}
-                disabled={ldrRequired}
-                onClick={() => { if (!ldrRequired) { setLdrManual(!ldrManual); markCustom(); } }}>
+                disabled={ldrRequired || lorawanOn}
+                onClick={() => { if (!ldrRequired && !lorawanOn) { setLdrManual(!ldrManual); markCustom(); } }}>
                 LDRO: {ldrOptimize ? "ON" : "OFF"}{ldrRequired ? " (auto)" : ""}
               </button>
             </div>
-            {sf === 6 && (
+            {radio.sf === 6 && (
               <div style={{ fontSize: "10px", color: "#f0a060", marginTop: "2px", fontStyle: "italic", lineHeight: "1.5" }}>
                 ⚠ SF6: implicit header mode is enforced automatically in calculations (SX1276 hardware constraint).
                 Explicit Hdr setting is ignored for SF6 — disable it to clear the W8 violation.
@@ -546,20 +440,42 @@ export default function App() {
 
           </div>
 
+          <LorawanInputs region={region} lorawan={lorawan} onChange={setLorawan} payload={payload} uplink={lorawanResult} />
+
+          {/* LoRaWAN brings its own confirmed uplinks and downlinks */}
+          {!lorawanOn && <DownlinkInputs downlink={downlink} onChange={setDownlink} />}
+
           {/* Region-specific */}
           <div className="card">
-            {region === "eu" ? (
-              <>
-                <div className="label">EU Sub-band</div>
-                <select value={euBand} onChange={e => setEuBand(e.target.value)}>
-                  {EU_BANDS.map(b => <option key={b.id} value={b.id}>{b.label} — {b.duty}%</option>)}
-                </select>
-              </>
-            ) : (
-              <div style={{ fontSize: "11px", color: "#4a7a4a" }}>
-                FCC §15.247 — FHSS, ≥50 channels, max 400 ms dwell per channel.
+            <div className="label">{plan.name}</div>
+            {plan.subBands.length > 1 && (
+              <select value={euBand} onChange={e => setEuBand(e.target.value)} style={{ marginBottom: "8px" }}>
+                {plan.subBands.map(b => (
+                  <option key={b.id} value={b.id}>{b.label} — {b.duty}% · {b.maxEirp_dBm ?? plan.maxEirp_dBm} dBm</option>
+                ))}
+              </select>
+            )}
+            {plan.lbtAfa && (
+              <div style={{ display: "flex", gap: "6px", marginBottom: "8px" }}>
+                {ACCESS_MODES.map(m => (
+                  <button key={m.id} className={`toggle-btn ${access === m.id ? "active" : ""}`}
+                    onClick={() => setAccess(m.id)}>
+                    {m.label}
+                  </button>
+                ))}
               </div>
             )}
+            <div style={{ fontSize: "11px", color: "#4a7a4a", lineHeight: "1.6" }}>
+              {rules.rule} — {plan.note}
+              <br />
+              EIRP ≤{rules.maxEirp_dBm} dBm · BW {plan.bandwidths.join("/")} kHz
+              {plan.subBands.length > 1 ? ` in a ${bandWidth_kHz(bandObj)} kHz slice` : ""}
+              {lbtAfa
+                ? ` · ≤${rules.dwell_ms} ms TX-on per TX · ${plan.lbtAfa.txOnPerHour_s} s TX-on / hour`
+                : `${bandObj.duty != null ? ` · ${bandObj.duty}% duty` : ""}${rules.dwell_ms != null ? ` · ${rules.dwell_ms} ms dwell` : ""}`}
+              {rules.lbt ? ` · LBT ${rules.lbt.required ? "required" : "optional"} (${rules.lbt.threshold_dBm} dBm / ${rules.lbt.listen_ms} ms)` : ""}
+              {rules.lbt?.note ? <><br />{rules.lbt.note}</> : null}
+            </div>
           </div>
 
           {/* Power & Battery */}
@@ -577,428 +493,451 @@ export default function App() {
                   onChange={e => setBattCapacity(+e.target.value)} />
               </div>
             </div>
-            <div className="label">TX Interval — <span style={{ color: "#9fe89f" }}>{txIntervalMin} min</span></div>
-            <input type="range" min={0.5} max={360} step={0.5} value={txIntervalMin}
-              onChange={e => setTxIntervalMin(+e.target.value)} />
+            <div style={{ display: "flex", gap: "8px", marginBottom: "10px" }}>
+              {[["single", "Single stream"], ["mixed", "Mixed profile"]].map(([mode, label]) => (
+                <button key={mode} className={`toggle-btn ${trafficMode === mode ? "active" : ""}`}
+                  onClick={() => setTrafficMode(mode)}>
+                  {label}
+                </button>
+              ))}
+            </div>
+            {trafficMode === "single" ? (
+              <>
+                <div className="label">TX Interval — <span style={{ color: "#9fe89f" }}>{txIntervalMin} min</span></div>
+                <input type="range" min={TX_INTERVAL_RANGE_MIN[0]} max={TX_INTERVAL_RANGE_MIN[1]} step={0.5} value={txIntervalMin}
+                  onChange={e => setTxIntervalMin(+e.target.value)} />
+              </>
+            ) : (
+              <div style={{ fontSize: "11px", color: "#4a7a4a" }}>
+                {fmt(mixedTraffic.tx_per_day, 1)} TX / day · {fmt(mixedTraffic.airtime_per_day_ms / 1000, 2)} s airtime / day
+              </div>
+            )}
           </div>
 
+          {trafficMode === "mixed" && (
+            <TrafficProfile streams={traffic} onChange={setTraffic} />
+          )}
+
+          <PowerInputs power={power} onChange={setPower} detectionsLinked={detectionsLinked} />
+
+          <ShareConfig config={config} result={result} onImport={applyConfig} />
+
         </div>
 
         {/* ── RIGHT COLUMN — Results ── */}
-        <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
-
-          {/* Compliance banner */}
-          <div style={{
-            padding: "14px 20px", borderRadius: "6px",
-            background: compliant ? "#0d2010" : "#200d0d",
-            border: `1px solid ${compliant ? "#2a5a2c" : "#5a2a2a"}`,
-          }}>
-            <div style={{ fontSize: "18px", color: compliant ? "#6fcf6f" : "#e05050", marginBottom: "4px" }}>
-              {compliant ? "✓ COMPLIANT" : "✗ BREACH"}
-            </div>
-            <div style={{ fontSize: "12px", color: compliant ? "#4a8a4a" : "#8a4a4a" }}>
-              {region === "eu"
-                ? (euCompliant ? `EU duty cycle compliant — ${euBandObj?.label}` : "EU DUTY CYCLE EXCEEDED — reduce TX rate or switch sub-band")
-                : (us_dwell_ok ? "US dwell time compliant (≤400 ms)" : "EXCEEDS 400 ms max dwell time")}
-            </div>
-            <div style={{ fontSize: "11px", color: "#5a7a5a", marginTop: "2px" }}>
-              {region === "eu"
-                ? `Using ${fmt(duty_used_per_hour, 3)}% of ${duty_limit}% — ${fmt(duty_pct_of_limit, 1)}% of budget consumed`
-                : `Time on air: ${fmt(airtime, 1)} ms ${us_dwell_ok ? "< 400 ms ✓" : "— REDUCE SF or payload"}`}
+        {view === "calculator" && (
+          <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+
+            {/* Compliance banner */}
+            <div style={{
+              padding: "14px 20px", borderRadius: "6px",
+              background: compliant ? "#0d2010" : "#200d0d",
+              border: `1px solid ${compliant ? "#2a5a2c" : "#5a2a2a"}`,
+            }}>
+              <div style={{ fontSize: "18px", color: compliant ? "#6fcf6f" : "#e05050", marginBottom: "4px" }}>
+                {compliant ? "✓ COMPLIANT" : "✗ BREACH"}
+              </div>
+              <div style={{ fontSize: "12px", color: compliant ? "#4a8a4a" : "#8a4a4a" }}>
+                {[
+                  duty_limit != null && (dutyCompliant
+                    ? `${plan.label} ${lbtAfa ? "LBT+AFA hourly TX-on" : "duty cycle"} compliant — ${bandObj.label}`
+                    : `${plan.label} ${lbtAfa ? "HOURLY TX-ON TIME" : "DUTY CYCLE"} EXCEEDED — reduce TX rate${lbtAfa ? "" : " or switch sub-band"}`),
+                  dwell_limit_ms != null && (dwell_ok
+                    ? `${plan.label} ${lbtAfa ? "TX-on" : "dwell"} time compliant (≤${dwell_limit_ms} ms)`
+                    : `EXCEEDS ${dwell_limit_ms} ms max ${lbtAfa ? "TX-on" : "dwell"} time`),
+                  duty_limit == null && dwell_limit_ms == null && `${plan.label} has no duty-cycle or dwell limit`,
+                ].filter(Boolean).join(" · ")}
+              </div>
+              <div style={{ fontSize: "11px", color: "#5a7a5a", marginTop: "2px" }}>
+                {[
+                  duty_limit != null && `Using ${fmt(duty_used_per_hour, 3)}% of ${duty_limit}% — ${fmt(duty_pct_of_limit, 1)}% of budget consumed`,
+                  dwell_limit_ms != null && `Time on air: ${fmt(airtime, 1)} ms ${dwell_ok ? `< ${dwell_limit_ms} ms ✓` : "— REDUCE SF or payload"}`,
+                  duty_limit == null && dwell_limit_ms == null && `Time on air: ${fmt(airtime, 1)} ms · EIRP ≤${rules.maxEirp_dBm} dBm`,
+                ].filter(Boolean).join(" · ")}
+              </div>
             </div>
-          </div>
 
-          {/* ── Configuration Warnings ── */}
-          <div className="card" style={{ padding: "16px 20px" }}>
-            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: warnings.length ? "12px" : "0" }}>
-              <div className="label" style={{ marginBottom: 0 }}>Configuration Warnings</div>
-              {!hasErrors && !hasCautions && (
-                <span style={{ fontSize: "11px", color: "#6fcf6f" }}>✓ All checks passed</span>
-              )}
-              {hasErrors && (
-                <span style={{ fontSize: "11px", color: "#e05050" }}>● {warnings.filter(w => w.level === "error").length} violation{warnings.filter(w => w.level === "error").length > 1 ? "s" : ""}</span>
-              )}
-              {!hasErrors && hasCautions && (
-                <span style={{ fontSize: "11px", color: "#f0c060" }}>● {warnings.filter(w => w.level === "caution").length} caution{warnings.filter(w => w.level === "caution").length > 1 ? "s" : ""}</span>
-              )}
-            </div>
-            {warnings.length === 0 && (
-              <div className="warn-row ok">
-                <span className="warn-badge ok" style={{ background: "#1a5a1a", color: "#6fcf6f" }}>OK</span>
-                <span>No violations or cautions for current configuration.</span>
+            {/* ── Configuration Warnings ── */}
+            <div className="card" style={{ padding: "16px 20px" }}>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: warnings.length ? "12px" : "0" }}>
+                <div className="label" style={{ marginBottom: 0 }}>Configuration Warnings</div>
+                {!hasErrors && !hasCautions && (
+                  <span style={{ fontSize: "11px", color: "#6fcf6f" }}>✓ All checks passed</span>
+                )}
+                {hasErrors && (
+                  <span style={{ fontSize: "11px", color: "#e05050" }}>● {warnings.filter(w => w.level === "error").length} violation{warnings.filter(w => w.level === "error").length > 1 ? "s" : ""}</span>
+                )}
+                {!hasErrors && hasCautions && (
+                  <span style={{ fontSize: "11px", color: "#f0c060" }}>● {warnings.filter(w => w.level === "caution").length} caution{warnings.filter(w => w.level === "caution").length > 1 ? "s" : ""}</span>
+                )}
               </div>
-            )}
-            {warnings.map((w, i) => (
-              <div key={i} className={`warn-row ${w.level}`}>
-                <div style={{ flexShrink: 0, minWidth: "80px" }}>
-                  <span className={`warn-badge ${w.level}`}>
-                    {w.level === "error" ? "✗ VIOLATION" : "⚠ CAUTION"}
-                  </span>
-                  <div className="warn-label" style={{ marginTop: "4px", color: w.level === "error" ? "#7a3a3a" : "#7a5a00" }}>
-                    {w.label}
+              {warnings.length === 0 && (
+                <div className="warn-row ok">
+                  <span className="warn-badge ok" style={{ background: "#1a5a1a", color: "#6fcf6f" }}>OK</span>
+                  <span>No violations or cautions for current configuration.</span>
+                </div>
+              )}
+              {warnings.map((w, i) => (
+                <div key={i} className={`warn-row ${w.level}`}>
+                  <div style={{ flexShrink: 0, minWidth: "80px" }}>
+                    <span className={`warn-badge ${w.level}`}>
+                      {w.level === "error" ? "✗ VIOLATION" : "⚠ CAUTION"}
+                    </span>
+                    <div className="warn-label" style={{ marginTop: "4px", color: w.level === "error" ? "#7a3a3a" : "#7a5a00" }}>
+                      {w.label}
+                    </div>
                   </div>
+                  <span>{w.message}</span>
                 </div>
-                <span>{w.message}</span>
-              </div>
-            ))}
-          </div>
-
-          {/* ── Scope & Multi-sensor Notes ── */}
-          <div style={{
-            background: "#0d1a2a", border: "1px solid #1a3a5a", borderRadius: "6px", padding: "14px 16px",
-          }}>
-            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
-              <div style={{ fontSize: "11px", color: "#4a8aaa", fontStyle: "italic" }}>
-                ℹ  Single-sensor model — all calculations assume one node transmitting independently.
-              </div>
-              <button
-                onClick={() => setShowCadNotes(v => !v)}
-                style={{
-                  background: "transparent", border: "1px solid #1a3a5a", color: "#4a8aaa",
-                  fontSize: "10px", padding: "3px 10px", borderRadius: "3px", cursor: "pointer",
-                  fontFamily: "inherit", whiteSpace: "nowrap", marginLeft: "12px",
-                }}>
-                {showCadNotes ? "▲ hide" : "▼ multi-sensor notes"}
-              </button>
+              ))}
             </div>
 
-            {showCadNotes && (
-              <div style={{ marginTop: "14px", display: "flex", flexDirection: "column", gap: "10px" }}>
-
-                <div style={{ fontSize: "11px", color: "#6aaaca", borderBottom: "1px solid #1a3a5a", paddingBottom: "8px" }}>
-                  The following is for reference only — future consideration if multiple sensors are deployed.
-                  It does not affect any calculation in this tool.
+            {/* ── Scope & Multi-sensor Notes ── */}
+            <div style={{
+              background: "#0d1a2a", border: "1px solid #1a3a5a", borderRadius: "6px", padding: "14px 16px",
+            }}>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                <div style={{ fontSize: "11px", color: "#4a8aaa", fontStyle: "italic" }}>
+                  ℹ  Single-sensor model — all calculations assume one node transmitting independently.
                 </div>
+                <button
+                  onClick={() => setShowCadNotes(v => !v)}
+                  style={{
+                    background: "transparent", border: "1px solid #1a3a5a", color: "#4a8aaa",
+                    fontSize: "10px", padding: "3px 10px", borderRadius: "3px", cursor: "pointer",
+                    fontFamily: "inherit", whiteSpace: "nowrap", marginLeft: "12px",
+                  }}>
+                  {showCadNotes ? "▲ hide" : "▼ multi-sensor notes"}
+                </button>
+              </div>
 
-                {/* Why it matters */}
-                <div>
-                  <div style={{ fontSize: "10px", color: "#3a6a8a", textTransform: "uppercase", letterSpacing: "0.07em", marginBottom: "4px" }}>Why concurrent transmissions are a problem in arrays</div>
-                  <div style={{ fontSize: "11px", color: "#8ab0c8", lineHeight: "1.5" }}>
-                    Seismic waves travel at 100–500 m/s through soil. Across a 100 m sensor array, all nodes
-                    may trigger within 200 ms–1 s of each other — near-simultaneously from a radio perspective.
-                    At SF7 (39 ms ToA), multiple sensors transmitting at the same time causes the brain module
-                    to receive only the strongest signal (<em>capture effect</em>), silently discarding all others.
-                    For time-of-arrival localisation this is a fatal bias, not just packet loss.
+              {showCadNotes && (
+                <div style={{ marginTop: "14px", display: "flex", flexDirection: "column", gap: "10px" }}>
+
+                  <div style={{ fontSize: "11px", color: "#6aaaca", borderBottom: "1px solid #1a3a5a", paddingBottom: "8px" }}>
+                    The following is for reference only — future consideration if multiple sensors are deployed.
+                    It does not affect the single-sensor calculations. Use the CAD Backoff Sim view to test the algorithm below.
                   </div>
-                </div>
 
-                {/* CAD backoff algorithm */}
-                <div style={{ background: "#0a1520", border: "1px solid #1a3050", borderRadius: "4px", padding: "10px 12px" }}>
-                  <div style={{ fontSize: "10px", color: "#3a6a8a", textTransform: "uppercase", letterSpacing: "0.07em", marginBottom: "6px" }}>
-                    CAD backoff algorithm — detection events only
-                    <span style={{ color: "#2a5a6a", marginLeft: "8px", textTransform: "none", letterSpacing: 0 }}>
-                      (Hoang et al., Procedia Computer Science 177, 2020, Table 1)
-                    </span>
+                  {/* Why it matters */}
+                  <div>
+                    <div style={{ fontSize: "10px", color: "#3a6a8a", textTransform: "uppercase", letterSpacing: "0.07em", marginBottom: "4px" }}>Why concurrent transmissions are a problem in arrays</div>
+                    <div style={{ fontSize: "11px", color: "#8ab0c8", lineHeight: "1.5" }}>
+                      Seismic waves travel at 100–500 m/s through soil. Across a 100 m sensor array, all nodes
+                      may trigger within 200 ms–1 s of each other — near-simultaneously from a radio perspective.
+                      At SF7 (39 ms ToA), multiple sensors transmitting at the same time causes the brain module
+                      to receive only the strongest signal (<em>capture effect</em>), silently discarding all others.
+                      For time-of-arrival localisation this is a fatal bias, not just packet loss.
+                    </div>
                   </div>
-                  <div style={{ fontSize: "11px", color: "#6aaaca", lineHeight: "1.6" }}>
-                    At SF7 / BW125 / CR4:5 — Tsym 1.024 ms · CAD ≈ 1.97 ms · Preamble 12.54 ms · MaxDelayCnt = 6 · Max delay 11.82 ms
+
+                  {/* CAD backoff algorithm */}
+                  <div style={{ background: "#0a1520", border: "1px solid #1a3050", borderRadius: "4px", padding: "10px 12px" }}>
+                    <div style={{ fontSize: "10px", color: "#3a6a8a", textTransform: "uppercase", letterSpacing: "0.07em", marginBottom: "6px" }}>
+                      CAD backoff algorithm — detection events only
+                      <span style={{ color: "#2a5a6a", marginLeft: "8px", textTransform: "none", letterSpacing: 0 }}>
+                        (Hoang et al., Procedia Computer Science 177, 2020, Table 1)
+                      </span>
+                    </div>
+                    <div style={{ fontSize: "11px", color: "#6aaaca", lineHeight: "1.6" }}>
+                      At SF7 / BW125 / CR4:5 — Tsym 1.024 ms · CAD ≈ 1.97 ms · Preamble 12.54 ms · MaxDelayCnt = 6 · Max delay 11.82 ms
+                    </div>
+                    <ol style={{ fontSize: "11px", color: "#8ab0c8", lineHeight: "1.7", paddingLeft: "18px", marginTop: "6px" }}>
+                      <li>Threshold crossing detected</li>
+                      <li>Draw random integer N in [0, 5]</li>
+                      <li>Wait N × 1.97 ms</li>
+                      <li>Execute CAD — check if channel active (RFM95W native CAD mode)</li>
+                      <li>If busy: increment attempt; if attempts &lt; 4, wait one slot then go to step 2</li>
+                      <li>If idle: transmit</li>
+                      <li>After 4 failed attempts: log locally as undelivered, resume listening</li>
+                    </ol>
+                    <div style={{ fontSize: "10px", color: "#2a5a6a", marginTop: "6px", fontStyle: "italic" }}>
+                      Constraint satisfied: max delay (11.82 ms) &lt; preamble (12.54 ms) — deferred node correctly
+                      detects the winning node's preamble via CAD before its own backoff expires.
+                    </div>
                   </div>
-                  <ol style={{ fontSize: "11px", color: "#8ab0c8", lineHeight: "1.7", paddingLeft: "18px", marginTop: "6px" }}>
-                    <li>Threshold crossing detected</li>
-                    <li>Draw random integer N in [0, 5]</li>
-                    <li>Wait N × 1.97 ms</li>
-                    <li>Execute CAD — check if channel active (RFM95W native CAD mode)</li>
-                    <li>If busy: increment attempt; if attempts &lt; 4, wait one slot then go to step 2</li>
-                    <li>If idle: transmit</li>
-                    <li>After 4 failed attempts: log locally as undelivered, resume listening</li>
-                  </ol>
-                  <div style={{ fontSize: "10px", color: "#2a5a6a", marginTop: "6px", fontStyle: "italic" }}>
-                    Constraint satisfied: max delay (11.82 ms) &lt; preamble (12.54 ms) — deferred node correctly
-                    detects the winning node's preamble via CAD before its own backoff expires.
+
+                  {/* Scheduled traffic */}
+                  <div style={{ fontSize: "11px", color: "#8ab0c8", lineHeight: "1.5" }}>
+                    <span style={{ color: "#4a8aaa", fontWeight: "bold" }}>Heartbeat / Status / Ping — no backoff needed.</span>{" "}
+                    Stagger scheduled transmissions by node ID at the application layer — the Array Planner's TDMA schedule
+                    gives each node its slots. CAD backoff applies only to event-driven detection transmissions.
                   </div>
-                </div>
 
-                {/* Scheduled traffic */}
-                <div style={{ fontSize: "11px", color: "#8ab0c8", lineHeight: "1.5" }}>
-                  <span style={{ color: "#4a8aaa", fontWeight: "bold" }}>Heartbeat / Status / Ping — no backoff needed.</span>{" "}
-                  Stagger scheduled transmissions by node ID at the application layer. CAD backoff applies only to
-                  event-driven detection transmissions.
-                </div>
+                  {/* Channel staggering */}
+                  <div style={{ fontSize: "11px", color: "#8ab0c8", lineHeight: "1.5" }}>
+                    <span style={{ color: "#4a8aaa", fontWeight: "bold" }}>Channel staggering (EU g3) — more effective than MAC alone.</span>{" "}
+                    g3's 250 kHz slice fits two BW125 channels edge to edge (one with the W2 guard margin). Assign sensors most
+                    likely to co-trigger (geographically adjacent) to different channels. Doubles throughput with zero firmware
+                    complexity. Combine with CAD backoff for dense arrays — the Array Planner's staggering allocator builds the plan.
+                  </div>
 
-                {/* Channel staggering */}
-                <div style={{ fontSize: "11px", color: "#8ab0c8", lineHeight: "1.5" }}>
-                  <span style={{ color: "#4a8aaa", fontWeight: "bold" }}>Channel staggering (EU g3) — more effective than MAC alone.</span>{" "}
-                  g3's 250 kHz slice fits two non-overlapping BW125 channels. Assign sensors most likely to
-                  co-trigger (geographically adjacent) to different channels. Doubles throughput with zero firmware complexity.
-                  Combine with CAD backoff for dense arrays.
                 </div>
-
-              </div>
-            )}
-          </div>
-
-          {/* Time on Air */}
-          <div className="card">
-            <div className="label">Time on Air</div>
-            <div className="value-big">{airtime < 1000 ? fmt(airtime, 1) : fmt(airtime / 1000, 3)}</div>
-            <div className="value-unit">{airtime < 1000 ? "milliseconds" : "seconds"}</div>
-            <hr />
-            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px" }}>
-              <div>
-                <div className="label">Symbol Duration</div>
-                <div style={{ color: "#8ab88a", fontSize: "14px" }}>{fmt((Math.pow(2, sf) / (bw * 1000)) * 1000, 2)} ms</div>
-              </div>
-              <div>
-                <div className="label">Bitrate (effective)</div>
-                <div style={{ color: "#8ab88a", fontSize: "14px" }}>{fmt(sf * (4 / (4 + cr)) * bw * 1000 / Math.pow(2, sf) / 1000, 2)} kbps</div>
-              </div>
+              )}
             </div>
-          </div>
 
-          {/* Duty Cycle Detail (EU) */}
-          {region === "eu" && (
+            {/* Time on Air */}
             <div className="card">
-              <div className="label">Duty Cycle Analysis</div>
-              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px", marginBottom: "12px" }}>
-                <div>
-                  <div className="label">Limit ({euBandObj?.id})</div>
-                  <div style={{ fontSize: "20px", color: "#9fe89f", fontFamily: "'Instrument Serif', serif" }}>{duty_limit}%</div>
-                </div>
-                <div>
-                  <div className="label">Used / hour</div>
-                  <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }}
-                    className={duty_pct_of_limit > 90 ? "danger" : duty_pct_of_limit > 70 ? "warning" : "good"}>
-                    {fmt(duty_used_per_hour, 4)}%
-                  </div>
-                </div>
-              </div>
-              <div className="compliance-bar-bg">
-                <div style={{
-                  width: `${Math.min(duty_pct_of_limit, 100)}%`, height: "100%",
-                  background: duty_pct_of_limit > 90 ? "#e05050" : duty_pct_of_limit > 70 ? "#f0a060" : "#6fcf6f",
-                  borderRadius: "4px", transition: "width 0.3s"
-                }} />
-              </div>
-              <div style={{ fontSize: "11px", color: "#4a7a4a", marginTop: "4px" }}>
-                {fmt(duty_pct_of_limit, 1)}% of budget used
-              </div>
+              <div className="label">Time on Air</div>
+              <div className="value-big">{airtime < 1000 ? fmt(airtime, 1) : fmt(airtime / 1000, 3)}</div>
+              <div className="value-unit">{airtime < 1000 ? "milliseconds" : "seconds"}</div>
               <hr />
               <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px" }}>
                 <div>
-                  <div className="label">Max TX / hour</div>
-                  <div style={{ color: "#8ab88a", fontSize: "16px" }}>{max_tx_per_hour.toLocaleString()}</div>
+                  <div className="label">Symbol Duration</div>
+                  <div style={{ color: "#8ab88a", fontSize: "14px" }}>{fmt(tSym_ms, 2)} ms</div>
                 </div>
                 <div>
-                  <div className="label">Min TX interval</div>
-                  <div style={{ color: "#8ab88a", fontSize: "16px" }}>{`${fmt(min_interval_s, 1)} s`}</div>
+                  <div className="label">Bitrate (effective)</div>
+                  <div style={{ color: "#8ab88a", fontSize: "14px" }}>{fmt(bitrate_kbps, 2)} kbps</div>
                 </div>
               </div>
+            </div>
 
-              {/* g vs g3 re-arm comparison — always live for current ToA */}
-              <hr />
-              <div className="label" style={{ marginBottom: "6px" }}>
-                Sensor re-arm · g vs g3{isDetection ? " — detection channel" : ""}
-              </div>
-              <div className="rearm-row">
-                <div className="rearm-box">
-                  <div className="rearm-label">g / g1  (1%)</div>
-                  <div className="rearm-val">{fmt(rearm_g_s, 1)} s</div>
-                  <div className="rearm-duty">{Math.floor(3600 / rearm_g_s).toLocaleString()} events / hr max</div>
+            {/* Duty Cycle Detail (duty-limited plans) */}
+            {duty_limit != null && (
+              <div className="card">
+                <div className="label">Duty Cycle Analysis</div>
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px", marginBottom: "12px" }}>
+                  <div>
+                    <div className="label">Limit ({lbtAfa ? "LBT+AFA" : bandObj.id})</div>
+                    <div style={{ fontSize: "20px", color: "#9fe89f", fontFamily: "'Instrument Serif', serif" }}>{duty_limit}%</div>
+                  </div>
+                  <div>
+                    <div className="label">Used / hour{mixedTraffic ? " (avg)" : ""}</div>
+                    <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }}
+                      className={duty_pct_of_limit > 90 ? "danger" : duty_pct_of_limit > 70 ? "warning" : "good"}>
+                      {fmt(duty_used_per_hour, 4)}%
+                    </div>
+                  </div>
+                </div>
+                <div className="compliance-bar-bg">
+                  <div style={{
+                    width: `${Math.min(duty_pct_of_limit, 100)}%`, height: "100%",
+                    background: duty_pct_of_limit > 90 ? "#e05050" : duty_pct_of_limit > 70 ? "#f0a060" : "#6fcf6f",
+                    borderRadius: "4px", transition: "width 0.3s"
+                  }} />
                 </div>
-                <div className="rearm-box g3">
-                  <div className="rearm-label">g3  (10%) ★</div>
-                  <div className="rearm-val g3">{fmt(rearm_g3_s, 2)} s</div>
-                  <div className="rearm-duty">{Math.floor(3600 / rearm_g3_s).toLocaleString()} events / hr max</div>
+                <div style={{ fontSize: "11px", color: "#4a7a4a", marginTop: "4px" }}>
+                  {fmt(duty_pct_of_limit, 1)}% of budget used
+                </div>
+                {mixedTraffic && (
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", marginTop: "10px" }}>
+                    <thead>
+                      <tr style={{ borderBottom: "1px solid #2d4a30" }}>
+                        {["Stream", "ToA", "TX / day", "Airtime / day", "Share"].map(h => (
+                          <th key={h} style={{ padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" }}>{h}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {mixedTraffic.streams.filter(st => st.per_day > 0).map(st => (
+                        <tr key={st.id} style={{ borderBottom: "1px solid #1a2e1c", color: "#8ab88a" }}>
+                          <td style={{ padding: "5px 5px" }}>{st.label}</td>
+                          <td style={{ padding: "5px 5px" }}>{st.toa.toFixed(1)}ms</td>
+                          <td style={{ padding: "5px 5px" }}>{fmt(st.per_day, 1)}</td>
+                          <td style={{ padding: "5px 5px" }}>{fmt(st.airtime_per_day_ms / 1000, 2)}s</td>
+                          <td style={{ padding: "5px 5px" }}>{fmt(st.share * 100, 1)}%</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                <hr />
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px" }}>
+                  <div>
+                    <div className="label">Max TX / hour{mixedTraffic ? " (avg packet)" : ""}</div>
+                    <div style={{ color: "#8ab88a", fontSize: "16px" }}>{max_tx_per_hour.toLocaleString()}</div>
+                  </div>
+                  <div>
+                    <div className="label">Min TX interval{mixedTraffic ? " (avg packet)" : ""}</div>
+                    <div style={{ color: "#8ab88a", fontSize: "16px" }}>{`${fmt(min_interval_s, 1)} s`}</div>
+                  </div>
                 </div>
+
+                {/* Re-arm per duty-limited sub-band — always live for current ToA */}
+                {!lbtAfa && <>
+                  <hr />
+                  <div className="label" style={{ marginBottom: "6px" }}>
+                    Sensor re-arm per sub-band{isDetection ? " — detection channel" : ""}
+                  </div>
+                  <div className="rearm-row" style={{ gridTemplateColumns: `repeat(${Math.min(rearmBands.length, 3)}, 1fr)` }}>
+                    {rearmBands.map(b => {
+                      const best = b === fastestBand && rearmBands.length > 1;
+                      return (
+                        <div key={b.id} className={`rearm-box ${best ? "best" : ""}`}>
+                          <div className="rearm-label">{b.id}  ({b.duty}%){best ? " ★" : ""}</div>
+                          <div className={`rearm-val ${best ? "best" : ""}`}>{fmt(b.rearm_s, b.rearm_s < 10 ? 2 : 1)} s</div>
+                          <div className="rearm-duty">{Math.floor(3600 / b.rearm_s).toLocaleString()} events / hr max</div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  {isDetection && rearmBands.length > 1 && (
+                    <div className="footnote" style={{ marginTop: "8px" }}>
+                      ★ {fastestBand.id} recommended for detection channel — fastest re-arm at {fastestBand.duty}% duty.
+                      {bandWidth_kHz(fastestBand) <= 250 ? ` BW limited to 125 kHz on ${fastestBand.id} (${bandWidth_kHz(fastestBand)} kHz slice).` : ""}
+                    </div>
+                  )}
+                </>}
               </div>
-              {isDetection && (
-                <div className="footnote" style={{ marginTop: "8px" }}>
-                  ★ g3 recommended for detection channel — 10× faster re-arm. BW limited to 125 kHz on EU g3 (250 kHz slice).
+            )}
+
+            {duty_limit != null && (
+              <>
+                <TxTimeline airtime={airtime} txPerHour={tx_per_hour} dutyLimit={duty_limit} lbtAfa={lbtAfa} bandId={bandObj.id} />
+                <DutyTraceCheck airtime={airtime} txPerHour={tx_per_hour} dutyLimit={duty_limit} lbtAfa={lbtAfa} bandId={bandObj.id} />
+              </>
+            )}
+
+            {/* Dwell Detail (dwell-limited plans) */}
+            {dwell_limit_ms != null && (
+              <div className="card">
+                <div className="label">{rules.rule} — {lbtAfa ? "TX-on Time" : "Dwell Time"}</div>
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px" }}>
+                  <div>
+                    <div className="label">Time on Air</div>
+                    <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={dwell_ok ? "good" : "danger"}>
+                      {fmt(airtime, 1)} ms
+                    </div>
+                  </div>
+                  <div>
+                    <div className="label">{lbtAfa ? "Max TX-on / TX" : "Max Dwell Limit"}</div>
+                    <div style={{ fontSize: "20px", color: "#9fe89f", fontFamily: "'Instrument Serif', serif" }}>{dwell_limit_ms} ms</div>
+                  </div>
                 </div>
-              )}
-            </div>
-          )}
+                <div className="compliance-bar-bg">
+                  <div style={{
+                    width: `${Math.min((airtime / dwell_limit_ms) * 100, 100)}%`, height: "100%",
+                    background: !dwell_ok ? "#e05050" : airtime > dwell_limit_ms * 0.75 ? "#f0a060" : "#6fcf6f",
+                    borderRadius: "4px", transition: "width 0.3s"
+                  }} />
+                </div>
+                <div style={{ fontSize: "11px", color: "#4a7a4a", marginTop: "4px" }}>
+                  {fmt((airtime / dwell_limit_ms) * 100, 1)}% of {dwell_limit_ms} ms limit · {lbtAfa ? rules.lbt.note : plan.note}
+                </div>
+              </div>
+            )}
 
-          {/* US Dwell Detail */}
-          {region === "us" && (
+            {region === "us" && (
+              <FhssPlanner hopping={hopping} onChange={setHopping} result={hoppingResult} bw={radio.bw} />
+            )}
+
+            {/* Energy */}
             <div className="card">
-              <div className="label">FCC §15.247 — Dwell Time</div>
+              <div className="label">Energy per Transmission</div>
               <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px" }}>
                 <div>
-                  <div className="label">Time on Air</div>
-                  <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={us_dwell_ok ? "good" : "danger"}>
-                    {fmt(airtime, 1)} ms
-                  </div>
+                  <div className="label">Energy (mJ)</div>
+                  <div className="value-big" style={{ fontSize: "32px" }}>{fmt(energy_mJ, 3)}</div>
+                  <div className="value-unit">millijoules</div>
                 </div>
                 <div>
-                  <div className="label">Max Dwell Limit</div>
-                  <div style={{ fontSize: "20px", color: "#9fe89f", fontFamily: "'Instrument Serif', serif" }}>400 ms</div>
+                  <div className="label">Charge (µAh)</div>
+                  <div className="value-big" style={{ fontSize: "32px" }}>{fmt(energy_uAh, 3)}</div>
+                  <div className="value-unit">micro-amp-hours</div>
                 </div>
               </div>
-              <div className="compliance-bar-bg">
-                <div style={{
-                  width: `${Math.min((airtime / 400) * 100, 100)}%`, height: "100%",
-                  background: !us_dwell_ok ? "#e05050" : airtime > 300 ? "#f0a060" : "#6fcf6f",
-                  borderRadius: "4px", transition: "width 0.3s"
-                }} />
+              <hr />
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px" }}>
+                <div>
+                  <div className="label">TX Current</div>
+                  <div style={{ color: "#8ab88a", fontSize: "13px" }}>{current_mA} mA @ +{txPower} dBm</div>
+                </div>
+                <div>
+                  <div className="label">mAh / day (TX only)</div>
+                  <div style={{ color: "#8ab88a", fontSize: "13px" }}>{fmt(tx_energy_per_day_mAh, 3)} mAh</div>
+                </div>
+                <div>
+                  <div className="label">Battery Life (TX only)</div>
+                  <div style={{ color: batt_days < 180 ? "#f0a060" : "#8ab88a", fontSize: "13px" }}>
+                    {batt_days === Infinity ? "∞" : `${fmt(batt_days / 365, 2)} yr`}
+                  </div>
+                </div>
               </div>
-              <div style={{ fontSize: "11px", color: "#4a7a4a", marginTop: "4px" }}>
-                {fmt((airtime / 400) * 100, 1)}% of 400 ms limit · No per-channel duty cycle — FHSS with ≥50 channels required
+              <div className="footnote" style={{ marginTop: "8px" }}>
+                * TX-only estimate. Sleep, RX, CAD, MCU/RPi and geophone draw are added in Full-Node Battery Life below.
               </div>
             </div>
-          )}
 
-          {/* Energy */}
-          <div className="card">
-            <div className="label">Energy per Transmission</div>
-            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px" }}>
-              <div>
-                <div className="label">Energy (mJ)</div>
-                <div className="value-big" style={{ fontSize: "32px" }}>{fmt(energy_mJ, 3)}</div>
-                <div className="value-unit">millijoules</div>
-              </div>
-              <div>
-                <div className="label">Charge (µAh)</div>
-                <div className="value-big" style={{ fontSize: "32px" }}>{fmt(energy_uAh, 3)}</div>
-                <div className="value-unit">micro-amp-hours</div>
-              </div>
-            </div>
-            <hr />
-            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px" }}>
-              <div>
-                <div className="label">TX Current</div>
-                <div style={{ color: "#8ab88a", fontSize: "13px" }}>{current_mA} mA @ +{txPower} dBm</div>
-              </div>
-              <div>
-                <div className="label">mAh / day (TX only)</div>
-                <div style={{ color: "#8ab88a", fontSize: "13px" }}>{fmt(tx_energy_per_day_mAh, 3)} mAh</div>
-              </div>
-              <div>
-                <div className="label">Battery Life (TX only)</div>
-                <div style={{ color: batt_days < 180 ? "#f0a060" : "#8ab88a", fontSize: "13px" }}>
-                  {batt_days === Infinity ? "∞" : `${fmt(batt_days / 365, 2)} yr`}
-                </div>
-              </div>
-            </div>
-            <div className="footnote" style={{ marginTop: "8px" }}>
-              * TX-only estimate. Add idle/sleep current (RFM95W sleep ~0.2 µA, standby ~1.6 mA), MCU/RPi current, and sensor peripheral draw for full system model.
-            </div>
-          </div>
+            <PowerBudget power={nodePower} txOnlyDays={batt_days} />
 
-          {/* Summary Table */}
-          <div className="card">
-            <div className="label">Configuration Summary</div>
-            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px" }}>
-              <tbody>
-                {[
-                  ["SF / BW / CR", `SF${sf} / ${bw} kHz / 4:${cr + 4}`],
-                  ["Payload", `${payload} bytes`],
-                  ["Preamble", `${preamble} symbols`],
-                  ["Header / CRC", `${explicitHeader ? "Explicit" : "Implicit"} / ${crc ? "ON" : "OFF"}`],
-                  ["Low DR Opt", ldrRequired ? `ON (auto — Tsym ${tSym_ms.toFixed(2)} ms)` : ldrManual ? "ON (manual)" : "OFF"],
-                  ["TX Power", `+${txPower} dBm`],
-                  ["Region", region === "eu" ? `EU 868 — ${euBandObj?.label}` : "US 915 (FHSS)"],
-                ].map(([k, v]) => (
-                  <tr key={k} style={{ borderBottom: "1px solid #1a2e1c" }}>
-                    <td style={{ padding: "5px 0", color: "#3a6a3a" }}>{k}</td>
-                    <td style={{ padding: "5px 0", textAlign: "right", color: "#8ab88a" }}>{v}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+            <BatteryLife batteryModel={batteryModel} onChange={setBatteryModel} life={batteryLife}
+              onPickCell={c => { setVoltage(c.nominal_V); setBattCapacity(c.capacity_mAh); }} />
 
-          {/* Optimizer */}
-          <div className="card">
-            <div className="label">Configuration Optimizer</div>
-            <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "10px" }}>
-              Iterates all SF, BW, CR, TX power{region === "eu" ? ", and sub-band" : ""} combinations for a <span style={{ color: "#9fe89f" }}>{payload}-byte payload</span> in <span style={{ color: "#9fe89f" }}>{region === "eu" ? "EU 868 MHz" : "US 915 MHz"}</span>. Primary sort: {region === "eu" ? "shortest re-arm time" : "shortest ToA"}. Tiebreaker: lowest energy per TX.{region === "eu" ? ` TX interval (${txIntervalMin} min) used for duty cycle check.` : ""}
+            <SolarHarvest solar={solar} onChange={setSolar} result={solarResult} />
+
+            <LinkBudget link={link} onChange={setLink} budget={linkBudget} txPower={txPower} />
+
+            {lorawanOn && (
+              <LorawanSummary lorawan={lorawanResult} region={region} payload={payload} fOpts={lorawan.fOpts}
+                adr={lorawan.adr} onSelectDr={dr => setLorawan(l => ({ ...l, dr }))} />
+            )}
+
+            {downlinkResult && <DownlinkSummary downlink={downlinkResult} band={bandObj.id} />}
+
+            <Reliability reliability={reliability} onChange={setReliability} result={reliabilityResult}
+              radio={radio} payload={air_payload} txPower={txPower} voltage={voltage} downlink={downlink}
+              onSelectCr={lorawanOn ? null : c => { setCr(c); markCustom(); }} />
+
+            {/* Summary Table */}
+            <div className="card">
+              <div className="label">Configuration Summary</div>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px" }}>
+                <tbody>
+                  {[
+                    ["SF / BW / CR", `SF${radio.sf} / ${radio.bw} kHz / 4:${radio.cr + 4}`],
+                    ["Payload", lorawanOn ? `${payload} B app → ${air_payload} B LoRaWAN frame` : `${payload} bytes`],
+                    ["Preamble", `${radio.preamble} symbols`],
+                    ["Header / CRC", `${radio.explicitHeader ? "Explicit" : "Implicit"} / ${radio.crc ? "ON" : "OFF"}`],
+                    ["Low DR Opt", ldrRequired ? `ON (auto — Tsym ${tSym_ms.toFixed(2)} ms)` : ldrOptimize ? "ON (manual)" : "OFF"],
+                    ["TX Power", `+${txPower} dBm`],
+                    ["Traffic", mixedTraffic
+                      ? `Mixed — ${fmt(mixedTraffic.tx_per_day, 1)} TX / day`
+                      : `Every ${txIntervalMin} min`],
+                    ["Region", plan.subBands.length > 1 ? `${plan.label} — ${bandObj.label}` : `${plan.name} (${plan.rule})`],
+                  ].map(([k, v]) => (
+                    <tr key={k} style={{ borderBottom: "1px solid #1a2e1c" }}>
+                      <td style={{ padding: "5px 0", color: "#3a6a3a" }}>{k}</td>
+                      <td style={{ padding: "5px 0", textAlign: "right", color: "#8ab88a" }}>{v}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
             </div>
-            <button
-              onClick={handleOptimize}
-              style={{
-                background: "#1c5c38", border: "1px solid #4CAF50", color: "#c8f5c8",
-                padding: "8px 20px", borderRadius: "4px", cursor: "pointer",
-                fontFamily: "inherit", fontSize: "13px", letterSpacing: "0.05em",
-                width: "100%", transition: "all 0.15s",
-              }}
-            >
-              {optRunning ? "Optimizing…" : "⚡ Find Optimal Configuration"}
-            </button>
 
-            {optResults && (
-              <div style={{ marginTop: "12px" }}>
-                {optResults.length === 0 ? (
-                  <div style={{ color: "#e05050", fontSize: "12px", padding: "8px 0" }}>
-                    No compliant configuration found for this payload / interval / region combination. Try increasing TX interval or reducing payload.
-                  </div>
-                ) : (
-                  <>
-                    <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "6px" }}>
-                      Click a row to apply that configuration:
-                    </div>
-                    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
-                      <thead>
-                        <tr style={{ borderBottom: "1px solid #2d4a30" }}>
-                          {["Rank","SF","BW","CR",
-                            region === "eu" ? "Sub-band" : "",
-                            "ToA",
-                            region === "eu" ? "Re-arm" : "Dwell%",
-                            "TX pwr","Energy","Notes"]
-                            .filter(h => h !== "")
-                            .map(h => (
-                              <th key={h} style={{ padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" }}>{h}</th>
-                            ))}
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {optResults.map((r, i) => {
-                          const isTop = i === 0;
-                          const vsPct = region === "us" ? ((r.toa / 400) * 100).toFixed(0) : null;
-                          const notes = [];
-                          if (r.ldro) notes.push("LDRO");
-                          return (
-                            <tr
-                              key={i}
-                              onClick={() => applyOptResult(r)}
-                              style={{
-                                borderBottom: "1px solid #1a2e1c",
-                                background: isTop ? "#1a3a20" : "transparent",
-                                cursor: "pointer",
-                                transition: "background 0.1s",
-                              }}
-                              onMouseEnter={e => e.currentTarget.style.background = "#1c4020"}
-                              onMouseLeave={e => e.currentTarget.style.background = isTop ? "#1a3a20" : "transparent"}
-                            >
-                              <td style={{ padding: "5px 5px", color: isTop ? "#9fe89f" : "#4a7a4a" }}>
-                                {isTop ? "★1" : `  ${i + 1}`}
-                              </td>
-                              <td style={{ padding: "5px 5px", color: "#8ab88a" }}>SF{r.sf}</td>
-                              <td style={{ padding: "5px 5px", color: "#8ab88a" }}>{r.bw}</td>
-                              <td style={{ padding: "5px 5px", color: "#8ab88a" }}>4:{r.cr + 4}</td>
-                              {region === "eu" && (
-                                <td style={{ padding: "5px 5px", color: "#8ab88a" }}>{r.band?.id ?? "—"}</td>
-                              )}
-                              <td style={{ padding: "5px 5px", color: isTop ? "#9fe89f" : "#8ab88a", fontWeight: isTop ? "bold" : "normal" }}>
-                                {r.toa.toFixed(1)}ms
-                              </td>
-                              <td style={{ padding: "5px 5px", color: "#8ab88a" }}>
-                                {region === "eu"
-                                  ? `${r.rearm_s?.toFixed(3) ?? "—"}s`
-                                  : `${vsPct}%`}
-                              </td>
-                              <td style={{ padding: "5px 5px", color: "#8ab88a" }}>+{r.txPower}</td>
-                              <td style={{ padding: "5px 5px", color: isTop ? "#9fe89f" : "#8ab88a" }}>
-                                {r.energy_mJ.toFixed(2)}mJ
-                              </td>
-                              <td style={{ padding: "5px 5px", color: "#4a7a4a" }}>
-                                {notes.join(" ") || "—"}
-                              </td>
-                            </tr>
-                          );
-                        })}
-                      </tbody>
-                    </table>
-                    <div style={{ fontSize: "10px", color: "#2d4a30", marginTop: "6px" }}>
-                      SF7 minimum. Each row shows the lowest TX power for that radio config. Click to apply all settings.
-                    </div>
-                  </>
-                )}
-              </div>
+            {/* The optimizer searches raw radio settings; in LoRaWAN mode the DR table above replaces it */}
+            {!lorawanOn && (
+              <Optimizer payload={payload} region={region} access={access} txIntervalMin={txIntervalMin}
+                voltage={voltage} battCapacity={battCapacity} link={link} onApply={applyOptResult} />
             )}
+
           </div>
+        )}
 
-        </div>
+        {view === "array" && (
+          <ArrayPlanner radio={radio} region={region} euBand={euBand} access={access} />
+        )}
+
+        {view === "cad" && (
+          <CadSimulator radio={radio} />
+        )}
+
+        {view === "schema" && (
+          <PayloadSchema schema={schema} onChange={changeSchema} preset={preset} />
+        )}
+
+        {view === "sweep" && (
+          <SweepCharts inputs={evalInputs} />
+        )}
+
+        {view === "compare" && (
+          <DesignLibrary config={config} onLoad={applyConfig} />
+        )}
+
+        {view === "firmware" && (
+          <FirmwareExport radio={radio} region={region} euBand={euBand} txPower={txPower} payload={air_payload} />
+        )}
       </div>
     </div>
   );
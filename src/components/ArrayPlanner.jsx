@@ -0,0 +1,153 @@
+import { useState } from "react";
+import { PRESETS, fmt, getRegion, planArray } from "../lora-engine/index.js";
+import ChannelAllocator from "./ChannelAllocator.jsx";
+import TdmaSchedule from "./TdmaSchedule.jsx";
+
+// Default per-node message mix — detection interval is the long-run average
+const DEFAULT_INTERVALS = { heartbeat: 15, status: 60, detection: 30, ping: 0 };
+
+const pctClass = p => p > 10 ? "danger" : p > 1 ? "warning" : "good";
+
+export default function ArrayPlanner({ radio, region, euBand, access }) {
+  const [nodeCount, setNodeCount] = useState(50);
+  const [channels, setChannels] = useState(1);
+  const [mix, setMix] = useState(() =>
+    Object.entries(DEFAULT_INTERVALS).map(([id, intervalMin]) => ({
+      id, label: PRESETS[id].label, payload: PRESETS[id].payload, intervalMin,
+    })));
+
+  const updateMix = (id, field, value) =>
+    setMix(m => m.map(row => row.id === id ? { ...row, [field]: value } : row));
+
+  const plan = planArray({ nodeCount, channels, messages: mix, radio, region, euBand, access });
+  const regionPlan = getRegion(region);
+  const lbtAfa = access === "lbtafa" && regionPlan.lbtAfa;
+  const where = `${regionPlan.subBands.length > 1 ? euBand : regionPlan.label}${lbtAfa ? ", LBT+AFA" : ""}`;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+
+      {/* Array inputs */}
+      <div className="card">
+        <div className="label">Array Planner</div>
+        <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "12px" }}>
+          Nodes per gateway sharing the current radio config (SF{radio.sf} / {radio.bw} kHz / 4:{radio.cr + 4}).
+          Pure-ALOHA model — no CAD, no retries, nodes spread evenly across channels.
+        </div>
+        <div className="input-row">
+          <div>
+            <div className="label">Nodes</div>
+            <input type="number" min={1} max={500} value={nodeCount}
+              onChange={e => setNodeCount(+e.target.value)} />
+          </div>
+          <div>
+            <div className="label">Channels</div>
+            <input type="number" min={1} max={16} value={channels}
+              onChange={e => setChannels(+e.target.value)} />
+          </div>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px" }}>
+          <thead>
+            <tr style={{ borderBottom: "1px solid #2d4a30" }}>
+              {["Message", "Payload (B)", "Interval (min, 0 = off)"].map(h => (
+                <th key={h} style={{ padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {mix.map(m => (
+              <tr key={m.id} style={{ borderBottom: "1px solid #1a2e1c" }}>
+                <td style={{ padding: "5px 5px", color: "#8ab88a" }}>{m.label}</td>
+                <td style={{ padding: "5px 5px" }}>
+                  <input type="number" min={1} max={255} value={m.payload}
+                    onChange={e => updateMix(m.id, "payload", +e.target.value)} />
+                </td>
+                <td style={{ padding: "5px 5px" }}>
+                  <input type="number" min={0} step={0.5} value={m.intervalMin}
+                    onChange={e => updateMix(m.id, "intervalMin", +e.target.value)} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Summary */}
+      <div className="card">
+        <div className="label">Expected Delivery Ratio</div>
+        <div className={`value-big ${plan.delivery_ratio < 0.9 ? "danger" : plan.delivery_ratio < 0.99 ? "warning" : ""}`}>
+          {fmt(plan.delivery_ratio * 100, 2)}%
+        </div>
+        <div className="value-unit">of all packets survive collisions</div>
+        <hr />
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px" }}>
+          <div>
+            <div className="label">Channel occupancy</div>
+            <div style={{ fontSize: "16px" }} className={pctClass(plan.channel_load_pct)}>
+              {fmt(plan.channel_load_pct, 3)}%
+            </div>
+          </div>
+          <div>
+            <div className="label">Gateway load</div>
+            <div style={{ color: "#8ab88a", fontSize: "16px" }}>{fmt(plan.airtime_per_hour_s, 1)} s / hr</div>
+          </div>
+          <div>
+            <div className="label">Packets / hr</div>
+            <div style={{ color: "#8ab88a", fontSize: "16px" }}>{fmt(plan.total_per_hour, 0)}</div>
+          </div>
+        </div>
+        <hr />
+        <div style={{ fontSize: "11px" }} className={plan.node_compliant ? "good" : "danger"}>
+          {plan.node_duty_limit != null
+            ? `Per-node duty ${fmt(plan.node_duty_pct, 4)}% of ${plan.node_duty_limit}% (${where})${plan.node_dwell_ms != null ? `, ${lbtAfa ? "TX-on" : "dwell"} ≤ ${plan.node_dwell_ms} ms` : ""} — ${plan.node_compliant ? "compliant" : "EXCEEDED"}`
+            : plan.node_dwell_ms != null
+              ? `Per-node dwell ${plan.node_compliant ? `≤ ${plan.node_dwell_ms} ms for every message type` : `EXCEEDS ${plan.node_dwell_ms} ms`}`
+              : `${regionPlan.label} has no per-node duty-cycle or dwell limit`}
+        </div>
+        {plan.saturated && (
+          <div style={{ fontSize: "11px", color: "#e05050", marginTop: "6px" }}>
+            Channel load above 0.5 Erlang — pure ALOHA is past peak throughput. Add channels or lengthen intervals.
+          </div>
+        )}
+      </div>
+
+      {/* Per message type */}
+      <div className="card">
+        <div className="label">Collision Probability by Message Type</div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+          <thead>
+            <tr style={{ borderBottom: "1px solid #2d4a30" }}>
+              {["Message", "ToA", "Array / hr", "P(collision)", "Delivered"].map(h => (
+                <th key={h} style={{ padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {plan.streams.map(s => (
+              <tr key={s.id} style={{ borderBottom: "1px solid #1a2e1c", color: s.per_node_per_hour ? "#8ab88a" : "#3a5a3a" }}>
+                <td style={{ padding: "5px 5px" }}>{s.label}</td>
+                <td style={{ padding: "5px 5px" }}>{s.toa.toFixed(1)}ms</td>
+                <td style={{ padding: "5px 5px" }}>{fmt(s.array_per_hour, 1)}</td>
+                <td style={{ padding: "5px 5px" }} className={s.per_node_per_hour ? pctClass(s.p_collision * 100) : ""}>
+                  {fmt(s.p_collision * 100, 3)}%
+                </td>
+                <td style={{ padding: "5px 5px" }}>{fmt(s.p_success * 100, 2)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="footnote" style={{ marginTop: "8px" }}>
+          * P(collision) = 1 − exp(−Σ λ·(Ti + Tj)) over the other {Math.max(plan.nodeCount - 1, 0)} nodes on the same channel.
+          Capture effect may rescue the strongest packet; this estimate treats every overlap as lost.
+        </div>
+      </div>
+
+      <ChannelAllocator nodeCount={nodeCount} messages={mix} radio={radio} region={region} euBand={euBand}
+        access={access} channels={channels} onUseChannels={setChannels} />
+
+      <TdmaSchedule nodeCount={nodeCount} channels={channels} messages={mix} radio={radio} region={region}
+        euBand={euBand} access={access} />
+
+    </div>
+  );
+}
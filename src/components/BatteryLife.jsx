@@ -0,0 +1,114 @@
+import { BATTERY_CHEMISTRIES, batteryChemistry, fmt } from "../lora-engine/index.js";
+
+const years = d => d === Infinity ? "∞" : `${fmt(d / 365, 2)} yr`;
+
+// Lifetime chart: remaining usable charge (%) and pack voltage over time
+const PLOT = { w: 300, h: 100 };
+
+// ─── Battery chemistry & projected lifetime ───────────────────────────────
+// batteryModel: DEFAULT_BATTERY_MODEL shape · life: evaluateConfig().batteryLife
+// or null for the ideal model · onPickCell(chemistry): loads the cell's
+// nominal voltage and capacity into Power & Battery
+export default function BatteryLife({ batteryModel, onChange, life, onPickCell }) {
+  const set = (key, value) => onChange({ ...batteryModel, [key]: value });
+  const num = (key, label, step, min, max) => (
+    <div>
+      <div className="label">{label}</div>
+      <input type="number" step={step} min={min} max={max} value={batteryModel[key]}
+        onChange={e => set(key, Math.min(max, Math.max(min, +e.target.value || 0)))} />
+    </div>
+  );
+  function pick(id) {
+    set("chemistry", id);
+    const chem = batteryChemistry(id);
+    if (chem) onPickCell(chem);
+  }
+
+  const span = life?.curve.at(-1).day ?? 0;
+  const x = day => span > 0 ? day / span * PLOT.w : 0;
+  const vLo = life ? life.cutoff_V : 0;
+  const vHi = life ? life.curve[0].voltage_V : 1;
+  const line = value => life.curve.map(p => `${x(p.day).toFixed(1)},${(PLOT.h - value(p) * PLOT.h).toFixed(1)}`).join(" ");
+
+  return (
+    <div className="card">
+      <div className="label">Battery Chemistry & Lifetime</div>
+      <select value={batteryModel.chemistry} onChange={e => pick(e.target.value)} style={{ marginBottom: "10px" }}>
+        <option value="ideal">Ideal — capacity / load only</option>
+        {BATTERY_CHEMISTRIES.map(c => (
+          <option key={c.id} value={c.id}>{c.label} — {c.nominal_V} V · {c.capacity_mAh.toLocaleString()} mAh</option>
+        ))}
+      </select>
+      {!life && (
+        <div className="footnote">
+          Pick a chemistry to derate capacity for temperature, cutoff voltage and self-discharge, and to check the TX pulse current.
+        </div>
+      )}
+      {life && (
+        <>
+          <div className="input-row">
+            {num("tempDay_C", "Day temp (°C)", 1, -40, 85)}
+            {num("tempNight_C", "Night temp (°C)", 1, -40, 85)}
+          </div>
+          <div className="input-row">
+            {num("dayHours", "Hours at day temp", 1, 0, 24)}
+            {num("minVoltage_V", "Node brown-out (V)", 0.1, 0, 5)}
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px", marginBottom: "12px" }}>
+            <div>
+              <div className="value-big" style={{ fontSize: "32px", color: life.life_days < 180 ? "#f0a060" : "#9fe89f" }}>
+                {years(life.life_days)}
+              </div>
+              <div className="value-unit">projected · {years(life.ideal_days)} ideal</div>
+            </div>
+            <div>
+              <div className="value-big" style={{ fontSize: "32px", color: life.pulse_ok ? "#9fe89f" : "#e05050" }}>
+                {life.peak_mA} mA
+              </div>
+              <div className="value-unit">TX pulse · cell limit {fmt(life.pulse_limit_mA, 0)} mA at {life.coldest_C} °C</div>
+            </div>
+          </div>
+
+          <svg viewBox={`0 -4 ${PLOT.w} ${PLOT.h + 16}`} style={{ width: "100%", display: "block", marginBottom: "6px" }}>
+            {[0, 0.5, 1].map(f => (
+              <line key={f} x1={0} x2={PLOT.w} y1={PLOT.h - f * PLOT.h} y2={PLOT.h - f * PLOT.h} stroke="#1a2e1c" />
+            ))}
+            <polyline points={line(p => p.remaining_pct / 100)} fill="none" stroke="#6fcf6f" strokeWidth={1.5} />
+            <polyline points={line(p => (p.voltage_V - vLo) / (vHi - vLo))} fill="none" stroke="#4a9aca" strokeWidth={1.5} />
+            {span > 0 && [0, 0.25, 0.5, 0.75, 1].map(f => (
+              <text key={f} x={Math.min(f * PLOT.w, PLOT.w - 22)} y={PLOT.h + 10} fontSize="7" fill="#3a6a3a">
+                {span < 730 ? `${fmt(span * f, 0)} d` : `${fmt(span * f / 365, 1)} yr`}
+              </text>
+            ))}
+            <text x={2} y={6} fontSize="7" fill="#6fcf6f">100% · {fmt(vHi, 2)} V</text>
+            <text x={2} y={PLOT.h - 2} fontSize="7" fill="#4a9aca">0% · {fmt(vLo, 2)} V</text>
+          </svg>
+          <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "10px" }}>
+            <span style={{ color: "#6fcf6f" }}>━</span> usable charge left · <span style={{ color: "#4a9aca" }}>━</span> pack voltage at low drain
+          </div>
+
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+            <tbody>
+              {[
+                ["Temperature derating", `${fmt(life.temp_factor * 100, 1)}% of rated capacity`],
+                ["Usable to cutoff", `${fmt(life.usable_frac * 100, 1)}% (stops at ${fmt(life.min_V, 2)} V)`],
+                ["Usable charge", `${fmt(life.usable_mAh, 0)} mAh`],
+                ["Self-discharge", `${fmt(life.self_discharge_pct_per_year, 1)}% / yr · ${fmt(life.self_discharge_mAh_per_day, 3)} mAh / day at start`],
+                ["Load", `${fmt(life.load_mAh_per_day, 3)} mAh / day`],
+              ].map(([label, value]) => (
+                <tr key={label} style={{ borderBottom: "1px solid #1a2e1c" }}>
+                  <td style={{ padding: "4px 0", color: "#5a8a5a" }}>{label}</td>
+                  <td style={{ padding: "4px 0", textAlign: "right", color: "#8ab88a" }}>{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="footnote" style={{ marginTop: "8px" }}>
+            Temperatures are weighted by time of day. Self-discharge doubles every 10 °C above 20 °C; cold lowers the usable capacity and the pulse current the cell can deliver.
+            The projection replaces both battery-life figures above.{life.life_days > span ? ` Curve shows the first ${fmt(span / 365, 0)} years.` : ""}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
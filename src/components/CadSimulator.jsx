@@ -0,0 +1,199 @@
+import { useState, useEffect } from "react";
+import { PRESETS, fmt, cadTiming, simulateCadBackoff } from "../lora-engine/index.js";
+
+const th = { padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" };
+const td = { padding: "5px 5px", color: "#8ab88a" };
+
+export default function CadSimulator({ radio }) {
+  const [nodeCount, setNodeCount] = useState(20);
+  const [payload, setPayload] = useState(PRESETS.detection.payload);
+  const [spreadMs, setSpreadMs] = useState(200);
+  const [slots, setSlots] = useState(6);
+  const [maxAttempts, setMaxAttempts] = useState(4);
+  const [trials, setTrials] = useState(200);
+  const [seed, setSeed] = useState(1);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const timing = cadTiming({ sf: radio.sf, bw: radio.bw, preamble: radio.preamble, slots });
+
+  // Results are stale as soon as any input changes
+  useEffect(() => {
+    setResult(null);
+  }, [radio.sf, radio.bw, radio.cr, radio.preamble, radio.crc, radio.explicitHeader, radio.ldrOptimize,
+      nodeCount, payload, spreadMs, slots, maxAttempts, trials, seed]);
+
+  function handleRun() {
+    setRunning(true);
+    setResult(null);
+    setTimeout(() => {
+      setResult(simulateCadBackoff({ nodeCount, radio, payload, trials, slots, maxAttempts, spreadMs, seed }));
+      setRunning(false);
+    }, 20);
+  }
+
+  const maxBin = result ? Math.max(1, ...result.latency.histogram.map(b => b.count)) : 1;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+
+      {/* Inputs */}
+      <div className="card">
+        <div className="label">CAD Backoff Simulator — detection events</div>
+        <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "12px" }}>
+          Fires one simultaneous seismic detection across all nodes per trial and runs the firmware backoff:
+          random N in [0, {slots - 1}], wait N × CAD, up to {maxAttempts} CAD attempts, then log as undelivered.
+        </div>
+        <div className="input-row">
+          <div>
+            <div className="label">Nodes</div>
+            <input type="number" min={1} max={200} value={nodeCount}
+              onChange={e => setNodeCount(+e.target.value)} />
+          </div>
+          <div>
+            <div className="label">Payload (bytes)</div>
+            <input type="number" min={1} max={255} value={payload}
+              onChange={e => setPayload(+e.target.value)} />
+          </div>
+        </div>
+        <div className="input-row">
+          <div>
+            <div className="label">Trigger spread (ms)</div>
+            <input type="number" min={0} max={5000} value={spreadMs}
+              onChange={e => setSpreadMs(+e.target.value)} />
+          </div>
+          <div>
+            <div className="label">Backoff slots</div>
+            <input type="number" min={1} max={32} value={slots}
+              onChange={e => setSlots(+e.target.value)} />
+          </div>
+        </div>
+        <div className="input-row">
+          <div>
+            <div className="label">Max CAD attempts</div>
+            <input type="number" min={1} max={16} value={maxAttempts}
+              onChange={e => setMaxAttempts(+e.target.value)} />
+          </div>
+          <div>
+            <div className="label">Trials · seed</div>
+            <div style={{ display: "flex", gap: "6px" }}>
+              <input type="number" min={1} max={2000} value={trials}
+                onChange={e => setTrials(+e.target.value)} />
+              <input type="number" min={1} value={seed}
+                onChange={e => setSeed(+e.target.value)} />
+            </div>
+          </div>
+        </div>
+        <hr />
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px", fontSize: "13px" }}>
+          <div>
+            <div className="label">CAD duration</div>
+            <div style={{ color: "#8ab88a" }}>{fmt(timing.cad_ms, 2)} ms</div>
+          </div>
+          <div>
+            <div className="label">Preamble</div>
+            <div style={{ color: "#8ab88a" }}>{fmt(timing.preamble_ms, 2)} ms</div>
+          </div>
+          <div>
+            <div className="label">Max backoff</div>
+            <div className={timing.constraint_ok ? "good" : "danger"}>{fmt(timing.max_backoff_ms, 2)} ms</div>
+          </div>
+        </div>
+        {!timing.constraint_ok && (
+          <div style={{ fontSize: "11px", color: "#e05050", marginTop: "8px" }}>
+            Max backoff ≥ preamble — a deferred node can miss the winner's preamble and transmit over it. Reduce slots or lengthen the preamble.
+          </div>
+        )}
+        <button
+          onClick={handleRun}
+          style={{
+            background: "#1c5c38", border: "1px solid #4CAF50", color: "#c8f5c8",
+            padding: "8px 20px", borderRadius: "4px", cursor: "pointer",
+            fontFamily: "inherit", fontSize: "13px", letterSpacing: "0.05em",
+            width: "100%", marginTop: "12px", transition: "all 0.15s",
+          }}
+        >
+          {running ? "Simulating…" : `▶ Run ${trials} trials`}
+        </button>
+      </div>
+
+      {result && (
+        <>
+          {/* Outcome */}
+          <div className="card">
+            <div className="label">Delivery Rate</div>
+            <div className={`value-big ${result.delivery_rate < 0.9 ? "danger" : result.delivery_rate < 0.99 ? "warning" : ""}`}>
+              {fmt(result.delivery_rate * 100, 2)}%
+            </div>
+            <div className="value-unit">{result.delivered.toLocaleString()} of {result.total.toLocaleString()} detections delivered</div>
+            <hr />
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px" }}>
+              <div>
+                <div className="label">Collided</div>
+                <div style={{ fontSize: "16px" }} className={result.collided ? "warning" : "good"}>
+                  {result.collided.toLocaleString()} · {fmt(result.collision_rate * 100, 2)}%
+                </div>
+              </div>
+              <div>
+                <div className="label">Dropped after {maxAttempts}</div>
+                <div style={{ fontSize: "16px" }} className={result.dropped ? "warning" : "good"}>
+                  {result.dropped.toLocaleString()} · {fmt(result.drop_rate * 100, 2)}%
+                </div>
+              </div>
+              <div>
+                <div className="label">ToA</div>
+                <div style={{ color: "#8ab88a", fontSize: "16px" }}>{fmt(result.toa, 1)} ms</div>
+              </div>
+            </div>
+          </div>
+
+          {/* Latency */}
+          <div className="card">
+            <div className="label">Latency — trigger to end of delivered packet</div>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px", marginBottom: "12px" }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid #2d4a30" }}>
+                  {["min", "p50", "p90", "p99", "max"].map(h => <th key={h} style={th}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  {["min", "p50", "p90", "p99", "max"].map(k => (
+                    <td key={k} style={td}>{result.latency[k] == null ? "—" : `${fmt(result.latency[k], 1)} ms`}</td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+            {result.latency.histogram.map((b, i) => (
+              <div key={i} style={{ display: "grid", gridTemplateColumns: "120px 1fr 50px", gap: "8px", alignItems: "center", fontSize: "10px", marginBottom: "2px" }}>
+                <span style={{ color: "#4a7a4a" }}>{fmt(b.from, 1)}–{fmt(b.to, 1)} ms</span>
+                <div style={{ background: "#1a2e1c", height: "8px", borderRadius: "2px" }}>
+                  <div style={{ width: `${(b.count / maxBin) * 100}%`, height: "100%", background: "#6fcf6f", borderRadius: "2px" }} />
+                </div>
+                <span style={{ color: "#8ab88a", textAlign: "right" }}>{b.count}</span>
+              </div>
+            ))}
+            <hr />
+            <div className="label">CAD attempts used</div>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+              <tbody>
+                <tr style={{ borderBottom: "1px solid #1a2e1c" }}>
+                  {result.attemptsHist.map((_, i) => (
+                    <td key={i} style={{ ...td, color: "#3a6a3a" }}>{i < maxAttempts ? `${i + 1}` : "dropped"}</td>
+                  ))}
+                </tr>
+                <tr>
+                  {result.attemptsHist.map((c, i) => <td key={i} style={td}>{c.toLocaleString()}</td>)}
+                </tr>
+              </tbody>
+            </table>
+            <div className="footnote" style={{ marginTop: "8px" }}>
+              * CAD detects preambles only; overlapping transmissions are both lost (no capture effect).
+            </div>
+          </div>
+        </>
+      )}
+
+    </div>
+  );
+}
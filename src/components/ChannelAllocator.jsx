@@ -0,0 +1,131 @@
+import { useState } from "react";
+import { DEFAULT_GUARD_PCT, allocateChannels, allocationCsv, fmt } from "../lora-engine/index.js";
+
+const pctClass = p => p > 10 ? "danger" : p > 1 ? "warning" : "good";
+const SHOWN_NODES = 12;
+
+// ─── Channel staggering allocator ─────────────────────────────────────────
+// messages: ArrayPlanner mix · onUseChannels(n) copies the channel count into the planner
+export default function ChannelAllocator({ nodeCount, messages, radio, region, euBand, access, channels, onUseChannels }) {
+  const [guardPct, setGuardPct] = useState(DEFAULT_GUARD_PCT);
+  const a = allocateChannels({ nodeCount, messages, radio, region, euBand, access, guardPct });
+  const { raster } = a;
+  const worst = Math.max(0, ...a.channels.map(c => c.p_collision));
+
+  function downloadCsv() {
+    const blob = new Blob([allocationCsv(a)], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `jumbo-shoo-channels-${a.band.id}-BW${radio.bw}-${nodeCount}n.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  return (
+    <div className="card">
+      <div className="label">Channel Staggering — {a.band.label}</div>
+      <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "12px" }}>
+        Splits the sub-band into BW{radio.bw} channels with a guard margin on each, then deals node IDs round-robin
+        so neighbouring sensors — the ones most likely to co-trigger — sit on different channels.
+      </div>
+      <div className="input-row">
+        <div>
+          <div className="label">Guard margin (%)</div>
+          <input type="number" min={0} max={50} value={guardPct}
+            onChange={e => setGuardPct(Math.min(50, Math.max(0, +e.target.value || 0)))} />
+        </div>
+        <div>
+          <div className="label">Channel slot</div>
+          <div style={{ color: "#8ab88a", fontSize: "14px", paddingTop: "6px" }}>
+            {fmt(raster.slot_kHz, 1)} kHz ({fmt(raster.guard_kHz, 1)} kHz guard)
+          </div>
+        </div>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px", margin: "6px 0 12px" }}>
+        <div>
+          <div className="label">Channels</div>
+          <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={a.fits ? "good" : "danger"}>
+            {raster.count}
+          </div>
+          <div className="value-unit">in {fmt(raster.width_kHz, 0)} kHz · {raster.edge_to_edge} edge to edge</div>
+        </div>
+        <div>
+          <div className="label">Stagger slot</div>
+          <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={a.slots_ok ? "good" : "danger"}>
+            {a.slot_s != null ? `${fmt(a.slot_s, 1)} s` : "n/a"}
+          </div>
+          <div className="value-unit">
+            {a.cycle_s != null ? `per node in a ${fmt(a.cycle_s / 60, 1)} min cycle` : "no scheduled messages"}
+          </div>
+        </div>
+        <div>
+          <div className="label">Worst P(collision)</div>
+          <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={pctClass(worst * 100)}>
+            {fmt(worst * 100, 3)}%
+          </div>
+          <div className="value-unit">busiest channel, unsynchronised</div>
+        </div>
+      </div>
+
+      {!a.fits && (
+        <div className="danger" style={{ fontSize: "12px", marginBottom: "10px" }}>
+          BW{radio.bw} with a {guardPct}% guard does not fit the {fmt(raster.width_kHz, 0)} kHz sub-band — see W1 / W2.
+        </div>
+      )}
+      {!a.slots_ok && (
+        <div className="danger" style={{ fontSize: "12px", marginBottom: "10px" }}>
+          Stagger slots are shorter than the longest packet ({fmt(a.longest_toa, 1)} ms) — scheduled packets still overlap.
+        </div>
+      )}
+
+      {a.fits && (
+        <>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", marginBottom: "10px" }}>
+            <thead>
+              <tr style={{ borderBottom: "1px solid #2d4a30" }}>
+                {["Ch", "Centre (MHz)", "Nodes", "Airtime / hr", "Load", "P(collision)"].map(h => (
+                  <th key={h} style={{ padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {a.channels.map(c => (
+                <tr key={c.index} style={{ borderBottom: "1px solid #1a2e1c", color: "#8ab88a" }}>
+                  <td style={{ padding: "5px 5px" }}>{c.index}</td>
+                  <td style={{ padding: "5px 5px" }}>{c.center_MHz.toFixed(4)}</td>
+                  <td style={{ padding: "5px 5px" }}>{c.nodes}</td>
+                  <td style={{ padding: "5px 5px" }}>{fmt(c.airtime_per_hour_s, 1)} s</td>
+                  <td style={{ padding: "5px 5px" }} className={c.saturated ? "danger" : pctClass(c.load_pct)}>{fmt(c.load_pct, 3)}%</td>
+                  <td style={{ padding: "5px 5px" }} className={pctClass(c.p_collision * 100)}>{fmt(c.p_collision * 100, 3)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="label">Assignment (first {Math.min(SHOWN_NODES, a.nodes.length)} of {a.nodes.length})</div>
+          <div style={{ fontSize: "11px", color: "#8ab88a", fontFamily: "monospace", marginBottom: "10px", lineHeight: 1.6 }}>
+            {a.nodes.slice(0, SHOWN_NODES).map(nd => `#${nd.id} → ch ${nd.channel} @ +${nd.offset_s} s`).join(" · ")}
+            {a.nodes.length > SHOWN_NODES ? " · …" : ""}
+          </div>
+
+          <div style={{ display: "flex", gap: "8px", marginBottom: "10px" }}>
+            <button className="toggle-btn" onClick={downloadCsv}>⬇ Assignment CSV</button>
+            {channels !== raster.count && (
+              <button className="toggle-btn" onClick={() => onUseChannels(raster.count)}>
+                Use {raster.count} channel{raster.count > 1 ? "s" : ""} in the planner
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      <div className="footnote">
+        Guard {DEFAULT_GUARD_PCT}% is the W2 margin applied to every channel; 0% packs channels edge to edge. Offsets spread
+        each channel's nodes over the shortest scheduled interval — detections are event-driven and stay random. P(collision)
+        is the pure-ALOHA figure for the channel's nodes, the worst case once clock drift has smeared the offsets.
+      </div>
+    </div>
+  );
+}
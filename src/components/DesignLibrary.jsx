@@ -0,0 +1,161 @@
+import { useState } from "react";
+import { compareDesigns, getRegion, normalizeConfig, serializeConfig } from "../lora-engine/index.js";
+
+// ─── Saved designs (localStorage) ─────────────────────────────────────────
+const STORAGE_KEY = "jumbo-shoo-designs";
+const MAX_COMPARE = 4;
+const CURRENT_ID = "current";
+
+function loadDesigns() {
+  try {
+    const doc = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? "null");
+    return Array.isArray(doc?.designs) ? doc.designs : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeDesigns(designs) {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, designs }));
+}
+
+const summary = c => {
+  const plan = getRegion(c.region);
+  return `SF${c.sf} / ${c.bw} kHz · ${c.payload} B · ${plan.subBands.length > 1 ? c.euBand : plan.label} · +${c.txPower} dBm`;
+};
+
+const th = { padding: "4px 6px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" };
+
+export default function DesignLibrary({ config, onLoad }) {
+  const [designs, setDesigns] = useState(() => typeof window === "undefined" ? [] : loadDesigns());
+  const [name, setName] = useState("");
+  const [selected, setSelected] = useState([CURRENT_ID]);
+
+  function update(next) {
+    setDesigns(next);
+    storeDesigns(next);
+  }
+
+  function saveCurrent() {
+    const label = name.trim() || summary(config);
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    update([...designs, { id, name: label, savedAt: new Date().toISOString(), config: serializeConfig(config) }]);
+    setSelected(sel => sel.length < MAX_COMPARE ? [...sel, id] : sel);
+    setName("");
+  }
+
+  function remove(id) {
+    update(designs.filter(d => d.id !== id));
+    setSelected(sel => sel.filter(s => s !== id));
+  }
+
+  const toggle = id => setSelected(sel =>
+    sel.includes(id) ? sel.filter(s => s !== id) : sel.length < MAX_COMPARE ? [...sel, id] : sel);
+
+  const entries = [
+    { id: CURRENT_ID, name: "Current (unsaved)", config },
+    ...designs,
+  ];
+  const chosen = selected.map(id => entries.find(e => e.id === id)).filter(Boolean);
+  const comparison = chosen.length >= 2 ? compareDesigns(chosen) : null;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+
+      <div className="card">
+        <div className="label">Saved Designs</div>
+        <div style={{ display: "flex", gap: "6px", marginBottom: "12px" }}>
+          <input type="text" placeholder={summary(config)} value={name}
+            onChange={e => setName(e.target.value)}
+            onKeyDown={e => { if (e.key === "Enter") saveCurrent(); }}
+            style={{
+              background: "#1a2e1c", border: "1px solid #2d4a30", color: "#d4e8d0", padding: "6px 10px",
+              borderRadius: "4px", fontFamily: "inherit", fontSize: "12px", flex: 1, outline: "none",
+            }} />
+          <button className="toggle-btn active" onClick={saveCurrent}>Save current</button>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+          <tbody>
+            {entries.map(d => {
+              const c = d.id === CURRENT_ID ? d.config : normalizeConfig(d.config).config;
+              const isSel = selected.includes(d.id);
+              return (
+                <tr key={d.id} style={{ borderBottom: "1px solid #1a2e1c" }}>
+                  <td style={{ padding: "5px 4px", width: "20px" }}>
+                    <input type="checkbox" checked={isSel}
+                      disabled={!isSel && selected.length >= MAX_COMPARE}
+                      onChange={() => toggle(d.id)} />
+                  </td>
+                  <td style={{ padding: "5px 4px" }}>
+                    <div style={{ color: "#8ab88a" }}>{d.name}</div>
+                    <div style={{ color: "#4a7a4a", fontSize: "10px" }}>
+                      {summary(c)}{d.savedAt ? ` · ${new Date(d.savedAt).toLocaleDateString()}` : ""}
+                    </div>
+                  </td>
+                  <td style={{ padding: "5px 4px", textAlign: "right", whiteSpace: "nowrap" }}>
+                    {d.id !== CURRENT_ID && (
+                      <>
+                        <button className="toggle-btn" onClick={() => onLoad(c)}>Load</button>{" "}
+                        <button className="toggle-btn" onClick={() => remove(d.id)}>✕</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <div className="footnote" style={{ marginTop: "8px" }}>
+          Stored in this browser only. Tick 2–{MAX_COMPARE} designs to compare; use Export JSON to share a design.
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="label">Configuration Comparison</div>
+        {!comparison ? (
+          <div style={{ fontSize: "11px", color: "#4a7a4a" }}>Select at least two designs above.</div>
+        ) : (
+          <>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid #2d4a30" }}>
+                  <th style={th} />
+                  {comparison.columns.map((col, i) => (
+                    <th key={i} style={{ ...th, color: col.compliant ? "#8ab88a" : "#e05050" }}>
+                      {col.name}
+                      <div style={{ fontSize: "10px" }}>{col.compliant ? "✓ compliant" : "✗ breach"}</div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.rows.map(row => (
+                  <tr key={row.label} style={{ borderBottom: "1px solid #1a2e1c" }}>
+                    <td style={{ padding: "5px 6px", color: "#3a6a3a" }}>{row.label}</td>
+                    {row.cells.map((cell, i) => {
+                      const best = row.best.includes(i);
+                      return (
+                        <td key={i} style={{
+                          padding: "5px 6px",
+                          color: best ? "#c8f5c8" : "#8ab88a",
+                          background: best ? "#1a3a20" : "transparent",
+                          fontWeight: best ? "bold" : "normal",
+                        }}>
+                          {cell}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="footnote" style={{ marginTop: "8px" }}>
+              Highlighted cells are the better value per row. Warnings list W1–W19 IDs; violations count more than cautions.
+            </div>
+          </>
+        )}
+      </div>
+
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// ─── Raw LoRa ACK / downlink inputs ───────────────────────────────────────
+// downlink: DEFAULT_DOWNLINK shape
+export default function DownlinkInputs({ downlink, onChange }) {
+  const set = (key, value) => onChange({ ...downlink, [key]: value });
+  const num = (key, lo, hi, int = false) => e => {
+    const v = int ? Math.round(+e.target.value) : +e.target.value;
+    set(key, Math.min(hi, Math.max(lo, v || 0)));
+  };
+
+  return (
+    <div className="card">
+      <div className="label">Acknowledgements & Downlinks</div>
+      <div style={{ display: "flex", gap: "8px", marginBottom: "10px" }}>
+        <button className={`toggle-btn ${downlink.confirmed ? "active" : ""}`}
+          onClick={() => set("confirmed", !downlink.confirmed)}>
+          Confirmed: {downlink.confirmed ? "ON" : "OFF"}
+        </button>
+      </div>
+      {downlink.confirmed && (
+        <>
+          <div className="input-row">
+            <div>
+              <div className="label">ACK payload (B)</div>
+              <input type="number" min={0} max={255} value={downlink.ackPayload} onChange={num("ackPayload", 0, 255, true)} />
+            </div>
+            <div>
+              <div className="label">Retries</div>
+              <input type="number" min={0} max={15} value={downlink.retries} onChange={num("retries", 0, 15, true)} />
+            </div>
+          </div>
+          <div className="input-row">
+            <div>
+              <div className="label">ACK timeout (ms)</div>
+              <input type="number" min={0} step={100} value={downlink.ackTimeout_ms} onChange={num("ackTimeout_ms", 0, 60000)} />
+            </div>
+            <div>
+              <div className="label">Exchange loss (%)</div>
+              <input type="number" min={0} max={100} step={1} value={downlink.lossPct} onChange={num("lossPct", 0, 100)} />
+            </div>
+          </div>
+        </>
+      )}
+      <div className="input-row" style={{ marginBottom: 0 }}>
+        <div>
+          <div className="label">Brain commands / day</div>
+          <input type="number" min={0} step={1} value={downlink.commandsPerDay} onChange={num("commandsPerDay", 0, 100000)} />
+        </div>
+        <div>
+          <div className="label">Command payload (B)</div>
+          <input type="number" min={1} max={255} value={downlink.commandPayload} onChange={num("commandPayload", 1, 255, true)} />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { fmt } from "../lora-engine/index.js";
+
+const pctClass = p => p > 100 ? "danger" : p > 70 ? "warning" : "good";
+
+// ─── Brain downlink budget — ACKs, retries and commands ───────────────────
+// downlink: evaluateConfig().downlink · band: sub-band id for the labels
+export default function DownlinkSummary({ downlink: d, band }) {
+  const g = d.gateway;
+  const limit = g.duty_limit ?? 100;
+  const gatewayPct = g.duty_used_per_hour / limit * 100;
+  const limitText = g.duty_limit == null ? "channel time" : `${g.duty_limit}% ${band} limit`;
+
+  const td = { padding: "4px 5px", color: "#8ab88a" };
+  const rows = [
+    ["ACK time on air", d.confirmed ? `${fmt(d.ack_toa_ms, 1)} ms · ${d.ackPayload} B` : "—"],
+    ["Command time on air", d.commandsPerDay > 0 ? `${fmt(d.command_toa_ms, 1)} ms · ${d.commandPayload} B` : "—"],
+    ["Sends per uplink", d.confirmed ? `${fmt(d.expected_attempts, 3)} expected · ${d.worst_attempts} worst case` : "1"],
+    ["Delivery", `${fmt(d.delivery_pct, 3)}%${d.confirmed ? ` after ${d.retries} retries` : " (no retries)"}`],
+    ["Retransmissions / day", fmt(d.retry_tx_per_day, 1)],
+    ["Node listen / uplink", `${fmt(d.listen_ms_per_uplink, 1)} ms`],
+    ["Node duty with retries", `${fmt(d.node_duty_used_per_hour, 3)}% expected · ${fmt(d.node_duty_worst_per_hour, 3)}% worst`],
+    ["Brain TX / day per sensor", `${fmt(g.tx_per_day, 1)} (${fmt(g.acks_per_day, 1)} ACKs + ${d.commandsPerDay} commands)`],
+  ];
+
+  return (
+    <div className="card">
+      <div className="label">Brain Downlink Budget</div>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px", marginBottom: "12px" }}>
+        <div>
+          <div className="label">Brain duty / sensor</div>
+          <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={pctClass(gatewayPct)}>
+            {fmt(g.duty_used_per_hour, 4)}%
+          </div>
+        </div>
+        <div>
+          <div className="label">Max sensors / brain</div>
+          <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={g.max_nodes < 1 ? "danger" : "good"}>
+            {Number.isFinite(g.max_nodes) ? g.max_nodes.toLocaleString() : "∞"}
+          </div>
+        </div>
+        <div>
+          <div className="label">Node RX / day</div>
+          <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif", color: "#4a9aca" }}>
+            {fmt(d.rx_mAh_per_day, 3)} mAh
+          </div>
+        </div>
+      </div>
+      <div className="compliance-bar-bg">
+        <div style={{
+          width: `${Math.min(gatewayPct, 100)}%`, height: "100%", borderRadius: "4px", transition: "width 0.3s",
+          background: gatewayPct > 100 ? "#e05050" : gatewayPct > 70 ? "#f0a060" : "#6fcf6f",
+        }} />
+      </div>
+      <div style={{ fontSize: "11px", color: "#4a7a4a", margin: "4px 0 10px" }}>
+        One sensor uses {fmt(gatewayPct, 2)}% of the brain's {limitText}
+        {Number.isFinite(g.max_nodes) && ` — ${g.max_nodes.toLocaleString()} sensors fill it`}.
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label} style={{ borderBottom: "1px solid #1a2e1c" }}>
+              <td style={{ ...td, color: "#5a8a5a" }}>{label}</td>
+              <td style={{ ...td, textAlign: "right" }}>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="footnote" style={{ marginTop: "8px" }}>
+        The brain answers on the sensor's channel and settings, so its ACKs and commands share the sub-band's duty budget.
+        Every attempt is assumed heard and acknowledged (losses charged to the ACK). ACK waits and retries are included in the full-node power budget.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+import { useState } from "react";
+import {
+  DEFAULT_TRACE_BURST, MAX_TRACE_EVENTS, MAX_TRACE_SPAN_S, burstTrace, checkTrace, fmt, parseTrace,
+} from "../lora-engine/index.js";
+
+const W = 600;
+const ROW = { arrive: 14, send: 44 };
+const SHOWN_EVENTS = 12;
+
+const clock = t => {
+  const s = Math.round(t);
+  const mmss = `${String(Math.floor((s % 3600) / 60)).padStart(s >= 3600 ? 2 : 1, "0")}:${String(s % 60).padStart(2, "0")}`;
+  return s >= 3600 ? `${Math.floor(s / 3600)}:${mmss}` : mmss;
+};
+
+// ─── Rolling-hour duty check for an event trace ───────────────────────────
+// Same inputs as the TX timeline. lbtAfa: hourly TX-on cap only, no re-arm.
+export default function DutyTraceCheck({ airtime, txPerHour, dutyLimit, lbtAfa, bandId }) {
+  const [source, setSource] = useState("burst");
+  const [burst, setBurst] = useState(DEFAULT_TRACE_BURST);
+  const [text, setText] = useState("");
+  const [withSchedule, setWithSchedule] = useState(true);
+  const [after, setAfter] = useState(null);
+  const setB = (key, lo, hi) => e => setBurst(b => ({ ...b, [key]: Math.min(hi, Math.max(lo, +e.target.value || 0)) }));
+
+  const interval_s = withSchedule && txPerHour > 0 ? 3600 / txPerHour : Infinity;
+  const after_s = after ?? (Number.isFinite(interval_s) ? Math.round(interval_s / 2) : 0);
+  const parsed = source === "paste" ? parseTrace(text) : { times: burstTrace(burst), errors: [], mixed: false };
+  const capped = source === "burst" && parsed.times.length < burst.count * burst.repeats;
+  const r = checkTrace({ trace: parsed.times, airtime, duty_limit: dutyLimit, interval_s, after_s, rearm: !lbtAfa });
+
+  const span = Math.max(r.span_s, r.last_send_s ?? 0, 1);
+  const x = t => ((t / span) * (W - 10) + 5).toFixed(1);
+  const fv = r.first_violation;
+  const latency = t => !Number.isFinite(t) ? "never" : t < 1 ? `${fmt(t * 1000, 0)} ms` : clock(t);
+
+  return (
+    <div className="card">
+      <div className="label">Burst Duty Check — rolling hour{lbtAfa ? " (LBT+AFA)" : ` (${bandId})`}</div>
+      <div style={{ display: "flex", gap: "8px", marginBottom: "10px", flexWrap: "wrap" }}>
+        {[["burst", "Burst pattern"], ["paste", "Paste trace"]].map(([id, label]) => (
+          <button key={id} className={`toggle-btn ${source === id ? "active" : ""}`} onClick={() => setSource(id)}>{label}</button>
+        ))}
+        <button className={`toggle-btn ${withSchedule ? "active" : ""}`} onClick={() => setWithSchedule(v => !v)}>
+          Schedule: {withSchedule ? "ON" : "OFF"}
+        </button>
+      </div>
+
+      {source === "burst" ? (
+        <div className="input-row" style={{ gridTemplateColumns: "1fr 1fr 1fr 1fr" }}>
+          <div>
+            <div className="label">Events</div>
+            <input type="number" min={1} max={500} value={burst.count} onChange={setB("count", 1, 500)} />
+          </div>
+          <div>
+            <div className="label">Spacing (s)</div>
+            <input type="number" min={0} step={1} value={burst.spacing_s} onChange={setB("spacing_s", 0, 3600)} />
+          </div>
+          <div>
+            <div className="label">Bursts</div>
+            <input type="number" min={1} max={24} value={burst.repeats} onChange={setB("repeats", 1, 24)} />
+          </div>
+          <div>
+            <div className="label">Every (min)</div>
+            <input type="number" min={1} max={1440} value={burst.every_min} onChange={setB("every_min", 1, 1440)} />
+          </div>
+        </div>
+      ) : (
+        <div style={{ marginBottom: "12px" }}>
+          <div className="label">Event timestamps — seconds, m:ss, h:mm:ss or ISO, one per line</div>
+          <textarea rows={5} value={text} onChange={e => setText(e.target.value)} placeholder={"0\n0:04\n0:09\n2024-05-01T12:00:15Z"}
+            style={{
+              background: "#1a2e1c", border: "1px solid #2d4a30", color: "#d4e8d0", padding: "6px 10px", borderRadius: "4px",
+              fontFamily: "inherit", fontSize: "12px", width: "100%", outline: "none", resize: "vertical",
+            }} />
+          {parsed.errors.length > 0 && (
+            <div className="warning" style={{ fontSize: "11px", marginTop: "4px" }}>
+              Skipped {parsed.errors.slice(0, 3).map(e => `#${e.index} “${e.token}”`).join(", ")}
+              {parsed.errors.length > 3 ? ` and ${parsed.errors.length - 3} more` : ""}
+              {parsed.mixed ? " — seconds and date-times cannot be mixed; the first timestamp sets the kind" : ""}
+            </div>
+          )}
+        </div>
+      )}
+      {capped && (
+        <div className="warning" style={{ fontSize: "11px", marginBottom: "10px" }}>
+          Checking the first {parsed.times.length} events — traces stop at {MAX_TRACE_EVENTS} events or {MAX_TRACE_SPAN_S / 86400} days.
+        </div>
+      )}
+
+      {Number.isFinite(interval_s) && (
+        <div className="input-row">
+          <div>
+            <div className="label">Trace starts after a scheduled TX (s)</div>
+            <input type="number" min={0} max={Math.floor(interval_s)} value={after_s}
+              onChange={e => setAfter(Math.min(Math.floor(interval_s), Math.max(0, +e.target.value || 0)))} />
+          </div>
+          <div className="value-unit" style={{ alignSelf: "end", paddingBottom: "8px" }}>
+            one scheduled packet every {fmt(interval_s, 0)} s, last hour included
+          </div>
+        </div>
+      )}
+
+      {parsed.times.length === 0 ? (
+        <div className="footnote">Paste at least one timestamp to check the trace.</div>
+      ) : (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px", margin: "6px 0 12px" }}>
+            <div>
+              <div className="label">Rolling hour</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={fv ? "danger" : "good"}>
+                {fv ? `over at ${clock(fv.t_s)}` : "within limit"}
+              </div>
+              <div className="value-unit">{Number.isFinite(r.budget_s) ? `${r.per_hour} packets / ${fmt(r.budget_s, 1)} s per hour` : "no duty limit"}</div>
+            </div>
+            <div>
+              <div className="label">Suppress</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={r.suppressed ? "warning" : "good"}>
+                {r.suppressed} of {r.events.length}
+              </div>
+              <div className="value-unit">{r.suppressed_by_rearm} by re-arm · {r.suppressed_by_budget} by hourly budget</div>
+            </div>
+            <div>
+              <div className="label">Delay — worst latency</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }}
+                className={r.never ? "danger" : r.delayed ? "warning" : "good"}>
+                {latency(r.worst_latency_s)}
+              </div>
+              <div className="value-unit">
+                {r.never
+                  ? "one packet is longer than the hourly budget"
+                  : `${r.delayed} delayed${r.worst_event ? ` · event #${r.worst_event}` : ""} · mean ${fmt(r.mean_latency_s, 1)} s`}
+              </div>
+            </div>
+          </div>
+
+          {fv && (
+            <div className="danger" style={{ fontSize: "12px", marginBottom: "10px" }}>
+              {fv.event ? `Event #${fv.event}` : "A scheduled packet"} at {clock(fv.t_s)} would be packet {fv.packets} in the rolling
+              hour — {fmt(fv.used_s, 1)} s of a {fmt(r.budget_s, 1)} s budget. Sent as-is, the node breaks the {dutyLimit}% duty cycle.
+            </div>
+          )}
+          {!fv && r.suppressed_by_rearm > 0 && (
+            <div className="warning" style={{ fontSize: "12px", marginBottom: "10px" }}>
+              The trace fits the hourly budget — every suppression comes from the {fmt(r.rearm_s, 1)} s re-arm (ToA ÷ duty) the
+              firmware enforces after each packet.
+            </div>
+          )}
+
+          <svg viewBox={`0 0 ${W} 66`} style={{ width: "100%", display: "block", marginBottom: "4px" }}>
+            <text x={0} y={ROW.arrive - 6} fontSize="8" fill="#3a6a3a">arrives</text>
+            <text x={0} y={ROW.send + 14} fontSize="8" fill="#3a6a3a">sent (delay)</text>
+            {r.events.map(e => (
+              <g key={e.event}>
+                {e.send_s != null && e.latency_s > 0 && (
+                  <line x1={x(e.t_s)} x2={x(e.send_s)} y1={ROW.arrive} y2={ROW.send} stroke="#f0a060" strokeWidth={0.6} opacity={0.6} />
+                )}
+                <line x1={x(e.t_s)} x2={x(e.t_s)} y1={ROW.arrive - 4} y2={ROW.arrive + 4} stroke={e.sent ? "#6fcf6f" : "#e05050"} />
+                {e.send_s != null && (
+                  <line x1={x(e.send_s)} x2={x(e.send_s)} y1={ROW.send - 4} y2={ROW.send + 4} stroke="#4a9aca" />
+                )}
+              </g>
+            ))}
+            <text x={W} y={ROW.send + 14} fontSize="8" fill="#3a6a3a" textAnchor="end">{clock(span)}</text>
+          </svg>
+          <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "10px" }}>
+            <span style={{ color: "#6fcf6f" }}>|</span> sent on arrival · <span style={{ color: "#e05050" }}>|</span> suppressed ·{" "}
+            <span style={{ color: "#4a9aca" }}>|</span> send time when queued · <span style={{ color: "#f0a060" }}>╲</span> wait
+          </div>
+
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+            <thead>
+              <tr style={{ borderBottom: "1px solid #2d4a30" }}>
+                {["Event", "Arrives", "Suppress", "Delay: sent", "Latency"].map(h => (
+                  <th key={h} style={{ padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {r.events.slice(0, SHOWN_EVENTS).map(e => (
+                <tr key={e.event} style={{ borderBottom: "1px solid #1a2e1c", color: "#8ab88a" }}>
+                  <td style={{ padding: "5px 5px" }}>#{e.event}</td>
+                  <td style={{ padding: "5px 5px" }}>{clock(e.t_s)}</td>
+                  <td style={{ padding: "5px 5px" }} className={e.sent ? "good" : "danger"}>{e.sent ? "sent" : `dropped (${e.reason})`}</td>
+                  <td style={{ padding: "5px 5px" }}>{e.send_s != null ? clock(e.send_s) : "never"}</td>
+                  <td style={{ padding: "5px 5px" }} className={e.send_s == null ? "danger" : e.latency_s > 0 ? "warning" : ""}>
+                    {e.send_s != null ? `${fmt(e.latency_s, 1)} s` : "never"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {r.events.length > SHOWN_EVENTS && (
+            <div style={{ fontSize: "11px", color: "#4a7a4a", marginTop: "4px" }}>first {SHOWN_EVENTS} of {r.events.length} events</div>
+          )}
+          <div className="footnote" style={{ marginTop: "8px" }}>
+            ETSI EN 300 220 measures the duty cycle over any one hour, so a burst can break it while the hourly average looks fine.
+            Suppress drops what the node may not send; delay queues it first-in first-out behind scheduled packets, and the wait is
+            the detection latency. Every packet uses the calculator's ToA.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import { fmt, hoppingGrid } from "../lora-engine/index.js";
+
+// Per-channel bar chart: fleet airtime per hour, red where the channel breaks the occupancy rule
+const PLOT = { w: 600, h: 70 };
+const SHOWN_HOPS = 16;
+
+// ─── US 915 hopping channel plan ──────────────────────────────────────────
+// hopping: DEFAULT_HOPPING shape · result: evaluateConfig().hopping or null · bw in kHz
+export default function FhssPlanner({ hopping, onChange, result: r, bw }) {
+  const set = (key, value) => onChange({ ...hopping, [key]: value });
+  const grid = hoppingGrid(bw);
+  const num = (key, label, min, max, step = 1, int = true) => (
+    <div>
+      <div className="label">{label}</div>
+      <input type="number" min={min} max={max} step={step} value={hopping[key]}
+        onChange={e => {
+          const v = int ? Math.round(+e.target.value) : +e.target.value;
+          set(key, Math.min(max, Math.max(min, v || 0)));
+        }} />
+    </div>
+  );
+  const block = (firstChannel, channels) => onChange({ ...hopping, firstChannel, channels });
+
+  const peak = r ? Math.max(...r.channels.map(c => c.fleet_airtime_s_per_hour)) || 1 : 1;
+  const barW = r ? PLOT.w / r.channels.length : 0;
+  const windowText = r?.rule.window_s != null ? `${r.rule.window_s} s` : null;
+
+  return (
+    <div className="card">
+      <div className="label">FHSS Channel Plan — FCC §15.247</div>
+      <div style={{ display: "flex", gap: "8px", marginBottom: "10px" }}>
+        <button className={`toggle-btn ${hopping.enabled ? "active" : ""}`} onClick={() => set("enabled", !hopping.enabled)}>
+          Hop plan: {hopping.enabled ? "ON" : "OFF"}
+        </button>
+      </div>
+      {!r && (
+        <div className="footnote">
+          The dwell card checks each packet on its own. FCC §15.247 also needs at least 50 hopping channels (25 at 250 kHz)
+          and no more than 0.4 s average occupancy per channel in any 20 s (10 s) window.
+        </div>
+      )}
+      {r && (
+        <>
+          <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "10px" }}>
+            <button className="toggle-btn" onClick={() => block(0, grid.count)}>All {grid.count} channels</button>
+            {bw === 125 && (
+              <button className="toggle-btn" onClick={() => block(8, 8)}>TTN sub-band 2 (ch 8–15)</button>
+            )}
+            <button className="toggle-btn" onClick={() => set("seed", (hopping.seed % 9999) + 1)}>↻ New hop order</button>
+          </div>
+          <div className="input-row">
+            {num("firstChannel", "First channel", 0, grid.count - 1)}
+            {num("channels", "Channels", 1, grid.count)}
+            {num("nodes", "Nodes", 1, 64)}
+          </div>
+          <div className="input-row">
+            {num("burstCount", "Burst events", 0, 50)}
+            {num("burstSpacing_s", "Burst spacing (s)", 0, 3600, 0.5, false)}
+            {num("seed", "Hop seed", 1, 9999)}
+          </div>
+
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px", margin: "6px 0 12px" }}>
+            <div>
+              <div className="label">Channels</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={r.channels_ok ? "good" : "danger"}>
+                {r.channels_used} / {r.rule.minChannels}
+              </div>
+              <div className="value-unit">used / required · {r.rule.label}</div>
+            </div>
+            <div>
+              <div className="label">Worst occupancy</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={r.occupancy_ok ? "good" : "danger"}>
+                {windowText ? `${fmt(r.worst_occupancy_s * 1000, 0)} ms` : "n/a"}
+              </div>
+              <div className="value-unit">{windowText ? `ch ${r.worst_channel} in ${windowText} · limit 400 ms` : "no hopping rule"}</div>
+            </div>
+            <div>
+              <div className="label">Back on a channel</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif", color: "#4a9aca" }}>
+                {Number.isFinite(r.revisit_s) ? `${fmt(r.revisit_s, 1)} s` : "> 1 h"}
+              </div>
+              <div className="value-unit">shortest revisit</div>
+            </div>
+          </div>
+
+          {r.dwell_ok && !r.occupancy_ok && (
+            <div className="danger" style={{ fontSize: "12px", marginBottom: "10px" }}>
+              Every packet passes the 400 ms dwell check, but the averaged occupancy rule fails — see W19.
+            </div>
+          )}
+
+          <div className="label">Per-channel airtime ({r.nodes} node{r.nodes > 1 ? "s" : ""})</div>
+          <svg viewBox={`0 0 ${PLOT.w} ${PLOT.h + 12}`} style={{ width: "100%", display: "block", marginBottom: "4px" }}>
+            {r.channels.map((c, i) => {
+              const h = (c.fleet_airtime_s_per_hour / peak) * PLOT.h;
+              const bad = windowText && c.worst_window_s > r.rule.maxOccupancy_s + 1e-9;
+              return (
+                <rect key={c.id} x={i * barW + barW * 0.1} width={barW * 0.8} y={PLOT.h - h} height={h}
+                  fill={bad ? "#e05050" : c.id === r.worst_channel ? "#9fe89f" : "#3a6e3c"} />
+              );
+            })}
+            {[0, r.channels.length - 1].map(i => (
+              <text key={i} x={i === 0 ? 0 : PLOT.w} y={PLOT.h + 10} fontSize="8" fill="#3a6a3a" textAnchor={i === 0 ? "start" : "end"}>
+                ch {r.channels[i].id} · {r.channels[i].freq_MHz} MHz
+              </text>
+            ))}
+          </svg>
+          <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "10px" }}>
+            bars: airtime per hour, all nodes (peak {fmt(peak, 2)} s) · <span style={{ color: "#e05050" }}>█</span> over the
+            occupancy limit · <span style={{ color: "#9fe89f" }}>█</span> busiest channel
+          </div>
+
+          <div className="label">Hop sequence</div>
+          <div style={{ fontSize: "11px", color: "#8ab88a", fontFamily: "monospace", marginBottom: "10px", lineHeight: 1.6 }}>
+            {r.sequence.slice(0, SHOWN_HOPS).join(" → ")}{r.sequence.length > SHOWN_HOPS ? " → …" : ""}
+          </div>
+
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+            <tbody>
+              {[
+                ["Packets per node", `${r.packets_per_hour} / hour incl. ${r.burstCount}-event burst`],
+                ["Node start offsets", Array.from({ length: r.nodes }, (_, k) => Math.floor((k * r.channels_used) / r.nodes)).join(", ") + " hops"],
+                ["Grid", `${grid.first_MHz} MHz + n × ${grid.step_MHz * 1000} kHz (${grid.count} channels at BW${bw})`],
+              ].map(([label, value]) => (
+                <tr key={label} style={{ borderBottom: "1px solid #1a2e1c" }}>
+                  <td style={{ padding: "4px 0", color: "#5a8a5a" }}>{label}</td>
+                  <td style={{ padding: "4px 0", textAlign: "right", color: "#8ab88a" }}>{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="footnote" style={{ marginTop: "8px" }}>
+            Each node cycles the whole hop set in the order above, so every channel is used equally on average. Occupancy counts
+            every send, retries and repeats included. {bw >= 500
+              ? "At 500 kHz LoRa qualifies as digital modulation: no hopping is required, but output is limited to 8 dBm per 3 kHz."
+              : "Channels are spaced wider than the 20 dB bandwidth."}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useState } from "react";
+import { FIRMWARE_TARGETS, generateFirmware, hex } from "../lora-engine/index.js";
+
+const FILE_EXT = { registers: "txt", radiohead: "h", radiolib: "h", lmic: "h", python: "py" };
+
+// ─── Firmware config export ───────────────────────────────────────────────
+export default function FirmwareExport({ radio, region, euBand, txPower, payload }) {
+  const [target, setTarget] = useState("radiolib");
+  const [forcePaBoost, setForcePaBoost] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const fw = generateFirmware({ ...radio, region, euBand, txPower, payload, forcePaBoost });
+  const code = fw.code[target];
+
+  async function copyCode() {
+    try {
+      await navigator.clipboard.writeText(code);
+      setStatus({ level: "good", text: "Copied to clipboard." });
+    } catch {
+      setStatus({ level: "warning", text: "Clipboard unavailable — select the code and copy it manually." });
+    }
+  }
+
+  function download() {
+    const blob = new Blob([code + "\n"], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `jumbo-shoo-${target}-SF${radio.sf}-BW${radio.bw}.${FILE_EXT[target]}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  const th = { padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" };
+  const td = { padding: "4px 5px", color: "#8ab88a" };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
+      <div className="card">
+        <div className="label">Firmware Config Export</div>
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "10px" }}>
+          {FIRMWARE_TARGETS.map(t => (
+            <button key={t.id} className={`toggle-btn ${target === t.id ? "active" : ""}`}
+              onClick={() => { setTarget(t.id); setStatus(null); }}>
+              {t.label}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", alignItems: "center", marginBottom: "10px" }}>
+          <button className={`toggle-btn ${forcePaBoost ? "active" : ""}`}
+            onClick={() => setForcePaBoost(v => !v)}>
+            Force PA_BOOST: {forcePaBoost ? "ON" : "OFF"}
+          </button>
+          <span style={{ fontSize: "11px", color: "#5a8a5a" }}>
+            {fw.freq_MHz} MHz · {fw.pa.path} · {fw.implicitHeader ? "implicit" : "explicit"} header
+          </span>
+        </div>
+        <pre style={{
+          background: "#0a140c", border: "1px solid #1a2e1c", borderRadius: "4px", padding: "10px",
+          fontSize: "11px", color: "#8ab88a", overflowX: "auto", margin: 0, whiteSpace: "pre",
+        }}>{code}</pre>
+        <div style={{ display: "flex", gap: "6px", marginTop: "8px" }}>
+          <button className="toggle-btn" onClick={copyCode}>📋 Copy</button>
+          <button className="toggle-btn" onClick={download}>⬇ Download</button>
+        </div>
+        {status && (
+          <div className={status.level} style={{ fontSize: "11px", marginTop: "8px" }}>{status.text}</div>
+        )}
+        {fw.notes.length > 0 && (
+          <div style={{ marginTop: "10px" }}>
+            {fw.notes.map(n => (
+              <div key={n} className={n.startsWith("W8") ? "danger" : "warning"}
+                style={{ fontSize: "11px", marginBottom: "4px" }}>⚠ {n}</div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="label">SX1276 Register Map</div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+          <thead>
+            <tr style={{ borderBottom: "1px solid #1a2e1c" }}>
+              <th style={th}>Register</th>
+              <th style={th}>Addr</th>
+              <th style={th}>Value</th>
+              <th style={th}>Meaning</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fw.registers.map(r => (
+              <tr key={r.name} style={{ borderBottom: "1px solid #1a2e1c" }}>
+                <td style={td}>{r.name}</td>
+                <td style={td}>{hex(r.addr)}</td>
+                <td style={{ ...td, color: "#c8f5c8" }}>{hex(r.value)}</td>
+                <td style={{ ...td, color: "#5a8a5a" }}>{r.note}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="footnote" style={{ marginTop: "8px" }}>
+          SX1276 datasheet rev 7, §6.4. Write with the radio in sleep/standby and LongRangeMode set.
+          PA path follows the TX current table: RFO_HF ≤14 dBm, PA_BOOST at 17/20 dBm.
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { LINK_RANGES, PATH_LOSS_MODELS, fmt } from "../lora-engine/index.js";
+
+const km = d => d >= 100 ? `${fmt(d, 0)} km` : d >= 1 ? `${fmt(d, 2)} km` : `${fmt(d * 1000, 0)} m`;
+
+// ─── Link budget & range panel ────────────────────────────────────────────
+// link: editable settings (DEFAULT_LINK shape) · budget: calcLinkBudget result
+export default function LinkBudget({ link, onChange, budget, txPower }) {
+  const set = (key, value) => onChange({ ...link, [key]: value });
+  const num = (key, label, step) => (
+    <div>
+      <div className="label">{label}</div>
+      <input type="number" step={step} min={LINK_RANGES[key][0]} max={LINK_RANGES[key][1]} value={link[key]}
+        onChange={e => set(key, +e.target.value)} />
+    </div>
+  );
+
+  return (
+    <div className="card">
+      <div className="label">Link Budget & Range</div>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px", marginBottom: "12px" }}>
+        <div>
+          <div className="value-big" style={{ fontSize: "32px" }}>{km(budget.max_distance_km)}</div>
+          <div className="value-unit">max range at {link.fadeMargin_dB} dB fade margin</div>
+        </div>
+        <div>
+          <div className="value-big" style={{ fontSize: "32px", color: budget.link_ok ? "#9fe89f" : "#e05050" }}>
+            {budget.link_margin_dB >= 0 ? "+" : ""}{fmt(budget.link_margin_dB, 1)} dB
+          </div>
+          <div className="value-unit">link margin at {km(link.distance_km)}</div>
+        </div>
+      </div>
+
+      <div className="label">Path-loss model</div>
+      <select value={link.model} onChange={e => set("model", e.target.value)} style={{ marginBottom: "10px" }}>
+        {PATH_LOSS_MODELS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+      </select>
+      <div className="input-row">
+        {num("distance_km", "Distance (km)", 0.1)}
+        {num("fadeMargin_dB", "Fade margin (dB)", 1)}
+      </div>
+      {link.model === "hata" && (
+        <div className="input-row">
+          {num("gatewayHeight_m", "Gateway height (m)", 1)}
+          {num("nodeHeight_m", "Node height (m)", 0.5)}
+        </div>
+      )}
+      {link.model === "logd" && (
+        <div className="input-row">
+          {num("exponent", "Path-loss exponent n", 0.1)}
+          <div />
+        </div>
+      )}
+      <div className="input-row">
+        {num("txGain_dBi", "TX antenna (dBi)", 0.5)}
+        {num("rxGain_dBi", "RX antenna (dBi)", 0.5)}
+      </div>
+      <div className="input-row">
+        {num("txCable_dB", "TX cable loss (dB)", 0.1)}
+        {num("rxCable_dB", "RX cable loss (dB)", 0.1)}
+      </div>
+      <hr />
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px" }}>
+        <tbody>
+          {[
+            ["TX power → EIRP", `+${txPower} dBm → ${fmt(budget.eirp_dBm, 1)} dBm`],
+            ["RX sensitivity (SX1276)", `${budget.sensitivity_dBm} dBm`],
+            ["Required SNR", `${budget.required_snr_dB} dB`],
+            ["Noise floor (NF 6 dB)", `${fmt(budget.noise_floor_dBm, 1)} dBm`],
+            ["Max path loss", `${fmt(budget.max_path_loss_dB, 1)} dB`],
+            [`Path loss @ ${km(link.distance_km)}`, `${fmt(budget.path_loss_dB, 1)} dB · ${budget.frequency_MHz} MHz`],
+            ["RX power / SNR", `${fmt(budget.rx_power_dBm, 1)} dBm / ${fmt(budget.snr_dB, 1)} dB`],
+          ].map(([k, v]) => (
+            <tr key={k} style={{ borderBottom: "1px solid #1a2e1c" }}>
+              <td style={{ padding: "5px 0", color: "#3a6a3a" }}>{k}</td>
+              <td style={{ padding: "5px 0", textAlign: "right", color: "#8ab88a" }}>{v}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="footnote" style={{ marginTop: "8px" }}>
+        * Okumura-Hata is fitted for 150–1500 MHz, 1–20 km and 30–200 m base heights — treat short, low-mast links as indicative.
+      </div>
+    </div>
+  );
+}
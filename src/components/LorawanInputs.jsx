@@ -0,0 +1,66 @@
+import { lorawanPlan, lorawanDataRate, lorawanFrame } from "../lora-engine/index.js";
+
+// ─── LoRaWAN mode inputs ──────────────────────────────────────────────────
+// lorawan: DEFAULT_LORAWAN shape · uplink: evaluateConfig().lorawan or null
+export default function LorawanInputs({ region, lorawan, onChange, payload, uplink }) {
+  const set = (key, value) => onChange({ ...lorawan, [key]: value });
+  const { dataRates } = lorawanPlan(region);
+  const selected = lorawanDataRate(region, lorawan.dr);
+
+  return (
+    <div className="card">
+      <div className="label">Frame Format</div>
+      <div style={{ display: "flex", gap: "8px", marginBottom: lorawan.enabled ? "10px" : 0 }}>
+        {[[false, "Raw LoRa"], [true, "LoRaWAN"]].map(([on, label]) => (
+          <button key={label} className={`toggle-btn ${lorawan.enabled === on ? "active" : ""}`}
+            onClick={() => set("enabled", on)}>
+            {label}
+          </button>
+        ))}
+      </div>
+      {lorawan.enabled && (
+        <>
+          <div className="input-row">
+            <div>
+              <div className="label">Data Rate</div>
+              <select value={selected.dr} disabled={lorawan.adr} onChange={e => set("dr", +e.target.value)}>
+                {dataRates.map(r => (
+                  <option key={r.dr} value={r.dr}>
+                    DR{r.dr} · SF{r.sf}/{r.bw} · ≤{lorawanFrame({ appPayload: 0, fOpts: lorawan.fOpts, maxMac: r.maxMac }).max_app_payload} B
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <div className="label">FOpts (bytes)</div>
+              <input type="number" min={0} max={15} value={lorawan.fOpts}
+                onChange={e => set("fOpts", Math.min(15, Math.max(0, Math.round(+e.target.value) || 0)))} />
+            </div>
+          </div>
+          <div className="input-row">
+            <div>
+              <div className="label">App downlinks / day</div>
+              <input type="number" min={0} step={1} value={lorawan.downlinksPerDay}
+                onChange={e => set("downlinksPerDay", Math.max(0, +e.target.value || 0))} />
+            </div>
+            <div style={{ display: "flex", gap: "6px", alignItems: "flex-end", flexWrap: "wrap" }}>
+              <button className={`toggle-btn ${lorawan.adr ? "active" : ""}`} onClick={() => set("adr", !lorawan.adr)}>
+                ADR: {lorawan.adr ? "ON" : "OFF"}
+              </button>
+              <button className={`toggle-btn ${lorawan.confirmed ? "active" : ""}`} onClick={() => set("confirmed", !lorawan.confirmed)}>
+                Confirmed: {lorawan.confirmed ? "ON" : "OFF"}
+              </button>
+            </div>
+          </div>
+          {uplink && (
+            <div style={{ fontSize: "11px", color: "#4a7a4a", lineHeight: "1.6" }}>
+              {lorawan.adr && <>ADR picked DR{uplink.dr} ({uplink.adr.link_margin_dB.toFixed(1)} dB link margin).<br /></>}
+              {payload} B app + {uplink.overhead_bytes} B MAC = <span style={{ color: "#9fe89f" }}>{uplink.phy_payload} B PHYPayload</span>
+              {" "}· CR 4/5, preamble 8, explicit header, CRC on
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
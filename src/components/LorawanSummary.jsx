@@ -0,0 +1,104 @@
+import {
+  fmt, lorawanRateTable, TTN_UPLINK_AIRTIME_S_PER_DAY, TTN_DOWNLINKS_PER_DAY,
+} from "../lora-engine/index.js";
+
+const pctClass = p => p > 100 ? "danger" : p > 70 ? "warning" : "good";
+
+// ─── LoRaWAN result — receive windows, fair use and per-DR table ──────────
+// lorawan: evaluateConfig().lorawan · onSelectDr: picks a DR (ADR off only)
+export default function LorawanSummary({ lorawan, region, payload, fOpts, adr, onSelectDr }) {
+  const rates = lorawanRateTable({ region, appPayload: payload, fOpts });
+  const downlinkPct = lorawan.downlinks_per_day / TTN_DOWNLINKS_PER_DAY * 100;
+
+  const th = { padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" };
+  const td = { padding: "4px 5px", color: "#8ab88a" };
+  const bar = pct => (
+    <div className="compliance-bar-bg">
+      <div style={{
+        width: `${Math.min(pct, 100)}%`, height: "100%", borderRadius: "4px", transition: "width 0.3s",
+        background: pct > 100 ? "#e05050" : pct > 70 ? "#f0a060" : "#6fcf6f",
+      }} />
+    </div>
+  );
+
+  return (
+    <div className="card">
+      <div className="label">LoRaWAN — DR{lorawan.dr}{adr ? " (ADR)" : ""}</div>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px", marginBottom: "12px" }}>
+        <div>
+          <div className="label">Uplink airtime / day</div>
+          <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={pctClass(lorawan.fair_use_pct)}>
+            {fmt(lorawan.airtime_per_day_s, 2)} s
+          </div>
+        </div>
+        <div>
+          <div className="label">Downlinks / day</div>
+          <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={pctClass(downlinkPct)}>
+            {fmt(lorawan.downlinks_per_day, 1)}
+          </div>
+        </div>
+      </div>
+      {bar(lorawan.fair_use_pct)}
+      <div style={{ fontSize: "11px", color: "#4a7a4a", margin: "4px 0 8px" }}>
+        {fmt(lorawan.fair_use_pct, 1)}% of TTN's {TTN_UPLINK_AIRTIME_S_PER_DAY} s / day · max {lorawan.max_uplinks_per_day.toLocaleString()} uplinks / day
+        (every {fmt(lorawan.min_interval_s / 60, 1)} min)
+      </div>
+      {bar(downlinkPct)}
+      <div style={{ fontSize: "11px", color: "#4a7a4a", marginTop: "4px" }}>
+        {fmt(downlinkPct, 0)}% of TTN's {TTN_DOWNLINKS_PER_DAY} downlinks / day — ACKs for confirmed uplinks count
+      </div>
+
+      <hr />
+      <div className="label" style={{ marginBottom: "6px" }}>Class A receive windows</div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+        <tbody>
+          {[["RX1", lorawan.rx1], ["RX2", lorawan.rx2]].map(([name, w]) => (
+            <tr key={name} style={{ borderBottom: "1px solid #1a2e1c" }}>
+              <td style={{ ...td, color: "#5a8a5a" }}>{name}</td>
+              <td style={td}>+{w.delay_s} s</td>
+              <td style={td}>SF{w.sf} / {w.bw} kHz{w.freq_MHz ? ` · ${w.freq_MHz} MHz` : ""}</td>
+              <td style={{ ...td, textAlign: "right" }}>{fmt(w.window_ms, 1)} ms open</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ fontSize: "11px", color: "#4a7a4a", marginTop: "6px" }}>
+        {fmt(lorawan.rx_ms_per_uplink, 1)} ms RX per uplink · {fmt(lorawan.rx_mAh_per_day, 3)} mAh / day —
+        added to the full-node budget as RX after TX.
+      </div>
+
+      <hr />
+      <div className="label" style={{ marginBottom: "6px" }}>
+        Data rates for {payload} B{adr ? "" : " — click to select"}
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+        <thead>
+          <tr style={{ borderBottom: "1px solid #2d4a30" }}>
+            {["DR", "SF / BW", "Max app", "Frame", "ToA", "Uplinks / day"].map(h => <th key={h} style={th}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rates.map(r => (
+            <tr key={r.dr}
+              onClick={() => { if (!adr) onSelectDr(r.dr); }}
+              style={{
+                borderBottom: "1px solid #1a2e1c", cursor: adr ? "default" : "pointer",
+                background: r.dr === lorawan.dr ? "#1c4020" : "transparent",
+              }}>
+              <td style={td}>DR{r.dr}</td>
+              <td style={td}>SF{r.sf} / {r.bw}</td>
+              <td style={{ ...td, color: r.payload_ok ? td.color : "#e05050" }}>{r.max_app_payload} B</td>
+              <td style={td}>{r.payload_ok ? `${r.phy_payload} B` : "too long"}</td>
+              <td style={td}>{fmt(r.toa, 1)} ms</td>
+              <td style={td}>{r.max_uplinks_per_day.toLocaleString()}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="footnote" style={{ marginTop: "8px" }}>
+        LoRaWAN Regional Parameters RP002-1.0.4 · max app payload is M − 8 − FOpts.
+        Uplinks / day is the TTN fair-use ceiling at that DR. Downlinks modelled as empty 12-byte frames in RX1.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import { useState, useEffect } from "react";
+import {
+  OPTIMIZER_OBJECTIVES, DEFAULT_OBJECTIVES, DEFAULT_CONSTRAINTS, PREAMBLE_OPTIONS, getRegion, runOptimizer,
+} from "../lora-engine/index.js";
+
+// ─── Columns ──────────────────────────────────────────────────────────────
+// sort: value used for ordering; show: cell text
+const COLUMNS = [
+  { id: "sf",       label: "SF",     sort: r => r.sf,              show: r => `SF${r.sf}` },
+  { id: "bw",       label: "BW",     sort: r => r.bw,              show: r => r.bw },
+  { id: "cr",       label: "CR",     sort: r => r.cr,              show: r => `4:${r.cr + 4}` },
+  { id: "preamble", label: "Pre",    sort: r => r.preamble,        show: r => r.preamble },
+  { id: "header",   label: "Hdr",    sort: r => r.explicitHeader ? 1 : 0, show: r => r.explicitHeader ? "expl" : "impl" },
+  { id: "band",     label: "Band",   sort: r => r.band.id,         show: r => r.band.id, multiBand: true },
+  { id: "txPower",  label: "TX pwr", sort: r => r.txPower,         show: r => `+${r.txPower}` },
+  { id: "toa",      label: "ToA",    sort: r => r.toa,             show: r => `${r.toa.toFixed(1)}ms` },
+  { id: "energy",   label: "Energy", sort: r => r.energy_mJ,       show: r => `${r.energy_mJ.toFixed(2)}mJ` },
+  { id: "txPerHour", label: "TX/h max", sort: r => r.max_tx_per_hour, show: r => r.max_tx_per_hour },
+  { id: "batt",     label: "Batt d", sort: r => r.batt_days,       show: r => Math.round(r.batt_days).toLocaleString() },
+  { id: "range",    label: "Range",  sort: r => r.range_km ?? 0,   show: r => r.range_km == null ? "—" : `${r.range_km.toFixed(1)}km` },
+  { id: "margin",   label: "Margin", sort: r => r.link_margin_dB ?? 0, show: r => r.link_margin_dB == null ? "—" : `${r.link_margin_dB.toFixed(1)}dB` },
+];
+
+export default function Optimizer({ payload, region, access, txIntervalMin, voltage, battCapacity, link, onApply }) {
+  const [objectives, setObjectives] = useState(DEFAULT_OBJECTIVES);
+  const [constraints, setConstraints] = useState(DEFAULT_CONSTRAINTS);
+  const [preambles, setPreambles] = useState([8]);
+  const [headers, setHeaders] = useState(["explicit"]);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [sort, setSort] = useState(null); // { id, asc }
+
+  useEffect(() => {
+    setResult(null);
+  }, [region, access, link]);
+
+  const toggle = (list, set, v) =>
+    set(list.includes(v) ? (list.length > 1 ? list.filter(x => x !== v) : list) : [...list, v]);
+  const setConstraint = (key, value) => setConstraints(c => ({ ...c, [key]: value }));
+
+  function handleOptimize() {
+    setRunning(true);
+    setResult(null);
+    setTimeout(() => {
+      setResult(runOptimizer({
+        payloadBytes: payload, region, access, txInterval_min: txIntervalMin, link,
+        objectives, constraints, search: { preambles, headers }, voltage, battCapacity,
+      }));
+      setSort(null);
+      setRunning(false);
+    }, 20);
+  }
+
+  function clickHeader(id) {
+    setSort(s => s?.id === id ? { id, asc: !s.asc } : { id, asc: true });
+  }
+
+  const plan = getRegion(region);
+  const lbtAfa = access === "lbtafa" && plan.lbtAfa;
+  const columns = COLUMNS.filter(c => !c.multiBand || plan.subBands.length > 1);
+  let rows = result?.front ?? [];
+  if (sort) {
+    const col = COLUMNS.find(c => c.id === sort.id);
+    rows = [...rows].sort((a, b) => {
+      const va = col.sort(a), vb = col.sort(b);
+      const d = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+      return sort.asc ? d : -d;
+    });
+  }
+  const objectiveCols = new Set(objectives);
+
+  const th = { padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal", cursor: "pointer", whiteSpace: "nowrap" };
+  const td = { padding: "5px 5px", color: "#8ab88a", whiteSpace: "nowrap" };
+
+  return (
+    <div className="card">
+      <div className="label">Configuration Optimizer — Pareto Front</div>
+      <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "10px" }}>
+        Searches SF, BW, CR, preamble, header mode, TX power{plan.subBands.length > 1 ? " and sub-band" : ""} for a <span style={{ color: "#9fe89f" }}>{payload}-byte payload</span> in <span style={{ color: "#9fe89f" }}>{plan.name}</span> and keeps every compliant config that no other config beats on all selected objectives.{lbtAfa
+          ? ` TX interval (${txIntervalMin} min) used for the LBT+AFA ${plan.lbtAfa.txOnPerHour_s} s/hour check; configs over ${plan.lbtAfa.maxTxOn_ms} ms TX-on are dropped.`
+          : `${plan.subBands.some(b => b.duty != null) ? ` TX interval (${txIntervalMin} min) used for duty cycle check.` : ""}${plan.dwell_ms != null ? ` Configs over the ${plan.dwell_ms} ms dwell limit are dropped.` : ""}`} BW and TX power follow the {plan.label} plan{plan.subBands.length > 1 ? " and each sub-band's edges and EIRP" : ""}.
+      </div>
+
+      <div style={{ fontSize: "11px", color: "#5a8a5a", marginBottom: "4px" }}>Objectives</div>
+      <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "10px" }}>
+        {OPTIMIZER_OBJECTIVES.map(o => (
+          <button key={o.id} className={`toggle-btn ${objectives.includes(o.id) ? "active" : ""}`}
+            onClick={() => toggle(objectives, setObjectives, o.id)}>
+            {o.label}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "8px", marginBottom: "10px" }}>
+        <div>
+          <div style={{ fontSize: "11px", color: "#5a8a5a", marginBottom: "4px" }}>Min battery (days)</div>
+          <input type="number" min={0} value={constraints.minBattDays}
+            onChange={e => setConstraint("minBattDays", Math.max(0, Number(e.target.value) || 0))} />
+        </div>
+        <div>
+          <div style={{ fontSize: "11px", color: "#5a8a5a", marginBottom: "4px" }}>Min range (km)</div>
+          <input type="number" min={0} step={0.5} value={constraints.minRange_km}
+            onChange={e => setConstraint("minRange_km", Math.max(0, Number(e.target.value) || 0))} />
+        </div>
+        <div>
+          <div style={{ fontSize: "11px", color: "#5a8a5a", marginBottom: "4px" }}>Max SF</div>
+          <select value={constraints.maxSf} onChange={e => setConstraint("maxSf", Number(e.target.value))}>
+            {[7, 8, 9, 10, 11, 12].map(v => <option key={v} value={v}>SF{v}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", alignItems: "center", marginBottom: "10px" }}>
+        <span style={{ fontSize: "11px", color: "#5a8a5a" }}>Preamble</span>
+        {PREAMBLE_OPTIONS.map(p => (
+          <button key={p} className={`toggle-btn ${preambles.includes(p) ? "active" : ""}`}
+            onClick={() => toggle(preambles, setPreambles, p)}>
+            {p}
+          </button>
+        ))}
+        <span style={{ fontSize: "11px", color: "#5a8a5a", marginLeft: "8px" }}>Header</span>
+        {["explicit", "implicit"].map(h => (
+          <button key={h} className={`toggle-btn ${headers.includes(h) ? "active" : ""}`}
+            onClick={() => toggle(headers, setHeaders, h)}>
+            {h === "explicit" ? "Explicit" : "Implicit"}
+          </button>
+        ))}
+      </div>
+
+      <button
+        onClick={handleOptimize}
+        style={{
+          background: "#1c5c38", border: "1px solid #4CAF50", color: "#c8f5c8",
+          padding: "8px 20px", borderRadius: "4px", cursor: "pointer",
+          fontFamily: "inherit", fontSize: "13px", letterSpacing: "0.05em",
+          width: "100%", transition: "all 0.15s",
+        }}
+      >
+        {running ? "Optimizing…" : "⚡ Find Pareto-Optimal Configurations"}
+      </button>
+
+      {result && (
+        <div style={{ marginTop: "12px" }}>
+          {rows.length === 0 ? (
+            <div style={{ color: "#e05050", fontSize: "12px", padding: "8px 0" }}>
+              No compliant configuration meets the constraints for this payload / interval / region combination. Relax the constraints, increase TX interval or reduce payload.
+            </div>
+          ) : (
+            <>
+              <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "6px" }}>
+                {rows.length} on the front · {result.feasible.toLocaleString()} feasible of {result.evaluated.toLocaleString()} evaluated. Click a header to sort, a row to apply:
+              </div>
+              <div style={{ maxHeight: "420px", overflowY: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+                  <thead>
+                    <tr style={{ borderBottom: "1px solid #2d4a30" }}>
+                      {columns.map(c => (
+                        <th key={c.id} style={{ ...th, color: objectiveCols.has(c.id) ? "#6fcf6f" : th.color }}
+                          onClick={() => clickHeader(c.id)}>
+                          {c.label}{sort?.id === c.id ? (sort.asc ? " ▲" : " ▼") : ""}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((r, i) => (
+                      <tr
+                        key={i}
+                        onClick={() => onApply(r)}
+                        style={{ borderBottom: "1px solid #1a2e1c", cursor: "pointer", transition: "background 0.1s" }}
+                        onMouseEnter={e => e.currentTarget.style.background = "#1c4020"}
+                        onMouseLeave={e => e.currentTarget.style.background = "transparent"}
+                      >
+                        {columns.map(c => (
+                          <td key={c.id} style={{ ...td, color: objectiveCols.has(c.id) ? "#9fe89f" : td.color }}>
+                            {c.show(r)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ fontSize: "10px", color: "#2d4a30", marginTop: "6px" }}>
+                Highlighted columns are the selected objectives. CRC on; SF6 is only searched with implicit header (W8). Battery days are TX-only at the current interval and capacity. Range uses the Link Budget settings.
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
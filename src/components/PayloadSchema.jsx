@@ -0,0 +1,202 @@
+import { useState } from "react";
+import {
+  PRESETS, SCHEMA_FIELD_TYPES, SCHEMA_FIELD_TEMPLATES, SCHEMA_CODE_TARGETS, SCHEMA_MAX_FIELD_BITS,
+  schemaLayout, generateSchemaCode,
+} from "../lora-engine/index.js";
+
+const SEGMENT_COLORS = ["#2a5a2c", "#1c4a5c", "#4a3a1c", "#3a2a5a", "#1c5c38", "#5a2a3a"];
+
+// Range of a field in its own unit, e.g. "−327.68 … 327.67 °C"
+const rangeText = f => f.type === "bool" ? "0 / 1"
+  : `${+f.min.toFixed(6)} … ${+f.max.toFixed(6)}${f.unit ? ` ${f.unit}` : ""}`;
+
+// ─── Payload schema designer ──────────────────────────────────────────────
+// schema: { enabled, fields } · preset: current profile id (for its layout)
+export default function PayloadSchema({ schema, onChange, preset }) {
+  const [target, setTarget] = useState("c");
+  const [status, setStatus] = useState(null);
+
+  const layout = schemaLayout(schema.fields);
+  const code = generateSchemaCode(schema.fields);
+  const presetFields = PRESETS[preset]?.schema;
+
+  const setFields = fields => { onChange({ ...schema, fields }); setStatus(null); };
+  const setField = (i, key, value) => setFields(schema.fields.map((f, j) => {
+    if (j !== i) return f;
+    const next = { ...f, [key]: value };
+    if (key === "type") next.bits = value === "bool" ? 1 : Math.max(f.bits, value === "int" ? 2 : 1);
+    return next;
+  }));
+  const move = (i, d) => {
+    const fields = [...schema.fields];
+    [fields[i], fields[i + d]] = [fields[i + d], fields[i]];
+    setFields(fields);
+  };
+  function addField(id) {
+    if (!id) return;
+    let f = id === "custom"
+      ? { name: `field${schema.fields.length + 1}`, type: "uint", bits: 8, scale: 1, offset: 0, unit: "" }
+      : { ...SCHEMA_FIELD_TEMPLATES[id] };
+    // Second copy of a template gets a numbered name
+    for (let n = 2; schema.fields.some(x => x.name === f.name); n++) f = { ...f, name: `${id === "custom" ? "field" : id}_${n}` };
+    setFields([...schema.fields, f]);
+  }
+
+  async function copyCode() {
+    try {
+      await navigator.clipboard.writeText(code[target]);
+      setStatus({ level: "good", text: "Copied to clipboard." });
+    } catch {
+      setStatus({ level: "warning", text: "Clipboard unavailable — select the code and copy it manually." });
+    }
+  }
+
+  function download() {
+    const { ext } = SCHEMA_CODE_TARGETS.find(t => t.id === target);
+    const blob = new Blob([code[target] + "\n"], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `jumbo-shoo-payload-${layout.bytes}B.${ext}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  const th = { padding: "4px 3px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" };
+  const td = { padding: "3px 3px", color: "#8ab88a" };
+  const cell = { padding: "3px 5px", fontSize: "11px" };
+  const text = {
+    background: "#1a2e1c", border: "1px solid #2d4a30", color: "#d4e8d0", borderRadius: "4px",
+    fontFamily: "inherit", outline: "none", width: "100%", ...cell,
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+      <div className="card">
+        <div className="label">Payload Schema</div>
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", alignItems: "center", marginBottom: "10px" }}>
+          <button className={`toggle-btn ${schema.enabled ? "active" : ""}`}
+            onClick={() => onChange({ enabled: !schema.enabled, fields: !schema.enabled && presetFields ? presetFields : schema.fields })}>
+            Sets payload size: {schema.enabled ? "ON" : "OFF"}
+          </button>
+          {presetFields && (
+            <button className="toggle-btn" onClick={() => setFields(presetFields)}>
+              Load {PRESETS[preset].label} layout
+            </button>
+          )}
+        </div>
+        <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "8px" }}>
+          <span style={{ color: "#9fe89f" }}>{layout.bits} bits → {layout.bytes} bytes</span>
+          {layout.padding_bits > 0 && ` (${layout.padding_bits} padding bit${layout.padding_bits === 1 ? "" : "s"})`}
+          {schema.enabled ? " — used as the payload for airtime" : " — payload field is typed by hand"}
+        </div>
+
+        {/* Bit layout */}
+        {layout.bits > 0 && (
+          <div style={{ display: "flex", height: "22px", borderRadius: "3px", overflow: "hidden", marginBottom: "10px", border: "1px solid #1a2e1c" }}>
+            {layout.fields.map((f, i) => (
+              <div key={i} title={`${f.name}: bits ${f.start}–${f.start + f.bits - 1}`}
+                style={{
+                  flex: f.bits, background: SEGMENT_COLORS[i % SEGMENT_COLORS.length], color: "#c8f5c8",
+                  fontSize: "10px", overflow: "hidden", whiteSpace: "nowrap", padding: "4px 3px",
+                  borderRight: "1px solid #0f1a12",
+                }}>
+                {f.name}
+              </div>
+            ))}
+            {layout.padding_bits > 0 && <div title="padding" style={{ flex: layout.padding_bits, background: "#1a2e1c" }} />}
+          </div>
+        )}
+
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+          <thead>
+            <tr style={{ borderBottom: "1px solid #2d4a30" }}>
+              {["Field", "Type", "Bits", "Scale", "Offset", "Unit", "Range", ""].map(h => <th key={h} style={th}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {schema.fields.map((f, i) => (
+              <tr key={i} style={{ borderBottom: "1px solid #1a2e1c" }}>
+                <td style={{ ...td, width: "24%" }}>
+                  <input type="text" value={f.name} style={text} onChange={e => setField(i, "name", e.target.value.trim())} />
+                </td>
+                <td style={td}>
+                  <select value={f.type} style={cell} onChange={e => setField(i, "type", e.target.value)}>
+                    {SCHEMA_FIELD_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                  </select>
+                </td>
+                <td style={{ ...td, width: "11%" }}>
+                  <input type="number" min={1} max={SCHEMA_MAX_FIELD_BITS} value={layout.fields[i].bits} style={cell}
+                    disabled={f.type === "bool"} onChange={e => setField(i, "bits", Math.round(+e.target.value) || 1)} />
+                </td>
+                <td style={{ ...td, width: "11%" }}>
+                  <input type="number" min={0} step="any" value={f.scale} style={cell} disabled={f.type === "bool"}
+                    onChange={e => setField(i, "scale", +e.target.value)} />
+                </td>
+                <td style={{ ...td, width: "11%" }}>
+                  <input type="number" step="any" value={f.offset} style={cell} disabled={f.type === "bool"}
+                    onChange={e => setField(i, "offset", +e.target.value || 0)} />
+                </td>
+                <td style={{ ...td, width: "10%" }}>
+                  <input type="text" value={f.unit} style={text} onChange={e => setField(i, "unit", e.target.value.slice(0, 16))} />
+                </td>
+                <td style={{ ...td, color: "#5a8a5a", whiteSpace: "nowrap" }}>{rangeText(layout.fields[i])}</td>
+                <td style={{ ...td, whiteSpace: "nowrap" }}>
+                  <button className="toggle-btn" style={{ padding: "2px 6px" }} disabled={i === 0} onClick={() => move(i, -1)}>↑</button>
+                  <button className="toggle-btn" style={{ padding: "2px 6px" }} disabled={i === schema.fields.length - 1} onClick={() => move(i, 1)}>↓</button>
+                  <button className="toggle-btn" style={{ padding: "2px 6px" }} onClick={() => setFields(schema.fields.filter((_, j) => j !== i))}>✕</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <select value="" onChange={e => addField(e.target.value)} style={{ marginTop: "8px" }}>
+          <option value="">+ Add field…</option>
+          {Object.entries(SCHEMA_FIELD_TEMPLATES).map(([id, f]) => (
+            <option key={id} value={id}>{id} · {f.type === "bool" ? "flag" : `${f.bits} bits`}{f.unit ? ` · ${f.unit}` : ""}</option>
+          ))}
+          <option value="custom">custom field</option>
+        </select>
+        {layout.errors.map(e => (
+          <div key={e} className="danger" style={{ fontSize: "11px", marginTop: "6px" }}>⚠ {e}</div>
+        ))}
+        <div className="footnote" style={{ marginTop: "8px" }}>
+          Fields are packed MSB-first with no gaps; value = raw × scale + offset. Narrow a field (e.g. battery mV in 12 bits) to save airtime.
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="label">Packer & Decoder</div>
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "10px" }}>
+          {SCHEMA_CODE_TARGETS.map(t => (
+            <button key={t.id} className={`toggle-btn ${target === t.id ? "active" : ""}`}
+              onClick={() => { setTarget(t.id); setStatus(null); }}>
+              {t.label}
+            </button>
+          ))}
+        </div>
+        {code ? (
+          <>
+            <pre style={{
+              background: "#0a140c", border: "1px solid #1a2e1c", borderRadius: "4px", padding: "10px",
+              fontSize: "11px", color: "#8ab88a", overflowX: "auto", margin: 0, whiteSpace: "pre",
+            }}>{code[target]}</pre>
+            <div style={{ display: "flex", gap: "6px", marginTop: "8px" }}>
+              <button className="toggle-btn" onClick={copyCode}>📋 Copy</button>
+              <button className="toggle-btn" onClick={download}>⬇ Download</button>
+            </div>
+          </>
+        ) : (
+          <div className="danger" style={{ fontSize: "11px" }}>Fix the schema errors above to generate code.</div>
+        )}
+        {status && (
+          <div className={status.level} style={{ fontSize: "11px", marginTop: "8px" }}>{status.text}</div>
+        )}
+        <div className="footnote" style={{ marginTop: "8px" }}>
+          The struct holds raw integers; the sensor converts to raw before packing. decodeUplink() can be pasted into
+          The Things Stack as an uplink payload formatter.
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { fmt } from "../lora-engine/index.js";
+
+// ─── Node power budget result — stacked daily mAh ─────────────────────────
+export default function PowerBudget({ power, txOnlyDays }) {
+  const years = d => d === Infinity ? "∞" : `${fmt(d / 365, 2)} yr`;
+
+  return (
+    <div className="card">
+      <div className="label">Full-Node Battery Life</div>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px" }}>
+        <div>
+          <div className="value-big" style={{ fontSize: "32px", color: power.batt_days < 180 ? "#f0a060" : "#9fe89f" }}>
+            {power.batt_days === Infinity ? "∞" : fmt(power.batt_days, 0)}
+          </div>
+          <div className="value-unit">days · {years(power.batt_days)}</div>
+        </div>
+        <div>
+          <div className="value-big" style={{ fontSize: "32px" }}>{fmt(power.total_mAh_per_day, 2)}</div>
+          <div className="value-unit">mAh / day · avg {fmt(power.avg_current_mA * 1000, 0)} µA</div>
+        </div>
+      </div>
+
+      {/* Stacked daily breakdown */}
+      <div style={{ display: "flex", height: "14px", borderRadius: "4px", overflow: "hidden", margin: "14px 0 8px", background: "#1a2e1c" }}>
+        {power.breakdown.filter(c => c.share > 0).map(c => (
+          <div key={c.id} title={`${c.label}: ${fmt(c.mAh, 3)} mAh`}
+            style={{ width: `${c.share * 100}%`, background: c.color, transition: "width 0.3s" }} />
+        ))}
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+        <tbody>
+          {power.breakdown.map(c => (
+            <tr key={c.id} style={{ borderBottom: "1px solid #1a2e1c" }}>
+              <td style={{ padding: "4px 0", color: "#5a8a5a" }}>
+                <span style={{ display: "inline-block", width: "8px", height: "8px", background: c.color, borderRadius: "2px", marginRight: "6px" }} />
+                {c.label}
+              </td>
+              <td style={{ padding: "4px 0", textAlign: "right", color: "#8ab88a" }}>{fmt(c.mAh, 3)} mAh</td>
+              <td style={{ padding: "4px 0", textAlign: "right", color: "#5a8a5a", width: "60px" }}>{fmt(c.share * 100, 1)}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="footnote" style={{ marginTop: "8px" }}>
+        TX-only estimate {years(txOnlyDays)} — full-node load cuts it to {years(power.batt_days)}.
+        {" "}{fmt(power.total_mWh_per_day, 1)} mWh / day at supply voltage. CAD {fmt(power.cad_ms, 2)} ms per scan.
+      </div>
+    </div>
+  );
+}
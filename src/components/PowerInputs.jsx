@@ -0,0 +1,43 @@
+import { POWER_RANGES } from "../lora-engine/index.js";
+
+// ─── Node power budget inputs ─────────────────────────────────────────────
+// detectionsLinked: events/day taken from the mixed traffic profile, if any.
+const FIELDS = [
+  ["sleep_uA",         "Sleep (µA)",          0.1],
+  ["geophone_mA",      "Geophone (mA)",       0.1],
+  ["rx_mA",            "RX current (mA)",     0.1],
+  ["rxPerTx_ms",       "RX after TX (ms)",    10],
+  ["listen_pct",       "Listen (% of day)",   0.1],
+  ["cad_mA",           "CAD current (mA)",    0.1],
+  ["cadPerDetection",  "CAD / detection",     1],
+  ["detectionsPerDay", "Detections / day",    1],
+  ["mcu_mA",           "MCU / RPi (mA)",      1],
+  ["mcuDuty_pct",      "MCU active (%)",      0.1],
+];
+
+export default function PowerInputs({ power, onChange, detectionsLinked = null }) {
+  return (
+    <div className="card">
+      <div className="label">Node Power Budget</div>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px 12px" }}>
+        {FIELDS.map(([key, label, step]) => {
+          const linked = key === "detectionsPerDay" && detectionsLinked != null;
+          return (
+            <div key={key}>
+              <div className="label">{label}</div>
+              <input type="number" min={POWER_RANGES[key][0]} max={POWER_RANGES[key][1]} step={step}
+                value={linked ? Number(detectionsLinked.toFixed(1)) : power[key]}
+                disabled={linked}
+                title={linked ? "From the Detection Event stream in the traffic profile" : undefined}
+                onChange={e => onChange({ ...power, [key]: +e.target.value })} />
+            </div>
+          );
+        })}
+      </div>
+      <div className="footnote" style={{ marginTop: "10px" }}>
+        RFM95W sleep ~0.2 µA, RX ~10.8 mA. CAD duration follows SF/BW.
+        {detectionsLinked != null && " Detections / day follows the traffic profile."}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import { DEMOD_LOSS_DB, fmt, compareCodingRates, perCurve } from "../lora-engine/index.js";
+
+const pct = p => p >= 99.995 ? "100" : fmt(p, p >= 99 ? 2 : 1);
+const per = p => p < 1e-6 ? "< 1e-6" : p < 0.01 ? p.toExponential(1) : `${fmt(p * 100, 1)}%`;
+
+// PER chart: x = SNR margin over the demodulator floor, y = log10 PER
+const PLOT = { w: 300, h: 110, from: -8, to: 12, minLog: -6 };
+const px = m => (m - PLOT.from) / (PLOT.to - PLOT.from) * PLOT.w;
+const py = p => Math.min(-Math.log10(Math.max(p, 10 ** PLOT.minLog)) / -PLOT.minLog, 1) * PLOT.h;
+const points = curve => curve.map(c => `${px(c.margin_dB).toFixed(1)},${py(c.per).toFixed(1)}`).join(" ");
+
+// ─── Packet error rate & retry policy ─────────────────────────────────────
+// reliability: DEFAULT_RELIABILITY shape · result: evaluateConfig().reliability
+// radio: what goes on air · downlink: ACK settings when confirmed ·
+// onSelectCr: null when the CR is fixed (LoRaWAN)
+export default function Reliability({
+  reliability, onChange, result: r, radio, payload, txPower, voltage, downlink, onSelectCr,
+}) {
+  const set = (key, value) => onChange({ ...reliability, [key]: value });
+  const confirmed = r?.policy === "arq";
+  const rows = r ? compareCodingRates({
+    radio, payload, snr_dB: r.snr_dB, reliability, confirmed,
+    retries: downlink.retries, ackPayload: downlink.ackPayload, txPower, voltage,
+  }) : [];
+  const best = rows.length ? rows.reduce((a, b) => (b.energy_per_delivered_mJ < a.energy_per_delivered_mJ ? b : a)) : null;
+  const curves = r ? [false, true].map(rayleigh => perCurve({ radio, payloadBytes: payload, rayleigh, step: 1 })) : [];
+
+  const th = { padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" };
+  const td = { padding: "4px 5px", color: "#8ab88a" };
+
+  return (
+    <div className="card">
+      <div className="label">Packet Error Rate & Retries</div>
+      <div style={{ display: "flex", gap: "8px", marginBottom: "10px" }}>
+        <button className={`toggle-btn ${reliability.enabled ? "active" : ""}`}
+          onClick={() => set("enabled", !reliability.enabled)}>
+          PER model: {reliability.enabled ? "ON" : "OFF"}
+        </button>
+        {reliability.enabled && (
+          <button className={`toggle-btn ${reliability.rayleigh ? "active" : ""}`}
+            onClick={() => set("rayleigh", !reliability.rayleigh)}>
+            Rayleigh fading: {reliability.rayleigh ? "ON" : "OFF"}
+          </button>
+        )}
+      </div>
+      {!r && (
+        <div className="footnote">
+          Derives the packet error rate from the link-budget SNR and scales airtime, duty and battery life by the expected sends per delivered message.
+        </div>
+      )}
+      {r && (
+        <>
+          {!confirmed && (
+            <div className="input-row">
+              <div>
+                <div className="label">Repeats per message</div>
+                <input type="number" min={1} max={8} value={reliability.repeats}
+                  onChange={e => set("repeats", Math.min(8, Math.max(1, Math.round(+e.target.value) || 1)))} />
+              </div>
+              <div />
+            </div>
+          )}
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px", marginBottom: "12px" }}>
+            <div>
+              <div className="label">PER</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }}
+                className={r.per > 0.1 ? "danger" : r.per > 0.01 ? "warning" : "good"}>
+                {per(r.per)}
+              </div>
+            </div>
+            <div>
+              <div className="label">Sends / delivered</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif", color: "#4a9aca" }}>
+                {Number.isFinite(r.tx_per_delivered) ? fmt(r.tx_per_delivered, 3) : "∞"}
+              </div>
+            </div>
+            <div>
+              <div className="label">Delivery</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }}
+                className={r.delivery_pct < 90 ? "danger" : r.delivery_pct < 99 ? "warning" : "good"}>
+                {pct(r.delivery_pct)}%
+              </div>
+            </div>
+          </div>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", marginBottom: "10px" }}>
+            <tbody>
+              {[
+                ["SNR / margin over floor", `${fmt(r.snr_dB, 1)} dB / ${r.snr_margin_dB >= 0 ? "+" : ""}${fmt(r.snr_margin_dB, 1)} dB`],
+                ["Policy", confirmed
+                  ? `ACK + up to ${r.attempts - 1} retries · ACK PER ${per(r.ack_per)}`
+                  : `${r.attempts} blind ${r.attempts > 1 ? "copies" : "copy"} per message`],
+                ["Expected sends / message", fmt(r.expected_tx, 3)],
+                ["Effective time on air", Number.isFinite(r.effective_toa) ? `${fmt(r.effective_toa, 1)} ms / delivered` : "—"],
+                ["Energy / delivered message", Number.isFinite(r.energy_per_delivered_mJ) ? `${fmt(r.energy_per_delivered_mJ, 2)} mJ` : "—"],
+              ].map(([label, value]) => (
+                <tr key={label} style={{ borderBottom: "1px solid #1a2e1c" }}>
+                  <td style={{ ...td, color: "#5a8a5a" }}>{label}</td>
+                  <td style={{ ...td, textAlign: "right" }}>{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="label">Coding rate at this SNR{onSelectCr ? " — click to apply" : ""}</div>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", marginBottom: "10px" }}>
+            <thead>
+              <tr>
+                {["CR", "ToA", "PER", "Delivery", "Eff. ToA", "mJ / msg"].map(h => <th key={h} style={th}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.cr} onClick={onSelectCr ? () => onSelectCr(row.cr) : undefined}
+                  style={{
+                    borderBottom: "1px solid #1a2e1c", cursor: onSelectCr ? "pointer" : "default",
+                    background: row.cr === radio.cr ? "#142a18" : "transparent",
+                  }}>
+                  <td style={td}>4/{row.cr + 4}{row === best ? " ★" : ""}</td>
+                  <td style={td}>{fmt(row.toa, 1)} ms</td>
+                  <td style={td}>{per(row.per)}</td>
+                  <td style={td}>{pct(row.delivery_pct)}%</td>
+                  <td style={td}>{Number.isFinite(row.effective_toa) ? `${fmt(row.effective_toa, 1)} ms` : "—"}</td>
+                  <td style={td}>{Number.isFinite(row.energy_per_delivered_mJ) ? fmt(row.energy_per_delivered_mJ, 2) : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="label">PER vs SNR margin — SF{radio.sf}, CR 4/{radio.cr + 4}, {payload} B</div>
+          <svg viewBox={`0 -4 ${PLOT.w} ${PLOT.h + 16}`} style={{ width: "100%", display: "block" }}>
+            {[0, -2, -4, -6].map(l => (
+              <g key={l}>
+                <line x1={0} x2={PLOT.w} y1={py(10 ** l)} y2={py(10 ** l)} stroke="#1a2e1c" />
+                <text x={2} y={py(10 ** l) - 2} fontSize="7" fill="#3a6a3a">{l === 0 ? "1" : `1e${l}`}</text>
+              </g>
+            ))}
+            <line x1={px(0)} x2={px(0)} y1={0} y2={PLOT.h} stroke="#3a6a3a" strokeDasharray="2 2" />
+            {curves.map((c, i) => (
+              <polyline key={i} points={points(c)} fill="none" strokeWidth={1.5}
+                stroke={i === (reliability.rayleigh ? 1 : 0) ? "#6fcf6f" : "#2a4a2a"} />
+            ))}
+            {r.snr_margin_dB >= PLOT.from && r.snr_margin_dB <= PLOT.to && (
+              <circle cx={px(r.snr_margin_dB)} cy={py(r.per)} r={3} fill="#f0a060" />
+            )}
+            {[-8, -4, 0, 4, 8, 12].map(m => (
+              <text key={m} x={Math.min(px(m), PLOT.w - 10)} y={PLOT.h + 10} fontSize="7" fill="#3a6a3a">
+                {m > 0 ? "+" : ""}{m} dB
+              </text>
+            ))}
+          </svg>
+          <div className="footnote" style={{ marginTop: "8px" }}>
+            AWGN symbol errors for orthogonal chirps with {DEMOD_LOSS_DB} dB implementation loss; CR 4/7 and 4/8 correct one symbol per interleaver block.
+            Rayleigh averages over one fade per packet (faint curve: the other channel model).
+            {confirmed ? " With ACKs the modelled exchange loss replaces the manual loss figure." : ""} Duty, battery life and the full-node budget count every send.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
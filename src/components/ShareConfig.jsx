@@ -0,0 +1,84 @@
+import { useRef, useState } from "react";
+import { configToQuery, configToJson, configFromJson, configHash, generateReport } from "../lora-engine/index.js";
+
+// ─── Share link + JSON config file + deployment report ────────────────────
+// result: evaluateConfig() output for config, used by the report
+export default function ShareConfig({ config, result, onImport }) {
+  const fileInput = useRef(null);
+  const [status, setStatus] = useState(null); // { level: "good"|"warning"|"danger", text }
+
+  const shareUrl = () =>
+    `${window.location.origin}${window.location.pathname}#${configToQuery(config)}`;
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(shareUrl());
+      setStatus({ level: "good", text: "Link copied to clipboard." });
+    } catch {
+      setStatus({ level: "warning", text: "Clipboard unavailable — copy the link from the address bar." });
+    }
+  }
+
+  function exportJson() {
+    const blob = new Blob([configToJson(config)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `jumbo-shoo-${config.region}-SF${config.sf}-BW${config.bw}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Opens the printable report in a new tab; falls back to a download when pop-ups are blocked
+  function openReport() {
+    const html = generateReport({ config, result, url: shareUrl() });
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+    if (window.open(url, "_blank")) {
+      setStatus({ level: "good", text: "Report opened in a new tab — use Print / Save as PDF there." });
+      setTimeout(() => URL.revokeObjectURL(url), 60_000);
+      return;
+    }
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `jumbo-shoo-report-${configHash(config)}.html`;
+    a.click();
+    URL.revokeObjectURL(url);
+    setStatus({ level: "warning", text: "Pop-up blocked — the report was downloaded as HTML instead." });
+  }
+
+  async function importJson(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { config: imported, ignored } = configFromJson(await file.text());
+      onImport(imported);
+      setStatus(ignored.length
+        ? { level: "warning", text: `Imported ${file.name} — ignored invalid: ${ignored.join(", ")}.` }
+        : { level: "good", text: `Imported ${file.name}.` });
+    } catch (err) {
+      setStatus({ level: "danger", text: err.message });
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="label">Share & Config File</div>
+      <div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}>
+        <button className="toggle-btn" onClick={copyLink}>🔗 Copy link</button>
+        <button className="toggle-btn" onClick={exportJson}>⬇ Export JSON</button>
+        <button className="toggle-btn" onClick={() => fileInput.current?.click()}>⬆ Import JSON</button>
+        <button className="toggle-btn" onClick={openReport}>📄 Generate report</button>
+        <input ref={fileInput} type="file" accept="application/json,.json" style={{ display: "none" }}
+          onChange={importJson} />
+      </div>
+      {status && (
+        <div className={status.level} style={{ fontSize: "11px", marginTop: "8px" }}>{status.text}</div>
+      )}
+      <div className="footnote" style={{ marginTop: "8px" }}>
+        The page URL always reflects the current setup — bookmark or paste it into a design review. The report lists
+        every compliance check with its margin and carries config hash {configHash(config)} for traceability.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import { MONTHS, DEFAULT_CLEARNESS, fmt, peakSunHours } from "../lora-engine/index.js";
+
+// Year chart: daily state of charge (line) over monthly harvest vs load (bars)
+const PLOT = { w: 300, h: 90 };
+
+// ─── Solar harvesting & energy-neutral check ──────────────────────────────
+// solar: DEFAULT_SOLAR shape · result: evaluateConfig().solar or null
+export default function SolarHarvest({ solar, onChange, result: r }) {
+  const set = (key, value) => onChange({ ...solar, [key]: value });
+  const num = (key, label, step, min, max, int = false) => (
+    <div>
+      <div className="label">{label}</div>
+      <input type="number" step={step} min={min} max={max} value={solar[key]}
+        onChange={e => {
+          const v = int ? Math.round(+e.target.value) : +e.target.value;
+          set(key, Math.min(max, Math.max(min, v || 0)));
+        }} />
+    </div>
+  );
+  const setMonth = (i, v) => set("peakSunHours", solar.peakSunHours.map((h, j) => (j === i ? Math.min(12, Math.max(0, v || 0)) : h)));
+
+  const load = r?.load_mAh_per_day ?? 0;
+  const peak = r ? Math.max(load, ...r.months.map(m => m.harvest_mAh_per_day)) : 1;
+  const barW = PLOT.w / 12;
+  const soc = r ? r.days.map(d => `${((d.day + 0.5) / 365 * PLOT.w).toFixed(1)},${(PLOT.h - d.soc_pct / 100 * PLOT.h).toFixed(1)}`).join(" ") : "";
+  const bar = v => (peak > 0 ? v / peak * PLOT.h : 0);
+
+  return (
+    <div className="card">
+      <div className="label">Solar Harvesting</div>
+      <div style={{ display: "flex", gap: "8px", marginBottom: "10px" }}>
+        <button className={`toggle-btn ${solar.enabled ? "active" : ""}`} onClick={() => set("enabled", !solar.enabled)}>
+          Solar panel: {solar.enabled ? "ON" : "OFF"}
+        </button>
+      </div>
+      {!r && (
+        <div className="footnote">
+          Simulates a year of battery state of charge with a panel charging against the node's daily consumption.
+        </div>
+      )}
+      {r && (
+        <>
+          <div className="input-row">
+            {num("panel_W", "Panel (W)", 0.1, 0, 1000)}
+            {num("chargeEff_pct", "Charge efficiency (%)", 5, 0, 100)}
+          </div>
+          <div className="input-row">
+            {num("latitude", "Site latitude (°)", 0.5, -90, 90)}
+            <div>
+              <div className="label">&nbsp;</div>
+              <button className="toggle-btn" onClick={() => set("peakSunHours", peakSunHours(solar.latitude))}>
+                Fill sun-hours from latitude
+              </button>
+            </div>
+          </div>
+          <div className="label">Peak-sun-hours / day</div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: "6px", marginBottom: "10px" }}>
+            {MONTHS.map((m, i) => (
+              <div key={m}>
+                <div className="label" style={{ color: i === r.worst_month ? "#f0a060" : undefined }}>{m}</div>
+                <input type="number" step={0.1} min={0} max={12} value={solar.peakSunHours[i]}
+                  onChange={e => setMonth(i, +e.target.value)} />
+              </div>
+            ))}
+          </div>
+          <div className="input-row">
+            {num("cloudyDays", "Cloudy stretch (days)", 1, 0, 60, true)}
+            {num("cloudyHarvest_pct", "Sun on cloudy days (%)", 5, 0, 100)}
+          </div>
+
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px", margin: "6px 0 12px" }}>
+            <div>
+              <div className="label">Energy-neutral</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={r.energy_neutral ? "good" : "danger"}>
+                {r.energy_neutral ? "Yes" : `No — ${r.empty_days} d flat`}
+              </div>
+            </div>
+            <div>
+              <div className="label">Worst month</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }}
+                className={r.months[r.worst_month].balance_mAh_per_day < 0 ? "warning" : "good"}>
+                {MONTHS[r.worst_month]} {r.months[r.worst_month].balance_mAh_per_day >= 0 ? "+" : ""}{fmt(r.months[r.worst_month].balance_mAh_per_day, 1)}
+              </div>
+              <div className="value-unit">mAh / day net</div>
+            </div>
+            <div>
+              <div className="label">Autonomy</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif", color: "#4a9aca" }}>
+                {Number.isFinite(r.autonomy_days) ? `${fmt(r.autonomy_days, 1)} d` : "∞"}
+              </div>
+              <div className="value-unit">from full, no sun</div>
+            </div>
+          </div>
+
+          <svg viewBox={`0 -4 ${PLOT.w} ${PLOT.h + 16}`} style={{ width: "100%", display: "block", marginBottom: "6px" }}>
+            {r.months.map((m, i) => (
+              <rect key={m.label} x={i * barW + 2} width={barW - 4} y={PLOT.h - bar(m.harvest_mAh_per_day)}
+                height={bar(m.harvest_mAh_per_day)} fill={m.balance_mAh_per_day < 0 ? "#5a3020" : "#1f3a22"} />
+            ))}
+            <line x1={0} x2={PLOT.w} y1={PLOT.h - bar(load)} y2={PLOT.h - bar(load)} stroke="#f0a060" strokeDasharray="3 2" />
+            <polyline points={soc} fill="none" stroke="#6fcf6f" strokeWidth={1.5} />
+            {MONTHS.map((m, i) => (
+              <text key={m} x={i * barW + barW / 2 - 6} y={PLOT.h + 10} fontSize="7" fill="#3a6a3a">{m}</text>
+            ))}
+          </svg>
+          <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "10px" }}>
+            <span style={{ color: "#6fcf6f" }}>━</span> state of charge · bars: harvest / day ·{" "}
+            <span style={{ color: "#f0a060" }}>┅</span> load {fmt(load, 1)} mAh / day
+          </div>
+
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px" }}>
+            <tbody>
+              {[
+                ["Harvest / year", `${fmt(r.harvest_mAh_per_year / 1000, 1)} Ah vs ${fmt(r.load_mAh_per_year / 1000, 1)} Ah load`],
+                ["Lowest charge", `${fmt(r.min_soc_pct, 1)}% (${MONTHS[r.days[r.min_soc_day].month]})`],
+                [`${r.cloudyDays} cloudy days from ${MONTHS[r.worst_month]} 1`,
+                  r.cloudy_ok ? `survives — lowest ${fmt(r.cloudy_min_soc_pct, 1)}%` : "runs flat", !r.cloudy_ok],
+              ].map(([label, value, bad]) => (
+                <tr key={label} style={{ borderBottom: "1px solid #1a2e1c" }}>
+                  <td style={{ padding: "4px 0", color: "#5a8a5a" }}>{label}</td>
+                  <td style={{ padding: "4px 0", textAlign: "right", color: bad ? "#e05050" : "#8ab88a" }}>{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="footnote" style={{ marginTop: "8px" }}>
+            Day-by-day balance over a steady-state year on a horizontal panel; the night-time dip within a day is not modelled.
+            Latitude sun-hours use a {DEFAULT_CLEARNESS} clearness index — replace them with PVGIS or measured values for the site.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useRef, useState } from "react";
+import { SWEEP_PARAMS, SWEEP_METRICS, fmt, sweepConfig } from "../lora-engine/index.js";
+
+// Four panels in a 2 × 2 grid; everything is drawn in one SVG so it exports as one image
+const W = 600;
+const PANEL = { w: 300, h: 170 };
+const PAD = { l: 44, r: 12, t: 20, b: 24 };
+const BG = "#131f15";
+
+const tick = v => (v >= 1e4 ? `${fmt(v / 1000, 0)}k` : fmt(v, v >= 100 ? 0 : v >= 1 ? 1 : 3));
+
+function Panel({ metric, sweep, col, row, logY }) {
+  const { param, points, limits, current } = sweep;
+  const ox = col * PANEL.w + PAD.l;
+  const oy = row * PANEL.h + PAD.t;
+  const pw = PANEL.w - PAD.l - PAD.r;
+  const ph = PANEL.h - PAD.t - PAD.b;
+
+  const values = points.map(p => p[metric.id]).filter(v => Number.isFinite(v) && (!logY || v > 0));
+  const limit = limits[metric.id] ?? null;
+  const yHi = Math.max(0, ...values, limit ?? 0) * (logY ? 2 : 1.1) || 1;
+  const yLo = logY ? Math.min(yHi / 4, ...values, limit ?? Infinity) / 2 : 0;
+  const yOf = v => oy + ph - (logY ? Math.log(v / yLo) / Math.log(yHi / yLo) : v / yHi) * ph;
+
+  const xs = points.map(p => p.x);
+  const [xLo, xHi] = [xs[0], xs[xs.length - 1]];
+  const xOf = x => ox + (param.log ? Math.log(x / xLo) / Math.log(xHi / xLo) : (x - xLo) / (xHi - xLo || 1)) * pw;
+
+  const line = points.filter(p => Number.isFinite(p[metric.id]) && (!logY || p[metric.id] > 0))
+    .map(p => `${xOf(p.x).toFixed(1)},${yOf(p[metric.id]).toFixed(1)}`).join(" ");
+  // Shade the stretches where the swept value breaks the plan (duty, dwell)
+  const step = points.length > 1 ? pw / (points.length - 1) / 2 : 2;
+  const bad = points.filter(p => !p.compliant);
+
+  return (
+    <g>
+      <text x={ox} y={oy - 7} fontSize="10" fill="#8ab88a">{metric.label} ({metric.unit})</text>
+      <rect x={ox} y={oy} width={pw} height={ph} fill="none" stroke="#1e3320" />
+      {bad.map(p => (
+        <rect key={p.x} x={Math.max(ox, xOf(p.x) - step)} y={oy} height={ph}
+          width={Math.min(2 * step, ox + pw - Math.max(ox, xOf(p.x) - step))} fill="#e05050" opacity={0.12} />
+      ))}
+      {[yLo, logY ? Math.sqrt(yLo * yHi) : yHi / 2, yHi].map(v => (
+        <text key={v} x={ox - 4} y={yOf(v) + 3} fontSize="8" fill="#3a6a3a" textAnchor="end">{tick(v)}</text>
+      ))}
+      {limit != null && (
+        <g>
+          <line x1={ox} x2={ox + pw} y1={yOf(limit)} y2={yOf(limit)} stroke="#e05050" strokeDasharray="4 3" />
+          <text x={ox + pw - 2} y={yOf(limit) - 3} fontSize="8" fill="#e05050" textAnchor="end">
+            {metric.limitLabel} {fmt(limit, 1)} {metric.unit}
+          </text>
+        </g>
+      )}
+      {current >= xLo && current <= xHi && (
+        <line x1={xOf(current)} x2={xOf(current)} y1={oy} y2={oy + ph} stroke="#4a9aca" strokeDasharray="2 2" />
+      )}
+      <polyline points={line} fill="none" stroke="#6fcf6f" strokeWidth={1.5} />
+      {[xLo, xHi].map(x => (
+        <text key={x} x={xOf(x)} y={oy + ph + 11} fontSize="8" fill="#3a6a3a" textAnchor={x === xLo ? "start" : "end"}>{x}</text>
+      ))}
+      <text x={ox + pw / 2} y={oy + ph + 11} fontSize="8" fill="#3a6a3a" textAnchor="middle">
+        {param.label}{param.unit ? ` (${param.unit})` : ""}{param.log ? " · log" : ""}
+      </text>
+    </g>
+  );
+}
+
+// ─── Parameter sweep charts ───────────────────────────────────────────────
+// inputs: the same object the calculator passes to evaluateConfig
+export default function SweepCharts({ inputs }) {
+  const [paramId, setParamId] = useState("payload");
+  const [logY, setLogY] = useState(false);
+  const svgRef = useRef(null);
+  const sweep = sweepConfig(inputs, paramId);
+  const fileName = `jumbo-shoo-sweep-${paramId}`;
+
+  function save(blob, ext) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${fileName}.${ext}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  const svgText = () => new XMLSerializer().serializeToString(svgRef.current);
+
+  function exportSvg() {
+    save(new Blob([svgText()], { type: "image/svg+xml" }), "svg");
+  }
+
+  // Rasterise through an <img> at 2× for a sharp PNG
+  function exportPng() {
+    const url = URL.createObjectURL(new Blob([svgText()], { type: "image/svg+xml" }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = W * 2;
+      canvas.height = PANEL.h * 2 * 2;
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => save(blob, "png"), "image/png");
+    };
+    img.src = url;
+  }
+
+  const failing = sweep.points.filter(p => !p.compliant);
+
+  return (
+    <div className="card">
+      <div className="label">Parameter Sweep</div>
+      <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "10px" }}>
+        {SWEEP_PARAMS.map(p => (
+          <button key={p.id} className={`toggle-btn ${paramId === p.id ? "active" : ""}`} onClick={() => setParamId(p.id)}>
+            {p.label}
+          </button>
+        ))}
+        <button className={`toggle-btn ${logY ? "active" : ""}`} onClick={() => setLogY(!logY)} style={{ marginLeft: "auto" }}>
+          Log Y
+        </button>
+      </div>
+      {!sweep.available && (
+        <div className="footnote warning" style={{ marginBottom: "8px" }}>
+          {sweep.param.label} has no effect here — {sweep.param.id === "txIntervalMin"
+            ? "the mixed traffic profile sets the TX rate."
+            : "the LoRaWAN data rate sets the radio."}
+        </div>
+      )}
+
+      <svg ref={svgRef} xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${W} ${PANEL.h * 2}`}
+        width={W} height={PANEL.h * 2} fontFamily="monospace" style={{ width: "100%", height: "auto", display: "block" }}>
+        <rect width={W} height={PANEL.h * 2} fill={BG} />
+        {SWEEP_METRICS.map((m, i) => (
+          <Panel key={m.id} metric={m} sweep={sweep} col={i % 2} row={Math.floor(i / 2)} logY={logY} />
+        ))}
+      </svg>
+      <div style={{ fontSize: "11px", color: "#4a7a4a", margin: "4px 0 10px" }}>
+        <span style={{ color: "#4a9aca" }}>┆</span> current setting ·{" "}
+        <span style={{ color: "#e05050" }}>┅</span> region limit · <span style={{ color: "#e05050" }}>░</span> non-compliant
+      </div>
+
+      <div style={{ display: "flex", gap: "8px", marginBottom: "10px" }}>
+        <button className="toggle-btn" onClick={exportSvg}>⬇ SVG</button>
+        <button className="toggle-btn" onClick={exportPng}>⬇ PNG</button>
+      </div>
+      <div className="footnote">
+        {failing.length
+          ? `${failing.length} of ${sweep.points.length} points break the plan's duty or dwell limit.`
+          : `All ${sweep.points.length} points meet the plan's duty and dwell limits.`}{" "}
+        Every other input stays as set in the calculator; battery life is the full-node figure when the power budget is modelled.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import { useState } from "react";
+import { DEFAULT_TDMA, fmt, planTdma, tdmaCsv } from "../lora-engine/index.js";
+
+const SHOWN_NODES = 8;
+const LANE_COLORS = ["#9fe89f", "#4a9aca", "#e0b050"];
+// One frame drawn as a strip: occupied slots coloured by message type
+const PLOT = { w: 600, h: 16 };
+
+// ─── TDMA schedule ────────────────────────────────────────────────────────
+// messages: ArrayPlanner mix · channels: planner channel count
+export default function TdmaSchedule({ nodeCount, channels, messages, radio, region, euBand, access }) {
+  const [driftPpm, setDriftPpm] = useState(DEFAULT_TDMA.driftPpm);
+  const [resyncMin, setResyncMin] = useState(DEFAULT_TDMA.resyncMin);
+  const t = planTdma({ nodeCount, channels, messages, radio, region, euBand, access, driftPpm, resyncMin });
+
+  function downloadCsv() {
+    const blob = new Blob([tdmaCsv(t)], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `jumbo-shoo-tdma-SF${radio.sf}-BW${radio.bw}-${nodeCount}n.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  const scale = t.frame_s ? PLOT.w / t.frame_s : 0;
+  // Strip shows one slot of each type per window; minimum width keeps short slots visible
+  const slotW = l => Math.max(0.6, l.slot_s * scale);
+
+  return (
+    <div className="card">
+      <div className="label">TDMA Schedule — scheduled traffic</div>
+      <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "12px" }}>
+        Heartbeat, status and ping in fixed slots, one window per node per frame. Guard time covers clock drift between resyncs.
+      </div>
+      <div className="input-row">
+        <div>
+          <div className="label">Clock drift (ppm)</div>
+          <input type="number" min={0} max={200} value={driftPpm}
+            onChange={e => setDriftPpm(Math.min(200, Math.max(0, +e.target.value || 0)))} />
+        </div>
+        <div>
+          <div className="label">Resync every (min)</div>
+          <input type="number" min={1} max={1440} value={resyncMin}
+            onChange={e => setResyncMin(Math.min(1440, Math.max(1, +e.target.value || 1)))} />
+        </div>
+      </div>
+
+      {t.frame_s == null ? (
+        <div className="footnote">No scheduled message types — set a heartbeat, status or ping interval above.</div>
+      ) : (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "12px", margin: "6px 0 12px" }}>
+            <div>
+              <div className="label">Frame</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={t.fits ? "good" : "danger"}>
+                {fmt(t.utilisation_pct, 1)}%
+              </div>
+              <div className="value-unit">of {fmt(t.frame_s / 60, 1)} min used · {t.per_channel} windows of {fmt(t.window_s, 2)} s</div>
+            </div>
+            <div>
+              <div className="label">Guard per slot</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif", color: "#4a9aca" }}>
+                {fmt(t.guard_s * 1000, 0)} ms
+              </div>
+              <div className="value-unit">2 × {driftPpm} ppm × {resyncMin} min</div>
+            </div>
+            <div>
+              <div className="label">Node duty</div>
+              <div style={{ fontSize: "20px", fontFamily: "'Instrument Serif', serif" }} className={t.duty_ok && t.rearm_ok ? "good" : "danger"}>
+                {fmt(t.node_duty_pct, 3)}%
+              </div>
+              <div className="value-unit">
+                {t.node_duty_limit != null ? `of ${t.node_duty_limit}%` : "no duty limit"}
+                {t.rearm_checked ? ` · re-arm ${t.rearm_ok ? "ok" : "VIOLATED"}` : ""}
+              </div>
+            </div>
+          </div>
+
+          <svg viewBox={`0 0 ${PLOT.w} ${PLOT.h + 12}`} style={{ width: "100%", display: "block", marginBottom: "4px" }}>
+            <rect x={0} y={0} width={PLOT.w} height={PLOT.h} fill="#0f1f10" />
+            {Array.from({ length: t.per_channel }, (_, w) => t.lanes.map(l => (
+              <rect key={`${w}-${l.id}`} x={((w * t.window_s + l.start_s) * scale).toFixed(2)} y={0}
+                width={slotW(l).toFixed(2)} height={PLOT.h} fill={LANE_COLORS[t.lanes.indexOf(l) % LANE_COLORS.length]} />
+            )))}
+            <text x={0} y={PLOT.h + 10} fontSize="8" fill="#3a6a3a">0 s</text>
+            <text x={PLOT.w} y={PLOT.h + 10} fontSize="8" fill="#3a6a3a" textAnchor="end">{fmt(t.frame_s, 0)} s</text>
+          </svg>
+          <div style={{ fontSize: "11px", color: "#4a7a4a", marginBottom: "10px" }}>
+            {t.lanes.map((l, k) => (
+              <span key={l.id} style={{ marginRight: "10px" }}>
+                <span style={{ color: LANE_COLORS[k % LANE_COLORS.length] }}>█</span> {l.label} {fmt(l.slot_s * 1000, 0)} ms
+                {l.retimed ? ` (every ${fmt(l.interval_s / 60, 1)} min)` : ""}
+              </span>
+            ))}
+          </div>
+
+          {t.retimed.length > 0 && (
+            <div className="warning" style={{ fontSize: "12px", marginBottom: "10px" }}>
+              Intervals are whole frames:{" "}
+              {t.retimed.map(r => `${r.label} ${fmt(r.requested_s / 60, 1)} → ${fmt(r.interval_s / 60, 1)} min`).join(", ")}.
+              Node duty counts the scheduled rate.
+            </div>
+          )}
+          {!t.fits && (
+            <div className="danger" style={{ fontSize: "12px", marginBottom: "10px" }}>
+              One window is {fmt(t.window_s, 2)} s but the slots need {fmt(t.slots_s, 2)} s — fewer nodes per channel, more channels or a
+              longer interval.
+            </div>
+          )}
+          {t.fits && !t.rearm_ok && (
+            <div className="danger" style={{ fontSize: "12px", marginBottom: "10px" }}>
+              A node's next slot comes {fmt(-t.min_slack_s, 1)} s before its re-arm time is over — its messages are too close
+              together for the {t.node_duty_limit}% duty cycle.
+            </div>
+          )}
+
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", marginBottom: "10px" }}>
+            <tbody>
+              {[
+                ["Free for detections", `${fmt(t.free_pct, 1)}% of the channel · ${fmt(t.free_s_per_hour, 0)} s / hr`],
+                ["Expected detections", t.event_toa != null
+                  ? `${fmt(t.event_s_per_hour, 1)} s / hr per channel — ${t.events_fit ? "fits" : "DOES NOT FIT"} the gaps`
+                  : "none"],
+                ["Detection capacity", t.event_toa != null
+                  ? `${fmt(t.channel_events_per_hour, 0)} / hr per channel${t.node_events_per_hour != null
+                    ? ` · ${fmt(t.node_events_per_hour, 0)} / hr per node (duty left)` : ""}`
+                  : "—"],
+              ].map(([label, value]) => (
+                <tr key={label} style={{ borderBottom: "1px solid #1a2e1c" }}>
+                  <td style={{ padding: "4px 0", color: "#5a8a5a" }}>{label}</td>
+                  <td style={{ padding: "4px 0", textAlign: "right", color: "#8ab88a" }}>{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", marginBottom: "10px" }}>
+            <thead>
+              <tr style={{ borderBottom: "1px solid #2d4a30" }}>
+                {["Node", "Ch", ...t.lanes.map(l => `${l.label} offset`)].map(h => (
+                  <th key={h} style={{ padding: "4px 5px", color: "#3a6a3a", textAlign: "left", fontWeight: "normal" }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {t.nodes.slice(0, SHOWN_NODES).map(nd => (
+                <tr key={nd.id} style={{ borderBottom: "1px solid #1a2e1c", color: "#8ab88a" }}>
+                  <td style={{ padding: "5px 5px" }}>#{nd.id}</td>
+                  <td style={{ padding: "5px 5px" }}>{nd.channel}</td>
+                  {nd.slots.map(s => (
+                    <td key={s.id} style={{ padding: "5px 5px" }}>{s.offset_s.toFixed(3)} s</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ display: "flex", gap: "8px", marginBottom: "10px", alignItems: "center" }}>
+            <button className="toggle-btn" onClick={downloadCsv}>⬇ Slot table CSV</button>
+            {t.nodes.length > SHOWN_NODES && (
+              <span style={{ fontSize: "11px", color: "#4a7a4a" }}>first {SHOWN_NODES} of {t.nodes.length} nodes shown</span>
+            )}
+          </div>
+          <div className="footnote">
+            Offsets count from a shared epoch (e.g. the top of the hour) and each message repeats every interval; intervals
+            are rounded to whole frames. Detections stay event-driven and need CAD / backoff in the free time.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
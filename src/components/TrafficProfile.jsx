@@ -0,0 +1,46 @@
+// ─── Mixed traffic profile editor ─────────────────────────────────────────
+// Each preset is a stream with its own interval or events/day rate. All
+// streams share the RF parameters above; only the payload differs.
+export default function TrafficProfile({ streams, onChange }) {
+  const update = (id, field, value) =>
+    onChange(streams.map(s => s.id === id ? { ...s, [field]: value } : s));
+
+  return (
+    <div className="card">
+      <div className="label">Traffic Profile</div>
+      <div style={{ display: "flex", flexDirection: "column", gap: "10px" }}>
+        {streams.map(s => (
+          <div key={s.id} style={{ opacity: s.enabled ? 1 : 0.5 }}>
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: "5px" }}>
+              <span style={{ fontSize: "12px", color: "#8ab88a" }}>{s.label}</span>
+              <button className={`toggle-btn ${s.enabled ? "active" : ""}`}
+                onClick={() => update(s.id, "enabled", !s.enabled)}>
+                {s.enabled ? "ON" : "OFF"}
+              </button>
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1.3fr 1fr", gap: "6px" }}>
+              <input type="number" min={1} max={255} value={s.payload} title="Payload (bytes)"
+                disabled={!s.enabled}
+                onChange={e => update(s.id, "payload", +e.target.value)} />
+              <select value={s.mode} disabled={!s.enabled}
+                onChange={e => update(s.id, "mode", e.target.value)}>
+                <option value="interval">every (min)</option>
+                <option value="rate">events / day</option>
+              </select>
+              {s.mode === "interval" ? (
+                <input type="number" min={0.5} step={0.5} value={s.intervalMin} disabled={!s.enabled}
+                  onChange={e => update(s.id, "intervalMin", +e.target.value)} />
+              ) : (
+                <input type="number" min={0} step={1} value={s.eventsPerDay} disabled={!s.enabled}
+                  onChange={e => update(s.id, "eventsPerDay", +e.target.value)} />
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="footnote" style={{ marginTop: "10px" }}>
+        Payload (bytes) · schedule. Duty cycle and battery use the combined daily airtime, averaged per hour.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import { useState } from "react";
+import { DEFAULT_BURST, fmt, simulateHour } from "../lora-engine/index.js";
+
+const W = 600;
+const LANE = { top: 6, h: 26 };         // TX bars, lockouts, blocked marks
+const BUDGET = { top: 44, h: 44 };      // rolling-hour duty usage
+const AXIS_Y = 100;
+const MIN_BAR_PX = 1.5;
+
+const clock = t => `${Math.floor(t / 60)}:${String(Math.floor(t % 60)).padStart(2, "0")}`;
+
+// TX bars, re-arm shading and blocked marks over [from, to] seconds
+function Lane({ sim, from, to }) {
+  const { top: y, h } = LANE;
+  const x = t => ((t - from) / (to - from)) * W;
+  const visible = sim.events.filter(e => (e.lockout_end_s ?? e.t_s + e.toa_s) >= from && e.t_s <= to);
+  return (
+    <g>
+      {visible.filter(e => e.sent && sim.rearm_s > 0).map(e => (
+        <rect key={`l${e.t_s}${e.kind}`} x={x(e.t_s)} y={y} height={h}
+          width={Math.max(0, Math.min(x(e.lockout_end_s), W) - x(e.t_s))} fill="#f0a060" opacity={0.18} />
+      ))}
+      {visible.filter(e => e.sent).map(e => (
+        <rect key={`t${e.t_s}${e.kind}`} x={x(e.t_s)} y={y} height={h}
+          width={Math.max(MIN_BAR_PX, x(e.t_s + e.toa_s) - x(e.t_s))}
+          fill={e.kind === "burst" ? "#4a9aca" : "#6fcf6f"} />
+      ))}
+      {visible.filter(e => !e.sent).map(e => (
+        <g key={`b${e.t_s}`} stroke="#e05050" strokeWidth={1.5}>
+          <line x1={x(e.t_s) - 3} x2={x(e.t_s) + 3} y1={y + h / 2 - 3} y2={y + h / 2 + 3} />
+          <line x1={x(e.t_s) - 3} x2={x(e.t_s) + 3} y1={y + h / 2 + 3} y2={y + h / 2 - 3} />
+        </g>
+      ))}
+    </g>
+  );
+}
+
+// ─── One-hour TX timeline ─────────────────────────────────────────────────
+// Same inputs as Duty Cycle Analysis: ToA, TX per hour and the duty limit.
+// lbtAfa: hourly TX-on cap only, no per-packet re-arm.
+export default function TxTimeline({ airtime, txPerHour, dutyLimit, lbtAfa, bandId }) {
+  const [burst, setBurst] = useState(DEFAULT_BURST);
+  const setB = (key, lo, hi) => e => setBurst(b => ({ ...b, [key]: Math.min(hi, Math.max(lo, +e.target.value || 0)) }));
+
+  const sim = simulateHour({
+    airtime, interval_s: txPerHour > 0 ? 3600 / txPerHour : Infinity, duty_limit: dutyLimit, rearm: !lbtAfa, burst,
+  });
+  const x = t => (t / 3600) * W;
+  const peakPct = Math.max(dutyLimit ?? 0, ...sim.budget.map(b => b.used_pct)) * 1.1 || 1;
+  const by = pct => BUDGET.top + BUDGET.h - (pct / peakPct) * BUDGET.h;
+  const budgetLine = sim.budget.map(b => `${x(b.t_s).toFixed(1)},${by(b.used_pct).toFixed(1)}`).join(" ");
+
+  // Zoomed strip around the burst, long enough to show one re-arm after it
+  const burstStart = burst.at_min * 60;
+  const zoomFrom = Math.max(0, burstStart - Math.max(10, sim.rearm_s * 0.25));
+  const zoomTo = Math.min(3600, burstStart + (burst.count - 1) * burst.spacing_s + Math.max(20, sim.rearm_s * 1.25));
+  const zoomTicks = Array.from({ length: 5 }, (_, i) => zoomFrom + ((zoomTo - zoomFrom) * i) / 4);
+  const blockedBy = reason => sim.events.filter(e => e.kind === "burst" && e.reason === reason).length;
+
+  return (
+    <div className="card">
+      <div className="label">One-Hour TX Timeline{lbtAfa ? " (LBT+AFA)" : ` (${bandId})`}</div>
+      <div className="input-row">
+        <div>
+          <div className="label">Burst events</div>
+          <input type="number" min={0} max={50} value={burst.count} onChange={setB("count", 0, 50)} />
+        </div>
+        <div>
+          <div className="label">At minute</div>
+          <input type="number" min={0} max={59} value={burst.at_min} onChange={setB("at_min", 0, 59)} />
+        </div>
+        <div>
+          <div className="label">Spacing (s)</div>
+          <input type="number" min={0} step={1} value={burst.spacing_s} onChange={setB("spacing_s", 0, 3600)} />
+        </div>
+      </div>
+
+      <svg viewBox={`0 0 ${W} ${AXIS_Y + 8}`} style={{ width: "100%", display: "block" }}>
+        <Lane sim={sim} from={0} to={3600} />
+        {dutyLimit != null && (
+          <line x1={0} x2={W} y1={by(dutyLimit)} y2={by(dutyLimit)} stroke="#e05050" strokeDasharray="4 3" />
+        )}
+        <polyline points={budgetLine} fill="none" stroke="#9fe89f" strokeWidth={1.5} />
+        <rect x={x(zoomFrom)} y={LANE.top - 2} width={Math.max(2, x(zoomTo) - x(zoomFrom))} height={LANE.h + 4}
+          fill="none" stroke="#3a6a3a" strokeDasharray="2 2" />
+        {[0, 10, 20, 30, 40, 50, 60].map(m => (
+          <text key={m} x={Math.min(x(m * 60), W - 18)} y={AXIS_Y + 6} fontSize="8" fill="#3a6a3a">{m}:00</text>
+        ))}
+      </svg>
+      <div style={{ fontSize: "11px", color: "#4a7a4a", margin: "2px 0 10px" }}>
+        <span style={{ color: "#6fcf6f" }}>█</span> scheduled · <span style={{ color: "#4a9aca" }}>█</span> burst sent ·{" "}
+        <span style={{ color: "#e05050" }}>✕</span> blocked{sim.rearm_s > 0 ? <> · <span style={{ color: "#f0a060" }}>░</span> re-arm lockout</> : null} ·{" "}
+        <span style={{ color: "#9fe89f" }}>━</span> rolling-hour duty{dutyLimit != null ? ` vs ${dutyLimit}% limit` : ""}
+      </div>
+
+      <div className="label">Burst close-up {clock(zoomFrom)}–{clock(zoomTo)}</div>
+      <svg viewBox={`0 0 ${W} ${LANE.h + 22}`} style={{ width: "100%", display: "block" }}>
+        <Lane sim={sim} from={zoomFrom} to={zoomTo} />
+        {zoomTicks.map(t => (
+          <text key={t} x={Math.min(((t - zoomFrom) / (zoomTo - zoomFrom)) * W, W - 24)} y={LANE.h + 18} fontSize="8" fill="#3a6a3a">
+            {clock(t)}
+          </text>
+        ))}
+      </svg>
+
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", marginTop: "8px" }}>
+        <tbody>
+          {[
+            ["Time on air", `${fmt(sim.toa_s * 1000, 1)} ms`],
+            ["Re-arm after each packet", sim.rearm_s > 0 ? `${fmt(sim.rearm_s, 1)} s (ToA ÷ ${dutyLimit}%)` : "none"],
+            ["Hourly airtime budget", Number.isFinite(sim.budget_s) ? `${fmt(sim.budget_s, 1)} s` : "no limit"],
+            ["Burst", burst.count ? `${sim.burst_sent} of ${burst.count} sent · ${blockedBy("rearm")} blocked by re-arm · ${blockedBy("budget")} by hourly budget` : "—"],
+          ].map(([label, value]) => (
+            <tr key={label} style={{ borderBottom: "1px solid #1a2e1c" }}>
+              <td style={{ padding: "4px 0", color: "#5a8a5a" }}>{label}</td>
+              <td style={{ padding: "4px 0", textAlign: "right", color: "#8ab88a" }}>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="footnote" style={{ marginTop: "8px" }}>
+        The previous hour ran the same schedule, so the rolling budget starts at its steady level. Blocked events are dropped, not queued —
+        a detection inside the lockout cannot go out until the re-arm time after the last packet has passed.
+      </div>
+    </div>
+  );
+}
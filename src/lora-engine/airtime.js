@@ -0,0 +1,28 @@
+// ─── LoRa Airtime Formula (Semtech AN1200.13) ──────────────────────────────
+export function calcAirtime({ sf, bw, preamble, payloadBytes, cr, crc, explicitHeader, lowDROptimize }) {
+  const DE = lowDROptimize ? 1 : 0;
+  // SF6 on SX1276/RFM95W requires implicit header mode — explicit header not supported at SF6
+  const IH = (sf === 6 || !explicitHeader) ? 1 : 0;
+  const CRC = crc ? 1 : 0;
+  const t_sym = (Math.pow(2, sf) / bw) * 1000; // ms
+  const t_preamble = (preamble + 4.25) * t_sym;
+  const inner = (8 * payloadBytes - 4 * sf + 28 + 16 * CRC - 20 * IH);
+  const payload_sym_nb = 8 + Math.max(Math.ceil(inner / (4 * (sf - 2 * DE))) * (cr + 4), 0);
+  const t_payload = payload_sym_nb * t_sym;
+  return t_preamble + t_payload; // ms
+}
+
+// Symbol duration in ms — bw in kHz
+export function symbolTime(sf, bw) {
+  return Math.pow(2, sf) / bw;
+}
+
+// Low data rate optimisation is mandatory once Tsym exceeds 16 ms
+export function ldroRequired(sf, bw) {
+  return symbolTime(sf, bw) > 16;
+}
+
+// Effective bitrate in kbps — bw in kHz, cr as the N in 4/(4+N)
+export function effectiveBitrate(sf, bw, cr) {
+  return sf * (4 / (4 + cr)) * bw * 1000 / Math.pow(2, sf) / 1000;
+}
@@ -0,0 +1,154 @@
+import { calcAirtime } from "./airtime.js";
+import { accessRules, bandWidth_kHz, regionBand } from "./regions.js";
+import { DEFAULT_TRAFFIC } from "./traffic.js";
+
+// ─── Multi-sensor array planner ───────────────────────────────────────────
+// Pure-ALOHA model: nodes transmit independently (Poisson arrivals) and are
+// spread evenly over `channels` non-overlapping channels at the same SF/BW.
+// A packet of duration Ti survives if no other node starts a packet of
+// duration Tj within the vulnerable window (Ti + Tj):
+//   P(success_i) = exp(−Σj λj · (Ti + Tj))   λj = other nodes' rate per channel
+// radio: { sf, bw (kHz), cr, preamble, crc, explicitHeader, ldrOptimize }
+// messages: [{ id, label, payload, intervalMin }] — intervalMin 0 = disabled
+export function planArray({ nodeCount, channels = 1, messages, radio, region, euBand, access = "duty" }) {
+  const n = Math.max(1, Math.floor(nodeCount));
+  const ch = Math.max(1, Math.floor(channels));
+
+  const streams = messages.map(m => {
+    const toa = calcAirtime({
+      sf: radio.sf, bw: radio.bw * 1000, preamble: radio.preamble, payloadBytes: m.payload,
+      cr: radio.cr, crc: radio.crc, explicitHeader: radio.explicitHeader,
+      lowDROptimize: radio.ldrOptimize,
+    });
+    const per_node_per_hour = m.intervalMin > 0 ? 60 / m.intervalMin : 0;
+    return {
+      ...m, toa, per_node_per_hour,
+      array_per_hour: per_node_per_hour * n,
+      // arrivals/s on one channel from the other n − 1 nodes
+      lambda_other: (per_node_per_hour * (n - 1)) / 3600 / ch,
+    };
+  });
+
+  for (const s of streams) {
+    const exponent = streams.reduce((sum, o) => sum + o.lambda_other * (s.toa + o.toa) / 1000, 0);
+    s.p_success = Math.exp(-exponent);
+    s.p_collision = 1 - s.p_success;
+  }
+
+  // Offered load in Erlang — fraction of time one channel carries a packet
+  const airtime_per_hour_s = streams.reduce((sum, s) => sum + s.array_per_hour * s.toa / 1000, 0);
+  const channel_load = airtime_per_hour_s / 3600 / ch;
+
+  const total_per_hour = streams.reduce((sum, s) => sum + s.array_per_hour, 0);
+  const delivery_ratio = total_per_hour > 0
+    ? streams.reduce((sum, s) => sum + s.array_per_hour * s.p_success, 0) / total_per_hour
+    : 1;
+
+  // Each node still has to meet its own regulatory budget
+  const node_duty_pct = streams.reduce((sum, s) => sum + s.per_node_per_hour * s.toa / 3_600_000 * 100, 0);
+  const { duty, dwell_ms } = accessRules(region, euBand, access);
+  const node_compliant = (duty == null || node_duty_pct <= duty)
+    && (dwell_ms == null || streams.every(s => s.per_node_per_hour === 0 || s.toa <= dwell_ms));
+
+  return {
+    nodeCount: n, channels: ch, streams,
+    total_per_hour, airtime_per_hour_s,
+    channel_load,
+    channel_load_pct: channel_load * 100,
+    aggregate_load_pct: airtime_per_hour_s / 3600 * 100,
+    delivery_ratio,
+    node_duty_pct, node_duty_limit: duty, node_dwell_ms: dwell_ms, node_compliant,
+    // Pure ALOHA throughput peaks at G = 0.5 (18.4%) — beyond that more load delivers less
+    saturated: channel_load > 0.5,
+  };
+}
+
+// ─── Channel staggering ───────────────────────────────────────────────────
+// Splits the sub-band into equal slots of bw / (1 − guard) and centres one
+// channel in each — guard 20% is the W2 margin applied per channel, 0% packs
+// channels edge to edge (g3 at BW125: one channel with guard, two without).
+export const DEFAULT_GUARD_PCT = 20;
+const MAX_CHANNELS = 64;
+
+const roundMHz = f => Math.round(f * 1e4) / 1e4;
+
+export function channelRaster({ band, bw, guardPct = DEFAULT_GUARD_PCT }) {
+  const width_kHz = bandWidth_kHz(band);
+  const slot_kHz = bw / (1 - guardPct / 100);
+  const count = Math.min(MAX_CHANNELS, Math.floor(width_kHz / slot_kHz + 1e-9));
+  const first_kHz = band.low_MHz * 1000 + (width_kHz - count * slot_kHz) / 2 + slot_kHz / 2;
+  return {
+    width_kHz, slot_kHz, guard_kHz: slot_kHz - bw, count,
+    edge_to_edge: Math.min(MAX_CHANNELS, Math.floor(width_kHz / bw + 1e-9)),
+    channels: Array.from({ length: count }, (_, i) => {
+      const center_MHz = (first_kHz + i * slot_kHz) / 1000;
+      return {
+        index: i, center_MHz: roundMHz(center_MHz),
+        low_MHz: roundMHz(center_MHz - bw / 2000), high_MHz: roundMHz(center_MHz + bw / 2000),
+      };
+    }),
+  };
+}
+
+// Event-driven streams (detections) cannot be scheduled, so only the others are staggered
+const EVENT_STREAMS = DEFAULT_TRAFFIC.filter(s => s.mode === "rate").map(s => s.id);
+export const isEventStream = m => EVENT_STREAMS.includes(m.id);
+export const scheduledMessages = messages => messages.filter(m => m.intervalMin > 0 && !isEventStream(m));
+
+// Node IDs go round-robin over the channels, so neighbouring IDs (usually
+// neighbouring sensors, the ones most likely to co-trigger) never share one.
+// Nodes on a channel get evenly spaced time offsets within the shortest
+// scheduled interval. Per-channel collisions use the pure-ALOHA model above —
+// the worst case once clock drift has smeared the offsets.
+export function allocateChannels({
+  nodeCount, messages, radio, region, euBand, access = "duty", guardPct = DEFAULT_GUARD_PCT, firstId = 1,
+}) {
+  const band = regionBand(region, euBand);
+  const raster = channelRaster({ band, bw: radio.bw, guardPct });
+  const n = Math.max(1, Math.floor(nodeCount));
+  const ch = raster.count;
+
+  const scheduled = scheduledMessages(messages);
+  const cycle_s = scheduled.length ? Math.min(...scheduled.map(m => m.intervalMin)) * 60 : null;
+  const perChannel = Array.from({ length: ch }, (_, c) => Math.floor(n / ch) + (c < n % ch ? 1 : 0));
+
+  const nodes = ch ? Array.from({ length: n }, (_, i) => {
+    const c = i % ch;
+    const slot = Math.floor(i / ch);
+    return {
+      id: firstId + i, channel: c, center_MHz: raster.channels[c].center_MHz,
+      offset_s: cycle_s != null ? Math.round((slot * cycle_s / perChannel[c]) * 10) / 10 : 0,
+    };
+  }) : [];
+
+  const channels = raster.channels.map((c, i) => {
+    if (!perChannel[i]) return { ...c, nodes: 0, airtime_per_hour_s: 0, load_pct: 0, p_collision: 0, node_duty_pct: 0, saturated: false };
+    const plan = planArray({ nodeCount: perChannel[i], channels: 1, messages, radio, region, euBand, access });
+    return {
+      ...c, nodes: perChannel[i],
+      airtime_per_hour_s: plan.airtime_per_hour_s,
+      load_pct: plan.channel_load_pct,
+      p_collision: 1 - plan.delivery_ratio,
+      node_duty_pct: plan.node_duty_pct,
+      saturated: plan.saturated,
+    };
+  });
+
+  // Staggered slots must be at least one packet long or scheduled packets still overlap
+  const busiest = Math.max(0, ...perChannel);
+  const slot_s = cycle_s != null && busiest > 0 ? cycle_s / busiest : null;
+  const longest_toa = Math.max(0, ...planArray({ nodeCount: 1, messages: scheduled, radio, region, euBand, access })
+    .streams.map(st => st.toa));
+
+  return {
+    band, raster, nodes, channels, cycle_s, slot_s,
+    longest_toa,
+    slots_ok: slot_s == null || slot_s * 1000 >= longest_toa,
+    fits: ch > 0,
+  };
+}
+
+// node_id,channel,center_MHz,offset_s — one row per node
+export function allocationCsv({ nodes }) {
+  return ["node_id,channel,center_MHz,offset_s", ...nodes.map(nd => `${nd.id},${nd.channel},${nd.center_MHz},${nd.offset_s}`)].join("\n") + "\n";
+}
@@ -0,0 +1,120 @@
+// ─── Battery chemistries ──────────────────────────────────────────────────
+// Typical cells for a field sensor, from manufacturer datasheets (values are
+// representative, not a specific part):
+//   capacity_mAh    — rated capacity at low drain, 20–25 °C, to cutoff_V
+//   selfDischarge   — % of remaining charge lost per year at 20 °C
+//   maxPulse_mA     — pulse current the cell sustains above cutoff at 20 °C
+//   capacityVsTemp  — [°C, usable fraction] at low drain
+//   discharge       — [depth of discharge, V] at low drain (whole pack)
+// Li-ion and LiFePO4 self-discharge includes a typical protection circuit.
+export const BATTERY_CHEMISTRIES = [
+  {
+    id: "lisocl2", label: "Li-SOCl₂ bobbin (AA)",
+    nominal_V: 3.6, cutoff_V: 2.0, capacity_mAh: 2600, selfDischarge: 1, maxPulse_mA: 100,
+    capacityVsTemp: [[-40, 0.55], [-20, 0.75], [0, 0.9], [20, 1], [60, 0.95], [85, 0.85]],
+    discharge: [[0, 3.67], [0.05, 3.6], [0.5, 3.55], [0.85, 3.45], [0.95, 3.3], [0.98, 3.0], [1, 2.0]],
+  },
+  {
+    id: "lifepo4", label: "LiFePO₄ (18650)",
+    nominal_V: 3.2, cutoff_V: 2.5, capacity_mAh: 1500, selfDischarge: 25, maxPulse_mA: 4500,
+    capacityVsTemp: [[-20, 0.55], [0, 0.8], [25, 1], [45, 1], [60, 0.95]],
+    discharge: [[0, 3.45], [0.05, 3.3], [0.5, 3.25], [0.9, 3.15], [0.97, 2.9], [1, 2.5]],
+  },
+  {
+    id: "liion", label: "Li-ion (18650)",
+    nominal_V: 3.7, cutoff_V: 3.0, capacity_mAh: 3000, selfDischarge: 30, maxPulse_mA: 5000,
+    capacityVsTemp: [[-20, 0.5], [0, 0.8], [25, 1], [45, 0.97], [60, 0.9]],
+    discharge: [[0, 4.2], [0.1, 4.0], [0.3, 3.85], [0.5, 3.7], [0.7, 3.6], [0.85, 3.5], [0.95, 3.3], [1, 3.0]],
+  },
+  {
+    id: "alkaline", label: "Alkaline (3 × AA)",
+    nominal_V: 4.5, cutoff_V: 2.7, capacity_mAh: 2500, selfDischarge: 3, maxPulse_mA: 500,
+    capacityVsTemp: [[-20, 0.15], [0, 0.55], [20, 1], [45, 1], [55, 0.95]],
+    discharge: [[0, 4.8], [0.1, 4.35], [0.3, 4.05], [0.5, 3.75], [0.7, 3.45], [0.85, 3.15], [1, 2.7]],
+  },
+];
+
+// Self-discharge doubles for every 10 °C above 20 °C (Arrhenius rule of thumb)
+const SELF_DISCHARGE_REF_C = 20;
+const SELF_DISCHARGE_DOUBLING_C = 10;
+const CURVE_POINTS = 48;
+const CURVE_MAX_DAYS = 20 * 365;
+
+// chemistry "ideal" keeps the plain capacity / load estimate. Day and night
+// temperatures are weighted by dayHours; minVoltage_V is the node's brown-out
+// voltage (0 = the chemistry's own cutoff).
+export const DEFAULT_BATTERY_MODEL = {
+  chemistry: "ideal", tempDay_C: 35, tempNight_C: 15, dayHours: 12, minVoltage_V: 0,
+};
+
+export const batteryChemistry = id => BATTERY_CHEMISTRIES.find(c => c.id === id) ?? null;
+
+// Piecewise-linear lookup in [x, y] pairs, clamped at both ends
+function interp(table, x) {
+  if (x <= table[0][0]) return table[0][1];
+  for (let i = 1; i < table.length; i++) {
+    const [x1, y1] = table[i];
+    if (x <= x1) {
+      const [x0, y0] = table[i - 1];
+      return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+    }
+  }
+  return table[table.length - 1][1];
+}
+
+// Depth of discharge at which the pack falls to volts (discharge is monotonic)
+function depthAt(discharge, volts) {
+  return interp(discharge.map(([d, v]) => [-v, d]), -volts);
+}
+
+// ─── Projected battery life ───────────────────────────────────────────────
+// Load is a constant mAh/day; self-discharge removes a fraction of what is
+// left, so remaining charge C follows dC/dt = −load − k·C. Cold limits the
+// usable capacity and the pulse current; heat speeds up self-discharge.
+// peak_mA: highest current the node draws in one pulse (TX).
+export function calcBatteryLife({ batteryModel, battCapacity, load_mAh_per_day, peak_mA }) {
+  const m = { ...DEFAULT_BATTERY_MODEL, ...batteryModel };
+  const chem = batteryChemistry(m.chemistry);
+  if (!chem) return null;
+  const dayShare = m.dayHours / 24;
+  const weighted = f => dayShare * f(m.tempDay_C) + (1 - dayShare) * f(m.tempNight_C);
+  const coldest_C = Math.min(m.tempDay_C, m.tempNight_C);
+
+  const temp_factor = weighted(t => interp(chem.capacityVsTemp, t));
+  const min_V = Math.max(chem.cutoff_V, m.minVoltage_V);
+  const usable_frac = depthAt(chem.discharge, min_V);
+  const available_mAh = battCapacity * temp_factor;
+  const usable_mAh = available_mAh * usable_frac;
+
+  const accel = weighted(t => 2 ** ((t - SELF_DISCHARGE_REF_C) / SELF_DISCHARGE_DOUBLING_C));
+  const self_discharge_pct_per_year = chem.selfDischarge * accel;
+  const k = -Math.log(1 - Math.min(self_discharge_pct_per_year, 99.9) / 100) / 365;   // per day
+  const L = load_mAh_per_day;
+
+  const life_days = L <= 0 ? Infinity : k > 0 ? Math.log(1 + (k * usable_mAh) / L) / k : usable_mAh / L;
+  const remainingAt = t => (k > 0 ? (usable_mAh + L / k) * Math.exp(-k * t) - L / k : usable_mAh - L * t);
+  const span = Math.min(life_days, CURVE_MAX_DAYS);
+  const curve = Array.from({ length: CURVE_POINTS + 1 }, (_, i) => {
+    const day = (span * i) / CURVE_POINTS;
+    const remaining_mAh = Math.max(0, remainingAt(day));
+    return {
+      day, remaining_mAh,
+      remaining_pct: usable_mAh > 0 ? (remaining_mAh / usable_mAh) * 100 : 0,
+      voltage_V: interp(chem.discharge, (usable_mAh - remaining_mAh) / available_mAh),
+    };
+  });
+
+  const pulse_limit_mA = chem.maxPulse_mA * Math.min(1, interp(chem.capacityVsTemp, coldest_C));
+  return {
+    ...m, label: chem.label, nominal_V: chem.nominal_V, cutoff_V: chem.cutoff_V,
+    temp_factor, min_V, usable_frac, usable_mAh,
+    self_discharge_pct_per_year,
+    self_discharge_mAh_per_day: k * usable_mAh,
+    load_mAh_per_day: L,
+    life_days,
+    ideal_days: L > 0 ? battCapacity / L : Infinity,
+    curve,
+    peak_mA, pulse_limit_mA, coldest_C,
+    pulse_ok: peak_mA <= pulse_limit_mA,
+  };
+}
@@ -0,0 +1,107 @@
+import { calcAirtime, symbolTime } from "./airtime.js";
+import { createRng, randInt } from "./random.js";
+
+// CAD ≈ 1.97 ms at SF7/BW125 (Tsym 1.024 ms) — Hoang et al. 2020, Table 1.
+// Scaled with Tsym for other SF/BW.
+export const CAD_TSYM_RATIO = 1.97 / 1.024;
+
+// ─── CAD timing for the current radio config ──────────────────────────────
+// bw in kHz. Max backoff must stay below the preamble so a deferred node
+// still catches the winner's preamble with its own CAD.
+export function cadTiming({ sf, bw, preamble, slots = 6 }) {
+  const tSym_ms = symbolTime(sf, bw);
+  const cad_ms = tSym_ms * CAD_TSYM_RATIO;
+  const preamble_ms = (preamble + 4.25) * tSym_ms;
+  const max_backoff_ms = slots * cad_ms;
+  return { tSym_ms, cad_ms, preamble_ms, max_backoff_ms, constraint_ok: max_backoff_ms < preamble_ms };
+}
+
+// ─── CAD backoff Monte Carlo — detection events ───────────────────────────
+// Each trial is one seismic event: every node triggers at a uniform random
+// time inside spreadMs and runs the firmware backoff:
+//   1. draw N in [0, slots − 1], wait N × CAD
+//   2. run CAD — busy if another node's preamble overlaps the CAD window
+//   3. busy: attempt++; below maxAttempts wait one slot and go to 1, else drop
+//   4. idle: transmit
+// CAD only detects preambles, so a node can miss a packet already in its
+// payload. Any overlap between transmissions loses both (no capture effect).
+// Latency = trigger → end of the delivered packet.
+export function simulateCadBackoff({
+  nodeCount, radio, payload, trials = 200, slots = 6, maxAttempts = 4, spreadMs = 200, seed = 1,
+}) {
+  const n = Math.max(1, Math.floor(nodeCount));
+  const rng = createRng(seed);
+  const timing = cadTiming({ sf: radio.sf, bw: radio.bw, preamble: radio.preamble, slots });
+  const { cad_ms, preamble_ms } = timing;
+  const toa = calcAirtime({
+    sf: radio.sf, bw: radio.bw * 1000, preamble: radio.preamble, payloadBytes: payload,
+    cr: radio.cr, crc: radio.crc, explicitHeader: radio.explicitHeader,
+    lowDROptimize: radio.ldrOptimize,
+  });
+
+  let delivered = 0, collided = 0, dropped = 0;
+  const latencies = [];
+  const attemptsHist = new Array(maxAttempts + 1).fill(0); // index = CAD attempts used; last = dropped
+
+  for (let trial = 0; trial < trials; trial++) {
+    const trigger = Array.from({ length: n }, () => rng() * spreadMs);
+    const attempts = new Array(n).fill(0);
+    // Time each node's pending CAD completes (Infinity = done)
+    const next = trigger.map(t => t + randInt(rng, slots) * cad_ms + cad_ms);
+    const txs = [];
+
+    for (;;) {
+      let i = -1;
+      for (let k = 0; k < n; k++) if (next[k] !== Infinity && (i < 0 || next[k] < next[i])) i = k;
+      if (i < 0) break;
+      const tc = next[i];
+      const busy = txs.some(tx => tx.start < tc && tx.start + preamble_ms > tc - cad_ms);
+      attempts[i]++;
+      if (!busy) {
+        txs.push({ node: i, start: tc, end: tc + toa, attempts: attempts[i] });
+        next[i] = Infinity;
+      } else if (attempts[i] >= maxAttempts) {
+        dropped++;
+        attemptsHist[maxAttempts]++;
+        next[i] = Infinity;
+      } else {
+        next[i] = tc + cad_ms + randInt(rng, slots) * cad_ms + cad_ms;
+      }
+    }
+
+    for (const tx of txs) {
+      const hit = txs.some(o => o !== tx && o.start < tx.end && tx.start < o.end);
+      if (hit) { collided++; continue; }
+      delivered++;
+      attemptsHist[tx.attempts - 1]++;
+      latencies.push(tx.end - trigger[tx.node]);
+    }
+  }
+
+  latencies.sort((a, b) => a - b);
+  const pct = p => latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(p * latencies.length))] : null;
+  const total = n * trials;
+
+  return {
+    ...timing, toa, nodeCount: n, trials, total,
+    delivered, collided, dropped,
+    delivery_rate: delivered / total,
+    collision_rate: collided / total,
+    drop_rate: dropped / total,
+    attemptsHist,
+    latency: {
+      min: latencies[0] ?? null, p50: pct(0.5), p90: pct(0.9), p99: pct(0.99),
+      max: latencies[latencies.length - 1] ?? null,
+      histogram: latencyHistogram(latencies, 12),
+    },
+  };
+}
+
+function latencyHistogram(sorted, bins) {
+  if (!sorted.length) return [];
+  const lo = sorted[0], hi = sorted[sorted.length - 1];
+  const width = (hi - lo) / bins || 1;
+  const counts = Array.from({ length: bins }, (_, b) => ({ from: lo + b * width, to: lo + (b + 1) * width, count: 0 }));
+  for (const v of sorted) counts[Math.min(bins - 1, Math.floor((v - lo) / width))].count++;
+  return counts;
+}
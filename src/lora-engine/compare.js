@@ -0,0 +1,63 @@
+import { evaluateConfig, evaluationInputs } from "./evaluate.js";
+import { normalizeConfig } from "./config.js";
+import { fmt } from "./format.js";
+import { getRegion, regionBand } from "./regions.js";
+
+const regionText = c => {
+  const plan = getRegion(c.region);
+  const text = plan.subBands.length > 1 ? `${plan.label} · ${regionBand(c.region, c.euBand).id}` : plan.label;
+  return c.access === "lbtafa" && plan.lbtAfa ? `${text} · LBT+AFA` : text;
+};
+
+// ─── Side-by-side design comparison ───────────────────────────────────────
+// Each row: { label, cells: [string], best: [index] }. `better` decides which
+// column is highlighted: "lower" / "higher" numeric, or null for plain info.
+const ROWS = [
+  { label: "SF / BW / CR",    text: (c, r) => `SF${r.radio.sf} / ${r.radio.bw} kHz / 4:${r.radio.cr + 4}` },
+  { label: "Payload",         text: (c, r) => r.lorawan ? `${c.payload} B app · DR${r.lorawan.dr} · ${r.air_payload} B frame` : `${c.payload} B` },
+  { label: "Region / band",   text: regionText },
+  { label: "TX power",        text: (c) => `+${c.txPower} dBm` },
+  { label: "Traffic",         text: (c, r) => r.traffic ? `Mixed · ${fmt(r.traffic.tx_per_day, 1)} / day` : `Every ${c.txIntervalMin} min` },
+  { label: "Time on air",     better: "lower",  value: (c, r) => r.airtime,             text: v => `${fmt(v, 1)} ms` },
+  { label: "Duty used / hr",  better: "lower",  value: (c, r) => r.duty_limit != null ? r.duty_pct_of_limit : null,
+    text: (v, c, r) => `${fmt(r.duty_used_per_hour, 4)}% · ${fmt(v, 1)}% of ${r.duty_limit}%` },
+  { label: "Re-arm time",     better: "lower",  value: (c, r) => r.duty_limit != null ? r.min_interval_s : null, text: v => `${fmt(v, 2)} s` },
+  { label: "Energy / TX",     better: "lower",  value: (c, r) => r.energy_mJ,           text: v => `${fmt(v, 3)} mJ` },
+  { label: "Battery (TX only)", better: "higher", value: (c, r) => r.batt_days,         text: v => v === Infinity ? "∞" : `${fmt(v, 0)} days` },
+  { label: "Battery (full node)", better: "higher", value: (c, r) => r.power?.batt_days ?? null, text: v => v === Infinity ? "∞" : `${fmt(v, 0)} days` },
+  { label: "Range",           better: "higher", value: (c, r) => r.link?.max_distance_km ?? null, text: v => `${fmt(v, 2)} km` },
+  { label: "Warnings",        better: "lower",
+    // errors weigh more than cautions so a clean-but-cautioned design still wins over a violation
+    value: (c, r) => r.warnings.reduce((s, w) => s + (w.level === "error" ? 100 : 1), 0),
+    text: (v, c, r) => r.warnings.length ? r.warnings.map(w => w.id).join(" ") : "none" },
+];
+
+// designs: [{ name, config }] — config is normalised so stored designs from
+// older versions still evaluate.
+export function compareDesigns(designs) {
+  const columns = designs.map(d => {
+    const { config } = normalizeConfig(d.config);
+    const result = evaluateConfig(evaluationInputs(config));
+    return { name: d.name, config, result };
+  });
+
+  const rows = ROWS.map(row => {
+    const values = row.value ? columns.map(col => row.value(col.config, col.result)) : null;
+    const cells = columns.map((col, i) => row.value
+      ? (values[i] == null ? "—" : row.text(values[i], col.config, col.result))
+      : row.text(col.config, col.result));
+
+    let best = [];
+    const present = values?.filter(v => v != null) ?? [];
+    if (row.better && present.length > 1 && new Set(present).size > 1) {
+      const target = row.better === "lower" ? Math.min(...present) : Math.max(...present);
+      best = values.flatMap((v, i) => v === target ? [i] : []);
+    }
+    return { label: row.label, cells, best };
+  });
+
+  return {
+    columns: columns.map(c => ({ name: c.name, compliant: c.result.compliant, warnings: c.result.warnings })),
+    rows,
+  };
+}
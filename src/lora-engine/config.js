@@ -0,0 +1,340 @@
+import { TX_POWER_OPTIONS, TX_INTERVAL_RANGE_MIN, EU_BANDS } from "./constants.js";
+import { PRESETS, DEFAULT_SCHEMA } from "./presets.js";
+import { SCHEMA_FIELD_TYPES, schemaLayout } from "./schema.js";
+import { DEFAULT_TRAFFIC } from "./traffic.js";
+import { DEFAULT_POWER, POWER_RANGES } from "./power.js";
+import { DEFAULT_LINK, LINK_RANGES, PATH_LOSS_MODELS } from "./link.js";
+import { DEFAULT_LORAWAN } from "./lorawan.js";
+import { DEFAULT_DOWNLINK } from "./downlink.js";
+import { DEFAULT_RELIABILITY } from "./per.js";
+import { BATTERY_CHEMISTRIES, DEFAULT_BATTERY_MODEL } from "./battery.js";
+import { DEFAULT_SOLAR } from "./solar.js";
+import { DEFAULT_HOPPING } from "./fhss.js";
+import { REGIONS, ACCESS_MODES, canonicalBandId } from "./regions.js";
+
+// ─── Calculator configuration — URL and JSON file format ──────────────────
+// Bump CONFIG_VERSION when a field changes meaning; add a migration in
+// configFromJson for the old version rather than rejecting it.
+export const CONFIG_VERSION = 1;
+export const TOOL_VERSION = "2.2";
+
+export const DEFAULT_CONFIG = {
+  region: "eu", preset: "heartbeat",
+  sf: 12, bw: 125, cr: 2, payload: 12, preamble: 8,
+  crc: true, explicitHeader: true, ldrManual: false,
+  txPower: 14, voltage: 3.7, txIntervalMin: 15,
+  euBand: "g3", access: "duty", battCapacity: 2000,
+  trafficMode: "single",
+  traffic: DEFAULT_TRAFFIC, power: DEFAULT_POWER, link: DEFAULT_LINK, lorawan: DEFAULT_LORAWAN,
+  schema: DEFAULT_SCHEMA, downlink: DEFAULT_DOWNLINK, reliability: DEFAULT_RELIABILITY,
+  batteryModel: DEFAULT_BATTERY_MODEL, solar: DEFAULT_SOLAR, hopping: DEFAULT_HOPPING,
+};
+
+const oneOf = values => v => values.includes(v);
+const intIn = (lo, hi) => v => Number.isInteger(v) && v >= lo && v <= hi;
+const numIn = (lo, hi) => v => Number.isFinite(v) && v >= lo && v <= hi;
+const isBool = v => typeof v === "boolean";
+
+// Scalar fields in URL order: [key, type, validator]
+const FIELDS = [
+  ["region",         "string", oneOf(REGIONS.map(r => r.id))],
+  ["preset",         "string", oneOf(Object.keys(PRESETS))],
+  ["sf",             "number", intIn(6, 12)],
+  ["bw",             "number", oneOf([125, 250, 500])],
+  ["cr",             "number", intIn(1, 4)],
+  ["payload",        "number", intIn(1, 255)],
+  ["preamble",       "number", intIn(6, 65535)],
+  ["crc",            "bool",   isBool],
+  ["explicitHeader", "bool",   isBool],
+  ["ldrManual",      "bool",   isBool],
+  ["txPower",        "number", oneOf(TX_POWER_OPTIONS)],
+  ["voltage",        "number", numIn(1.8, 5)],
+  ["txIntervalMin",  "number", numIn(...TX_INTERVAL_RANGE_MIN)],
+  ["euBand",         "string", oneOf(EU_BANDS.map(b => b.id))],
+  ["access",         "string", oneOf(ACCESS_MODES.map(m => m.id))],
+  ["battCapacity",   "number", numIn(100, 50000)],
+  ["trafficMode",    "string", oneOf(["single", "mixed"])],
+];
+
+// Nested settings travel as JSON in the URL, and only when changed
+const NESTED = ["traffic", "power", "link", "lorawan", "schema", "downlink", "reliability", "batteryModel", "solar", "hopping"];
+
+function normalizeTraffic(raw) {
+  if (!Array.isArray(raw)) return null;
+  return DEFAULT_TRAFFIC.map(def => {
+    const s = raw.find(r => r?.id === def.id) ?? {};
+    return {
+      ...def,
+      enabled: isBool(s.enabled) ? s.enabled : def.enabled,
+      mode: oneOf(["interval", "rate"])(s.mode) ? s.mode : def.mode,
+      payload: intIn(1, 255)(s.payload) ? s.payload : def.payload,
+      intervalMin: numIn(0, 100000)(s.intervalMin) ? s.intervalMin : def.intervalMin,
+      eventsPerDay: numIn(0, 100000)(s.eventsPerDay) ? s.eventsPerDay : def.eventsPerDay,
+    };
+  });
+}
+
+// Keeps only known numeric keys; model is the one string field in link.
+// Values outside the input's range (negative currents, listen over 100%,
+// zero distance, …) fall back to the default like any other invalid value.
+function normalizeNumbers(raw, defaults, ranges) {
+  if (!raw || typeof raw !== "object") return null;
+  const out = { ...defaults };
+  for (const key of Object.keys(defaults)) {
+    if (typeof defaults[key] === "number" && numIn(...ranges[key])(raw[key])) out[key] = raw[key];
+  }
+  return out;
+}
+
+function normalizeLorawan(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const d = DEFAULT_LORAWAN;
+  return {
+    enabled: isBool(raw.enabled) ? raw.enabled : d.enabled,
+    dr: intIn(0, 15)(raw.dr) ? raw.dr : d.dr,
+    fOpts: intIn(0, 15)(raw.fOpts) ? raw.fOpts : d.fOpts,
+    adr: isBool(raw.adr) ? raw.adr : d.adr,
+    confirmed: isBool(raw.confirmed) ? raw.confirmed : d.confirmed,
+    downlinksPerDay: numIn(0, 100000)(raw.downlinksPerDay) ? raw.downlinksPerDay : d.downlinksPerDay,
+  };
+}
+
+function normalizeDownlink(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const d = DEFAULT_DOWNLINK;
+  return {
+    confirmed: isBool(raw.confirmed) ? raw.confirmed : d.confirmed,
+    ackPayload: intIn(0, 255)(raw.ackPayload) ? raw.ackPayload : d.ackPayload,
+    retries: intIn(0, 15)(raw.retries) ? raw.retries : d.retries,
+    ackTimeout_ms: numIn(0, 60000)(raw.ackTimeout_ms) ? raw.ackTimeout_ms : d.ackTimeout_ms,
+    lossPct: numIn(0, 100)(raw.lossPct) ? raw.lossPct : d.lossPct,
+    commandsPerDay: numIn(0, 100000)(raw.commandsPerDay) ? raw.commandsPerDay : d.commandsPerDay,
+    commandPayload: intIn(1, 255)(raw.commandPayload) ? raw.commandPayload : d.commandPayload,
+  };
+}
+
+function normalizeReliability(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const d = DEFAULT_RELIABILITY;
+  return {
+    enabled: isBool(raw.enabled) ? raw.enabled : d.enabled,
+    rayleigh: isBool(raw.rayleigh) ? raw.rayleigh : d.rayleigh,
+    repeats: intIn(1, 8)(raw.repeats) ? raw.repeats : d.repeats,
+  };
+}
+
+function normalizeBatteryModel(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const d = DEFAULT_BATTERY_MODEL;
+  const chemistries = ["ideal", ...BATTERY_CHEMISTRIES.map(c => c.id)];
+  const temp = v => (numIn(-40, 85)(v) ? v : null);
+  return {
+    chemistry: oneOf(chemistries)(raw.chemistry) ? raw.chemistry : d.chemistry,
+    tempDay_C: temp(raw.tempDay_C) ?? d.tempDay_C,
+    tempNight_C: temp(raw.tempNight_C) ?? d.tempNight_C,
+    dayHours: numIn(0, 24)(raw.dayHours) ? raw.dayHours : d.dayHours,
+    minVoltage_V: numIn(0, 5)(raw.minVoltage_V) ? raw.minVoltage_V : d.minVoltage_V,
+  };
+}
+
+function normalizeSolar(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const d = DEFAULT_SOLAR;
+  const psh = raw.peakSunHours;
+  return {
+    enabled: isBool(raw.enabled) ? raw.enabled : d.enabled,
+    panel_W: numIn(0, 1000)(raw.panel_W) ? raw.panel_W : d.panel_W,
+    chargeEff_pct: numIn(0, 100)(raw.chargeEff_pct) ? raw.chargeEff_pct : d.chargeEff_pct,
+    latitude: numIn(-90, 90)(raw.latitude) ? raw.latitude : d.latitude,
+    peakSunHours: Array.isArray(psh) && psh.length === 12 && psh.every(numIn(0, 12)) ? psh : d.peakSunHours,
+    cloudyDays: intIn(0, 60)(raw.cloudyDays) ? raw.cloudyDays : d.cloudyDays,
+    cloudyHarvest_pct: numIn(0, 100)(raw.cloudyHarvest_pct) ? raw.cloudyHarvest_pct : d.cloudyHarvest_pct,
+  };
+}
+
+function normalizeHopping(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const d = DEFAULT_HOPPING;
+  return {
+    enabled: isBool(raw.enabled) ? raw.enabled : d.enabled,
+    firstChannel: intIn(0, 63)(raw.firstChannel) ? raw.firstChannel : d.firstChannel,
+    channels: intIn(1, 64)(raw.channels) ? raw.channels : d.channels,
+    seed: intIn(1, 2 ** 31)(raw.seed) ? raw.seed : d.seed,
+    nodes: intIn(1, 64)(raw.nodes) ? raw.nodes : d.nodes,
+    burstCount: intIn(0, 50)(raw.burstCount) ? raw.burstCount : d.burstCount,
+    burstSpacing_s: numIn(0, 3600)(raw.burstSpacing_s) ? raw.burstSpacing_s : d.burstSpacing_s,
+  };
+}
+
+// A schema is all or nothing — one bad field drops it, so the payload never
+// silently changes size
+function normalizeSchema(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.fields)) return null;
+  const fields = raw.fields.map(f => ({
+    name: typeof f?.name === "string" ? f.name : "",
+    type: oneOf(SCHEMA_FIELD_TYPES.map(t => t.id))(f?.type) ? f.type : "uint",
+    bits: f?.type === "bool" ? 1 : f?.bits,
+    scale: Number.isFinite(f?.scale) ? f.scale : 1,
+    offset: Number.isFinite(f?.offset) ? f.offset : 0,
+    unit: typeof f?.unit === "string" ? f.unit.slice(0, 16) : "",
+  }));
+  if (schemaLayout(fields).errors.length) return null;
+  return { enabled: isBool(raw.enabled) ? raw.enabled : DEFAULT_SCHEMA.enabled, fields };
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────
+// Merges a partial config over the defaults. Invalid or unknown fields are
+// dropped and reported in `ignored`, never thrown — a stale link still loads.
+export function normalizeConfig(raw = {}) {
+  const config = { ...DEFAULT_CONFIG };
+  const ignored = [];
+  // Old sub-band ids (e.g. "g" before g1 was split out) map to their successor
+  if (typeof raw.euBand === "string") raw = { ...raw, euBand: canonicalBandId(raw.euBand) };
+  for (const [key, , valid] of FIELDS) {
+    if (raw[key] === undefined) continue;
+    if (valid(raw[key])) config[key] = raw[key];
+    else ignored.push(key);
+  }
+  if (raw.traffic !== undefined) {
+    const t = normalizeTraffic(raw.traffic);
+    if (t) config.traffic = t; else ignored.push("traffic");
+  }
+  if (raw.power !== undefined) {
+    const p = normalizeNumbers(raw.power, DEFAULT_POWER, POWER_RANGES);
+    if (p) config.power = p; else ignored.push("power");
+  }
+  if (raw.link !== undefined) {
+    const l = normalizeNumbers(raw.link, DEFAULT_LINK, LINK_RANGES);
+    if (l) {
+      l.model = PATH_LOSS_MODELS.some(m => m.id === raw.link.model) ? raw.link.model : DEFAULT_LINK.model;
+      config.link = l;
+    } else ignored.push("link");
+  }
+  if (raw.lorawan !== undefined) {
+    const lw = normalizeLorawan(raw.lorawan);
+    if (lw) config.lorawan = lw; else ignored.push("lorawan");
+  }
+  if (raw.schema !== undefined) {
+    const sc = normalizeSchema(raw.schema);
+    if (sc) config.schema = sc; else ignored.push("schema");
+  }
+  if (raw.downlink !== undefined) {
+    const dl = normalizeDownlink(raw.downlink);
+    if (dl) config.downlink = dl; else ignored.push("downlink");
+  }
+  if (raw.reliability !== undefined) {
+    const r = normalizeReliability(raw.reliability);
+    if (r) config.reliability = r; else ignored.push("reliability");
+  }
+  if (raw.batteryModel !== undefined) {
+    const b = normalizeBatteryModel(raw.batteryModel);
+    if (b) config.batteryModel = b; else ignored.push("batteryModel");
+  }
+  if (raw.solar !== undefined) {
+    const so = normalizeSolar(raw.solar);
+    if (so) config.solar = so; else ignored.push("solar");
+  }
+  if (raw.hopping !== undefined) {
+    const ho = normalizeHopping(raw.hopping);
+    if (ho) config.hopping = ho; else ignored.push("hopping");
+  }
+  // An active schema owns the payload size
+  if (config.schema.enabled) config.payload = schemaLayout(config.schema.fields).bytes;
+  return { config, ignored };
+}
+
+// Only the fields users can edit — labels are restored from PRESETS on load
+const compactTraffic = traffic => traffic.map(({ id, enabled, mode, payload, intervalMin, eventsPerDay }) =>
+  ({ id, enabled, mode, payload, intervalMin, eventsPerDay }));
+
+// Plain object with only the persisted fields — for files, URLs and storage
+export const serializeConfig = config => ({
+  ...Object.fromEntries(FIELDS.map(([key]) => [key, config[key]])),
+  traffic: compactTraffic(config.traffic),
+  power: config.power,
+  link: config.link,
+  lorawan: config.lorawan,
+  schema: config.schema,
+  downlink: config.downlink,
+  reliability: config.reliability,
+  batteryModel: config.batteryModel,
+  solar: config.solar,
+  hopping: config.hopping,
+});
+
+// ─── URL query / hash ─────────────────────────────────────────────────────
+// e.g. "region=eu&preset=custom&sf=9&bw=125&…&crc=1"
+export function configToQuery(config) {
+  const params = new URLSearchParams();
+  for (const [key, type] of FIELDS) {
+    const v = config[key];
+    params.set(key, type === "bool" ? (v ? "1" : "0") : String(v));
+  }
+  const data = serializeConfig(config);
+  const defaults = serializeConfig(DEFAULT_CONFIG);
+  for (const key of NESTED) {
+    const json = JSON.stringify(data[key]);
+    if (json !== JSON.stringify(defaults[key])) params.set(key, json);
+  }
+  return params.toString();
+}
+
+export function configFromQuery(query) {
+  const params = new URLSearchParams(query.replace(/^[#?]/, ""));
+  const raw = {};
+  for (const [key, type] of FIELDS) {
+    if (!params.has(key)) continue;
+    const v = params.get(key);
+    raw[key] = type === "bool" ? v === "1" || v === "true"
+      : type === "number" ? Number(v)
+      : v;
+  }
+  for (const key of NESTED) {
+    if (!params.has(key)) continue;
+    try { raw[key] = JSON.parse(params.get(key)); } catch { raw[key] = null; }
+  }
+  return normalizeConfig(raw);
+}
+
+// True when the query carries at least one config field
+export const hasConfigQuery = query =>
+  FIELDS.some(([key]) => new URLSearchParams(query.replace(/^[#?]/, "")).has(key));
+
+// 32-bit FNV-1a of the query as 8 hex digits — the same setup always gives the
+// same hash, so a printed report can be matched to a link or config file
+export function configHash(config) {
+  const query = configToQuery(config);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < query.length; i++) {
+    h = Math.imul(h ^ query.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, "0");
+}
+
+// ─── JSON file ────────────────────────────────────────────────────────────
+export function configToJson(config) {
+  return JSON.stringify({
+    format: "jumbo-shoo-loracalc-config",
+    version: CONFIG_VERSION,
+    toolVersion: TOOL_VERSION,
+    config: serializeConfig(config),
+  }, null, 2);
+}
+
+// Throws on unreadable files; field-level problems are reported via `ignored`
+export function configFromJson(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("Not a valid JSON file.");
+  }
+  if (doc?.format !== "jumbo-shoo-loracalc-config" || typeof doc.config !== "object"
+    || doc.config === null || Array.isArray(doc.config)) {
+    throw new Error("Not a Jumbo Shoo calculator config file.");
+  }
+  if (doc.version > CONFIG_VERSION) {
+    throw new Error(`Config version ${doc.version} is newer than this tool supports (v${CONFIG_VERSION}).`);
+  }
+  return normalizeConfig(doc.config);
+}
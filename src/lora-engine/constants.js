@@ -0,0 +1,49 @@
+// ─── TX Power → Current mapping (SX1262/SX1276 typical) ──────────────────
+// RFM95W/96W/98W HopeRF datasheet v2.0, Table 5
+// RFM95W / SX1276 HF band TX current (mA) — two PA paths:
+// PA_BOOST (17, 20 dBm): direct from Table 5 (§2.4.5: SF12, CR4/6, BW125)
+// RFO_HF (2–14 dBm):   linearly interpolated from Table 5 anchors
+//   7 dBm/20 mA and 13 dBm/29 mA → slope 1.5 mA/dBm [est. ±2–3 mA]
+//   14 dBm = PA_HF max per §5.4.2; 15 dBm per Table 31 register ceiling
+// 15–16 dBm omitted — PA transition zone, current indeterminate
+export const TX_CURRENT = {
+  2: 13, 5: 17, 8: 22, 11: 26, 14: 31, 17: 87, 20: 120,
+};
+export const TX_POWER_OPTIONS = [2, 5, 8, 11, 14, 17, 20];
+
+// Highest power on the RFO_HF path — above this TX_CURRENT switches to PA_BOOST
+export const RFO_HF_MAX_DBM = 14;
+
+// Fallback when a TX power has no Table 5 entry (RFO_HF max)
+export const TX_CURRENT_DEFAULT = 31;
+
+// TX interval input range in minutes — slider, config import and sweep
+export const TX_INTERVAL_RANGE_MIN = [0.5, 360];
+
+// ─── EU sub-bands (ETSI EN 300 220 / ERC Rec 70-03 Annex 1, 863–870 MHz) ──
+// low/high_MHz: band edges — the channel must fit inside (W1/W2).
+// maxEirp_dBm: 25 mW → 14, 500 mW → 27. freq_MHz: default channel used for
+// firmware export (g1 = LoRaWAN 868.1 ch). g4 also allows 5 mW with no duty
+// limit; the 25 mW / 1% option is modelled.
+export const EU_BANDS = [
+  { id: "g863", label: "g     863.0–865.0 MHz",  low_MHz: 863.0, high_MHz: 865.0,  duty: 0.1, maxEirp_dBm: 14, freq_MHz: 864.1   },
+  { id: "g865", label: "g     865.0–868.0 MHz",  low_MHz: 865.0, high_MHz: 868.0,  duty: 1,   maxEirp_dBm: 14, freq_MHz: 867.1   },
+  { id: "g1",   label: "g1    868.0–868.6 MHz",  low_MHz: 868.0, high_MHz: 868.6,  duty: 1,   maxEirp_dBm: 14, freq_MHz: 868.1   },
+  { id: "g2",   label: "g2    868.7–869.2 MHz",  low_MHz: 868.7, high_MHz: 869.2,  duty: 0.1, maxEirp_dBm: 14, freq_MHz: 868.95  },
+  { id: "g3",   label: "g3    869.4–869.65 MHz", low_MHz: 869.4, high_MHz: 869.65, duty: 10,  maxEirp_dBm: 27, freq_MHz: 869.525 },
+  { id: "g4",   label: "g4    869.7–870.0 MHz",  low_MHz: 869.7, high_MHz: 870.0,  duty: 1,   maxEirp_dBm: 14, freq_MHz: 869.85  },
+];
+
+// Polite spectrum access (EN 300 220-1 §4.5.3) — an alternative to the duty
+// cycle in every EU sub-band. TX-on time per transmission and per hour
+// (per 200 kHz of spectrum); AFA = spread over at least two channels.
+export const EU_LBT_AFA = {
+  maxTxOn_ms: 1000, minTxOff_ms: 100, txOnPerHour_s: 100,
+  required: true, threshold_dBm: -85, listen_ms: 5,
+  note: "AFA: hop over ≥2 channels, ≥100 ms TX-off between transmissions",
+};
+export const US_DEFAULT_FREQ_MHZ = 915.0;
+
+// ─── Regulatory limits ────────────────────────────────────────────────────
+export const EU_MAX_TX_POWER_DBM = 14; // ETSI EN 300 220 — 25 mW EIRP
+export const US_MAX_DWELL_MS = 400;    // FCC §15.247
@@ -0,0 +1,86 @@
+import { calcAirtime } from "./airtime.js";
+import { accessRules } from "./regions.js";
+
+// ─── Confirmed uplinks and brain downlinks (raw LoRa) ─────────────────────
+// The brain answers on the sensor's own channel and radio settings, so its
+// ACKs and commands spend the same sub-band's duty budget.
+// confirmed: every uplink waits for an ACK of ackPayload bytes for up to
+// ackTimeout_ms, and is resent up to `retries` times when none arrives.
+// lossPct: chance that one uplink/ACK exchange fails (uplink or ACK lost).
+// commandsPerDay: brain → sensor commands of commandPayload bytes, received
+// in the listen window after an uplink.
+export const DEFAULT_DOWNLINK = {
+  confirmed: false, ackPayload: 2, retries: 2, ackTimeout_ms: 1000, lossPct: 5,
+  commandsPerDay: 0, commandPayload: 8,
+};
+
+export const downlinkActive = d => d != null && (d.confirmed || d.commandsPerDay > 0);
+
+// Expected sends per uplink with retries: 1 + p + p² + … + p^retries
+export function expectedAttempts(lossPct, retries) {
+  const p = Math.min(Math.max(lossPct, 0), 100) / 100;
+  let total = 0;
+  for (let k = 0; k <= retries; k++) total += p ** k;
+  return total;
+}
+
+// radio: { sf, bw (kHz), cr, preamble, crc, explicitHeader, ldrOptimize } of the uplink.
+// uplinksPerDay / airtimePerDay_ms: from the single or mixed traffic model.
+// Losses are charged to the ACK, so the brain is assumed to hear — and ACK —
+// every attempt (conservative for its duty budget).
+export function calcDownlink({
+  region, euBand, access = "duty", radio, downlink, uplinksPerDay, airtimePerDay_ms, rx_mA,
+}) {
+  const d = { ...DEFAULT_DOWNLINK, ...downlink };
+  const toa = bytes => calcAirtime({
+    sf: radio.sf, bw: radio.bw * 1000, preamble: radio.preamble, payloadBytes: bytes,
+    cr: radio.cr, crc: radio.crc, explicitHeader: radio.explicitHeader, lowDROptimize: radio.ldrOptimize,
+  });
+  const p = Math.min(Math.max(d.lossPct, 0), 100) / 100;
+  const retries = d.confirmed ? d.retries : 0;
+
+  const expected_attempts = d.confirmed ? expectedAttempts(d.lossPct, retries) : 1;
+  const worst_attempts = retries + 1;
+  const delivery_pct = d.confirmed ? (1 - p ** worst_attempts) * 100 : (1 - p) * 100;
+  const ack_toa_ms = toa(d.ackPayload);
+  const command_toa_ms = toa(d.commandPayload);
+
+  // Node listen time: an ACK ends the window early, a lost one runs to the timeout.
+  // Without ACKs, commands still need one window after every uplink.
+  const listen_ms_per_uplink = d.confirmed
+    ? expected_attempts * ((1 - p) * ack_toa_ms + p * d.ackTimeout_ms)
+    : d.commandsPerDay > 0 ? d.ackTimeout_ms : 0;
+  const rx_ms_per_day = uplinksPerDay * listen_ms_per_uplink + d.commandsPerDay * command_toa_ms;
+
+  const retry_tx_per_day = uplinksPerDay * (expected_attempts - 1);
+  const retry_airtime_per_day_ms = airtimePerDay_ms * (expected_attempts - 1);
+
+  // Retransmissions spend the sensor's own duty budget too
+  const rules = accessRules(region, euBand, access);
+  const node_duty_used_per_hour = airtimePerDay_ms * expected_attempts / 24 / 3_600_000 * 100;
+  const node_duty_worst_per_hour = airtimePerDay_ms * worst_attempts / 24 / 3_600_000 * 100;
+
+  // Brain side, per acknowledged sensor
+  const acks_per_day = d.confirmed ? uplinksPerDay * expected_attempts : 0;
+  const gateway_airtime_per_day_ms = acks_per_day * ack_toa_ms + d.commandsPerDay * command_toa_ms;
+  const gateway_duty_per_node = gateway_airtime_per_day_ms / 24 / 3_600_000 * 100;
+  // No duty limit: the half-duplex brain is still capped at 100% of channel time
+  const gateway_budget = rules.duty ?? 100;
+  const max_nodes = gateway_duty_per_node > 0 ? Math.floor(gateway_budget / gateway_duty_per_node) : Infinity;
+
+  return {
+    ...d, expected_attempts, worst_attempts, delivery_pct, ack_toa_ms, command_toa_ms,
+    listen_ms_per_uplink, rx_ms_per_day,
+    rx_ms_per_uplink: uplinksPerDay > 0 ? rx_ms_per_day / uplinksPerDay : 0,
+    rx_mAh_per_day: rx_mA * rx_ms_per_day / 3_600_000,
+    retry_tx_per_day, retry_airtime_per_day_ms,
+    node_duty_used_per_hour, node_duty_worst_per_hour,
+    node_duty_ok: rules.duty == null || node_duty_used_per_hour <= rules.duty,
+    gateway: {
+      acks_per_day, tx_per_day: acks_per_day + d.commandsPerDay,
+      airtime_per_day_ms: gateway_airtime_per_day_ms,
+      duty_used_per_hour: gateway_duty_per_node,
+      duty_limit: rules.duty, max_nodes,
+    },
+  };
+}
@@ -0,0 +1,54 @@
+import { US_MAX_DWELL_MS } from "./constants.js";
+import { accessRules } from "./regions.js";
+
+// Messages per hour: one every txIntervalMin, or the mixed profile's daily count
+export function messagesPerHour({ txIntervalMin, traffic = null }) {
+  if (traffic) return traffic.tx_per_day / 24;
+  return txIntervalMin > 0 ? 60 / txIntervalMin : 0;
+}
+
+// ─── Duty cycle (EU ETSI EN 300 220 and other duty-limited plans) ─────────
+// Assumes evenly spaced transmissions at txIntervalMin over one hour. With a
+// mixed traffic profile (calcTraffic result) usage is the combined daily
+// airtime averaged per hour instead. Sub-bands without a duty limit report
+// duty_limit null, are always compliant, and are capped only by channel time.
+// access "lbtafa" replaces the sub-band duty with the LBT+AFA hourly TX-on cap.
+// sends is the expected transmissions per message (retries, repeats):
+// tx_per_hour stays in messages while usage and limits count every send.
+// With a mix, the limits are for its airtime-weighted average packet.
+export function calcDutyCycle({ airtime, euBand, txIntervalMin, traffic = null, region = "eu", access = "duty", sends = 1 }) {
+  const { band, mode, duty: duty_limit } = accessRules(region, euBand, access);
+  const duty_used_per_tx = (airtime * sends / 3_600_000) * 100;
+  const tx_per_hour = messagesPerHour({ txIntervalMin, traffic });
+  const duty_used_per_hour = traffic
+    ? (traffic.airtime_per_day_ms * sends / 24 / 3_600_000) * 100
+    : duty_used_per_tx * tx_per_hour;
+  const per_tx_ms = (traffic?.tx_per_day > 0 ? traffic.airtime_per_day_ms / traffic.tx_per_day : airtime) * sends;
+  const budget = (duty_limit ?? 100) / 100;
+  const duty_pct_of_limit = duty_limit == null ? 0 : (duty_used_per_hour / duty_limit) * 100;
+  const max_tx_per_hour = Math.floor((budget * 3_600_000) / per_tx_ms);
+  const min_interval_s = per_tx_ms / budget / 1000;
+  return {
+    band, access: mode, duty_limit, duty_used_per_tx, tx_per_hour, duty_used_per_hour,
+    duty_pct_of_limit, max_tx_per_hour, min_interval_s,
+    compliant: duty_limit == null || duty_used_per_hour <= duty_limit,
+  };
+}
+
+// g vs g3 re-arm for a given ToA (s) — time before the sensor may transmit again
+export function calcRearm(airtime) {
+  return {
+    rearm_g_s:  airtime / 0.01 / 1000,   // 1% duty
+    rearm_g3_s: airtime / 0.10 / 1000,   // 10% duty
+  };
+}
+
+// ─── Dwell time (US FCC §15.247 and other dwell-limited plans) ────────────
+// dwell_ms null = plan has no dwell limit
+export function calcDwell(airtime, dwell_ms = US_MAX_DWELL_MS) {
+  return {
+    dwell_limit_ms: dwell_ms,
+    dwell_pct: dwell_ms == null ? 0 : (airtime / dwell_ms) * 100,
+    dwell_ok: dwell_ms == null || airtime <= dwell_ms,
+  };
+}
@@ -0,0 +1,26 @@
+import { TX_CURRENT, TX_CURRENT_DEFAULT } from "./constants.js";
+
+export function txCurrent(txPower) {
+  return TX_CURRENT[txPower] ?? TX_CURRENT_DEFAULT;
+}
+
+// ─── Energy per transmission ──────────────────────────────────────────────
+export function calcEnergy({ airtime, txPower, voltage }) {
+  const current_mA = txCurrent(txPower);
+  return {
+    current_mA,
+    energy_mJ: (current_mA / 1000) * voltage * (airtime / 1000) * 1000,
+    energy_uAh: (current_mA * (airtime / 1000)) / 3.6,
+  };
+}
+
+// ─── Battery life (TX only) ───────────────────────────────────────────────
+// traffic (calcTraffic result) replaces the single-packet rate when given;
+// sends is the expected transmissions per message.
+export function calcBattery({ energy_uAh, txPerHour, battCapacity, traffic = null, sends = 1 }) {
+  const tx_energy_per_day_mAh = sends * (traffic
+    ? traffic.charge_per_day_mAh
+    : (energy_uAh / 1000) * txPerHour * 24);
+  const batt_days = tx_energy_per_day_mAh > 0 ? battCapacity / tx_energy_per_day_mAh : Infinity;
+  return { tx_energy_per_day_mAh, batt_days };
+}
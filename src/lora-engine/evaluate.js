@@ -0,0 +1,179 @@
+import { calcAirtime, symbolTime, ldroRequired, effectiveBitrate } from "./airtime.js";
+import { messagesPerHour, calcDutyCycle, calcRearm, calcDwell } from "./duty.js";
+import { calcEnergy, calcBattery } from "./energy.js";
+import { evaluateWarnings } from "./warnings.js";
+import { calcTraffic, streamPerDay } from "./traffic.js";
+import { DEFAULT_POWER, calcPowerBudget } from "./power.js";
+import { DEFAULT_LINK, calcLinkBudget } from "./link.js";
+import { getRegion, accessRules } from "./regions.js";
+import { lorawanUplink, calcLorawan } from "./lorawan.js";
+import { downlinkActive, calcDownlink } from "./downlink.js";
+import { calcReliability } from "./per.js";
+import { calcBatteryLife } from "./battery.js";
+import { calcSolar } from "./solar.js";
+import { calcHopping } from "./fhss.js";
+
+// ─── Full single-sensor evaluation ────────────────────────────────────────
+// bw in kHz; ldrManual forces LDRO on when it is not already required.
+// traffic (array of streams) switches duty, battery and dwell from the single
+// packet at txIntervalMin to the combined mixed profile. power (DEFAULT_POWER
+// shape) adds the full-node budget on top of the TX-only battery estimate;
+// link (DEFAULT_LINK shape) adds the link budget and range. access "lbtafa"
+// checks the EU polite-access rules instead of the sub-band duty cycle.
+// lorawan (DEFAULT_LORAWAN shape, enabled) lets the data rate set the radio,
+// sends payload as the app payload of a full LoRaWAN frame and adds the
+// receive windows and fair-use checks. downlink (DEFAULT_DOWNLINK shape)
+// adds raw-LoRa ACKs, retries and brain commands — ignored in LoRaWAN mode;
+// expected retries count in the node's duty cycle and battery life.
+// reliability (DEFAULT_RELIABILITY shape, enabled) derives the packet error
+// rate from the link-budget SNR and scales duty, battery and the node budget
+// by the expected sends per message (ACK retries or blind repeats).
+// batteryModel (DEFAULT_BATTERY_MODEL shape) with a chemistry replaces both
+// battery lives with the temperature-, cutoff- and self-discharge-derated ones.
+// solar (DEFAULT_SOLAR shape, enabled) simulates a year of state of charge
+// with the panel charging the usable battery against the same daily load.
+// hopping (DEFAULT_HOPPING shape, enabled) checks the US 915 hop set: channel
+// count and averaged occupancy per channel for every send, retries included.
+export function evaluateConfig({
+  region, sf, bw, payload, cr, preamble, crc, explicitHeader, ldrManual = false,
+  txPower, voltage, txIntervalMin, euBand, battCapacity, traffic = null, power = null,
+  link = null, access = "duty", lorawan = null, downlink = null, reliability = null, batteryModel = null,
+  solar = null, hopping = null,
+}) {
+  // LoRaWAN: the data rate fixes the radio; mixed streams carry the same MAC overhead
+  const uplink = lorawan?.enabled ? lorawanUplink({ region, lorawan, appPayload: payload, txPower, link }) : null;
+  if (uplink) {
+    ({ sf, bw, cr, preamble, crc, explicitHeader } = uplink.radio);
+    ldrManual = false;
+    payload = uplink.phy_payload;
+    if (traffic) traffic = traffic.map(s => ({ ...s, payload: s.payload + uplink.overhead_bytes }));
+  }
+
+  const plan = getRegion(region);
+  const rules = accessRules(region, euBand, access);
+  const tSym_ms = symbolTime(sf, bw);
+  const ldrRequired = ldroRequired(sf, bw);
+  const ldrOptimize = ldrRequired || ldrManual;
+
+  const airtime = calcAirtime({
+    sf, bw: bw * 1000, preamble, payloadBytes: payload, cr, crc, explicitHeader,
+    lowDROptimize: ldrOptimize,
+  });
+  const bitrate_kbps = effectiveBitrate(sf, bw, cr);
+
+  const mixed = traffic ? calcTraffic({
+    streams: traffic, txPower,
+    radio: { sf, bw, cr, preamble, crc, explicitHeader, ldrOptimize },
+  }) : null;
+  // Dwell applies per packet — with mixed traffic the longest stream decides
+  const dwellToa = mixed ? Math.max(airtime, mixed.max_toa) : airtime;
+
+  const linkBudget = link ? calcLinkBudget({ sf, bw, txPower, region, link }) : null;
+
+  // PER at the link-budget SNR. With ACKs it replaces the manual exchange
+  // loss and the retry count is the policy; otherwise blind repeats are.
+  const confirmed = !uplink && downlinkActive(downlink) && downlink.confirmed;
+  const rel = reliability?.enabled ? calcReliability({
+    radio: { sf, bw, cr, preamble, crc, explicitHeader, ldrOptimize }, payload, reliability,
+    snr_dB: (linkBudget ?? calcLinkBudget({ sf, bw, txPower, region, link: DEFAULT_LINK })).snr_dB,
+    confirmed, retries: downlink?.retries ?? 0, ackPayload: downlink?.ackPayload ?? 0,
+  }) : null;
+  if (rel && confirmed) downlink = { ...downlink, lossPct: rel.loss * 100 };
+  const sends = rel?.expected_tx ?? 1;
+
+  // Messages per day; retries and repeats are scaled in where airtime is charged
+  const txPerDay = messagesPerHour({ txIntervalMin, traffic: mixed }) * 24;
+  const airtimePerDay_ms = mixed ? mixed.airtime_per_day_ms : airtime * txPerDay;
+  const downlinkResult = !uplink && downlinkActive(downlink) ? calcDownlink({
+    region, euBand, access, downlink, uplinksPerDay: txPerDay, airtimePerDay_ms,
+    radio: { sf, bw, cr, preamble, crc, explicitHeader, ldrOptimize },
+    rx_mA: power?.rx_mA ?? DEFAULT_POWER.rx_mA,
+  }) : null;
+  // Sends per message: the reliability model's, which carry any ACK retries,
+  // or else downlink's expected attempts
+  const txSends = rel?.expected_tx ?? downlinkResult?.expected_attempts ?? 1;
+
+  const energy = calcEnergy({ airtime, txPower, voltage });
+  const duty = calcDutyCycle({ airtime, euBand, txIntervalMin, traffic: mixed, region, access, sends: txSends });
+  const rearm = calcRearm(airtime);
+  const dwell = calcDwell(dwellToa, rules.dwell_ms);
+  const battery = calcBattery({
+    energy_uAh: energy.energy_uAh, txPerHour: duty.tx_per_hour, battCapacity, traffic: mixed, sends: txSends,
+  });
+  const reliabilityResult = rel ? {
+    ...rel,
+    effective_toa: airtime * rel.tx_per_delivered,
+    energy_per_delivered_mJ: energy.energy_mJ * rel.tx_per_delivered,
+  } : null;
+
+  const lorawanResult = uplink ? {
+    ...uplink,
+    ...calcLorawan({
+      region, lorawan, uplink, uplinksPerDay: txPerDay, airtimePerDay_ms: airtimePerDay_ms * sends,
+      rx_mA: power?.rx_mA ?? DEFAULT_POWER.rx_mA,
+    }),
+  } : null;
+  // The Class A receive windows or the ACK wait are the node's listen time
+  // after each TX; retries repeat the TX itself
+  const rxAfterTx = lorawanResult ?? downlinkResult;
+  const nodePower = power ? calcPowerBudget({
+    power: rxAfterTx ? { ...power, rxPerTx_ms: Math.max(power.rxPerTx_ms, rxAfterTx.rx_ms_per_uplink) } : power,
+    battCapacity, voltage, txPerDay,
+    radio: { sf, bw, preamble },
+    txAirtimePerDay_ms: airtimePerDay_ms * txSends,
+    tx_mAh_per_day: battery.tx_energy_per_day_mAh,
+  }) : null;
+
+  // Chemistry projection: full-node load when modelled, else TX only
+  const life = load_mAh_per_day => calcBatteryLife({ batteryModel, battCapacity, load_mAh_per_day, peak_mA: energy.current_mA });
+  const load_mAh_per_day = nodePower ? nodePower.total_mAh_per_day : battery.tx_energy_per_day_mAh;
+  const batteryLife = life(load_mAh_per_day);
+  const txOnlyDays = batteryLife ? life(battery.tx_energy_per_day_mAh).life_days : battery.batt_days;
+  const solarResult = solar?.enabled ? calcSolar({
+    solar, voltage, load_mAh_per_day, capacity_mAh: batteryLife?.usable_mAh ?? battCapacity,
+  }) : null;
+
+  const hoppingResult = hopping?.enabled && plan.id === "us" ? calcHopping({
+    hopping, bw, airtime: dwellToa, txPerHour: duty.tx_per_hour * txSends,
+  }) : null;
+
+  const warnings = evaluateWarnings({
+    region, sf, bw, euBand, access, txPower, preamble, explicitHeader, airtime: dwellToa, lorawan: lorawanResult,
+    downlink: downlinkResult, batteryLife, hopping: hoppingResult,
+  });
+
+  return {
+    plan, rules, tSym_ms, ldrRequired, ldrOptimize, airtime, bitrate_kbps, traffic: mixed,
+    power: nodePower && batteryLife ? { ...nodePower, batt_days: batteryLife.life_days } : nodePower,
+    link: linkBudget, lorawan: lorawanResult, downlink: downlinkResult, reliability: reliabilityResult, batteryLife,
+    solar: solarResult, hopping: hoppingResult,
+    // What actually goes on air — differs from the inputs in LoRaWAN mode
+    radio: { sf, bw, cr, preamble, crc, explicitHeader, ldrOptimize }, air_payload: payload,
+    ...energy, ...duty, ...rearm, ...dwell, ...battery, batt_days: txOnlyDays,
+    dutyCompliant: duty.compliant,
+    // A plan can limit duty, dwell, both (AS923, LBT+AFA) or neither (IN865, KR920);
+    // a US hop set adds channel count and averaged occupancy
+    compliant: duty.compliant && dwell.dwell_ok && (hoppingResult?.compliant ?? true),
+    warnings,
+    hasErrors: warnings.some(w => w.level === "error"),
+    hasCautions: warnings.some(w => w.level === "caution"),
+  };
+}
+
+// ─── Calculator inputs for a configuration ────────────────────────────────
+// config: DEFAULT_CONFIG shape, as the calculator holds it or a design stores
+// it. Single-stream mode drops the traffic profile; in mixed mode an enabled
+// detection stream sets the power budget's detections per day.
+export function linkedDetections(config) {
+  const detection = config.trafficMode === "mixed" ? config.traffic.find(s => s.id === "detection" && s.enabled) : null;
+  return detection ? streamPerDay(detection) : null;
+}
+
+export function evaluationInputs(config) {
+  const detectionsPerDay = linkedDetections(config);
+  return {
+    ...config,
+    traffic: config.trafficMode === "mixed" ? config.traffic : null,
+    power: detectionsPerDay != null && config.power ? { ...config.power, detectionsPerDay } : config.power,
+  };
+}
@@ -0,0 +1,114 @@
+import { US_MAX_DWELL_MS } from "./constants.js";
+import { createRng, randInt } from "./random.js";
+import { simulateHour } from "./timeline.js";
+
+// ─── US 915 frequency hopping (FCC §15.247) ───────────────────────────────
+// Per-packet dwell (≤ 400 ms) is not the whole rule: a hopping system must
+// use enough channels, equally on average, and keep the average occupancy
+// of any one channel under 0.4 s in the observation window.
+//   20 dB BW < 250 kHz  — ≥ 50 channels, 0.4 s in any 20 s   (§15.247(a)(1)(i))
+//   20 dB BW ≥ 250 kHz  — ≥ 25 channels, 0.4 s in any 10 s   (§15.247(a)(1)(i))
+//   6 dB BW ≥ 500 kHz   — digital modulation (DTS), no hopping needed (§15.247(a)(2))
+export const FCC_HOPPING_RULES = [
+  { id: "narrow", label: "FHSS < 250 kHz",       minBw: 0,   minChannels: 50, window_s: 20,   maxOccupancy_s: 0.4 },
+  { id: "wide",   label: "FHSS ≥ 250 kHz",       minBw: 250, minChannels: 25, window_s: 10,   maxOccupancy_s: 0.4 },
+  { id: "dts",    label: "Digital modulation",   minBw: 500, minChannels: 1,  window_s: null, maxOccupancy_s: null },
+];
+
+export const hoppingRule = bw => [...FCC_HOPPING_RULES].reverse().find(r => bw >= r.minBw);
+
+// Channel grids: LoRaWAN US915 uplinks (RP002) for 125 and 500 kHz; 250 kHz
+// has no LoRaWAN grid, so it gets a 400 kHz raster across 902–928 MHz
+export const HOPPING_GRIDS = {
+  125: { first_MHz: 902.3, step_MHz: 0.2, count: 64 },
+  250: { first_MHz: 902.4, step_MHz: 0.4, count: 64 },
+  500: { first_MHz: 903.0, step_MHz: 1.6, count: 8 },
+};
+
+// firstChannel / channels pick a contiguous block of the grid (TTN sub-band 2
+// is firstChannel 8, channels 8). seed fixes the hop order; nodes share the
+// sequence at evenly spread offsets. The burst replays detection events as
+// in the TX timeline (burstCount events, burstSpacing_s apart).
+export const DEFAULT_HOPPING = {
+  enabled: false, firstChannel: 0, channels: 64, seed: 1, nodes: 4, burstCount: 5, burstSpacing_s: 3,
+};
+
+export const hoppingGrid = bw => HOPPING_GRIDS[bw] ?? HOPPING_GRIDS[125];
+
+// Pseudo-random order of the n channels (Fisher–Yates) — every channel once per cycle
+export function hopSequence(n, seed = 1) {
+  const rng = createRng(seed);
+  const seq = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = randInt(rng, i + 1);
+    [seq[i], seq[j]] = [seq[j], seq[i]];
+  }
+  return seq;
+}
+
+// Worst airtime any one channel carries inside window_s (packets counted
+// whole when they start inside the window)
+function worstWindow(packets, toa_s, window_s) {
+  let worst = 0;
+  for (let i = 0, j = 0; i < packets.length; i++) {
+    while (j < packets.length && packets[j] < packets[i] + window_s) j++;
+    worst = Math.max(worst, (j - i) * toa_s);
+  }
+  return worst;
+}
+
+// airtime in ms (longest packet with mixed traffic) · txPerHour: sends per
+// hour including retries and repeats
+export function calcHopping({ hopping, bw, airtime, txPerHour }) {
+  const h = { ...DEFAULT_HOPPING, ...hopping };
+  const rule = hoppingRule(bw);
+  const grid = hoppingGrid(bw);
+  const first = Math.max(0, Math.min(h.firstChannel, grid.count - 1));
+  const n = Math.max(1, Math.min(h.channels, grid.count - first));
+  const sequence = hopSequence(n, h.seed).map(i => first + i);
+  const toa_s = airtime / 1000;
+
+  // One hour of the node's traffic; the US plan has no duty cycle to block anything
+  const { events } = simulateHour({
+    airtime, interval_s: txPerHour > 0 ? 3600 / txPerHour : Infinity, duty_limit: null,
+    burst: { count: h.burstCount, at_min: 20, spacing_s: h.burstSpacing_s },
+  });
+  const times = events.map(e => e.t_s);
+  // Node k starts k·n/nodes hops in, so nodes sending together sit on different channels
+  const hopsFor = k => times.map((t, i) => ({ t, ch: sequence[(i + Math.floor((k * n) / h.nodes)) % n] }));
+  const nodes = Array.from({ length: h.nodes }, (_, k) => hopsFor(k));
+
+  const channels = sequence.slice().sort((a, b) => a - b).map(id => {
+    const mine = k => nodes[k].filter(p => p.ch === id).map(p => p.t);
+    const own = mine(0);
+    return {
+      id,
+      freq_MHz: Math.round((grid.first_MHz + id * grid.step_MHz) * 1000) / 1000,
+      packets_per_hour: own.length,
+      airtime_s_per_hour: own.length * toa_s,
+      fleet_airtime_s_per_hour: nodes.reduce((sum, _, k) => sum + mine(k).length * toa_s, 0),
+      worst_window_s: rule.window_s == null ? 0 : Math.max(...nodes.map((_, k) => worstWindow(mine(k), toa_s, rule.window_s))),
+    };
+  });
+  const worst = channels.reduce((a, b) => (b.worst_window_s > a.worst_window_s ? b : a));
+
+  // Shortest time before the node is back on the same channel
+  const gaps = channels.flatMap(c => {
+    const t = nodes[0].filter(p => p.ch === c.id).map(p => p.t);
+    return t.slice(1).map((x, i) => x - t[i]);
+  });
+
+  const channels_ok = n >= rule.minChannels;
+  const occupancy_ok = rule.window_s == null || worst.worst_window_s <= rule.maxOccupancy_s + 1e-9;
+  return {
+    ...h, rule, grid, channels_used: n, sequence, channels,
+    packets_per_hour: times.length,
+    revisit_s: gaps.length ? Math.min(...gaps) : Infinity,
+    worst_occupancy_s: worst.worst_window_s,
+    worst_channel: worst.id,
+    dwell_ok: airtime <= US_MAX_DWELL_MS,
+    channels_ok,
+    occupancy_ok,
+    compliant: channels_ok && occupancy_ok,
+  };
+}
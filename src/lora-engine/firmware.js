@@ -0,0 +1,207 @@
+import { RFO_HF_MAX_DBM } from "./constants.js";
+import { regionBand } from "./regions.js";
+
+// ─── Firmware config export ───────────────────────────────────────────────
+// Turns a calculator config into ready-to-paste radio setup for the sensor
+// (RadioHead, RadioLib, LMIC) and the brain (Python dict), plus the raw
+// SX1276 register values they all end up writing.
+// Register map: SX1276/77/78/79 datasheet rev 7, §6.4 (LoRa mode).
+
+export const FIRMWARE_TARGETS = [
+  { id: "registers", label: "SX1276 registers" },
+  { id: "radiohead", label: "RadioHead RH_RF95" },
+  { id: "radiolib",  label: "RadioLib SX1276" },
+  { id: "lmic",      label: "LMIC" },
+  { id: "python",    label: "Python (RPi)" },
+];
+
+const FXOSC_HZ = 32e6;
+const SYNC_WORD_PRIVATE = 0x12;     // 0x34 is reserved for public LoRaWAN
+const BW_CODE = { 125: 0x7, 250: 0x8, 500: 0x9 };
+
+export const hex = v => "0x" + v.toString(16).toUpperCase().padStart(2, "0");
+
+// Carrier used for the export: the sub-band's default channel
+export const channelFrequency = (region, euBand) => regionBand(region, euBand).freq_MHz;
+
+// PA path follows the TX_CURRENT split: RFO_HF up to 14 dBm, PA_BOOST above.
+// forcePaBoost covers modules (most RFM95W boards) that only route PA_BOOST.
+export function paSettings(txPower, forcePaBoost = false) {
+  const paBoost = forcePaBoost || txPower > RFO_HF_MAX_DBM;
+  const highPower = paBoost && txPower >= 20;
+  let paConfig;
+  if (!paBoost)       paConfig = 0x70 | Math.max(0, Math.min(15, txPower)); // MaxPower 7 → Pmax 15 dBm
+  else if (highPower) paConfig = 0x80 | 0x0F;                               // +20 dBm needs RegPaDac 0x87
+  else                paConfig = 0x80 | Math.max(0, Math.min(15, txPower - 2));
+  return {
+    paBoost,
+    highPower,
+    path: paBoost ? "PA_BOOST" : "RFO_HF",
+    paConfig,
+    paDac: highPower ? 0x87 : 0x84,
+    ocp: highPower ? 0x31 : 0x2B,   // 140 mA for the 120 mA +20 dBm draw, else 100 mA default
+    ocp_mA: highPower ? 140 : 100,
+  };
+}
+
+// SF6 forces implicit header (W8) — payload length then has to be fixed on both ends
+export const implicitHeaderFor = (sf, explicitHeader) => sf === 6 || !explicitHeader;
+
+export function sx1276Registers({
+  sf, bw, cr, preamble, crc, explicitHeader, ldrOptimize, txPower, payload,
+  freq_MHz, forcePaBoost = false,
+}) {
+  const implicitHeader = implicitHeaderFor(sf, explicitHeader);
+  const pa = paSettings(txPower, forcePaBoost);
+  const frf = Math.round(freq_MHz * 1e6 / (FXOSC_HZ / 2 ** 19));
+
+  const registers = [
+    { name: "RegFrfMsb",              addr: 0x06, value: (frf >> 16) & 0xFF, note: `${freq_MHz} MHz` },
+    { name: "RegFrfMid",              addr: 0x07, value: (frf >> 8) & 0xFF,  note: "" },
+    { name: "RegFrfLsb",              addr: 0x08, value: frf & 0xFF,         note: "" },
+    { name: "RegPaConfig",            addr: 0x09, value: pa.paConfig,        note: `${pa.path}, +${txPower} dBm` },
+    { name: "RegOcp",                 addr: 0x0B, value: pa.ocp,             note: `OCP ${pa.ocp_mA} mA` },
+    { name: "RegModemConfig1",        addr: 0x1D, value: (BW_CODE[bw] << 4) | (cr << 1) | (implicitHeader ? 1 : 0),
+      note: `BW${bw}, CR4/${cr + 4}, ${implicitHeader ? "implicit" : "explicit"} header` },
+    { name: "RegModemConfig2",        addr: 0x1E, value: (sf << 4) | (crc ? 0x04 : 0),
+      note: `SF${sf}, CRC ${crc ? "on" : "off"}` },
+    { name: "RegPreambleMsb",         addr: 0x20, value: (preamble >> 8) & 0xFF, note: `${preamble} symbols` },
+    { name: "RegPreambleLsb",         addr: 0x21, value: preamble & 0xFF,        note: "" },
+    { name: "RegPayloadLength",       addr: 0x22, value: payload & 0xFF,
+      note: implicitHeader ? "required — implicit header" : "TX length" },
+    { name: "RegModemConfig3",        addr: 0x26, value: (ldrOptimize ? 0x08 : 0) | 0x04,
+      note: `LDRO ${ldrOptimize ? "on" : "off"}, AGC auto` },
+    { name: "RegDetectOptimize",      addr: 0x31, value: sf === 6 ? 0xC5 : 0xC3, note: sf === 6 ? "SF6" : "SF7–12" },
+    { name: "RegDetectionThreshold",  addr: 0x37, value: sf === 6 ? 0x0C : 0x0A, note: sf === 6 ? "SF6" : "SF7–12" },
+    { name: "RegSyncWord",            addr: 0x39, value: SYNC_WORD_PRIVATE,      note: "private network" },
+    { name: "RegPaDac",               addr: 0x4D, value: pa.paDac,               note: pa.highPower ? "+20 dBm mode" : "default" },
+  ];
+
+  return { implicitHeader, pa, frf, registers };
+}
+
+const reg = (regs, name) => regs.find(r => r.name === name).value;
+
+// ─── Per-library generators ───────────────────────────────────────────────
+function registersText(ctx) {
+  const lines = ["// SX1276 LoRa-mode register values (write in sleep/standby, LongRangeMode set)"];
+  for (const r of ctx.registers) {
+    const note = r.note ? `  // ${r.note}` : "";
+    lines.push(`${r.name.padEnd(22)} ${hex(r.addr)} = ${hex(r.value)}${note}`);
+  }
+  return lines.join("\n");
+}
+
+function radioheadText(ctx) {
+  const { c, registers, pa, implicitHeader } = ctx;
+  const lines = [
+    "// RadioHead RH_RF95 — custom ModemConfig { RegModemConfig1, 2, 3 }",
+    "RH_RF95::ModemConfig jumboShooModem = {",
+    `  ${hex(reg(registers, "RegModemConfig1"))}, ${hex(reg(registers, "RegModemConfig2"))}, ${hex(reg(registers, "RegModemConfig3"))}`,
+    "};",
+    "",
+    "rf95.setModemRegisters(&jumboShooModem);",
+    `rf95.setFrequency(${c.freq_MHz});`,
+    `rf95.setPreambleLength(${c.preamble});`,
+    `rf95.setTxPower(${c.txPower}, ${pa.paBoost ? "false" : "true"}); // useRFO = ${pa.paBoost ? "false → PA_BOOST" : "true → RFO_HF"}`,
+  ];
+  if (implicitHeader) {
+    lines.push(`rf95.spiWrite(RH_RF95_REG_22_PAYLOAD_LENGTH, ${c.payload}); // implicit header — fixed length`);
+  }
+  lines.push("// Note: RH_RF95 prepends a 4-byte header (TO, FROM, ID, FLAGS) to every payload");
+  return lines.join("\n");
+}
+
+function radiolibText(ctx) {
+  const { c, pa, implicitHeader } = ctx;
+  const lines = [
+    "// RadioLib — SX1276::begin(freq, bw, sf, cr, syncWord, power, preambleLength, gain)",
+    "SX1276 radio = new Module(RFM95_CS, RFM95_DIO0, RFM95_RST, RFM95_DIO1);",
+    "",
+    `int state = radio.begin(${c.freq_MHz.toFixed(3)}, ${c.bw.toFixed(1)}, ${c.sf}, ${c.cr + 4}, ${hex(SYNC_WORD_PRIVATE)}, ${c.txPower}, ${c.preamble}, 0);`,
+    `state |= radio.setOutputPower(${c.txPower}, ${pa.paBoost ? "false" : "true"}); // useRfo = ${pa.paBoost ? "false → PA_BOOST" : "true → RFO_HF"}`,
+  ];
+  if (pa.highPower) lines.push(`state |= radio.setCurrentLimit(${pa.ocp_mA});`);
+  lines.push(`state |= radio.setCRC(${c.crc ? "true" : "false"});`);
+  lines.push(implicitHeader
+    ? `state |= radio.implicitHeader(${c.payload});`
+    : "state |= radio.explicitHeader();");
+  lines.push(`state |= radio.forceLDRO(${c.ldrOptimize ? "true" : "false"});`);
+  return lines.join("\n");
+}
+
+function lmicText(ctx) {
+  const { c, implicitHeader } = ctx;
+  const ih = implicitHeader ? c.payload : 0;
+  const lines = [
+    "// LMIC (MCCI arduino-lmic) — raw LoRa radio settings, no LoRaWAN MAC",
+    `LMIC.freq  = ${Math.round(c.freq_MHz * 1e6)};`,
+    `LMIC.txpow = ${c.txPower};`,
+    `LMIC.rps   = MAKERPS(SF${c.sf}, BW${c.bw}, CR_4_${c.cr + 4}, ${ih}, ${c.crc ? 0 : 1}); // ih, nocrc`,
+  ];
+  if (c.preamble !== 8) lines.push(`// LMIC hard-codes an 8-symbol preamble — configured ${c.preamble} needs a radio.c patch`);
+  lines.push("// LMIC sets LDRO itself for SF11/SF12 at BW125 and picks PA_BOOST per board pinmap");
+  return lines.join("\n");
+}
+
+function pythonText(ctx) {
+  const { c, registers, pa, implicitHeader } = ctx;
+  const regLines = registers.map(r => `        "${r.name}": ${hex(r.value)},`);
+  return [
+    "# Brain-side radio config (Raspberry Pi) — must match the sensor firmware",
+    "LORA_CONFIG = {",
+    `    "frequency_hz": ${Math.round(c.freq_MHz * 1e6)},`,
+    `    "spreading_factor": ${c.sf},`,
+    `    "bandwidth_hz": ${c.bw * 1000},`,
+    `    "coding_rate": ${c.cr + 4},  # 4/${c.cr + 4}`,
+    `    "preamble_length": ${c.preamble},`,
+    `    "crc": ${c.crc ? "True" : "False"},`,
+    `    "implicit_header": ${implicitHeader ? "True" : "False"},`,
+    `    "payload_length": ${c.payload},`,
+    `    "low_data_rate_optimize": ${c.ldrOptimize ? "True" : "False"},`,
+    `    "tx_power_dbm": ${c.txPower},`,
+    `    "pa_boost": ${pa.paBoost ? "True" : "False"},`,
+    `    "sync_word": ${hex(SYNC_WORD_PRIVATE)},`,
+    `    "registers": {`,
+    ...regLines,
+    "    },",
+    "}",
+  ].join("\n");
+}
+
+const GENERATORS = {
+  registers: registersText,
+  radiohead: radioheadText,
+  radiolib:  radiolibText,
+  lmic:      lmicText,
+  python:    pythonText,
+};
+
+// Returns { freq_MHz, implicitHeader, pa, registers, notes, code: { target → text } }
+export function generateFirmware({
+  region, euBand, sf, bw, cr, preamble, crc, explicitHeader, ldrOptimize,
+  txPower, payload, forcePaBoost = false,
+}) {
+  const freq_MHz = channelFrequency(region, euBand);
+  const c = { sf, bw, cr, preamble, crc, explicitHeader, ldrOptimize, txPower, payload, freq_MHz };
+  const { implicitHeader, pa, registers } = sx1276Registers({ ...c, forcePaBoost });
+  const ctx = { c, implicitHeader, pa, registers };
+
+  const notes = [];
+  if (sf === 6 && explicitHeader) {
+    notes.push("W8: SF6 has no explicit header on SX1276 — exported as implicit header with a fixed payload length.");
+  }
+  if (implicitHeader) {
+    notes.push(`Implicit header: sensor and brain must both hard-code the ${payload}-byte payload length.`);
+  }
+  if (sf === 6) notes.push("LMIC has no SF6 support — use RadioLib, RadioHead or raw registers.");
+  if (pa.highPower) notes.push("+20 dBm: RegPaDac 0x87 and OCP raised to 140 mA; 1% duty max on RFM95W (W4).");
+  if (!pa.paBoost) {
+    notes.push("RFO_HF selected per TX_CURRENT. Many RFM95W boards only wire PA_BOOST to the antenna — force PA_BOOST for those.");
+  }
+
+  const code = {};
+  for (const t of FIRMWARE_TARGETS) code[t.id] = GENERATORS[t.id](ctx);
+
+  return { freq_MHz, implicitHeader, pa, registers, notes, code };
+}
@@ -0,0 +1 @@
+export const fmt = (n, d = 2) => Number(n.toFixed(d)).toLocaleString();
@@ -0,0 +1,62 @@
+// ─── Jumbo Shoo LoRa engine ───────────────────────────────────────────────
+// Pure calculation layer (no React) shared by the calculator UI, firmware
+// and planning scripts. Every function returns plain numbers or objects.
+export * from "./constants.js";
+export {
+  REGIONS, ACCESS_MODES, getRegion, regionBand, canonicalBandId, bandWidth_kHz, bandFit, accessRules, regionTxPowers,
+} from "./regions.js";
+export { fmt } from "./format.js";
+export { calcAirtime, symbolTime, ldroRequired, effectiveBitrate } from "./airtime.js";
+export { messagesPerHour, calcDutyCycle, calcRearm, calcDwell } from "./duty.js";
+export {
+  DEFAULT_BURST, MAX_TRACE_EVENTS, MAX_TRACE_SPAN_S, DEFAULT_TRACE_BURST, simulateHour, burstTrace, parseTrace, checkTrace,
+} from "./timeline.js";
+export {
+  FCC_HOPPING_RULES, HOPPING_GRIDS, DEFAULT_HOPPING, hoppingRule, hoppingGrid, hopSequence, calcHopping,
+} from "./fhss.js";
+export { txCurrent, calcEnergy, calcBattery } from "./energy.js";
+export { evaluateWarnings } from "./warnings.js";
+export {
+  OPTIMIZER_OBJECTIVES, DEFAULT_OBJECTIVES, DEFAULT_CONSTRAINTS, DEFAULT_SEARCH, PREAMBLE_OPTIONS,
+  paretoFront, runOptimizer,
+} from "./optimizer.js";
+export { PRESETS, DEFAULT_SCHEMA, presetRadio } from "./presets.js";
+export {
+  SCHEMA_FIELD_TYPES, SCHEMA_MAX_FIELD_BITS, SCHEMA_MAX_FIELDS, SCHEMA_MAX_BYTES, SCHEMA_FIELD_TEMPLATES, SCHEMA_CODE_TARGETS,
+  schemaFields, schemaLayout, encodeSchema, decodeSchema, generateSchemaCode,
+} from "./schema.js";
+export {
+  DEFAULT_GUARD_PCT, allocateChannels, allocationCsv, channelRaster, isEventStream, planArray, scheduledMessages,
+} from "./array.js";
+export { DEFAULT_TDMA, planTdma, tdmaCsv } from "./tdma.js";
+export { createRng } from "./random.js";
+export { CAD_TSYM_RATIO, cadTiming, simulateCadBackoff } from "./cad-sim.js";
+export { DEFAULT_TRAFFIC, streamPerDay, calcTraffic } from "./traffic.js";
+export { DEFAULT_POWER, POWER_COMPONENTS, POWER_RANGES, calcPowerBudget } from "./power.js";
+export { BATTERY_CHEMISTRIES, DEFAULT_BATTERY_MODEL, batteryChemistry, calcBatteryLife } from "./battery.js";
+export { MONTHS, DEFAULT_CLEARNESS, DEFAULT_SOLAR, peakSunHours, calcSolar } from "./solar.js";
+export {
+  SENSITIVITY_DBM, REQUIRED_SNR_DB, NOISE_FIGURE_DB, PATH_LOSS_MODELS, DEFAULT_LINK, LINK_RANGES,
+  regionFrequency, pathLoss, maxDistance, calcLinkBudget,
+} from "./link.js";
+export {
+  CONFIG_VERSION, TOOL_VERSION, DEFAULT_CONFIG, normalizeConfig, serializeConfig,
+  configToQuery, configFromQuery, hasConfigQuery, configHash, configToJson, configFromJson,
+} from "./config.js";
+export {
+  LORAWAN_OVERHEAD_BYTES, LORAWAN_PREAMBLE, RECEIVE_DELAY1_S, RECEIVE_DELAY2_S, RX_WINDOW_SYMBOLS, ADR_MARGIN_DB,
+  TTN_UPLINK_AIRTIME_S_PER_DAY, TTN_DOWNLINKS_PER_DAY, DEFAULT_LORAWAN, LORAWAN_PLANS,
+  lorawanPlan, lorawanDataRate, lorawanFrame, adrDataRate, lorawanUplink, calcLorawan, lorawanRateTable,
+} from "./lorawan.js";
+export { DEFAULT_DOWNLINK, downlinkActive, expectedAttempts, calcDownlink } from "./downlink.js";
+export { evaluateConfig, evaluationInputs, linkedDetections } from "./evaluate.js";
+export { compareDesigns } from "./compare.js";
+export { SWEEP_PARAMS, SWEEP_METRICS, sweepParam, sweepConfig } from "./sweep.js";
+export { REFERENCES, complianceChecks, generateReport } from "./report.js";
+export {
+  FIRMWARE_TARGETS, hex, channelFrequency, paSettings, implicitHeaderFor, sx1276Registers, generateFirmware,
+} from "./firmware.js";
+export {
+  DEMOD_LOSS_DB, DEFAULT_RELIABILITY, symbolErrorRate, packetErrorRate, retryOutcome, calcReliability,
+  compareCodingRates, perCurve,
+} from "./per.js";
@@ -0,0 +1,99 @@
+import { getRegion } from "./regions.js";
+
+// ─── Link budget & range ──────────────────────────────────────────────────
+// SX1276 receiver sensitivity (dBm), band 1 (862–1020 MHz), LnaBoost on —
+// SX1276/77/78/79 datasheet rev 7, Table 10.
+export const SENSITIVITY_DBM = {
+  125: { 6: -118, 7: -123, 8: -126, 9: -129, 10: -132, 11: -133, 12: -136 },
+  250: { 6: -115, 7: -120, 8: -123, 9: -125, 10: -128, 11: -130, 12: -133 },
+  500: { 6: -111, 7: -116, 8: -119, 9: -122, 10: -125, 11: -128, 12: -130 },
+};
+
+// Demodulator SNR floor per SF (dB) — SX1276 datasheet §4.1.1.2, Table 13
+export const REQUIRED_SNR_DB = { 6: -5, 7: -7.5, 8: -10, 9: -12.5, 10: -15, 11: -17.5, 12: -20 };
+
+export const NOISE_FIGURE_DB = 6;
+
+export const PATH_LOSS_MODELS = [
+  { id: "fspl", label: "Free space" },
+  { id: "hata", label: "Okumura-Hata rural (open area)" },
+  { id: "logd", label: "Log-distance (exponent n)" },
+];
+
+export const DEFAULT_LINK = {
+  model: "hata",
+  txGain_dBi: 2.15, rxGain_dBi: 2.15,   // λ/2 dipoles
+  txCable_dB: 0.5, rxCable_dB: 1,
+  fadeMargin_dB: 10,
+  exponent: 2.7,                         // log-distance only
+  gatewayHeight_m: 10, nodeHeight_m: 1.5, // Hata only
+  distance_km: 2,
+};
+
+// [min, max] of each input — the link panel and config import share them
+export const LINK_RANGES = {
+  txGain_dBi: [-10, 30], rxGain_dBi: [-10, 30], txCable_dB: [0, 30], rxCable_dB: [0, 30],
+  fadeMargin_dB: [0, 50], exponent: [1.5, 6], gatewayHeight_m: [1, 500], nodeHeight_m: [0.5, 50],
+  distance_km: [0.01, 1000],
+};
+
+// Centre frequency used for path loss (MHz)
+export const regionFrequency = region => getRegion(region).freq_MHz;
+
+const log10 = Math.log10;
+const LOGD_REF_KM = 0.001; // 1 m reference distance, free-space loss up to d0
+
+// Hata rural: L = A + B·log10(d_km) — split so it can be inverted for range
+function hataTerms(f, hb, hm) {
+  const a_hm = (1.1 * log10(f) - 0.7) * hm - (1.56 * log10(f) - 0.8);
+  const urbanA = 69.55 + 26.16 * log10(f) - 13.82 * log10(hb) - a_hm;
+  const A = urbanA - 4.78 * log10(f) ** 2 + 18.33 * log10(f) - 40.94;
+  const B = 44.9 - 6.55 * log10(hb);
+  return { A, B };
+}
+
+const fspl = (d_km, f) => 20 * log10(d_km) + 20 * log10(f) + 32.44;
+
+export function pathLoss(d_km, f_MHz, link) {
+  if (link.model === "fspl") return fspl(d_km, f_MHz);
+  if (link.model === "hata") {
+    const { A, B } = hataTerms(f_MHz, link.gatewayHeight_m, link.nodeHeight_m);
+    return A + B * log10(d_km);
+  }
+  return fspl(LOGD_REF_KM, f_MHz) + 10 * link.exponent * log10(d_km / LOGD_REF_KM);
+}
+
+// Distance (km) at which the model reaches maxLoss dB
+export function maxDistance(maxLoss, f_MHz, link) {
+  if (link.model === "fspl") return 10 ** ((maxLoss - 20 * log10(f_MHz) - 32.44) / 20);
+  if (link.model === "hata") {
+    const { A, B } = hataTerms(f_MHz, link.gatewayHeight_m, link.nodeHeight_m);
+    return 10 ** ((maxLoss - A) / B);
+  }
+  return LOGD_REF_KM * 10 ** ((maxLoss - fspl(LOGD_REF_KM, f_MHz)) / (10 * link.exponent));
+}
+
+// bw in kHz. Margin is measured against sensitivity; the link closes reliably
+// while margin ≥ fade margin, which is also where max_distance_km is taken.
+export function calcLinkBudget({ sf, bw, txPower, region, link }) {
+  const f = regionFrequency(region);
+  const sensitivity_dBm = SENSITIVITY_DBM[bw]?.[sf] ?? null;
+  const required_snr_dB = REQUIRED_SNR_DB[sf] ?? null;
+  const noise_floor_dBm = -174 + 10 * log10(bw * 1000) + NOISE_FIGURE_DB;
+  const eirp_dBm = txPower + link.txGain_dBi - link.txCable_dB;
+  const budget_dB = eirp_dBm + link.rxGain_dBi - link.rxCable_dB - sensitivity_dBm;
+  const max_path_loss_dB = budget_dB - link.fadeMargin_dB;
+  const path_loss_dB = pathLoss(link.distance_km, f, link);
+  const rx_power_dBm = eirp_dBm + link.rxGain_dBi - link.rxCable_dB - path_loss_dB;
+  const link_margin_dB = rx_power_dBm - sensitivity_dBm;
+
+  return {
+    frequency_MHz: f,
+    sensitivity_dBm, required_snr_dB, noise_floor_dBm,
+    eirp_dBm, budget_dB, max_path_loss_dB,
+    path_loss_dB, rx_power_dBm, snr_dB: rx_power_dBm - noise_floor_dBm,
+    link_margin_dB,
+    link_ok: link_margin_dB >= link.fadeMargin_dB,
+    max_distance_km: maxDistance(max_path_loss_dB, f, link),
+  };
+}
@@ -0,0 +1,182 @@
+import { calcAirtime, symbolTime, ldroRequired } from "./airtime.js";
+import { DEFAULT_LINK, calcLinkBudget } from "./link.js";
+import { getRegion } from "./regions.js";
+
+// ─── LoRaWAN 1.0.x Class A uplinks ────────────────────────────────────────
+// PHYPayload = MHDR(1) + FHDR(DevAddr 4, FCtrl 1, FCnt 2, FOpts 0–15)
+//            + FPort(1, only with an app payload) + FRMPayload + MIC(4)
+export const LORAWAN_OVERHEAD_BYTES = 13;
+export const LORAWAN_PREAMBLE = 8;      // CR 4/5, explicit header, uplink CRC on
+
+// Class A receive windows open 1 s and 2 s after the uplink ends and stay
+// open long enough to detect a preamble (about 8 symbols at the window's DR)
+export const RECEIVE_DELAY1_S = 1;
+export const RECEIVE_DELAY2_S = 2;
+export const RX_WINDOW_SYMBOLS = 8;
+
+// ADR: the network server moves the node to the fastest DR that keeps this
+// much link margin (network-server installation margin). TX power steps are
+// not modelled.
+export const ADR_MARGIN_DB = 10;
+
+// The Things Network fair-use policy, per node
+export const TTN_UPLINK_AIRTIME_S_PER_DAY = 30;
+export const TTN_DOWNLINKS_PER_DAY = 10;
+
+// dr: selected data rate; fOpts: MAC commands piggy-backed in FHDR (bytes);
+// downlinksPerDay: application downlinks on top of ACKs for confirmed uplinks
+export const DEFAULT_LORAWAN = {
+  enabled: false, dr: 0, fOpts: 0, adr: false, confirmed: false, downlinksPerDay: 0,
+};
+
+// ─── Data rates (LoRaWAN Regional Parameters RP002-1.0.4) ─────────────────
+// maxMac: max MACPayload M in bytes (no repeater). rx1: downlink SF/BW in
+// RX1 at RX1DROffset 0 — same as the uplink unless the plan uses 500 kHz
+// downlink channels. Dwell-limited plans (AS923, AU915) use the
+// UplinkDwellTime = 1 tables, where DR0/DR1 are not available.
+const dataRate = (dr, sf, bw, maxMac, rx1 = { sf, bw }) => ({ dr, sf, bw, maxMac, rx1 });
+
+const EU_LIKE = [
+  dataRate(0, 12, 125, 59), dataRate(1, 11, 125, 59), dataRate(2, 10, 125, 59),
+  dataRate(3, 9, 125, 123), dataRate(4, 8, 125, 250), dataRate(5, 7, 125, 250),
+];
+
+export const LORAWAN_PLANS = {
+  eu: {
+    dataRates: [...EU_LIKE, dataRate(6, 7, 250, 250)],
+    rx2: { dr: 0, sf: 12, bw: 125, freq_MHz: 869.525 },
+  },
+  us: {
+    dataRates: [
+      dataRate(0, 10, 125, 19,  { sf: 10, bw: 500 }), dataRate(1, 9, 125, 61,  { sf: 9, bw: 500 }),
+      dataRate(2, 8, 125, 133,  { sf: 8, bw: 500 }),  dataRate(3, 7, 125, 250, { sf: 7, bw: 500 }),
+      dataRate(4, 8, 500, 250,  { sf: 7, bw: 500 }),
+    ],
+    rx2: { dr: 8, sf: 12, bw: 500, freq_MHz: 923.3 },
+  },
+  as923: {
+    dataRates: [
+      dataRate(2, 10, 125, 19), dataRate(3, 9, 125, 61), dataRate(4, 8, 125, 133),
+      dataRate(5, 7, 125, 250), dataRate(6, 7, 250, 250),
+    ],
+    rx2: { dr: 2, sf: 10, bw: 125, freq_MHz: 923.2 },
+  },
+  au915: {
+    dataRates: [
+      dataRate(2, 10, 125, 19, { sf: 10, bw: 500 }), dataRate(3, 9, 125, 61, { sf: 9, bw: 500 }),
+      dataRate(4, 8, 125, 133, { sf: 8, bw: 500 }),  dataRate(5, 7, 125, 250, { sf: 7, bw: 500 }),
+      dataRate(6, 8, 500, 250, { sf: 7, bw: 500 }),
+    ],
+    rx2: { dr: 8, sf: 12, bw: 500, freq_MHz: 923.3 },
+  },
+  in865: {
+    dataRates: EU_LIKE,
+    rx2: { dr: 2, sf: 10, bw: 125, freq_MHz: 866.55 },
+  },
+  kr920: {
+    dataRates: EU_LIKE,
+    rx2: { dr: 0, sf: 12, bw: 125, freq_MHz: 921.9 },
+  },
+  eu433: {
+    dataRates: EU_LIKE,
+    rx2: { dr: 0, sf: 12, bw: 125, freq_MHz: 434.665 },
+  },
+};
+
+export const lorawanPlan = region => LORAWAN_PLANS[getRegion(region).id];
+
+// Unknown DR (e.g. after a region switch) falls back to the plan's slowest
+export function lorawanDataRate(region, dr) {
+  const { dataRates } = lorawanPlan(region);
+  return dataRates.find(r => r.dr === dr) ?? dataRates[0];
+}
+
+// Frame sizes for an app payload; FPort is only sent with a payload
+export function lorawanFrame({ appPayload, fOpts = 0, maxMac = Infinity }) {
+  const fPort = appPayload > 0 ? 1 : 0;
+  const overhead_bytes = LORAWAN_OVERHEAD_BYTES - 1 + fPort + fOpts;
+  const mac_payload = 7 + fOpts + fPort + appPayload;
+  return {
+    overhead_bytes,
+    phy_payload: overhead_bytes + appPayload,
+    mac_payload,
+    max_app_payload: Math.max(0, maxMac - 8 - fOpts),
+    payload_ok: mac_payload <= maxMac,
+  };
+}
+
+const lorawanRadio = ({ sf, bw }, crc = true) => ({
+  sf, bw, cr: 1, preamble: LORAWAN_PREAMBLE, crc, explicitHeader: true, ldrOptimize: ldroRequired(sf, bw),
+});
+
+const frameAirtime = (radio, payloadBytes) => calcAirtime({
+  sf: radio.sf, bw: radio.bw * 1000, preamble: radio.preamble, payloadBytes,
+  cr: radio.cr, crc: radio.crc, explicitHeader: radio.explicitHeader, lowDROptimize: radio.ldrOptimize,
+});
+
+// ADR target: fastest DR whose link margin at the configured distance still
+// covers ADR_MARGIN_DB — the slowest DR when none does
+export function adrDataRate({ region, txPower, link = DEFAULT_LINK }) {
+  const { dataRates } = lorawanPlan(region);
+  const margins = dataRates.map(r => ({
+    ...r, link_margin_dB: calcLinkBudget({ sf: r.sf, bw: r.bw, txPower, region, link }).link_margin_dB,
+  }));
+  const ok = margins.filter(r => r.link_margin_dB >= ADR_MARGIN_DB);
+  return ok.length ? ok[ok.length - 1] : margins[0];
+}
+
+// ─── Uplink setup ─────────────────────────────────────────────────────────
+// Radio and frame for the selected (or ADR-chosen) data rate.
+// lorawan: DEFAULT_LORAWAN shape; link feeds the ADR margin.
+export function lorawanUplink({ region, lorawan, appPayload, txPower, link = null }) {
+  const adr = lorawan.adr ? adrDataRate({ region, txPower, link: link ?? DEFAULT_LINK }) : null;
+  const rate = adr ?? lorawanDataRate(region, lorawan.dr);
+  const frame = lorawanFrame({ appPayload, fOpts: lorawan.fOpts, maxMac: rate.maxMac });
+  return {
+    dr: rate.dr, rate, adr, app_payload: appPayload, ...frame,
+    radio: lorawanRadio(rate),
+  };
+}
+
+// ─── Receive windows and fair use ─────────────────────────────────────────
+// uplinksPerDay / airtimePerDay_ms: from the single or mixed traffic model.
+// Every uplink opens RX1 and RX2; each downlink (ACK or application) is
+// received in RX1 as an empty 12-byte frame. Downlink CRC is off.
+export function calcLorawan({ region, lorawan, uplink, uplinksPerDay, airtimePerDay_ms, rx_mA }) {
+  const plan = lorawanPlan(region);
+  const openFor = r => RX_WINDOW_SYMBOLS * symbolTime(r.sf, r.bw);
+  const rx1 = { delay_s: RECEIVE_DELAY1_S, ...uplink.rate.rx1, window_ms: openFor(uplink.rate.rx1) };
+  const rx2 = { delay_s: RECEIVE_DELAY2_S, ...plan.rx2, window_ms: openFor(plan.rx2) };
+
+  const downlinks_per_day = lorawan.downlinksPerDay + (lorawan.confirmed ? uplinksPerDay : 0);
+  const downlink_toa_ms = frameAirtime(lorawanRadio(uplink.rate.rx1, false), LORAWAN_OVERHEAD_BYTES - 1);
+  const rx_ms_per_day = uplinksPerDay * (rx1.window_ms + rx2.window_ms) + downlinks_per_day * downlink_toa_ms;
+
+  const avg_toa = uplinksPerDay > 0 ? airtimePerDay_ms / uplinksPerDay : frameAirtime(uplink.radio, uplink.phy_payload);
+  const max_uplinks_per_day = Math.floor(TTN_UPLINK_AIRTIME_S_PER_DAY * 1000 / avg_toa);
+
+  return {
+    rx1, rx2, downlinks_per_day, downlink_toa_ms, rx_ms_per_day,
+    rx_ms_per_uplink: uplinksPerDay > 0 ? rx_ms_per_day / uplinksPerDay : 0,
+    rx_mAh_per_day: rx_mA * rx_ms_per_day / 3_600_000,
+    uplinks_per_day: uplinksPerDay,
+    airtime_per_day_s: airtimePerDay_ms / 1000,
+    fair_use_pct: airtimePerDay_ms / 1000 / TTN_UPLINK_AIRTIME_S_PER_DAY * 100,
+    fair_use_ok: airtimePerDay_ms / 1000 <= TTN_UPLINK_AIRTIME_S_PER_DAY,
+    max_uplinks_per_day,
+    min_interval_s: max_uplinks_per_day > 0 ? 86400 / max_uplinks_per_day : Infinity,
+    downlinks_ok: downlinks_per_day <= TTN_DOWNLINKS_PER_DAY,
+  };
+}
+
+// Every DR of the plan for the current frame — ToA and fair-use headroom
+export function lorawanRateTable({ region, appPayload, fOpts = 0 }) {
+  return lorawanPlan(region).dataRates.map(r => {
+    const frame = lorawanFrame({ appPayload, fOpts, maxMac: r.maxMac });
+    const toa = frameAirtime(lorawanRadio(r), frame.phy_payload);
+    return {
+      dr: r.dr, sf: r.sf, bw: r.bw, toa, ...frame,
+      max_uplinks_per_day: Math.floor(TTN_UPLINK_AIRTIME_S_PER_DAY * 1000 / toa),
+    };
+  });
+}
@@ -0,0 +1,131 @@
+import { calcAirtime, ldroRequired } from "./airtime.js";
+import { calcEnergy, calcBattery } from "./energy.js";
+import { DEFAULT_LINK, calcLinkBudget } from "./link.js";
+import { getRegion, bandFit, accessRules, regionTxPowers } from "./regions.js";
+
+// ─── Configuration Optimizer (Pareto front) ───────────────────────────────
+// Searches SF/BW/CR/preamble/header/TX power and the plan's sub-bands, drops
+// non-compliant (sub-band duty or LBT+AFA, dwell, EIRP, BW fit) or
+// constraint-violating configs, and returns every config that no other
+// config beats on all selected objectives at once.
+
+// dir: -1 = minimise, +1 = maximise; key = result field compared
+export const OPTIMIZER_OBJECTIVES = [
+  { id: "energy",    label: "Min energy / TX",  key: "energy_mJ",       dir: -1 },
+  { id: "range",     label: "Max range",        key: "range_km",        dir: +1 },
+  { id: "toa",       label: "Min ToA",          key: "toa",             dir: -1 },
+  { id: "txPerHour", label: "Max TX / hour",    key: "max_tx_per_hour", dir: +1 },
+];
+
+export const DEFAULT_OBJECTIVES = ["energy", "toa", "txPerHour"];
+
+// minBattDays / minRange_km: 0 = off. maxSf caps the search.
+export const DEFAULT_CONSTRAINTS = { minBattDays: 0, minRange_km: 0, maxSf: 12 };
+
+// Search dimensions beyond SF/BW/CR. SF6 is only tried with implicit header (W8).
+export const DEFAULT_SEARCH = { preambles: [8], headers: ["explicit"] };
+export const PREAMBLE_OPTIONS = [6, 8, 12, 16];
+
+// a dominates b: no worse on every objective, strictly better on at least one
+function dominates(a, b, objectives) {
+  let better = false;
+  for (const o of objectives) {
+    const d = (a[o.key] - b[o.key]) * o.dir;
+    if (d < -1e-9) return false;
+    if (d > 1e-9) better = true;
+  }
+  return better;
+}
+
+// Lexicographic best-first order means a point can only be dominated by an
+// earlier one — and then also by something already on the front.
+export function paretoFront(points, objectives) {
+  const sorted = [...points].sort((a, b) => {
+    for (const o of objectives) {
+      const d = (b[o.key] - a[o.key]) * o.dir;
+      if (Math.abs(d) > 1e-9) return d;
+    }
+    return 0;
+  });
+  const front = [];
+  for (const p of sorted) {
+    if (!front.some(q => dominates(q, p, objectives))) front.push(p);
+  }
+  return front;
+}
+
+export function runOptimizer({
+  payloadBytes, region, access = "duty", txInterval_min, link = null,
+  objectives = DEFAULT_OBJECTIVES, constraints = DEFAULT_CONSTRAINTS, search = DEFAULT_SEARCH,
+  voltage = 3.7, battCapacity = 2000,
+}) {
+  const objs = OPTIMIZER_OBJECTIVES.filter(o => objectives.includes(o.id));
+  const { minBattDays = 0, minRange_km = 0, maxSf = 12 } = constraints;
+  const { preambles = [8], headers = ["explicit"] } = search;
+  // Range is needed for the objective or constraint even without a link setup
+  const rangeLink = link ?? (objectives.includes("range") || minRange_km > 0 ? DEFAULT_LINK : null);
+
+  const plan = getRegion(region);
+  const txPerHour = txInterval_min > 0 ? 60 / txInterval_min : 0;
+
+  const feasible = [];
+  let evaluated = 0;
+
+  for (const band of plan.subBands) {
+    const { duty, dwell_ms } = accessRules(region, band.id, access);
+    const powers = regionTxPowers(region, band.id);
+    for (let sf = 6; sf <= maxSf; sf++) {
+      for (const bw of plan.bandwidths) {
+        // ── Channel must fit inside the sub-band with margin (W1/W2; EU g3: BW125 only)
+        if (bandFit(bw, band) !== "ok") continue;
+        const ldro = ldroRequired(sf, bw);
+
+        for (let cr = 1; cr <= 4; cr++) {
+          for (const header of headers) {
+            const explicitHeader = header === "explicit";
+            if (sf === 6 && explicitHeader) continue; // W8
+            for (const preamble of preambles) {
+              const toa = calcAirtime({
+                sf, bw: bw * 1000, preamble, payloadBytes, cr,
+                crc: true, explicitHeader, lowDROptimize: ldro,
+              });
+
+              // ── Compliance filter ─────────────────────────────────────
+              evaluated += powers.length;
+              if (dwell_ms != null && toa > dwell_ms) continue;
+              if (duty != null) {
+                const duty_used_pct = (toa / 1000 / 60 / txInterval_min) * 100;
+                if (duty_used_pct > duty) continue;
+              }
+
+              const rearm_s = duty != null ? toa / (duty / 100) / 1000 : null;
+              // Duty-limited sub-bands cap the rate; otherwise only channel time does
+              const max_tx_per_hour = Math.floor(((duty ?? 100) / 100 * 3_600_000) / toa);
+
+              for (const txPower of powers) {
+                const { energy_mJ, energy_uAh } = calcEnergy({ airtime: toa, txPower, voltage });
+                const { batt_days } = calcBattery({ energy_uAh, txPerHour, battCapacity });
+                if (batt_days < minBattDays) continue;
+
+                const lb = rangeLink ? calcLinkBudget({ sf, bw, txPower, region, link: rangeLink }) : null;
+                const range_km = lb ? lb.max_distance_km : null;
+                if (minRange_km > 0 && range_km < minRange_km) continue;
+
+                feasible.push({
+                  sf, bw, cr, preamble, explicitHeader, txPower, ldro,
+                  band, toa, rearm_s, energy_mJ, batt_days, max_tx_per_hour,
+                  range_km, link_margin_dB: lb ? lb.link_margin_dB : null,
+                });
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Ordered best-first on the selected objectives, in list order
+  const front = objs.length ? paretoFront(feasible, objs) : feasible;
+
+  return { front, feasible: feasible.length, evaluated, objectives: objs.map(o => o.id) };
+}
@@ -0,0 +1,141 @@
+import { calcEnergy } from "./energy.js";
+import { calcAirtime } from "./airtime.js";
+import { REQUIRED_SNR_DB } from "./link.js";
+
+// ─── Packet error rate versus SNR ─────────────────────────────────────────
+// Symbol errors: AWGN approximation for M-ary orthogonal chirps,
+//   Ps ≈ Q(√(2·Es/N0) − √(2·ln M)),  M = 2^SF,  Es/N0 = SNR·2^SF,
+// with DEMOD_LOSS_DB of receiver implementation loss, which puts the knee of
+// the curve close to the SX1276 demodulator floor (REQUIRED_SNR_DB).
+// Coding: the diagonal interleaver spreads each symbol over one bit of every
+// codeword, so a block of 4+CR symbols survives one symbol error with
+// Hamming CR 4/7 and 4/8, none with 4/5 and 4/6. The first 8 symbols (header
+// block) are always sent at CR 4/8.
+export const DEMOD_LOSS_DB = 2;
+const HEADER_BLOCK_SYMBOLS = 8;
+const FADE_STEP_DB = 0.1;
+const FADE_RANGE_DB = [-40, 15];     // fade power range integrated; deeper fades count as lost
+
+// retries: resends after a missed ACK (confirmed uplinks); repeats: blind
+// copies of every unconfirmed message, the LoRaWAN NbTrans equivalent
+export const DEFAULT_RELIABILITY = { enabled: false, rayleigh: false, repeats: 1 };
+
+// Complementary error function — Numerical Recipes erfcc, |ε| < 1.2e-7
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+const qFunc = x => 0.5 * erfc(x / Math.SQRT2);
+
+export function symbolErrorRate(snr_dB, sf) {
+  const M = 2 ** sf;
+  const esN0 = 10 ** ((snr_dB - DEMOD_LOSS_DB) / 10) * M;
+  return Math.min(1, qFunc(Math.sqrt(2 * esN0) - Math.sqrt(2 * Math.log(M))));
+}
+
+// Probability that a block of n symbols has more than t symbol errors
+function blockErrorRate(ps, n, t) {
+  let ok = 0;
+  for (let k = 0; k <= t; k++) ok += binomial(n, k) * ps ** k * (1 - ps) ** (n - k);
+  return Math.max(0, 1 - ok);
+}
+const binomial = (n, k) => (k === 0 ? 1 : (n * binomial(n - 1, k - 1)) / k);
+
+// Payload interleaver blocks after the header block — same count as the ToA formula
+function payloadBlocks({ sf, payloadBytes, crc, explicitHeader, lowDROptimize }) {
+  const DE = lowDROptimize ? 1 : 0;
+  const IH = sf === 6 || !explicitHeader ? 1 : 0;
+  const inner = 8 * payloadBytes - 4 * sf + 28 + 16 * (crc ? 1 : 0) - 20 * IH;
+  return Math.max(Math.ceil(inner / (4 * (sf - 2 * DE))), 0);
+}
+
+function perAt(snr_dB, radio, payloadBytes) {
+  const ps = symbolErrorRate(snr_dB, radio.sf);
+  const blocks = payloadBlocks({ ...radio, payloadBytes });
+  const header = blockErrorRate(ps, HEADER_BLOCK_SYMBOLS, 1);
+  const block = blockErrorRate(ps, radio.cr + 4, radio.cr >= 3 ? 1 : 0);
+  return 1 - (1 - header) * (1 - block) ** blocks;
+}
+
+// radio: { sf, cr, crc, explicitHeader, ldrOptimize }. rayleigh averages the
+// PER over Rayleigh block fading (one fade per packet) around the mean SNR.
+export function packetErrorRate({ radio, payloadBytes, snr_dB, rayleigh = false }) {
+  const r = { ...radio, lowDROptimize: radio.ldrOptimize };
+  if (!rayleigh) return perAt(snr_dB, r, payloadBytes);
+  // Fade power x is exponential (pdf e^−x); integrated over u = 10·log10(x)
+  const [lo, hi] = FADE_RANGE_DB;
+  let sum = 1 - Math.exp(-(10 ** (lo / 10)));
+  for (let u = lo + FADE_STEP_DB / 2; u < hi; u += FADE_STEP_DB) {
+    const x = 10 ** (u / 10);
+    sum += perAt(snr_dB + u, r, payloadBytes) * Math.exp(-x) * x * (Math.LN10 / 10) * FADE_STEP_DB;
+  }
+  return Math.min(1, sum);
+}
+
+// ─── Retry policy ─────────────────────────────────────────────────────────
+// "arq": resend after a failed exchange, up to 1 + retries sends.
+// "repeat": always send `attempts` copies; delivered if any gets through.
+export function retryOutcome({ loss, policy, attempts }) {
+  const expected_tx = policy === "arq"
+    ? Array.from({ length: attempts }, (_, k) => loss ** k).reduce((a, b) => a + b, 0)
+    : attempts;
+  const delivery = 1 - loss ** attempts;
+  return { expected_tx, delivery, tx_per_delivered: delivery > 0 ? expected_tx / delivery : Infinity };
+}
+
+// ─── Reliability at the link-budget SNR ───────────────────────────────────
+// confirmed/retries/ackPayload: the raw-LoRa ACK policy (calcDownlink). An ACK
+// crosses the same link, so an exchange fails if the uplink or the ACK does.
+export function calcReliability({
+  radio, payload, snr_dB, reliability, confirmed = false, retries = 0, ackPayload = 0,
+}) {
+  const rel = { ...DEFAULT_RELIABILITY, ...reliability };
+  const per = packetErrorRate({ radio, payloadBytes: payload, snr_dB, rayleigh: rel.rayleigh });
+  const ack_per = confirmed ? packetErrorRate({ radio, payloadBytes: ackPayload, snr_dB, rayleigh: rel.rayleigh }) : 0;
+  const loss = 1 - (1 - per) * (1 - ack_per);
+  const policy = confirmed ? "arq" : "repeat";
+  const attempts = confirmed ? retries + 1 : rel.repeats;
+  const outcome = retryOutcome({ loss, policy, attempts });
+  return {
+    ...rel, snr_dB, snr_margin_dB: snr_dB - REQUIRED_SNR_DB[radio.sf],
+    per, ack_per, loss, policy, attempts,
+    expected_tx: outcome.expected_tx,
+    delivery_pct: outcome.delivery * 100,
+    tx_per_delivered: outcome.tx_per_delivered,
+  };
+}
+
+// ─── Coding-rate trade-off ────────────────────────────────────────────────
+// Same link, policy and payload at every CR: longer airtime against fewer
+// resends. Effective ToA and energy are per delivered message.
+export function compareCodingRates({
+  radio, payload, snr_dB, reliability, confirmed = false, retries = 0, ackPayload = 0, txPower, voltage,
+}) {
+  return [1, 2, 3, 4].map(cr => {
+    const r = { ...radio, cr };
+    const toa = calcAirtime({
+      sf: r.sf, bw: r.bw * 1000, preamble: r.preamble, payloadBytes: payload, cr,
+      crc: r.crc, explicitHeader: r.explicitHeader, lowDROptimize: r.ldrOptimize,
+    });
+    const rel = calcReliability({ radio: r, payload, snr_dB, reliability, confirmed, retries, ackPayload });
+    const { energy_mJ } = calcEnergy({ airtime: toa, txPower, voltage });
+    return {
+      cr, toa, per: rel.per, expected_tx: rel.expected_tx, delivery_pct: rel.delivery_pct,
+      effective_toa: toa * rel.tx_per_delivered,
+      energy_per_delivered_mJ: energy_mJ * rel.tx_per_delivered,
+    };
+  });
+}
+
+// PER over an SNR range around the demodulator floor, for plotting
+export function perCurve({ radio, payloadBytes, rayleigh = false, from = -8, to = 12, step = 0.5 }) {
+  const floor = REQUIRED_SNR_DB[radio.sf];
+  const points = [];
+  for (let m = from; m <= to + 1e-9; m += step) {
+    points.push({ margin_dB: m, snr_dB: floor + m, per: packetErrorRate({ radio, payloadBytes, snr_dB: floor + m, rayleigh }) });
+  }
+  return points;
+}
@@ -0,0 +1,76 @@
+import { cadTiming } from "./cad-sim.js";
+
+// ─── Full-node power budget ───────────────────────────────────────────────
+// Everything the node draws in a day besides TX:
+//   sleep     — radio + MCU deep sleep, for the time not spent active
+//   rx        — listen window after each TX, plus optional continuous listen
+//   cad       — CAD scans before each detection TX (duration from SF/BW)
+//   mcu       — MCU / Raspberry Pi active current × active duty
+//   geophone  — always-on front-end (amplifier + ADC)
+// RFM95W: sleep ~0.2 µA, RX ~10.8 mA (HopeRF datasheet v2.0, Table 6);
+// CAD draws roughly RX current for its duration (Semtech AN1200.48).
+export const DEFAULT_POWER = {
+  sleep_uA: 5,
+  rx_mA: 10.8,
+  rxPerTx_ms: 0,
+  listen_pct: 0,
+  cad_mA: 10.8,
+  cadPerDetection: 1,
+  detectionsPerDay: 24,
+  mcu_mA: 120,
+  mcuDuty_pct: 1,
+  geophone_mA: 0.5,
+};
+
+// [min, max] of each input — the power panel and config import share them
+export const POWER_RANGES = {
+  sleep_uA: [0, 10000], rx_mA: [0, 200], rxPerTx_ms: [0, 60000], listen_pct: [0, 100],
+  cad_mA: [0, 200], cadPerDetection: [0, 100], detectionsPerDay: [0, 100000],
+  mcu_mA: [0, 5000], mcuDuty_pct: [0, 100], geophone_mA: [0, 1000],
+};
+
+export const POWER_COMPONENTS = [
+  { id: "tx",       label: "TX",        color: "#6fcf6f" },
+  { id: "rx",       label: "RX listen", color: "#4a9aca" },
+  { id: "cad",      label: "CAD",       color: "#9a7ad0" },
+  { id: "mcu",      label: "MCU / RPi", color: "#f0a060" },
+  { id: "geophone", label: "Geophone",  color: "#d0c060" },
+  { id: "sleep",    label: "Sleep",     color: "#5a8a5a" },
+];
+
+// tx_mAh_per_day and txPerDay come from the TX-only model (single or mixed);
+// radio (sf, bw in kHz, preamble) sets the CAD duration.
+export function calcPowerBudget({ power, radio, txPerDay, txAirtimePerDay_ms, tx_mAh_per_day, battCapacity, voltage }) {
+  const p = { ...DEFAULT_POWER, ...power };
+  const { cad_ms } = cadTiming({ sf: radio.sf, bw: radio.bw, preamble: radio.preamble });
+
+  const rx_h = (txPerDay * p.rxPerTx_ms) / 3_600_000 + 24 * p.listen_pct / 100;
+  const cad_h = (p.detectionsPerDay * p.cadPerDetection * cad_ms) / 3_600_000;
+  const mcu_h = 24 * p.mcuDuty_pct / 100;
+  const tx_h = txAirtimePerDay_ms / 3_600_000;
+  // Sleep covers whatever is left of the day once the radio and MCU are idle
+  const sleep_h = Math.max(0, 24 - tx_h - rx_h - cad_h - mcu_h);
+
+  const daily = {
+    tx: tx_mAh_per_day,
+    rx: p.rx_mA * rx_h,
+    cad: p.cad_mA * cad_h,
+    mcu: p.mcu_mA * mcu_h,
+    geophone: p.geophone_mA * 24,
+    sleep: (p.sleep_uA / 1000) * sleep_h,
+  };
+  const total_mAh_per_day = Object.values(daily).reduce((sum, v) => sum + v, 0);
+
+  return {
+    cad_ms,
+    daily,
+    breakdown: POWER_COMPONENTS.map(c => ({
+      ...c, mAh: daily[c.id],
+      share: total_mAh_per_day > 0 ? daily[c.id] / total_mAh_per_day : 0,
+    })),
+    total_mAh_per_day,
+    total_mWh_per_day: total_mAh_per_day * voltage,
+    avg_current_mA: total_mAh_per_day / 24,
+    batt_days: total_mAh_per_day > 0 ? battCapacity / total_mAh_per_day : Infinity,
+  };
+}
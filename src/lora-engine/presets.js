@@ -0,0 +1,62 @@
+import { getRegion, regionTxPowers } from "./regions.js";
+import { schemaFields } from "./schema.js";
+
+// ─── Presets ──────────────────────────────────────────────────────────────
+export const PRESETS = {
+  heartbeat: {
+    label: "Sensor Heartbeat",
+    desc: "Node alive · battery voltage · temperature",
+    // EU: SF12 (max range). US: SF7/BW125 (45 ms — well within 400 ms dwell limit)
+    sf_eu: 12, sf_us: 7, bw_eu: 125, bw_us: 125,
+    payload: 12, cr: 2, txPower_eu: 14, txPower_us: 14,
+    schema: schemaFields("node_id", "seq", "timestamp", "battery_mv", "temperature", "flags"),
+  },
+  status: {
+    label: "Status Report",
+    desc: "RPi diagnostics · sensor health metrics",
+    // EU: SF12. US: SF7/BW125 (70 ms — compliant)
+    sf_eu: 12, sf_us: 7, bw_eu: 125, bw_us: 125,
+    payload: 24, cr: 2, txPower_eu: 14, txPower_us: 14,
+    schema: schemaFields(
+      "node_id", "seq", "timestamp", "battery_mv", "temperature", "flags",
+      "uptime", "rssi", "snr", "detections", "noise_floor", "cpu_temp",
+    ),
+  },
+  detection: {
+    label: "Detection Event",
+    desc: "Seismic trigger · node ID + timestamp + amplitude",
+    // EU: SF12. US: SF7/BW125 (39 ms — compliant)
+    sf_eu: 12, sf_us: 7, bw_eu: 125, bw_us: 125,
+    payload: 8, cr: 2, txPower_eu: 14, txPower_us: 14,
+    schema: schemaFields("node_id", "timestamp", "amplitude", "flags"),
+  },
+  ping: {
+    label: "Alive Ping",
+    desc: "Minimal keepalive · lowest power",
+    // EU: SF12. US: SF7/BW125 (39 ms — compliant)
+    sf_eu: 12, sf_us: 7, bw_eu: 125, bw_us: 125,
+    payload: 6, cr: 2, txPower_eu: 14, txPower_us: 14,
+    schema: schemaFields("node_id", "timestamp", "flags"),
+  },
+  custom: { label: "Custom", sf_eu: 12, sf_us: 7, bw_eu: 125, bw_us: 125, payload: 12, cr: 2, txPower_eu: 14, txPower_us: 14 },
+};
+
+// Payload schema: off by default (payload typed in bytes); the fields start
+// from the default preset's layout. Each preset's schema packs to its payload.
+export const DEFAULT_SCHEMA = { enabled: false, fields: PRESETS.heartbeat.schema };
+
+// Radio settings of a preset for a regional plan. Dwell-limited plans (US,
+// AS923, AU915) take the short-ToA _us values, the rest the _eu values; BW
+// falls back to the plan's first allowed width and TX power is capped at its
+// EIRP limit.
+export function presetRadio(p, region) {
+  const plan = getRegion(region);
+  const dwell = plan.dwell_ms != null;
+  const bw = dwell ? p.bw_us : p.bw_eu;
+  const txPower = dwell ? p.txPower_us : p.txPower_eu;
+  return {
+    sf: dwell ? p.sf_us : p.sf_eu,
+    bw: plan.bandwidths.includes(bw) ? bw : plan.bandwidths[0],
+    txPower: Math.max(...regionTxPowers(region).filter(v => v <= txPower)),
+  };
+}
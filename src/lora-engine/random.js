@@ -0,0 +1,15 @@
+// ─── Seeded PRNG (mulberry32) ─────────────────────────────────────────────
+// Simulations take a seed so a run can be reproduced exactly.
+export function createRng(seed = 1) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Uniform integer in [0, n)
+export const randInt = (rng, n) => Math.floor(rng() * n);
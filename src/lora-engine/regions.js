@@ -0,0 +1,116 @@
+import { EU_BANDS, EU_LBT_AFA, TX_POWER_OPTIONS, EU_MAX_TX_POWER_DBM, US_MAX_DWELL_MS, US_DEFAULT_FREQ_MHZ } from "./constants.js";
+
+// ─── Regional plans ───────────────────────────────────────────────────────
+// Everything region-specific lives here: frequency range, sub-bands (edges,
+// duty-cycle %, default channel), dwell limit, EIRP cap, allowed bandwidths
+// and LBT. duty / dwell_ms: null = no such limit in that plan. Sub-bands may
+// carry their own maxEirp_dBm; lbtAfa: polite-access alternative to duty.
+// Channel plans and EIRP: LoRaWAN Regional Parameters RP002-1.0.4.
+// module: radio the TX current and sensitivity tables were measured on.
+export const REGIONS = [
+  {
+    id: "eu", label: "EU 868", name: "EU 863–870 MHz", rule: "ETSI EN 300 220",
+    range_MHz: [863, 870], freq_MHz: 868, maxEirp_dBm: EU_MAX_TX_POWER_DBM,
+    dwell_ms: null, bandwidths: [125, 250, 500], lbt: null, lbtAfa: EU_LBT_AFA, module: "RFM95W",
+    subBands: EU_BANDS,
+    note: "Per-sub-band duty cycle or LBT + AFA; 25 mW EIRP (500 mW in g3).",
+  },
+  {
+    id: "us", label: "US 915", name: "US 902–928 MHz", rule: "FCC §15.247",
+    range_MHz: [902, 928], freq_MHz: 915, maxEirp_dBm: 30,
+    dwell_ms: US_MAX_DWELL_MS, bandwidths: [125, 250, 500], lbt: null, module: "RFM95W",
+    subBands: [{ id: "us", label: "902–928 MHz FHSS", low_MHz: 902, high_MHz: 928, duty: null, freq_MHz: US_DEFAULT_FREQ_MHZ }],
+    note: "FHSS, ≥50 channels, max 400 ms dwell per channel.",
+  },
+  {
+    id: "as923", label: "AS923", name: "AS923-1 915–928 MHz", rule: "RP002 AS923",
+    range_MHz: [915, 928], freq_MHz: 923, maxEirp_dBm: 16,
+    dwell_ms: 400, bandwidths: [125, 250],
+    lbt: { required: false, threshold_dBm: -80, listen_ms: 5, note: "Japan (ARIB STD-T108) requires LBT" },
+    module: "RFM95W",
+    subBands: [{ id: "as923", label: "AS923-1 923.2 / 923.4 MHz", low_MHz: 923.0, high_MHz: 923.5, duty: 1, freq_MHz: 923.2 }],
+    note: "Dwell 400 ms where UplinkDwellTime applies; duty and LBT rules vary by country.",
+  },
+  {
+    id: "au915", label: "AU915", name: "AU 915–928 MHz", rule: "ACMA LIPD Class Licence",
+    range_MHz: [915, 928], freq_MHz: 921, maxEirp_dBm: 30,
+    dwell_ms: 400, bandwidths: [125, 500], lbt: null, module: "RFM95W",
+    subBands: [{ id: "au915", label: "915–928 MHz FHSS", low_MHz: 915, high_MHz: 928, duty: null, freq_MHz: 916.8 }],
+    note: "US-style 64 + 8 channel plan, max 400 ms dwell per channel.",
+  },
+  {
+    id: "in865", label: "IN865", name: "IN 865–867 MHz", rule: "WPC G.S.R. 564(E)",
+    range_MHz: [865, 867], freq_MHz: 866, maxEirp_dBm: 30,
+    dwell_ms: null, bandwidths: [125], lbt: null, module: "RFM95W",
+    subBands: [{ id: "in865", label: "865–867 MHz", low_MHz: 865, high_MHz: 867, duty: null, freq_MHz: 865.0625 }],
+    note: "No duty-cycle or dwell limit; 1 W ERP.",
+  },
+  {
+    id: "kr920", label: "KR920", name: "KR 920.9–923.3 MHz", rule: "Korean Radio Waves Act",
+    range_MHz: [920.9, 923.3], freq_MHz: 922, maxEirp_dBm: 14,
+    dwell_ms: null, bandwidths: [125],
+    lbt: { required: true, threshold_dBm: -65, listen_ms: 5, note: "LBT mandatory before every TX" },
+    module: "RFM95W",
+    subBands: [{ id: "kr920", label: "920.9–923.3 MHz", low_MHz: 920.9, high_MHz: 923.3, duty: null, freq_MHz: 922.1 }],
+    note: "LBT instead of duty cycle; 25 mW EIRP for end devices.",
+  },
+  {
+    id: "eu433", label: "EU433", name: "EU 433.05–434.79 MHz", rule: "ETSI EN 300 220",
+    range_MHz: [433.05, 434.79], freq_MHz: 433.9, maxEirp_dBm: 12.15,
+    dwell_ms: null, bandwidths: [125], lbt: null, module: "RFM96W/RFM98W",
+    subBands: [{ id: "eu433", label: "433.05–434.79 MHz", low_MHz: 433.05, high_MHz: 434.79, duty: 10, freq_MHz: 433.175 }],
+    note: "10% duty, 10 mW ERP.",
+  },
+];
+
+export const getRegion = id => REGIONS.find(r => r.id === id) ?? REGIONS[0];
+
+// Sub-band ids from older links and saved designs ("g" folded g and g1)
+const LEGACY_BAND_IDS = { g: "g1" };
+export const canonicalBandId = id => LEGACY_BAND_IDS[id] ?? id;
+
+// Sub-band within the plan; plans with a single sub-band ignore the id
+export function regionBand(region, bandId) {
+  const { subBands } = getRegion(region);
+  const id = canonicalBandId(bandId);
+  return subBands.find(b => b.id === id) ?? subBands[0];
+}
+
+// Rounded to 1 Hz so 869.2 − 868.7 is exactly 500 kHz
+export const bandWidth_kHz = band => Math.round((band.high_MHz - band.low_MHz) * 1e6) / 1000;
+
+// Channel fit from the band edges: "over" (W1), "tight" under 20% margin (W2), "ok"
+export function bandFit(bw, band) {
+  const width = bandWidth_kHz(band);
+  if (bw > width) return "over";
+  if (bw > width * 0.8) return "tight";
+  return "ok";
+}
+
+// ─── Channel access ───────────────────────────────────────────────────────
+// Effective limits for one sub-band. "lbtafa" (plans with lbtAfa only) swaps
+// the duty cycle for polite spectrum access: the per-transmission TX-on cap
+// is checked like dwell, the TX-on seconds per hour like duty.
+export const ACCESS_MODES = [
+  { id: "duty",   label: "Duty cycle" },
+  { id: "lbtafa", label: "LBT + AFA" },
+];
+
+export function accessRules(region, bandId, access = "duty") {
+  const plan = getRegion(region);
+  const band = regionBand(region, bandId);
+  const maxEirp_dBm = band.maxEirp_dBm ?? plan.maxEirp_dBm;
+  if (access === "lbtafa" && plan.lbtAfa) {
+    const { maxTxOn_ms, txOnPerHour_s } = plan.lbtAfa;
+    // TX-on seconds per hour as a duty %, rounded for display (100 s → 2.778%)
+    return {
+      band, mode: "lbtafa", duty: Math.round(txOnPerHour_s / 36 * 1000) / 1000, dwell_ms: maxTxOn_ms,
+      maxEirp_dBm, lbt: plan.lbtAfa, rule: `${plan.rule} LBT+AFA`,
+    };
+  }
+  return { band, mode: "duty", duty: band.duty, dwell_ms: plan.dwell_ms, maxEirp_dBm, lbt: plan.lbt, rule: plan.rule };
+}
+
+// TX power options that stay within the sub-band's EIRP cap (antenna gain ignored)
+export const regionTxPowers = (region, bandId) =>
+  TX_POWER_OPTIONS.filter(p => p <= accessRules(region, bandId).maxEirp_dBm);
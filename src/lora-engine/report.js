@@ -0,0 +1,212 @@
+import { TOOL_VERSION, configHash, configToQuery } from "./config.js";
+import { bandFit, bandWidth_kHz } from "./regions.js";
+import { fmt } from "./format.js";
+import { TTN_UPLINK_AIRTIME_S_PER_DAY, TTN_DOWNLINKS_PER_DAY } from "./lorawan.js";
+
+// ─── Field deployment report ──────────────────────────────────────────────
+// A self-contained printable HTML document (print → Save as PDF) for permit
+// applications and field hand-off: configuration, every regulatory check
+// with its margin, active warnings, energy and battery estimates.
+
+// Same list as the README references
+export const REFERENCES = [
+  "Semtech AN1200.13 — LoRa Modem Designer's Guide (ToA formula)",
+  "ETSI EN 300 220 — EU 868 MHz sub-band duty-cycle limits, polite spectrum access (LBT + AFA)",
+  "CEPT ERC Recommendation 70-03, Annex 1 — non-specific SRD sub-bands, EIRP and duty cycle",
+  "FCC §15.247 — US 400 ms dwell time limit",
+  "LoRa Alliance RP002-1.0.4 — LoRaWAN Regional Parameters (AS923, AU915, IN865, KR920, EU433 channel plans and EIRP)",
+  "LoRa Alliance TS001-1.0.4 — LoRaWAN L2 specification (frame format, Class A receive windows)",
+  "The Things Network fair use policy — 30 s uplink airtime and 10 downlinks per node per day",
+  "HopeRF RFM95W datasheet v2.0 — TX current values",
+  "Semtech SX1276/77/78/79 datasheet rev 7 — receiver sensitivity and SNR per SF/BW, LoRa register map (§6.4)",
+  "Reddy (ed.), Linden's Handbook of Batteries, 4th ed. — discharge curves, temperature and self-discharge behaviour per chemistry",
+  "FAO Irrigation and Drainage Paper 56, eq. 21 — extraterrestrial radiation by latitude and day of year",
+  "Proakis, Digital Communications — M-ary orthogonal signalling and Rayleigh fading error rates",
+  "Hata, \"Empirical formula for propagation loss in land mobile radio services\" (1980) — rural path-loss model",
+];
+
+const days = d => (Number.isFinite(d) ? `${fmt(d, 0)} days (${fmt(d / 365, 1)} years)` : "∞");
+
+// Each: { rule, label, value, limit, margin, pass } — value / limit / margin as display text.
+// result: evaluateConfig() output for config.
+export function complianceChecks(config, result) {
+  const r = result;
+  const { rules } = r;
+  const checks = [];
+  const lbt = rules.mode === "lbtafa";
+
+  if (r.duty_limit != null) {
+    checks.push(lbt ? {
+      rule: rules.rule, label: `TX-on time per hour (${rules.band.id})`,
+      value: `${fmt(r.duty_used_per_hour * 36, 2)} s`, limit: `${rules.lbt.txOnPerHour_s} s`,
+      margin: `${fmt(rules.lbt.txOnPerHour_s - r.duty_used_per_hour * 36, 2)} s`, pass: r.dutyCompliant,
+    } : {
+      rule: rules.rule, label: `Sub-band duty cycle (${rules.band.id})`,
+      value: `${fmt(r.duty_used_per_hour, 4)}%`, limit: `${r.duty_limit}%`,
+      margin: `${fmt(r.duty_limit - r.duty_used_per_hour, 4)}% (${fmt(r.duty_pct_of_limit, 1)}% of limit used)`,
+      pass: r.dutyCompliant,
+    });
+  }
+  if (r.dwell_limit_ms != null) {
+    // Mixed traffic: the longest packet decides
+    const toa = r.traffic ? Math.max(r.airtime, r.traffic.max_toa) : r.airtime;
+    checks.push({
+      rule: rules.rule, label: lbt ? "TX-on time per transmission" : "Dwell time per channel",
+      value: `${fmt(toa, 1)} ms`, limit: `${r.dwell_limit_ms} ms`, margin: `${fmt(r.dwell_limit_ms - toa, 1)} ms`,
+      pass: r.dwell_ok,
+    });
+  }
+  checks.push({
+    rule: rules.rule, label: "TX power vs EIRP cap",
+    value: `${config.txPower} dBm`, limit: `${rules.maxEirp_dBm} dBm`,
+    margin: `${fmt(rules.maxEirp_dBm - config.txPower, 2)} dB (antenna gain not included)`,
+    pass: config.txPower <= rules.maxEirp_dBm,
+  });
+  const width = bandWidth_kHz(rules.band);
+  checks.push({
+    rule: rules.rule, label: `Channel fits ${rules.band.low_MHz}–${rules.band.high_MHz} MHz`,
+    value: `${r.radio.bw} kHz`, limit: `${fmt(width, 0)} kHz`, margin: `${fmt(width - r.radio.bw, 0)} kHz`,
+    pass: bandFit(r.radio.bw, rules.band) !== "over",
+  });
+  if (r.hopping) {
+    const h = r.hopping;
+    checks.push({
+      rule: rules.rule, label: `Hopping channels (${h.rule.label})`,
+      value: String(h.channels_used), limit: `≥ ${h.rule.minChannels}`, margin: String(h.channels_used - h.rule.minChannels),
+      pass: h.channels_ok,
+    });
+    if (h.rule.window_s != null) {
+      checks.push({
+        rule: rules.rule, label: `Average occupancy per channel in ${h.rule.window_s} s`,
+        value: `${fmt(h.worst_occupancy_s * 1000, 0)} ms (ch ${h.worst_channel})`, limit: `${h.rule.maxOccupancy_s * 1000} ms`,
+        margin: `${fmt((h.rule.maxOccupancy_s - h.worst_occupancy_s) * 1000, 0)} ms`, pass: h.occupancy_ok,
+      });
+    }
+  }
+  if (r.lorawan) {
+    checks.push({
+      rule: "TTN fair use", label: "Uplink airtime per day",
+      value: `${fmt(r.lorawan.airtime_per_day_s, 1)} s`, limit: `${TTN_UPLINK_AIRTIME_S_PER_DAY} s`,
+      margin: `${fmt(TTN_UPLINK_AIRTIME_S_PER_DAY - r.lorawan.airtime_per_day_s, 1)} s`, pass: r.lorawan.fair_use_ok,
+    }, {
+      rule: "TTN fair use", label: "Downlinks per day",
+      value: fmt(r.lorawan.downlinks_per_day, 1), limit: String(TTN_DOWNLINKS_PER_DAY),
+      margin: fmt(TTN_DOWNLINKS_PER_DAY - r.lorawan.downlinks_per_day, 1), pass: r.lorawan.downlinks_ok,
+    });
+  }
+  if (r.downlink && r.downlink.gateway.duty_limit != null) {
+    const g = r.downlink.gateway;
+    checks.push({
+      rule: rules.rule, label: "Brain downlink duty per sensor",
+      value: `${fmt(g.duty_used_per_hour, 4)}%`, limit: `${g.duty_limit}%`,
+      margin: `${fmt(g.duty_limit - g.duty_used_per_hour, 4)}% (up to ${fmt(g.max_nodes, 0)} sensors per brain)`,
+      pass: g.duty_used_per_hour <= g.duty_limit,
+    });
+  }
+  return checks;
+}
+
+const esc = s => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const rows = list => list.map(([k, v]) => `<tr><th>${esc(k)}</th><td>${esc(v)}</td></tr>`).join("");
+
+const STYLE = `
+  body { font: 12px/1.45 system-ui, sans-serif; color: #111; max-width: 860px; margin: 24px auto; padding: 0 16px; }
+  h1 { font-size: 20px; margin: 0 0 4px; } h2 { font-size: 14px; margin: 22px 0 6px; border-bottom: 1px solid #999; }
+  table { width: 100%; border-collapse: collapse; } th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #ddd; vertical-align: top; }
+  th { font-weight: 600; width: 34%; } .checks th { width: auto; } .meta { color: #555; }
+  .pass { color: #176b1c; font-weight: 600; } .fail { color: #b3261e; font-weight: 600; } .caution { color: #9a6700; font-weight: 600; }
+  code { font-size: 11px; word-break: break-all; } .toolbar { margin: 12px 0; }
+  @media print { .toolbar { display: none; } body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+`;
+
+// config: DEFAULT_CONFIG shape · result: evaluateConfig() for it · url: share
+// link (defaults to the bare query) · generatedAt: Date stamped on the report
+export function generateReport({ config, result, url = null, generatedAt = new Date() }) {
+  const r = result;
+  const hash = configHash(config);
+  const link = url ?? `#${configToQuery(config)}`;
+  const checks = complianceChecks(config, r);
+  const allPass = checks.every(c => c.pass);
+
+  const radio = r.radio;
+  const configRows = [
+    ["Region", `${r.plan.name} — ${r.rules.rule}`],
+    ["Sub-band", `${r.rules.band.id} · ${r.rules.band.low_MHz}–${r.rules.band.high_MHz} MHz`],
+    ["Channel access", r.rules.mode === "lbtafa" ? "LBT + AFA" : "Duty cycle"],
+    ["Frame format", r.lorawan ? `LoRaWAN Class A · DR${r.lorawan.dr}${config.lorawan.adr ? " (ADR)" : ""}` : "Raw LoRa"],
+    ["Radio", `SF${radio.sf} · BW ${radio.bw} kHz · CR 4/${radio.cr + 4} · preamble ${radio.preamble}`],
+    ["Header / CRC / LDRO", `${radio.explicitHeader && radio.sf !== 6 ? "explicit" : "implicit"} · ${radio.crc ? "CRC on" : "CRC off"} · ${radio.ldrOptimize ? "LDRO on" : "LDRO off"}`],
+    ["Payload", r.lorawan ? `${config.payload} B application · ${r.air_payload} B on air` : `${r.air_payload} B`],
+    ["TX power", `+${config.txPower} dBm`],
+    ["Traffic", r.traffic ? `Mixed profile · ${fmt(r.traffic.tx_per_day, 1)} TX / day` : `Every ${config.txIntervalMin} min (${fmt(r.tx_per_hour * 24, 1)} TX / day)`],
+    ["Battery", `${config.battCapacity} mAh at ${config.voltage} V`],
+  ];
+
+  const energyRows = [
+    ["Time on air", `${fmt(r.airtime, 1)} ms (${fmt(r.bitrate_kbps, 3)} kbps)`],
+    ["TX current", `${fmt(r.current_mA, 1)} mA`],
+    ["Energy per TX", `${fmt(r.energy_mJ, 3)} mJ (${fmt(r.energy_uAh, 3)} µAh)`],
+    ["TX charge per day", `${fmt(r.tx_energy_per_day_mAh, 3)} mAh`],
+    ["Battery life, TX only", days(r.batt_days)],
+    ...(r.power ? [
+      ["Full-node consumption", `${fmt(r.power.total_mAh_per_day, 3)} mAh / day (avg ${fmt(r.power.avg_current_mA * 1000, 1)} µA)`],
+      ["Battery life, full node", days(r.power.batt_days)],
+    ] : []),
+    ...(r.batteryLife ? [
+      ["Cell model", `${r.batteryLife.label} · ${fmt(r.batteryLife.usable_mAh, 0)} mAh usable · ${fmt(r.batteryLife.self_discharge_pct_per_year, 1)}% / yr self-discharge`],
+      ["Pulse current", `${fmt(r.batteryLife.peak_mA, 0)} mA vs ${fmt(r.batteryLife.pulse_limit_mA, 0)} mA at ${r.batteryLife.coldest_C} °C`],
+    ] : []),
+    ...(r.reliability ? [
+      ["Packet error rate", `${fmt(r.reliability.per * 100, 2)}% · ${fmt(r.reliability.expected_tx, 2)} sends per message · ${fmt(r.reliability.delivery_pct, 2)}% delivered`],
+    ] : []),
+    ...(r.solar ? [
+      ["Solar", `${config.solar.panel_W} W panel · ${r.solar.energy_neutral ? "energy-neutral" : `runs flat ${r.solar.empty_days} days a year`} · lowest charge ${fmt(r.solar.min_soc_pct, 1)}%`],
+    ] : []),
+    ...(r.link ? [
+      ["Link", `${fmt(r.link.link_margin_dB, 1)} dB margin at ${config.link.distance_km} km · max range ${fmt(r.link.max_distance_km, 2)} km`],
+    ] : []),
+  ];
+
+  const checkRows = checks.map(c => `<tr><td>${esc(c.rule)}</td><td>${esc(c.label)}</td><td>${esc(c.value)}</td>` +
+    `<td>${esc(c.limit)}</td><td>${esc(c.margin)}</td><td class="${c.pass ? "pass" : "fail"}">${c.pass ? "PASS" : "FAIL"}</td></tr>`).join("");
+  const warningRows = r.warnings.map(w => `<tr><td>${esc(w.id)}</td><td class="${w.level === "error" ? "fail" : "caution"}">` +
+    `${w.level === "error" ? "Error" : "Caution"}</td><td><strong>${esc(w.label)}</strong> — ${esc(w.message)}</td></tr>`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Jumbo Shoo LoRa deployment report ${hash}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Jumbo Shoo LoRa — field deployment report</h1>
+<div class="meta">Tool v${TOOL_VERSION} · config hash <strong>${hash}</strong> · generated ${esc(generatedAt.toISOString().slice(0, 16).replace("T", " "))} UTC</div>
+<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+
+<h2>Summary</h2>
+<p class="${allPass ? "pass" : "fail"}">${allPass ? `All ${checks.length} compliance checks pass` : `${checks.filter(c => !c.pass).length} of ${checks.length} compliance checks fail`}
+ · ${r.warnings.length ? `${r.warnings.length} active warning${r.warnings.length > 1 ? "s" : ""}` : "no active warnings"}</p>
+
+<h2>Configuration</h2>
+<table>${rows(configRows)}</table>
+
+<h2>Compliance checks</h2>
+<table class="checks"><tr><th>Rule</th><th>Check</th><th>Value</th><th>Limit</th><th>Margin</th><th>Result</th></tr>${checkRows}</table>
+
+<h2>Warnings</h2>
+${warningRows ? `<table class="checks">${warningRows}</table>` : "<p>None.</p>"}
+
+<h2>Energy &amp; battery</h2>
+<table>${rows(energyRows)}</table>
+
+<h2>Traceability</h2>
+<table>${rows([["Tool version", `v${TOOL_VERSION}`], ["Config hash", `${hash} (FNV-1a of the share link)`]])}
+<tr><th>Share link</th><td><code>${esc(link)}</code></td></tr></table>
+
+<h2>References</h2>
+<ul>${REFERENCES.map(ref => `<li>${esc(ref)}</li>`).join("")}</ul>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,233 @@
+// ─── Payload schema ───────────────────────────────────────────────────────
+// A payload is a list of bit fields packed MSB-first with no gaps, padded
+// with zero bits to a whole byte. Each field stores a raw integer; the value
+// it stands for is raw × scale + offset (e.g. temperature in 0.01 °C steps).
+//   { name, type: "uint" | "int" | "bool", bits, scale, offset, unit }
+
+export const SCHEMA_FIELD_TYPES = [
+  { id: "uint", label: "unsigned" },
+  { id: "int",  label: "signed" },
+  { id: "bool", label: "flag" },
+];
+
+export const SCHEMA_MAX_FIELD_BITS = 32;   // fits a uint32_t in the C packer
+export const SCHEMA_MAX_FIELDS = 32;
+export const SCHEMA_MAX_BYTES = 255;       // SX1276 FIFO / payload length register
+
+const field = (name, bits, type = "uint", unit = "", scale = 1, offset = 0) =>
+  ({ name, type, bits, scale, offset, unit });
+
+// Building blocks for the presets and the "add field" menu
+export const SCHEMA_FIELD_TEMPLATES = {
+  node_id:     field("node_id", 8),
+  seq:         field("seq", 16),
+  timestamp:   field("timestamp", 32, "uint", "s"),         // Unix time
+  amplitude:   field("amplitude", 16, "uint", "counts"),    // geophone peak
+  battery_mv:  field("battery_mv", 16, "uint", "mV"),
+  temperature: field("temperature", 16, "int", "°C", 0.01),
+  flags:       field("flags", 8),
+  uptime:      field("uptime", 32, "uint", "s"),
+  rssi:        field("rssi", 8, "int", "dBm"),
+  snr:         field("snr", 8, "int", "dB", 0.25),
+  detections:  field("detections", 16),
+  noise_floor: field("noise_floor", 16, "uint", "counts"),
+  cpu_temp:    field("cpu_temp", 16, "int", "°C", 0.01),
+  alarm:       field("alarm", 1, "bool"),
+};
+
+export const schemaFields = (...names) => names.map(n => ({ ...SCHEMA_FIELD_TEMPLATES[n] }));
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const fieldBits = f => (f.type === "bool" ? 1 : f.bits);
+
+// Raw integer range of a field, and the value range it maps to
+function rawRange(f) {
+  const bits = fieldBits(f);
+  if (f.type === "int") return [-(2 ** (bits - 1)), 2 ** (bits - 1) - 1];
+  return [0, 2 ** bits - 1];
+}
+
+// Steps like 0.01 are applied as "/ 100" so decoded values come out exact
+const inverseScale = scale => {
+  const inv = Math.round(1 / scale);
+  return scale < 1 && Math.abs(inv * scale - 1) < 1e-9 ? inv : null;
+};
+
+const toValue = (raw, f) => {
+  if (f.type === "bool") return raw === 1;
+  const inv = inverseScale(f.scale);
+  return (inv ? raw / inv : raw * f.scale) + f.offset;
+};
+
+// ─── Layout ───────────────────────────────────────────────────────────────
+// Bit offset and ranges of every field, the packed size and any problems
+// that stop the schema from being used (reported, not thrown).
+export function schemaLayout(fields) {
+  const errors = [];
+  const seen = new Set();
+  let start = 0;
+  const layout = fields.map(f => {
+    const bits = fieldBits(f);
+    if (!IDENTIFIER.test(f.name)) errors.push(`"${f.name}" is not a valid C / JS identifier.`);
+    else if (seen.has(f.name)) errors.push(`Field name "${f.name}" is used twice.`);
+    seen.add(f.name);
+    if (!Number.isInteger(bits) || bits < 1 || bits > SCHEMA_MAX_FIELD_BITS) {
+      errors.push(`${f.name}: width must be 1–${SCHEMA_MAX_FIELD_BITS} bits.`);
+    }
+    if (f.type === "int" && bits < 2) errors.push(`${f.name}: signed fields need at least 2 bits.`);
+    if (!(f.scale > 0)) errors.push(`${f.name}: scale must be positive.`);
+    const [raw_min, raw_max] = rawRange(f);
+    const entry = { ...f, bits, start, raw_min, raw_max, min: toValue(raw_min, f), max: toValue(raw_max, f) };
+    start += bits;
+    return entry;
+  });
+  if (fields.length === 0) errors.push("Add at least one field.");
+  if (fields.length > SCHEMA_MAX_FIELDS) errors.push(`At most ${SCHEMA_MAX_FIELDS} fields.`);
+  const bytes = Math.ceil(start / 8);
+  if (bytes > SCHEMA_MAX_BYTES) errors.push(`${bytes} bytes — over the ${SCHEMA_MAX_BYTES}-byte LoRa payload limit.`);
+  return { fields: layout, bits: start, bytes, padding_bits: bytes * 8 - start, errors };
+}
+
+// ─── Encode / decode ──────────────────────────────────────────────────────
+// values: { name → value }; missing values pack as 0, out-of-range ones clamp
+export function encodeSchema(fields, values) {
+  const { fields: layout, bytes } = schemaLayout(fields);
+  const out = new Array(bytes).fill(0);
+  for (const f of layout) {
+    const v = values[f.name] ?? 0;
+    const inv = inverseScale(f.scale);
+    let raw = f.type === "bool" ? (v ? 1 : 0) : Math.round(inv ? (v - f.offset) * inv : (v - f.offset) / f.scale);
+    raw = Math.min(f.raw_max, Math.max(f.raw_min, raw));
+    if (raw < 0) raw += 2 ** f.bits;                      // two's complement
+    for (let i = 0; i < f.bits; i++) {
+      const pos = f.start + i;
+      if (Math.floor(raw / 2 ** (f.bits - 1 - i)) % 2) out[pos >> 3] |= 0x80 >> (pos & 7);
+    }
+  }
+  return out;
+}
+
+export function decodeSchema(fields, bytes) {
+  const { fields: layout } = schemaLayout(fields);
+  const values = {};
+  for (const f of layout) {
+    let raw = 0;
+    for (let i = 0; i < f.bits; i++) {
+      const pos = f.start + i;
+      raw = raw * 2 + ((bytes[pos >> 3] >> (7 - (pos & 7))) & 1);
+    }
+    if (f.type === "int" && raw > f.raw_max) raw -= 2 ** f.bits;
+    values[f.name] = toValue(raw, f);
+  }
+  return values;
+}
+
+// ─── Code generation ──────────────────────────────────────────────────────
+// C struct + bit packer for the sensor, JS decoder for the brain (also a
+// The Things Stack uplink formatter when LoRaWAN is on).
+export const SCHEMA_CODE_TARGETS = [
+  { id: "c",  label: "C struct + packer", ext: "h" },
+  { id: "js", label: "JS decoder",        ext: "js" },
+];
+
+function cType(f) {
+  if (f.type === "bool") return "bool";
+  const width = f.bits <= 8 ? 8 : f.bits <= 16 ? 16 : 32;
+  return `${f.type === "int" ? "int" : "uint"}${width}_t`;
+}
+
+// "°C = raw × 0.01 − 40" — empty for plain integers without a unit
+function meaning(f) {
+  if (f.type === "bool") return "";
+  const scaled = f.scale !== 1 || f.offset !== 0;
+  if (!scaled) return f.unit;
+  const off = f.offset === 0 ? "" : ` ${f.offset < 0 ? "−" : "+"} ${Math.abs(f.offset)}`;
+  return `${f.unit || "value"} = raw${f.scale === 1 ? "" : ` × ${f.scale}`}${off}`;
+}
+
+function cText(layout) {
+  const { fields, bits, bytes } = layout;
+  const typeWidth = Math.max(...fields.map(f => cType(f).length));
+  const nameWidth = Math.max(...fields.map(f => f.name.length)) + 1;
+  const members = fields.map(f => {
+    const note = [`${f.bits} bit${f.bits === 1 ? "" : "s"}`, meaning(f)].filter(Boolean).join(" · ");
+    return `  ${cType(f).padEnd(typeWidth)} ${(f.name + ";").padEnd(nameWidth)} // ${note}`;
+  });
+  const puts = fields.map(f => {
+    const value = f.type === "int" ? `(uint32_t)p->${f.name}` : `p->${f.name}`;
+    return `  put_bits(buf, &pos, ${value}, ${f.bits});`;
+  });
+  return [
+    `// Jumbo Shoo payload — ${bytes} bytes (${bits} bits), fields packed MSB-first`,
+    "#include <stdint.h>",
+    "#include <stdbool.h>",
+    "#include <string.h>",
+    "",
+    `#define PAYLOAD_LEN ${bytes}`,
+    "",
+    "typedef struct {",
+    ...members,
+    "} payload_t;",
+    "",
+    "static void put_bits(uint8_t *buf, uint16_t *pos, uint32_t value, uint8_t bits) {",
+    "  while (bits--) {",
+    "    if ((value >> bits) & 1) buf[*pos >> 3] |= 0x80 >> (*pos & 7);",
+    "    (*pos)++;",
+    "  }",
+    "}",
+    "",
+    "// Packs *p into buf (PAYLOAD_LEN bytes); returns the length to transmit",
+    "static uint8_t pack_payload(const payload_t *p, uint8_t *buf) {",
+    "  uint16_t pos = 0;",
+    "  memset(buf, 0, PAYLOAD_LEN);",
+    ...puts,
+    "  return PAYLOAD_LEN;",
+    "}",
+  ].join("\n");
+}
+
+function jsValue(f) {
+  if (f.type === "bool") return "bits(1) === 1";
+  let expr = f.type === "int" ? `bits(${f.bits}, true)` : `bits(${f.bits})`;
+  const inv = inverseScale(f.scale);
+  if (inv) expr += ` / ${inv}`;
+  else if (f.scale !== 1) expr += ` * ${f.scale}`;
+  if (f.offset !== 0) expr += ` ${f.offset < 0 ? "-" : "+"} ${Math.abs(f.offset)}`;
+  return expr;
+}
+
+function jsText(layout) {
+  const { fields, bits, bytes } = layout;
+  const nameWidth = Math.max(...fields.map(f => f.name.length)) + 1;
+  const props = fields.map(f => {
+    const note = meaning(f);
+    return `    ${(f.name + ":").padEnd(nameWidth)} ${jsValue(f)},${note ? ` // ${note}` : ""}`;
+  });
+  return [
+    `// Jumbo Shoo payload decoder — ${bytes} bytes (${bits} bits), fields packed MSB-first`,
+    "function decodePayload(bytes) {",
+    "  let pos = 0;",
+    "  const bits = (n, signed = false) => {",
+    "    let v = 0;",
+    "    for (let i = 0; i < n; i++, pos++) v = v * 2 + ((bytes[pos >> 3] >> (7 - (pos & 7))) & 1);",
+    "    return signed && v >= 2 ** (n - 1) ? v - 2 ** n : v;",
+    "  };",
+    "  return {",
+    ...props,
+    "  };",
+    "}",
+    "",
+    "// The Things Stack uplink payload formatter",
+    "function decodeUplink(input) {",
+    `  if (input.bytes.length < ${bytes}) return { errors: ["expected ${bytes} bytes"] };`,
+    "  return { data: decodePayload(input.bytes) };",
+    "}",
+  ].join("\n");
+}
+
+// Returns { target → text }, or null while the schema has errors
+export function generateSchemaCode(fields) {
+  const layout = schemaLayout(fields);
+  if (layout.errors.length) return null;
+  return { c: cText(layout), js: jsText(layout) };
+}
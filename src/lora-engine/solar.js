@@ -0,0 +1,94 @@
+// ─── Solar harvesting ─────────────────────────────────────────────────────
+// Peak-sun-hours (kWh/m²/day on a horizontal panel) per month from site
+// latitude: extraterrestrial radiation (FAO-56 eq. 21) on the recommended
+// average day of each month, times a clearness index. The table is a starting
+// point — overwrite it with measured or PVGIS values for the site.
+export const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const AVERAGE_DAY = [17, 47, 75, 105, 135, 162, 198, 228, 258, 288, 318, 344];   // Duffie & Beckman
+const SOLAR_CONSTANT = 0.082;                                                    // MJ/m²/min
+export const DEFAULT_CLEARNESS = 0.55;
+
+export function peakSunHours(latitude, clearness = DEFAULT_CLEARNESS) {
+  const phi = (latitude * Math.PI) / 180;
+  return AVERAGE_DAY.map(J => {
+    const dr = 1 + 0.033 * Math.cos((2 * Math.PI * J) / 365);
+    const delta = 0.409 * Math.sin((2 * Math.PI * J) / 365 - 1.39);
+    const ws = Math.acos(Math.min(1, Math.max(-1, -Math.tan(phi) * Math.tan(delta))));
+    const H0 = ((24 * 60) / Math.PI) * SOLAR_CONSTANT * dr *
+      (ws * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(ws));
+    return Math.round((clearness * H0) / 3.6 * 10) / 10;   // MJ → kWh
+  });
+}
+
+// latitude only seeds peakSunHours. The cloudy stretch (cloudyDays at
+// cloudyHarvest_pct of normal sun) starts on the first day of the worst month.
+const DEFAULT_LATITUDE = -2;
+export const DEFAULT_SOLAR = {
+  enabled: false,
+  panel_W: 1,
+  chargeEff_pct: 70,
+  latitude: DEFAULT_LATITUDE,
+  peakSunHours: peakSunHours(DEFAULT_LATITUDE),
+  cloudyDays: 5,
+  cloudyHarvest_pct: 10,
+};
+
+// Day-by-day state of charge over one year, January 1 to December 31,
+// starting from wherever the previous (identical) year ended
+function simulate({ capacity_mAh, load_mAh_per_day, harvestOn }) {
+  let soc = capacity_mAh;
+  let days = [];
+  for (let pass = 0; pass < 2; pass++) {
+    days = [];
+    let day = 0;
+    MONTH_DAYS.forEach((n, month) => {
+      for (let d = 0; d < n; d++, day++) {
+        soc = Math.min(capacity_mAh, Math.max(0, soc + harvestOn(month, day) - load_mAh_per_day));
+        days.push({ day, month, soc_mAh: soc, soc_pct: capacity_mAh > 0 ? (soc / capacity_mAh) * 100 : 0 });
+      }
+    });
+  }
+  return days;
+}
+
+const dayOfYear = month => MONTH_DAYS.slice(0, month).reduce((a, b) => a + b, 0);
+
+// capacity_mAh: usable battery charge · voltage: battery voltage for the
+// panel-watts → mAh conversion · load_mAh_per_day: node consumption
+export function calcSolar({ solar, capacity_mAh, voltage, load_mAh_per_day }) {
+  const s = { ...DEFAULT_SOLAR, ...solar };
+  const harvestPerSunHour_mAh = ((s.panel_W * s.chargeEff_pct) / 100 / voltage) * 1000;
+  const months = s.peakSunHours.map((psh, month) => {
+    const harvest_mAh_per_day = psh * harvestPerSunHour_mAh;
+    return { month, label: MONTHS[month], psh, harvest_mAh_per_day, balance_mAh_per_day: harvest_mAh_per_day - load_mAh_per_day };
+  });
+  const worst = months.reduce((a, b) => (b.balance_mAh_per_day < a.balance_mAh_per_day ? b : a));
+
+  const days = simulate({ capacity_mAh, load_mAh_per_day, harvestOn: month => months[month].harvest_mAh_per_day });
+  const cloudStart = dayOfYear(worst.month);
+  const cloudy = simulate({
+    capacity_mAh, load_mAh_per_day,
+    harvestOn: (month, day) => months[month].harvest_mAh_per_day *
+      (day >= cloudStart && day < cloudStart + s.cloudyDays ? s.cloudyHarvest_pct / 100 : 1),
+  });
+  const minSoc = list => list.reduce((a, b) => (b.soc_mAh < a.soc_mAh ? b : a));
+  const empty_days = days.filter(d => d.soc_mAh <= 0).length;
+
+  return {
+    ...s,
+    months,
+    days,
+    worst_month: worst.month,
+    harvest_mAh_per_year: months.reduce((sum, m, i) => sum + m.harvest_mAh_per_day * MONTH_DAYS[i], 0),
+    load_mAh_per_day,
+    load_mAh_per_year: load_mAh_per_day * 365,
+    min_soc_pct: minSoc(days).soc_pct,
+    min_soc_day: minSoc(days).day,
+    empty_days,
+    energy_neutral: empty_days === 0,
+    autonomy_days: load_mAh_per_day > 0 ? capacity_mAh / load_mAh_per_day : Infinity,
+    cloudy_min_soc_pct: minSoc(cloudy).soc_pct,
+    cloudy_ok: cloudy.every(d => d.soc_mAh > 0),
+  };
+}
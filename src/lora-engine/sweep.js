@@ -0,0 +1,49 @@
+import { TX_INTERVAL_RANGE_MIN } from "./constants.js";
+import { evaluateConfig } from "./evaluate.js";
+import { regionTxPowers } from "./regions.js";
+
+// ─── Parameter sweep ──────────────────────────────────────────────────────
+// Re-runs evaluateConfig with one input stepped across its range and every
+// other input held, so the charts show exactly what the calculator would.
+const range = (from, to, step = 1) => Array.from({ length: Math.floor((to - from) / step) + 1 }, (_, i) => from + i * step);
+
+// values(inputs) lists the x positions; available(inputs) is false where the
+// input has no effect (the LoRaWAN DR owns the radio, mixed traffic owns the rate).
+export const SWEEP_PARAMS = [
+  { id: "payload",       label: "Payload",      unit: "B",   values: () => range(1, 255) },
+  { id: "sf",            label: "SF",           unit: "",    values: () => range(6, 12), available: i => !i.lorawan?.enabled },
+  { id: "txIntervalMin", label: "TX interval",  unit: "min", log: true,
+    values: () => [TX_INTERVAL_RANGE_MIN[0], 1, 2, 3, 5, 10, 15, 20, 30, 45, 60, 90, 120, 180, 240, TX_INTERVAL_RANGE_MIN[1]],
+    available: i => !i.traffic },
+  { id: "txPower",       label: "TX power",     unit: "dBm", values: i => regionTxPowers(i.region, i.euBand) },
+  { id: "preamble",      label: "Preamble",     unit: "sym", values: () => range(6, 32), available: i => !i.lorawan?.enabled },
+];
+
+// limit(r): the region threshold drawn across the chart, null when the plan has none
+export const SWEEP_METRICS = [
+  { id: "airtime", label: "Time on air",       unit: "ms",   value: r => r.airtime,             limit: r => r.dwell_limit_ms ?? null, limitLabel: "dwell" },
+  { id: "energy",  label: "Energy / TX",       unit: "mJ",   value: r => r.energy_mJ },
+  { id: "duty",    label: "Duty used / hour",  unit: "%",    value: r => r.duty_used_per_hour, limit: r => r.duty_limit ?? null,     limitLabel: "duty" },
+  { id: "battery", label: "Battery life",      unit: "days", value: r => r.power?.batt_days ?? r.batt_days },
+];
+
+export const sweepParam = id => SWEEP_PARAMS.find(p => p.id === id) ?? SWEEP_PARAMS[0];
+
+// inputs: the evaluateConfig argument · paramId: SWEEP_PARAMS id
+export function sweepConfig(inputs, paramId) {
+  const param = sweepParam(paramId);
+  // Solar does not feed any swept metric and is the slowest part of an evaluation
+  const base = { ...inputs, solar: null };
+  const points = param.values(inputs).map(x => {
+    const r = evaluateConfig({ ...base, [param.id]: x });
+    return {
+      x,
+      ...Object.fromEntries(SWEEP_METRICS.map(m => [m.id, m.value(r)])),
+      compliant: r.compliant,
+      errors: r.hasErrors,
+    };
+  });
+  const here = evaluateConfig(base);
+  const limits = Object.fromEntries(SWEEP_METRICS.filter(m => m.limit).map(m => [m.id, m.limit(here)]));
+  return { param, points, limits, current: inputs[param.id], available: param.available?.(inputs) ?? true };
+}
@@ -0,0 +1,138 @@
+import { calcAirtime } from "./airtime.js";
+import { isEventStream, scheduledMessages } from "./array.js";
+import { accessRules } from "./regions.js";
+
+// ─── TDMA schedule for scheduled traffic ──────────────────────────────────
+// Nodes sync their clocks (beacon, downlink, GPS) every resync period and
+// send heartbeat / status / ping in fixed slots. The frame is the shortest
+// scheduled interval, split into one window per node; each window holds one
+// slot per message type. Node j's slot for message type k sits k/types of a
+// frame further on, so a node's own packets stay far apart (re-arm). Longer
+// intervals are rounded to whole frames and send in frame j mod every; the
+// duty check counts the rounded rate, and `retimed` lists every stream whose
+// interval changed so the caller can warn.
+// Between resyncs two clocks drift apart by up to 2 × ppm × resync, so every
+// slot is ToA + that guard. Detections are event-driven and use the free
+// time left at the end of each window.
+export const DEFAULT_TDMA = { driftPpm: 20, resyncMin: 60 };
+
+// Longest hyperperiod (in frames) the re-arm check walks through
+const MAX_HYPERPERIOD = 1000;
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+const round3 = x => Math.round(x * 1000) / 1000;
+
+const toaOf = (m, radio) => calcAirtime({
+  sf: radio.sf, bw: radio.bw * 1000, preamble: radio.preamble, payloadBytes: m.payload,
+  cr: radio.cr, crc: radio.crc, explicitHeader: radio.explicitHeader,
+  lowDROptimize: radio.ldrOptimize,
+});
+
+// radio: { sf, bw (kHz), cr, preamble, crc, explicitHeader, ldrOptimize }
+// messages: ArrayPlanner mix — [{ id, label, payload, intervalMin }], 0 = off
+// channels: nodes are dealt round-robin as in allocateChannels; every channel
+// runs the same frame for its own nodes
+export function planTdma({
+  nodeCount, channels = 1, messages, radio, region, euBand, access = "duty",
+  driftPpm = DEFAULT_TDMA.driftPpm, resyncMin = DEFAULT_TDMA.resyncMin, firstId = 1,
+}) {
+  const n = Math.max(1, Math.floor(nodeCount));
+  const ch = Math.max(1, Math.floor(channels));
+  const perChannel = Math.ceil(n / ch);
+  const { duty, dwell_ms } = accessRules(region, euBand, access);
+  const rearm = duty != null && access !== "lbtafa";
+
+  const drift_s = driftPpm * 1e-6 * resyncMin * 60;
+  const guard_s = 2 * drift_s;
+
+  const scheduled = scheduledMessages(messages);
+  const frame_s = scheduled.length ? Math.min(...scheduled.map(m => m.intervalMin)) * 60 : null;
+
+  let start = 0;
+  const lanes = scheduled.map((m, k) => {
+    const toa = toaOf(m, radio);
+    const slot_s = toa / 1000 + guard_s;
+    const lane = {
+      id: m.id, label: m.label, toa, slot_s, start_s: start,
+      every: Math.max(1, Math.round((m.intervalMin * 60) / frame_s)),
+      requested_s: m.intervalMin * 60,
+      shift: Math.round((k * perChannel) / scheduled.length),
+    };
+    lane.interval_s = lane.every * frame_s;
+    lane.retimed = Math.abs(lane.interval_s - lane.requested_s) > 1e-9;
+    start += slot_s;
+    return lane;
+  });
+  const window_s = frame_s == null ? null : frame_s / perChannel;
+  const used_s = perChannel * start;
+  const fits = frame_s == null || start <= window_s + 1e-9;
+
+  // Local index j on the node's channel
+  const nodes = Array.from({ length: n }, (_, i) => {
+    const j = Math.floor(i / ch);
+    return {
+      id: firstId + i, channel: i % ch,
+      slots: lanes.map(l => ({
+        id: l.id,
+        offset_s: round3((j % l.every) * frame_s + ((j + l.shift) % perChannel) * window_s + l.start_s),
+        every_s: l.interval_s,
+      })),
+    };
+  });
+
+  // Per-node budget: scheduled airtime against the sub-band duty
+  const scheduled_s_per_hour = lanes.reduce((s, l) => s + (3600 / l.interval_s) * l.toa / 1000, 0);
+  const node_duty_pct = scheduled_s_per_hour / 36;
+  const duty_ok = duty == null || node_duty_pct <= duty + 1e-9;
+  const dwell_ok = dwell_ms == null || lanes.every(l => l.toa <= dwell_ms);
+
+  // Re-arm: each packet must start ToA / duty after the node's previous one.
+  // Walks one hyperperiod (capped), wrapping round to its start.
+  let min_slack_s = null;
+  if (rearm && lanes.length && fits) {
+    const hyper = Math.min(MAX_HYPERPERIOD, lanes.reduce((h, l) => (h * l.every) / gcd(h, l.every), 1));
+    const period_s = hyper * frame_s;
+    for (const nd of nodes) {
+      const sends = nd.slots.flatMap((s, k) => Array.from(
+        { length: Math.ceil(hyper / lanes[k].every) },
+        (_, r) => ({ t: s.offset_s + r * s.every_s, toa: lanes[k].toa }),
+      )).filter(p => p.t < period_s).sort((a, b) => a.t - b.t);
+      sends.forEach((p, idx) => {
+        const next = idx + 1 < sends.length ? sends[idx + 1].t : sends[0].t + period_s;
+        const slack = next - p.t - p.toa / 1000 / (duty / 100);
+        if (min_slack_s == null || slack < min_slack_s) min_slack_s = slack;
+      });
+    }
+  }
+  const rearm_ok = min_slack_s == null || min_slack_s >= -1e-9;
+
+  // Headroom for detections: free channel time per frame, and what is left
+  // of each node's duty budget after its scheduled traffic
+  const events = messages.filter(m => m.intervalMin > 0 && isEventStream(m));
+  const event_toa = events.length ? Math.max(...events.map(m => toaOf(m, radio))) : null;
+  const free_s = frame_s == null ? null : Math.max(0, frame_s - used_s);
+  const free_s_per_hour = frame_s == null ? 3600 : (free_s / frame_s) * 3600;
+  const event_s_per_hour = events.reduce((s, m) => s + perChannel * (60 / m.intervalMin) * toaOf(m, radio) / 1000, 0);
+  const node_budget_s = duty == null ? null : Math.max(0, (duty / 100) * 3600 - scheduled_s_per_hour);
+
+  return {
+    nodeCount: n, channels: ch, per_channel: perChannel,
+    drift_s, guard_s, frame_s, window_s, slots_s: start, lanes, nodes,
+    retimed: lanes.filter(l => l.retimed).map(l => ({ id: l.id, label: l.label, requested_s: l.requested_s, interval_s: l.interval_s })),
+    used_s, utilisation_pct: frame_s ? (used_s / frame_s) * 100 : 0, fits,
+    scheduled_s_per_hour, node_duty_pct, node_duty_limit: duty, duty_ok, dwell_ok,
+    rearm_checked: min_slack_s != null, rearm_ok, min_slack_s,
+    free_s, free_s_per_hour, free_pct: (free_s_per_hour / 3600) * 100,
+    event_toa, event_s_per_hour,
+    events_fit: event_s_per_hour <= free_s_per_hour,
+    channel_events_per_hour: event_toa ? Math.floor(free_s_per_hour / (event_toa / 1000)) : null,
+    node_events_per_hour: event_toa && node_budget_s != null ? Math.floor(node_budget_s / (event_toa / 1000)) : null,
+    compliant: fits && duty_ok && dwell_ok && rearm_ok,
+  };
+}
+
+// node_id,channel,message,offset_s,every_s — one row per node and message type
+export function tdmaCsv({ nodes }) {
+  const rows = nodes.flatMap(nd => nd.slots.map(s => `${nd.id},${nd.channel},${s.id},${s.offset_s},${s.every_s}`));
+  return ["node_id,channel,message,offset_s,every_s", ...rows].join("\n") + "\n";
+}
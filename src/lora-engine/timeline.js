@@ -0,0 +1,215 @@
+// ─── One-hour transmission timeline ───────────────────────────────────────
+// Replays an hour of the regular schedule plus a burst of detection events
+// against the two duty-cycle rules the sensor firmware enforces:
+//   re-arm — after each packet the sensor waits ToA / duty before the next
+//            one (the Duty Cycle Analysis re-arm time)
+//   budget — airtime in any rolling hour stays within duty × 3600 s
+// The hour before is assumed to have run the same schedule, so the rolling
+// window starts at its steady-state level. Blocked events are dropped.
+export const DEFAULT_BURST = { count: 5, at_min: 20, spacing_s: 3 };
+
+// airtime in ms · interval_s: regular TX spacing (3600 / TX per hour) ·
+// duty_limit in % (null = no limit) · rearm false drops the per-packet wait
+// (LBT+AFA has only the hourly cap) · budgetStep_s: rolling-window sample spacing
+export function simulateHour({
+  airtime, interval_s, duty_limit, rearm = true, burst = DEFAULT_BURST, budgetStep_s = 30,
+}) {
+  const toa_s = airtime / 1000;
+  const rearm_s = duty_limit == null || !rearm ? 0 : toa_s / (duty_limit / 100);
+  const budget_s = duty_limit == null ? Infinity : (duty_limit / 100) * 3600;
+
+  const scheduled = Number.isFinite(interval_s) && interval_s > 0
+    ? Array.from({ length: Math.ceil(3600 / interval_s) }, (_, i) => i * interval_s).filter(t => t < 3600)
+    : [];
+  const bursts = Array.from({ length: burst.count }, (_, i) => burst.at_min * 60 + i * burst.spacing_s)
+    .filter(t => t >= 0 && t < 3600);
+  const attempts = [
+    ...scheduled.map(t => ({ t_s: t, kind: "scheduled" })),
+    ...bursts.map(t => ({ t_s: t, kind: "burst" })),
+  ].sort((a, b) => a.t_s - b.t_s || (a.kind === "scheduled" ? -1 : 1));
+
+  // Steady state: last hour's scheduled packets are still in the window
+  const sent = scheduled.map(t => t - 3600);
+  const usedIn = (from, to) => sent.filter(t => t > from && t <= to).length * toa_s;
+  let last = sent.length ? sent[sent.length - 1] : -Infinity;
+
+  const events = attempts.map(a => {
+    let reason = null;
+    if (a.t_s < last + rearm_s) reason = "rearm";
+    else if (usedIn(a.t_s - 3600, a.t_s) + toa_s > budget_s + 1e-9) reason = "budget";
+    if (!reason) {
+      sent.push(a.t_s);
+      last = a.t_s;
+    }
+    return { ...a, toa_s, sent: !reason, reason, lockout_end_s: reason ? null : a.t_s + rearm_s };
+  });
+
+  const budget = [];
+  for (let t = 0; t < 3600; t += budgetStep_s) {
+    const used_s = usedIn(t - 3600, t);
+    budget.push({ t_s: t, used_s, used_pct: (used_s / 3600) * 100 });
+  }
+
+  return {
+    toa_s, rearm_s, budget_s, duty_limit,
+    events,
+    budget,
+    sent: events.filter(e => e.sent).length,
+    blocked: events.filter(e => !e.sent).length,
+    burst_sent: events.filter(e => e.kind === "burst" && e.sent).length,
+    burst_blocked: events.filter(e => e.kind === "burst" && !e.sent).length,
+  };
+}
+
+// ─── Event-trace duty check ───────────────────────────────────────────────
+// ETSI applies the duty cycle over any rolling hour, not per averaged hour.
+// checkTrace replays an event trace (seconds from its start) on top of the
+// regular schedule, which is assumed to have run for the hour before:
+//   as-is    — every packet sent on arrival; finds the first rolling-hour overrun
+//   suppress — packets inside a re-arm lockout or over the budget are dropped
+//   delay    — packets queue first-in first-out and go out as soon as the
+//              re-arm and the rolling-hour budget allow; the wait is the
+//              detection latency
+// Scheduled packets share the queue. Every packet has the same ToA, so the
+// budget is a count: at most ⌊budget ÷ ToA⌋ packets start in any hour. When
+// one packet is longer than the budget nothing can be sent: every event is
+// suppressed, and delayed ones get send_s null and latency Infinity.
+// The schedule grid grows with the trace's time span, so traces are capped
+// in events and in span; checkTrace ignores events past MAX_TRACE_SPAN_S.
+export const MAX_TRACE_EVENTS = 5000;
+export const MAX_TRACE_SPAN_S = 7 * 86400;
+
+// Herd-style default: 20 detections in two minutes
+export const DEFAULT_TRACE_BURST = { count: 20, spacing_s: 6, repeats: 1, every_min: 60 };
+
+export function burstTrace({ count, spacing_s, repeats = 1, every_min = 60 }) {
+  const times = [];
+  for (let r = 0; r < repeats; r++) {
+    for (let i = 0; i < count; i++) times.push(r * every_min * 60 + i * spacing_s);
+  }
+  return times.filter(t => t <= MAX_TRACE_SPAN_S).sort((a, b) => a - b).slice(0, MAX_TRACE_EVENTS);
+}
+
+// One timestamp per line (or comma / semicolon separated): seconds, m:ss,
+// h:mm:ss or an ISO date-time. Times are shifted so the first event is 0.
+// The first valid token sets the kind: durations and date-times do not mix,
+// and tokens of the other kind are skipped (mixed: true). So are events more
+// than MAX_TRACE_SPAN_S after the first one.
+export function parseTrace(text) {
+  let entries = [];
+  const errors = [];
+  let mixed = false;
+  text.split(/[\n,;]+/).map(s => s.trim()).filter(Boolean).forEach((token, i) => {
+    let t = null;
+    const iso = !/^[\d:.]+$/.test(token);
+    if (/^\d+(\.\d+)?$/.test(token)) t = +token;
+    else if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(token)) t = token.split(":").reduce((s, part) => s * 60 + +part, 0);
+    else if (!Number.isNaN(Date.parse(token))) t = Date.parse(token) / 1000;
+    if (t != null && entries.length && entries[0].iso !== iso) {
+      mixed = true;
+      t = null;
+    }
+    if (t == null) errors.push({ index: i + 1, token });
+    else entries.push({ index: i + 1, t, iso });
+  });
+  if (entries.length > MAX_TRACE_EVENTS) {
+    errors.push({ index: MAX_TRACE_EVENTS + 1, token: `more than ${MAX_TRACE_EVENTS} events` });
+    entries.length = MAX_TRACE_EVENTS;
+  }
+  const first = Math.min(...entries.map(e => e.t));
+  const late = entries.filter(e => e.t - first > MAX_TRACE_SPAN_S);
+  if (late.length) {
+    errors.push({ index: late[0].index, token: `${late.length} event${late.length > 1 ? "s" : ""} more than ${MAX_TRACE_SPAN_S / 86400} days after the first` });
+    entries = entries.filter(e => e.t - first <= MAX_TRACE_SPAN_S);
+  }
+  return { times: entries.map(e => e.t - first).sort((a, b) => a - b), errors, mixed };
+}
+
+// trace: event times in s · airtime in ms · duty_limit in % (null = no limit)
+// · interval_s: regular TX spacing (Infinity = trace only) · after_s: how long
+// after a scheduled packet the trace starts (default half an interval) ·
+// rearm as in simulateHour
+export function checkTrace({ trace, airtime, duty_limit, interval_s = Infinity, after_s = interval_s / 2, rearm = true }) {
+  const toa_s = airtime / 1000;
+  const rearm_s = duty_limit == null || !rearm ? 0 : toa_s / (duty_limit / 100);
+  const budget_s = duty_limit == null ? Infinity : (duty_limit / 100) * 3600;
+  const perHour = Math.floor(budget_s / toa_s + 1e-9);
+  const events = trace.filter(t => t >= 0 && t <= MAX_TRACE_SPAN_S).sort((a, b) => a - b);
+  const end = events.length ? events[events.length - 1] : 0;
+
+  // Schedule grid k·interval − after_s: packets before 0 are last hour's,
+  // packets after the last event queue behind it and never delay it
+  const periodic = Number.isFinite(interval_s) && interval_s > 0;
+  const phase = periodic ? ((after_s % interval_s) + interval_s) % interval_s : 0;
+  const kFrom = Math.floor((phase - 3600) / interval_s) + 1;
+  const grid = periodic
+    ? Array.from({ length: Math.floor((end + phase) / interval_s) - kFrom + 1 }, (_, k) => (kFrom + k) * interval_s - phase)
+    : [];
+  // A packet longer than the whole budget can never go out, last hour's neither
+  const prior = perHour > 0 ? grid.filter(t => t < 0) : [];
+  const arrivals = [
+    ...grid.filter(t => t >= 0).map(t => ({ t_s: t, event: null })),
+    ...events.map((t, i) => ({ t_s: t, event: i + 1 })),
+  ].sort((a, b) => a.t_s - b.t_s || (a.event == null ? -1 : 1));
+
+  // A packet may start at x once the packet perHour sends back is an hour old
+  const windowFree = (sent, x) => sent.length < perHour || sent[sent.length - perHour] <= x - 3600 + 1e-9;
+
+  const asIs = [...prior];
+  let first_violation = null;
+  for (const a of arrivals) {
+    if (!first_violation && !windowFree(asIs, a.t_s)) {
+      const used = asIs.filter(t => t > a.t_s - 3600).length + 1;
+      first_violation = { t_s: a.t_s, event: a.event, used_s: used * toa_s, packets: used };
+    }
+    asIs.push(a.t_s);
+  }
+
+  const kept = [...prior];
+  const queued = [...prior];
+  let last = prior.length ? prior[prior.length - 1] : -Infinity;
+  let next = -Infinity;
+  const rows = [];
+  for (const a of arrivals) {
+    let reason = null;
+    if (a.t_s < last + rearm_s - 1e-9) reason = "rearm";
+    else if (!windowFree(kept, a.t_s)) reason = "budget";
+    if (!reason) {
+      kept.push(a.t_s);
+      last = a.t_s;
+    }
+
+    let send_s = null;
+    if (perHour > 0) {
+      send_s = Math.max(a.t_s, next);
+      if (!windowFree(queued, send_s)) send_s = Math.max(send_s, queued[queued.length - perHour] + 3600);
+      queued.push(send_s);
+      next = send_s + Math.max(toa_s, rearm_s);
+    }
+
+    if (a.event != null) {
+      rows.push({ event: a.event, t_s: a.t_s, sent: !reason, reason, send_s, latency_s: send_s == null ? Infinity : send_s - a.t_s });
+    }
+  }
+
+  const delayed = rows.filter(r => r.latency_s > 1e-9);
+  const worst = rows.reduce((w, r) => (w == null || r.latency_s > w.latency_s ? r : w), null);
+  return {
+    toa_s, rearm_s, budget_s, duty_limit, per_hour: perHour,
+    events: rows,
+    beyond_span: trace.length - events.length,
+    span_s: end,
+    scheduled: arrivals.length - rows.length,
+    first_violation,
+    compliant: first_violation == null,
+    suppressed: rows.filter(r => !r.sent).length,
+    suppressed_by_rearm: rows.filter(r => r.reason === "rearm").length,
+    suppressed_by_budget: rows.filter(r => r.reason === "budget").length,
+    delayed: delayed.length,
+    worst_latency_s: worst ? worst.latency_s : 0,
+    worst_event: worst && worst.latency_s > 0 ? worst.event : null,
+    mean_latency_s: rows.length ? rows.reduce((s, r) => s + r.latency_s, 0) / rows.length : 0,
+    never: perHour === 0,
+    last_send_s: rows.some(r => r.send_s != null) ? Math.max(...rows.filter(r => r.send_s != null).map(r => r.send_s)) : null,
+  };
+}
@@ -0,0 +1,51 @@
+import { calcAirtime } from "./airtime.js";
+import { txCurrent } from "./energy.js";
+import { PRESETS } from "./presets.js";
+
+// ─── Mixed traffic profile ────────────────────────────────────────────────
+// One node sending several message types on the same radio config. Each
+// stream is either periodic (intervalMin) or event-driven (eventsPerDay).
+// stream: { id, label, payload, enabled, mode: "interval"|"rate", intervalMin, eventsPerDay }
+export const DEFAULT_TRAFFIC = [
+  { id: "heartbeat", mode: "interval", intervalMin: 15,  eventsPerDay: 96, enabled: true  },
+  { id: "status",    mode: "interval", intervalMin: 120, eventsPerDay: 12, enabled: true  },
+  { id: "detection", mode: "rate",     intervalMin: 60,  eventsPerDay: 24, enabled: true  },
+  { id: "ping",      mode: "interval", intervalMin: 5,   eventsPerDay: 288, enabled: false },
+].map(s => ({ ...s, label: PRESETS[s.id].label, payload: PRESETS[s.id].payload }));
+
+export function streamPerDay(s) {
+  if (!s.enabled) return 0;
+  if (s.mode === "rate") return Math.max(0, s.eventsPerDay);
+  return s.intervalMin > 0 ? 1440 / s.intervalMin : 0;
+}
+
+// radio: { sf, bw (kHz), cr, preamble, crc, explicitHeader, ldrOptimize }
+export function calcTraffic({ streams, radio, txPower }) {
+  const current_mA = txCurrent(txPower);
+  const rows = streams.map(s => {
+    const toa = calcAirtime({
+      sf: radio.sf, bw: radio.bw * 1000, preamble: radio.preamble, payloadBytes: s.payload,
+      cr: radio.cr, crc: radio.crc, explicitHeader: radio.explicitHeader,
+      lowDROptimize: radio.ldrOptimize,
+    });
+    const per_day = streamPerDay(s);
+    const airtime_per_day_ms = toa * per_day;
+    return {
+      ...s, toa, per_day, airtime_per_day_ms,
+      charge_per_day_mAh: current_mA * airtime_per_day_ms / 3_600_000,
+    };
+  });
+
+  const airtime_per_day_ms = rows.reduce((sum, r) => sum + r.airtime_per_day_ms, 0);
+  for (const r of rows) r.share = airtime_per_day_ms > 0 ? r.airtime_per_day_ms / airtime_per_day_ms : 0;
+  const active = rows.filter(r => r.per_day > 0);
+
+  return {
+    streams: rows,
+    tx_per_day: rows.reduce((sum, r) => sum + r.per_day, 0),
+    airtime_per_day_ms,
+    charge_per_day_mAh: rows.reduce((sum, r) => sum + r.charge_per_day_mAh, 0),
+    // Longest packet actually sent — what a per-packet dwell limit sees
+    max_toa: active.length ? Math.max(...active.map(r => r.toa)) : 0,
+  };
+}
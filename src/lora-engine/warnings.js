@@ -0,0 +1,205 @@
+import { getRegion, accessRules, bandFit, bandWidth_kHz } from "./regions.js";
+import { fmt } from "./format.js";
+import { TTN_UPLINK_AIRTIME_S_PER_DAY, TTN_DOWNLINKS_PER_DAY } from "./lorawan.js";
+
+// ─── Configuration warnings ───────────────────────────────────────────────
+// Each: { id, level: "error"|"caution", label, message }
+// Regulatory checks (W1–W3, W5, W6, W9–W11) come from the regional plan and
+// the sub-band's access rules; W12–W14 need a LoRaWAN result (calcLorawan),
+// W15–W16 a raw-LoRa ACK / downlink result (calcDownlink), W17 a battery
+// chemistry projection (calcBatteryLife), W18–W19 a US hopping plan (calcHopping).
+export function evaluateWarnings({
+  region, sf, bw, euBand, access = "duty", txPower, preamble, explicitHeader, airtime, lorawan = null,
+  downlink = null, batteryLife = null, hopping = null,
+}) {
+  const warnings = [];
+  const plan = getRegion(region);
+  const rules = accessRules(region, euBand, access);
+  const { band } = rules;
+  const fit = bandFit(bw, band);
+  const width = bandWidth_kHz(band);
+  const edges = `${band.low_MHz}–${band.high_MHz} MHz`;
+
+  // W1 — channel wider than the sub-band: physically impossible (e.g. BW500 on EU g3)
+  if (fit === "over") {
+    warnings.push({
+      id: "W1",
+      level: "error",
+      label: "BW + Sub-band",
+      message: `BW${bw} cannot fit in ${band.id} — the sub-band is only ${width} kHz wide (${edges}). Use a narrower BW or switch sub-band.`,
+    });
+  }
+  // W2 — channel fills the sub-band with under 20% frequency margin (e.g. BW250 on g3)
+  if (fit === "tight") {
+    warnings.push({
+      id: "W2",
+      level: "caution",
+      label: `BW${bw} + ${band.id}`,
+      message: `BW${bw} fills ${band.id} (${width} kHz, ${edges}) leaving ${fmt(width - bw, 0)} kHz of frequency margin. Use a narrower BW on ${band.id}.`,
+    });
+  }
+  // W3 — TX Power above the sub-band's EIRP cap (EU: 14 dBm, 27 dBm in g3)
+  if (txPower > rules.maxEirp_dBm) {
+    const mW = Math.round(10 ** (rules.maxEirp_dBm / 10));
+    const where = plan.subBands.length > 1 ? `${plan.label} ${band.id}` : plan.label;
+    warnings.push({
+      id: "W3",
+      level: "error",
+      label: `TX Power (${plan.label})`,
+      message: `+${txPower} dBm exceeds ${where} EIRP limit of ${rules.maxEirp_dBm} dBm (${mW} mW) under ${plan.rule}. Reduce TX Power to ≤${Math.floor(rules.maxEirp_dBm)} dBm.`,
+    });
+  }
+  // W4 — TX Power = 20 dBm: RFM95W hardware duty-cycle restriction (any region)
+  if (txPower === 20) {
+    warnings.push({
+      id: "W4",
+      level: "caution",
+      label: "+20 dBm duty limit",
+      message: "RFM95W duty-cycle limited to 1% max at +20 dBm (Table 33, DC_20dBm). Continuous operation rated to +17 dBm.",
+    });
+  }
+  // W5 — dwell / TX-on time exceeded (US, AS923, AU915, EU LBT+AFA)
+  if (rules.dwell_ms != null && airtime > rules.dwell_ms) {
+    const limit = rules.mode === "lbtafa" ? "TX-on time" : "dwell";
+    warnings.push({
+      id: "W5",
+      level: "error",
+      label: rules.mode === "lbtafa" ? "TX-on Time (LBT+AFA)" : `Dwell Time (${plan.label})`,
+      message: `ToA ${fmt(airtime, 1)} ms exceeds ${rules.dwell_ms} ms ${rules.rule} ${limit} limit. Reduce SF, increase BW, or shorten payload.`,
+    });
+  }
+  // W6 — sub-band below 1% duty (EU g863/g2 at 0.1%): extremely restrictive, rarely appropriate
+  if (rules.mode === "duty" && band.duty != null && band.duty < 1) {
+    warnings.push({
+      id: "W6",
+      level: "caution",
+      label: `${band.id} sub-band`,
+      message: `${band.id} duty cycle is ${band.duty}% — ${fmt(1 / band.duty, 0)}× more restrictive than the 1% bands. Avoid for regular sensor TX unless legally required.`,
+    });
+  }
+  // W7 — Preamble < 8: risks sync failures (LoRaWAN specifies 8 minimum)
+  if (preamble < 8) {
+    warnings.push({
+      id: "W7",
+      level: "caution",
+      label: "Preamble symbols",
+      message: `Preamble ${preamble} symbols is below the LoRaWAN minimum of 8. Risk of sync failure, especially at range.`,
+    });
+  }
+  // W8 — SF6 + explicit header: not supported on SX1276/RFM95W
+  if (sf === 6 && explicitHeader) {
+    warnings.push({
+      id: "W8",
+      level: "error",
+      label: "SF6 + Explicit Header",
+      message: "SF6 requires implicit header mode on SX1276/RFM95W — explicit header is not supported at SF6. Disable Explicit Header. Both sensor and brain must have payload length hardcoded in firmware.",
+    });
+  }
+
+  // W9 — bandwidth outside the plan's channel plan
+  if (!plan.bandwidths.includes(bw)) {
+    warnings.push({
+      id: "W9",
+      level: "error",
+      label: `BW (${plan.label})`,
+      message: `BW${bw} is not allowed in ${plan.label} — permitted: ${plan.bandwidths.join(" / ")} kHz.`,
+    });
+  }
+  // W10 — mandatory listen-before-talk (KR920, EU LBT+AFA)
+  if (rules.lbt?.required) {
+    const lbtafa = rules.mode === "lbtafa";
+    const afa = lbtafa ? ` ${rules.lbt.note}.` : "";
+    warnings.push({
+      id: "W10",
+      level: "caution",
+      label: lbtafa ? "LBT + AFA" : "LBT required",
+      message: `${lbtafa ? rules.rule : plan.label} requires listen-before-talk: sense ≥${rules.lbt.listen_ms} ms at ${rules.lbt.threshold_dBm} dBm before every TX.${afa} LBT time and backoff are not included in ToA or energy.`,
+    });
+  }
+  // W11 — plan outside the RFM95W's HF band (EU433)
+  if (plan.module !== "RFM95W") {
+    warnings.push({
+      id: "W11",
+      level: "caution",
+      label: "Radio module",
+      message: `RFM95W covers 862–1020 MHz only — ${plan.label} needs an ${plan.module}. TX current and sensitivity figures are RFM95W HF-band values.`,
+    });
+  }
+
+  // W12 — app payload + FOpts larger than the data rate's max MACPayload
+  if (lorawan && !lorawan.payload_ok) {
+    warnings.push({
+      id: "W12",
+      level: "error",
+      label: `LoRaWAN DR${lorawan.dr} payload`,
+      message: `${lorawan.app_payload} B app payload exceeds the DR${lorawan.dr} maximum of ${lorawan.max_app_payload} B (MACPayload ${lorawan.mac_payload} of ${lorawan.rate.maxMac} B). Use a faster DR, fewer FOpts or a smaller payload.`,
+    });
+  }
+  // W13 — over The Things Network's 30 s/day uplink airtime fair-use policy
+  if (lorawan && !lorawan.fair_use_ok) {
+    warnings.push({
+      id: "W13",
+      level: "caution",
+      label: "TTN fair use — airtime",
+      message: `${fmt(lorawan.airtime_per_day_s, 1)} s uplink airtime / day exceeds the TTN fair-use limit of ${TTN_UPLINK_AIRTIME_S_PER_DAY} s. At this ToA allow ≤${lorawan.max_uplinks_per_day} uplinks / day (every ${fmt(lorawan.min_interval_s / 60, 1)} min).`,
+    });
+  }
+  // W14 — over TTN's 10 downlinks/day (ACKs for confirmed uplinks count)
+  if (lorawan && !lorawan.downlinks_ok) {
+    warnings.push({
+      id: "W14",
+      level: "caution",
+      label: "TTN fair use — downlinks",
+      message: `${fmt(lorawan.downlinks_per_day, 1)} downlinks / day exceeds the TTN fair-use limit of ${TTN_DOWNLINKS_PER_DAY}. Confirmed uplinks need an ACK each — send unconfirmed uplinks.`,
+    });
+  }
+
+  // W15 — the brain's ACKs and commands for one sensor already exceed the sub-band limit
+  if (downlink && downlink.gateway.max_nodes < 1) {
+    const g = downlink.gateway;
+    warnings.push({
+      id: "W15",
+      level: "error",
+      label: "Brain downlink duty",
+      message: `ACKs and commands for a single sensor use ${fmt(g.duty_used_per_hour, 3)}% of the brain's airtime — over the ${g.duty_limit ?? 100}% ${g.duty_limit == null ? "channel time" : `${band.id} limit`}. Send fewer confirmed uplinks or commands, or use a faster SF.`,
+    });
+  }
+  // W16 — expected retransmissions push the sensor over its own duty limit
+  if (downlink && downlink.retry_tx_per_day > 0 && !downlink.node_duty_ok) {
+    warnings.push({
+      id: "W16",
+      level: "caution",
+      label: "Retries + duty cycle",
+      message: `With ${fmt(downlink.expected_attempts, 2)} sends per uplink (${downlink.lossPct}% loss, ${downlink.retries} retries) the sensor uses ${fmt(downlink.node_duty_used_per_hour, 3)}% of its ${rules.duty}% duty budget. Lengthen the TX interval or cut retries.`,
+    });
+  }
+  // W17 — TX pulse current beyond what the cell chemistry delivers (worse in the cold)
+  if (batteryLife && !batteryLife.pulse_ok) {
+    warnings.push({
+      id: "W17",
+      level: "caution",
+      label: "Battery pulse current",
+      message: `TX draws ${batteryLife.peak_mA} mA at +${txPower} dBm — over the ${fmt(batteryLife.pulse_limit_mA, 0)} mA a ${batteryLife.label} cell delivers at ${batteryLife.coldest_C} °C. Expect voltage sag and brown-out resets: add a hybrid-layer or supercapacitor buffer, or lower TX power.`,
+    });
+  }
+  // W18 — too few hopping channels for FCC §15.247 FHSS
+  if (hopping && !hopping.channels_ok) {
+    warnings.push({
+      id: "W18",
+      level: "error",
+      label: "Hopping channels",
+      message: `The hop set has ${hopping.channels_used} channels — FCC §15.247 requires at least ${hopping.rule.minChannels} for BW${bw}. Widen the channel block, or use BW500 under the digital-modulation rules.`,
+    });
+  }
+  // W19 — averaged channel occupancy over 0.4 s in the window, often with every packet under 400 ms
+  if (hopping && !hopping.occupancy_ok) {
+    warnings.push({
+      id: "W19",
+      level: "error",
+      label: "Channel occupancy",
+      message: `Channel ${hopping.worst_channel} is occupied ${fmt(hopping.worst_occupancy_s * 1000, 0)} ms in a ${hopping.rule.window_s} s window — over the ${hopping.rule.maxOccupancy_s * 1000} ms average occupancy limit${hopping.dwell_ok ? ", although every packet passes the 400 ms dwell check" : ""}. The node is back on the same channel after ${fmt(hopping.revisit_s, 1)} s: add channels, space out bursts or shorten packets.`,
+    });
+  }
+
+  return warnings;
+}
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  allocateChannels, allocationCsv, calcAirtime, channelRaster, planArray, regionBand,
+} from "../src/lora-engine/index.js";
+import { close, RADIO } from "./helpers.js";
+
+const radio = RADIO;
+const heartbeat = { id: "heartbeat", label: "Heartbeat", payload: 12, intervalMin: 15 };
+
+test("a single node never collides", () => {
+  const r = planArray({ nodeCount: 1, messages: [heartbeat], radio, region: "eu", euBand: "g3" });
+  assert.equal(r.streams[0].p_collision, 0);
+  assert.equal(r.delivery_ratio, 1);
+});
+
+test("collision probability follows pure ALOHA for one message type", () => {
+  const r = planArray({ nodeCount: 100, messages: [heartbeat], radio, region: "eu", euBand: "g3" });
+  const T = calcAirtime({ ...radio, bw: 125000, payloadBytes: 12, lowDROptimize: false }) / 1000;
+  const lambda = 99 * 4 / 3600;
+  close(r.streams[0].p_success, Math.exp(-2 * lambda * T));
+  close(r.channel_load, 100 * 4 * T / 3600);
+  assert.equal(r.node_compliant, true);
+});
+
+test("extra channels divide the load", () => {
+  const one = planArray({ nodeCount: 200, messages: [heartbeat], radio, region: "eu", euBand: "g3" });
+  const two = planArray({ nodeCount: 200, channels: 2, messages: [heartbeat], radio, region: "eu", euBand: "g3" });
+  close(two.channel_load, one.channel_load / 2);
+  close(two.aggregate_load_pct, one.aggregate_load_pct);
+  assert.ok(two.delivery_ratio > one.delivery_ratio);
+});
+
+test("disabled message types carry no traffic", () => {
+  const r = planArray({
+    nodeCount: 50, messages: [{ ...heartbeat, intervalMin: 0 }], radio, region: "us",
+  });
+  assert.equal(r.total_per_hour, 0);
+  assert.equal(r.delivery_ratio, 1);
+});
+
+const detection = { id: "detection", label: "Detection", payload: 8, intervalMin: 30 };
+
+test("guard margin decides how many channels fit the sub-band", () => {
+  const g3 = regionBand("eu", "g3");
+  assert.equal(channelRaster({ band: g3, bw: 125 }).count, 1);
+  assert.equal(channelRaster({ band: g3, bw: 125, guardPct: 0 }).count, 2);
+  assert.equal(channelRaster({ band: g3, bw: 125 }).edge_to_edge, 2);
+  const g1 = channelRaster({ band: regionBand("eu", "g1"), bw: 125 });
+  assert.equal(g1.count, 3);
+  close(g1.slot_kHz, 156.25);
+  // Channels sit inside the band and never overlap
+  assert.ok(g1.channels[0].low_MHz >= 868.0 && g1.channels[2].high_MHz <= 868.6);
+  assert.ok(g1.channels.every((c, i) => i === 0 || c.low_MHz >= g1.channels[i - 1].high_MHz));
+  assert.equal(channelRaster({ band: g3, bw: 500 }).count, 0);
+});
+
+test("node IDs go round-robin with offsets spread over the shortest interval", () => {
+  const a = allocateChannels({
+    nodeCount: 7, messages: [heartbeat, detection], radio, region: "eu", euBand: "g1",
+  });
+  assert.deepEqual(a.nodes.map(n => n.channel), [0, 1, 2, 0, 1, 2, 0]);
+  assert.deepEqual(a.channels.map(c => c.nodes), [3, 2, 2]);
+  // Detections are event-driven, so the 15 min heartbeat sets the cycle
+  assert.equal(a.cycle_s, 900);
+  assert.deepEqual(a.nodes.filter(n => n.channel === 0).map(n => n.offset_s), [0, 300, 600]);
+  assert.deepEqual(a.nodes.filter(n => n.channel === 1).map(n => n.offset_s), [0, 450]);
+  assert.equal(a.slot_s, 300);
+  assert.equal(a.slots_ok, true);
+});
+
+test("per-channel load and collisions match the planner for that channel's nodes", () => {
+  const a = allocateChannels({ nodeCount: 100, messages: [heartbeat], radio, region: "eu", euBand: "g1" });
+  const busiest = planArray({ nodeCount: 34, messages: [heartbeat], radio, region: "eu", euBand: "g1" });
+  close(a.channels[0].load_pct, busiest.channel_load_pct);
+  close(a.channels[0].p_collision, 1 - busiest.delivery_ratio);
+  const total = a.channels.reduce((s, c) => s + c.airtime_per_hour_s, 0);
+  close(total, planArray({ nodeCount: 100, messages: [heartbeat], radio, region: "eu", euBand: "g1" }).airtime_per_hour_s, 1e-6);
+  // Nothing fits: no channels, no assignment
+  const none = allocateChannels({ nodeCount: 5, messages: [heartbeat], radio: { ...radio, bw: 500 }, region: "eu", euBand: "g3" });
+  assert.equal(none.fits, false);
+  assert.deepEqual(none.nodes, []);
+});
+
+test("assignment CSV has one row per node", () => {
+  const a = allocateChannels({ nodeCount: 4, messages: [heartbeat], radio, region: "eu", euBand: "g3", guardPct: 0 });
+  const lines = allocationCsv(a).trim().split("\n");
+  assert.equal(lines[0], "node_id,channel,center_MHz,offset_s");
+  assert.equal(lines.length, 5);
+  assert.deepEqual(lines[2].split(","), ["2", "1", String(a.raster.channels[1].center_MHz), "0"]);
+  assert.equal(lines[3].split(",")[3], "450");
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BATTERY_CHEMISTRIES, DEFAULT_BATTERY_MODEL, DEFAULT_POWER, calcBatteryLife, evaluateConfig,
+} from "../src/lora-engine/index.js";
+import { close, BASE_CONFIG } from "./helpers.js";
+
+const model = (chemistry, over = {}) => ({ ...DEFAULT_BATTERY_MODEL, chemistry, ...over });
+const life = (chemistry, over = {}, load = 1) =>
+  calcBatteryLife({ batteryModel: model(chemistry, over), battCapacity: 2600, load_mAh_per_day: load, peak_mA: 31 });
+
+const base = { ...BASE_CONFIG, voltage: 3.6, battCapacity: 2600 };
+
+test("ideal keeps capacity / load; every chemistry has a sane discharge curve", () => {
+  assert.equal(life("ideal"), null);
+  for (const c of BATTERY_CHEMISTRIES) {
+    assert.ok(c.cutoff_V < c.nominal_V && c.discharge[0][1] > c.nominal_V, c.id);
+    c.discharge.slice(1).forEach(([d, v], i) => assert.ok(d > c.discharge[i][0] && v < c.discharge[i][1], c.id));
+  }
+});
+
+test("at 20 °C with no self-discharge the projection is capacity / load", () => {
+  const r = life("lisocl2", { tempDay_C: 20, tempNight_C: 20 }, 1);
+  close(r.temp_factor, 1, 1e-9);
+  close(r.usable_frac, 1, 1e-9);
+  close(r.self_discharge_pct_per_year, 1, 1e-9);
+  // 1%/yr of what is left: dC/dt = −L − k·C
+  const k = -Math.log(0.99) / 365;
+  close(r.life_days, Math.log(1 + (k * 2600) / 1) / k, 1e-6);
+  assert.ok(r.life_days < r.ideal_days);
+  assert.equal(r.curve[0].remaining_pct, 100);
+  close(r.curve.at(-1).remaining_mAh, 0, 1e-6);
+  close(r.curve.at(-1).voltage_V, 2.0, 1e-6);
+});
+
+test("heat speeds self-discharge, cold cuts capacity and pulse current", () => {
+  const mild = life("liion", { tempDay_C: 20, tempNight_C: 20 });
+  const hot = life("liion", { tempDay_C: 40, tempNight_C: 40 });
+  close(hot.self_discharge_pct_per_year, mild.self_discharge_pct_per_year * 4, 1e-9);
+  assert.ok(hot.life_days < mild.life_days);
+  const cold = life("alkaline", { tempDay_C: 0, tempNight_C: 0 });
+  close(cold.temp_factor, 0.55, 1e-9);
+  close(cold.pulse_limit_mA, 500 * 0.55, 1e-9);
+  // Day/night weighting
+  close(life("alkaline", { tempDay_C: 20, tempNight_C: 0, dayHours: 12 }).temp_factor, 0.775, 1e-9);
+});
+
+test("a brown-out voltage above the cutoff strands the tail of the discharge", () => {
+  const full = life("liion", { tempDay_C: 25, tempNight_C: 25 });
+  const regulated = life("liion", { tempDay_C: 25, tempNight_C: 25, minVoltage_V: 3.5 });
+  close(regulated.usable_frac, 0.85, 1e-9);
+  close(regulated.min_V, 3.5, 1e-9);
+  assert.ok(regulated.life_days < full.life_days);
+});
+
+test("evaluateConfig derates both battery lives and flags pulse current (W17)", () => {
+  const ideal = evaluateConfig({ ...base, power: DEFAULT_POWER });
+  assert.equal(ideal.batteryLife, null);
+  const cell = evaluateConfig({ ...base, power: DEFAULT_POWER, batteryModel: model("lisocl2") });
+  close(cell.batteryLife.load_mAh_per_day, ideal.power.total_mAh_per_day, 1e-9);
+  assert.equal(cell.power.batt_days, cell.batteryLife.life_days);
+  assert.ok(cell.batt_days < ideal.batt_days);
+  assert.ok(!cell.warnings.some(w => w.id === "W17"));
+
+  // PA_BOOST at +17 dBm (87 mA) is within 100 mA at 20 °C, not on a −10 °C night
+  const cold = evaluateConfig({ ...base, txPower: 17, batteryModel: model("lisocl2", { tempNight_C: -10 }) });
+  assert.equal(cold.batteryLife.peak_mA, 87);
+  close(cold.batteryLife.pulse_limit_mA, 82.5, 1e-9);
+  assert.ok(cold.warnings.some(w => w.id === "W17"));
+});
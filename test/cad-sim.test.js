@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cadTiming, simulateCadBackoff } from "../src/lora-engine/index.js";
+import { RADIO } from "./helpers.js";
+
+const radio = RADIO;
+
+test("CAD timing matches Hoang et al. Table 1 at SF7/BW125", () => {
+  const t = cadTiming({ ...radio, slots: 6 });
+  assert.ok(Math.abs(t.cad_ms - 1.97) < 1e-9);
+  assert.ok(Math.abs(t.preamble_ms - 12.544) < 1e-9);
+  assert.ok(Math.abs(t.max_backoff_ms - 11.82) < 1e-9);
+  assert.equal(t.constraint_ok, true);
+});
+
+test("a lone node always delivers on the first CAD", () => {
+  const r = simulateCadBackoff({ nodeCount: 1, radio, payload: 8, trials: 20 });
+  assert.equal(r.delivered, 20);
+  assert.equal(r.attemptsHist[0], 20);
+  assert.ok(r.latency.min >= r.toa + r.cad_ms);
+});
+
+test("every packet is accounted for and runs are reproducible", () => {
+  const opts = { nodeCount: 20, radio, payload: 8, trials: 50, seed: 7 };
+  const a = simulateCadBackoff(opts);
+  assert.equal(a.delivered + a.collided + a.dropped, a.total);
+  assert.deepEqual(simulateCadBackoff(opts), a);
+});
+
+test("more attempts drop fewer events", () => {
+  const opts = { nodeCount: 30, radio, payload: 8, trials: 50, spreadMs: 20 };
+  const few = simulateCadBackoff({ ...opts, maxAttempts: 1 });
+  const many = simulateCadBackoff({ ...opts, maxAttempts: 8 });
+  assert.ok(many.dropped < few.dropped);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONFIG, compareDesigns, evaluateConfig, fmt } from "../src/lora-engine/index.js";
+
+const sf12g3 = { ...DEFAULT_CONFIG, preset: "custom", sf: 12, euBand: "g3" };
+const sf9g1 = { ...DEFAULT_CONFIG, preset: "custom", sf: 9, euBand: "g" };
+
+const row = (cmp, label) => cmp.rows.find(r => r.label === label);
+
+test("highlights the better value per row", () => {
+  const cmp = compareDesigns([{ name: "SF12/g3", config: sf12g3 }, { name: "SF9/g1", config: sf9g1 }]);
+  assert.deepEqual(cmp.columns.map(c => c.name), ["SF12/g3", "SF9/g1"]);
+  assert.deepEqual(row(cmp, "Time on air").best, [1]);
+  assert.deepEqual(row(cmp, "Energy / TX").best, [1]);
+  assert.deepEqual(row(cmp, "Range").best, [0]);
+  assert.deepEqual(row(cmp, "SF / BW / CR").best, []);
+});
+
+test("ties and single values are not highlighted", () => {
+  const cmp = compareDesigns([{ name: "a", config: sf12g3 }, { name: "b", config: sf12g3 }]);
+  assert.ok(cmp.rows.every(r => r.best.length === 0));
+});
+
+test("warnings prefer designs without violations", () => {
+  const violating = { ...sf9g1, txPower: 17 };
+  const cmp = compareDesigns([{ name: "ok", config: sf9g1 }, { name: "bad", config: violating }]);
+  assert.deepEqual(row(cmp, "Warnings").best, [0]);
+  assert.equal(row(cmp, "Warnings").cells[1], "W3");
+});
+
+test("EU-only rows are blank for US designs", () => {
+  const us = { ...DEFAULT_CONFIG, region: "us", sf: 7 };
+  const cmp = compareDesigns([{ name: "eu", config: sf9g1 }, { name: "us", config: us }]);
+  assert.equal(row(cmp, "Re-arm time").cells[1], "—");
+  assert.deepEqual(row(cmp, "Re-arm time").best, []);
+});
+
+test("a mixed design compares with the calculator's linked detection rate", () => {
+  const traffic = DEFAULT_CONFIG.traffic.map(s => s.id === "detection" ? { ...s, eventsPerDay: 2000 } : s);
+  // MCU off so the CAD load of each detection shows in whole days
+  const power = { ...DEFAULT_CONFIG.power, mcuDuty_pct: 0, cadPerDetection: 20 };
+  const mixed = { ...sf9g1, trafficMode: "mixed", traffic, power };
+  // What the calculator runs: the detection stream sets the power budget's detections
+  const calc = evaluateConfig({ ...mixed, traffic, power: { ...power, detectionsPerDay: 2000 } });
+  const unlinked = evaluateConfig({ ...mixed, traffic });
+  assert.notEqual(fmt(calc.power.batt_days, 0), fmt(unlinked.power.batt_days, 0));
+  const cmp = compareDesigns([{ name: "mixed", config: mixed }]);
+  assert.equal(row(cmp, "Battery (full node)").cells[0], `${fmt(calc.power.batt_days, 0)} days`);
+  assert.equal(row(cmp, "Battery (TX only)").cells[0], `${fmt(calc.batt_days, 0)} days`);
+});
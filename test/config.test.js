@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_CONFIG, CONFIG_VERSION, configToQuery, configFromQuery, hasConfigQuery,
+  configToJson, configFromJson, normalizeConfig,
+} from "../src/lora-engine/index.js";
+
+const custom = {
+  ...DEFAULT_CONFIG,
+  region: "us", preset: "custom", sf: 9, bw: 250, cr: 4, payload: 30, preamble: 10,
+  crc: false, explicitHeader: false, ldrManual: true, txPower: 20, voltage: 3.3,
+  txIntervalMin: 7.5, euBand: "g4", access: "lbtafa", battCapacity: 3400,
+  link: { ...DEFAULT_CONFIG.link, model: "logd", exponent: 3.1 },
+  lorawan: { ...DEFAULT_CONFIG.lorawan, enabled: true, dr: 3, fOpts: 2, confirmed: true },
+  downlink: { ...DEFAULT_CONFIG.downlink, confirmed: true, retries: 3, lossPct: 12.5, commandsPerDay: 4 },
+  reliability: { enabled: true, rayleigh: true, repeats: 2 },
+  batteryModel: { chemistry: "lisocl2", tempDay_C: 42, tempNight_C: -5, dayHours: 10, minVoltage_V: 3.1 },
+  solar: { ...DEFAULT_CONFIG.solar, enabled: true, panel_W: 0.5, latitude: 48.2, peakSunHours: [1, 2, 3, 4, 5, 6, 6, 5, 4, 3, 2, 1] },
+  hopping: { ...DEFAULT_CONFIG.hopping, enabled: true, firstChannel: 8, channels: 8, seed: 7, burstSpacing_s: 1.5 },
+  schema: {
+    enabled: false,
+    fields: [...DEFAULT_CONFIG.schema.fields, { name: "alarm", type: "bool", bits: 1, scale: 1, offset: 0, unit: "" }],
+  },
+};
+
+test("URL query round-trips every field", () => {
+  const { config, ignored } = configFromQuery("#" + configToQuery(custom));
+  assert.deepEqual(ignored, []);
+  assert.deepEqual(config, custom);
+});
+
+test("default nested settings stay out of the URL", () => {
+  const q = configToQuery(DEFAULT_CONFIG);
+  assert.ok(!q.includes("traffic=") && !q.includes("power=") && !q.includes("link=") && !q.includes("lorawan=")
+    && !q.includes("schema=") && !q.includes("downlink=") && !q.includes("reliability=")
+    && !q.includes("batteryModel=") && !q.includes("solar=") && !q.includes("hopping="));
+  assert.ok(hasConfigQuery(q));
+  assert.equal(hasConfigQuery(""), false);
+});
+
+test("invalid URL values fall back to defaults and are reported", () => {
+  const { config, ignored } = configFromQuery("?sf=13&bw=300&crc=0&link=%7Bbroken");
+  assert.equal(config.sf, DEFAULT_CONFIG.sf);
+  assert.equal(config.bw, DEFAULT_CONFIG.bw);
+  assert.equal(config.crc, false);
+  assert.deepEqual(ignored, ["sf", "bw", "link"]);
+});
+
+test("out-of-range numbers from a file fall back to defaults", () => {
+  const { config } = normalizeConfig({
+    payload: 0, txIntervalMin: -5,
+    link: { ...DEFAULT_CONFIG.link, txCable_dB: -3, distance_km: 0, fadeMargin_dB: 6 },
+    power: { ...DEFAULT_CONFIG.power, sleep_uA: -1, mcu_mA: 80 },
+  });
+  assert.equal(config.payload, DEFAULT_CONFIG.payload);
+  assert.equal(config.txIntervalMin, DEFAULT_CONFIG.txIntervalMin);
+  assert.equal(config.link.txCable_dB, DEFAULT_CONFIG.link.txCable_dB);
+  assert.equal(config.link.distance_km, DEFAULT_CONFIG.link.distance_km);
+  assert.equal(config.link.fadeMargin_dB, 6);
+  assert.equal(config.power.sleep_uA, DEFAULT_CONFIG.power.sleep_uA);
+  assert.equal(config.power.mcu_mA, 80);
+});
+
+test("numbers above the input maximums from a file fall back to defaults", () => {
+  const { config } = normalizeConfig({
+    txIntervalMin: 1440,
+    link: { ...DEFAULT_CONFIG.link, distance_km: 5000, fadeMargin_dB: 50 },
+    power: { ...DEFAULT_CONFIG.power, listen_pct: 150, mcuDuty_pct: 100.5, rx_mA: 200 },
+  });
+  assert.equal(config.txIntervalMin, DEFAULT_CONFIG.txIntervalMin);
+  assert.equal(config.link.distance_km, DEFAULT_CONFIG.link.distance_km);
+  assert.equal(config.link.fadeMargin_dB, 50);
+  assert.equal(config.power.listen_pct, DEFAULT_CONFIG.power.listen_pct);
+  assert.equal(config.power.mcuDuty_pct, DEFAULT_CONFIG.power.mcuDuty_pct);
+  assert.equal(config.power.rx_mA, 200);
+});
+
+test("JSON export is versioned and round-trips", () => {
+  const text = configToJson(custom);
+  assert.equal(JSON.parse(text).version, CONFIG_VERSION);
+  assert.deepEqual(configFromJson(text).config, custom);
+});
+
+test("JSON import rejects foreign or future files", () => {
+  assert.throws(() => configFromJson("{"), /valid JSON/);
+  assert.throws(() => configFromJson('{"sf": 7}'), /config file/);
+  for (const config of [null, [], "eu"]) {
+    assert.throws(() => configFromJson(JSON.stringify({ format: "jumbo-shoo-loracalc-config", version: 1, config })), /config file/);
+  }
+  assert.throws(
+    () => configFromJson(JSON.stringify({ format: "jumbo-shoo-loracalc-config", version: CONFIG_VERSION + 1, config: {} })),
+    /newer/,
+  );
+});
+
+test("old sub-band ids load as their successor", () => {
+  const { config, ignored } = configFromQuery("?euBand=g");
+  assert.deepEqual(ignored, []);
+  assert.equal(config.euBand, "g1");
+  assert.equal(config.access, "duty");
+});
+
+test("traffic labels are restored from presets", () => {
+  const { config } = normalizeConfig({ traffic: [{ id: "ping", enabled: true, payload: 4 }] });
+  const ping = config.traffic.find(s => s.id === "ping");
+  assert.equal(ping.label, "Alive Ping");
+  assert.equal(ping.payload, 4);
+  assert.equal(ping.enabled, true);
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_DOWNLINK, DEFAULT_POWER, DEFAULT_LORAWAN, DEFAULT_RELIABILITY, expectedAttempts, evaluateConfig,
+} from "../src/lora-engine/index.js";
+import { close, BASE_CONFIG } from "./helpers.js";
+
+const base = BASE_CONFIG;
+const dl = (args = {}, over = {}) =>
+  evaluateConfig({ ...base, ...over, downlink: { ...DEFAULT_DOWNLINK, confirmed: true, ...args } });
+
+test("expected sends per uplink follow the loss rate and retry count", () => {
+  assert.equal(expectedAttempts(0, 3), 1);
+  close(expectedAttempts(5, 2), 1.0525, 1e-9);
+  close(expectedAttempts(50, 3), 1.875, 1e-9);
+  assert.equal(expectedAttempts(100, 2), 3);
+});
+
+test("off by default, and ignored in LoRaWAN mode", () => {
+  assert.equal(evaluateConfig(base).downlink, null);
+  assert.equal(evaluateConfig({ ...base, downlink: DEFAULT_DOWNLINK }).downlink, null);
+  const lw = dl({}, { lorawan: { ...DEFAULT_LORAWAN, enabled: true, dr: 5 } });
+  assert.equal(lw.downlink, null);
+});
+
+test("ACK airtime and node listen time", () => {
+  const { downlink: d } = dl();
+  // 2-byte ACK on SF9/BW125, CR 4/5, CRC on, explicit header
+  close(d.ack_toa_ms, 103.424);
+  close(d.delivery_pct, 99.9875, 1e-6);
+  // 95% of attempts end on the ACK, 5% wait out the 1 s timeout
+  close(d.listen_ms_per_uplink, 1.0525 * (0.95 * 103.424 + 0.05 * 1000));
+  close(d.retry_tx_per_day, 96 * 0.0525);
+
+  // Commands without ACKs still need a listen window after each uplink
+  const cmds = evaluateConfig({ ...base, downlink: { ...DEFAULT_DOWNLINK, commandsPerDay: 4 } }).downlink;
+  assert.equal(cmds.expected_attempts, 1);
+  close(cmds.rx_ms_per_day, 96 * 1000 + 4 * cmds.command_toa_ms);
+});
+
+test("retries and ACK waits land in the node power budget", () => {
+  const raw = evaluateConfig({ ...base, power: DEFAULT_POWER });
+  const acked = dl({}, { power: DEFAULT_POWER });
+  close(acked.power.daily.tx, raw.power.daily.tx * 1.0525, 1e-6);
+  assert.ok(acked.power.daily.rx > raw.power.daily.rx);
+  close(acked.power.daily.rx, DEFAULT_POWER.rx_mA * acked.downlink.rx_ms_per_day / 3_600_000, 1e-6);
+});
+
+test("retries shorten the TX-only battery life", () => {
+  const raw = evaluateConfig(base);
+  const acked = dl({ lossPct: 50, retries: 3 });
+  close(acked.tx_energy_per_day_mAh, raw.tx_energy_per_day_mAh * 1.875);
+  close(acked.batt_days, raw.batt_days / 1.875);
+  assert.ok(acked.batt_days < raw.batt_days);
+});
+
+test("brain duty cycle and how many sensors it can acknowledge", () => {
+  const { downlink: d } = dl();
+  const g = d.gateway;
+  close(g.acks_per_day, 96 * 1.0525);
+  close(g.duty_used_per_hour, g.acks_per_day * d.ack_toa_ms / 24 / 36_000);
+  assert.equal(g.duty_limit, 1);
+  assert.equal(g.max_nodes, Math.floor(1 / g.duty_used_per_hour));
+  // g3 allows 10× the ACKs of g1
+  assert.ok(dl({}, { euBand: "g3" }).downlink.gateway.max_nodes >= 10 * g.max_nodes);
+  // No duty limit: capped by channel time only
+  assert.equal(dl({}, { region: "in865" }).downlink.gateway.duty_limit, null);
+});
+
+test("W15 when one sensor's ACKs exceed the brain's budget, W16 when retries exceed the node's", () => {
+  const ids = r => r.warnings.map(w => w.id);
+  assert.deepEqual(ids(dl()), []);
+  const busy = dl({ lossPct: 50, retries: 3 }, { sf: 12, txIntervalMin: 1 });
+  assert.equal(busy.downlink.gateway.max_nodes, 0);
+  assert.ok(ids(busy).includes("W15"));
+  assert.ok(ids(busy).includes("W16"));
+  // 0.69% base duty on g1 → 1.29% with 1.875 expected sends
+  const retrying = dl({ lossPct: 50, retries: 3 }, { sf: 10, txIntervalMin: 0.7 });
+  close(retrying.downlink.node_duty_used_per_hour, 1.289, 0.001);
+  assert.ok(ids(retrying).includes("W16"));
+});
+
+test("ACK retries count in the duty cycle and the compliant flag", () => {
+  // Compliant without ACKs at 0.69%; 1.875 expected sends take it to 1.29%
+  const radio = { sf: 10, txIntervalMin: 0.7 };
+  const plain = evaluateConfig({ ...base, ...radio });
+  assert.equal(plain.compliant, true);
+  const retrying = dl({ lossPct: 50, retries: 3 }, radio);
+  close(retrying.duty_used_per_hour, retrying.downlink.node_duty_used_per_hour, 1e-9);
+  close(retrying.duty_used_per_hour, plain.duty_used_per_hour * 1.875, 1e-9);
+  assert.equal(retrying.downlink.node_duty_ok, false);
+  assert.equal(retrying.dutyCompliant, false);
+  assert.equal(retrying.compliant, false);
+  assert.equal(retrying.tx_per_hour, plain.tx_per_hour);
+  // The reliability model's sends already carry the retries — not counted twice
+  const rel = dl({ retries: 3 }, { ...radio, reliability: { ...DEFAULT_RELIABILITY, enabled: true } });
+  close(rel.duty_used_per_hour, plain.duty_used_per_hour * rel.reliability.expected_tx, 1e-9);
+});
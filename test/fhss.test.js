@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_HOPPING, calcHopping, complianceChecks, evaluateConfig, hopSequence, hoppingRule,
+} from "../src/lora-engine/index.js";
+import { close, BASE_CONFIG } from "./helpers.js";
+
+const hop = (over = {}) => ({ ...DEFAULT_HOPPING, enabled: true, ...over });
+
+const base = { ...BASE_CONFIG, region: "us", euBand: "us" };
+
+test("FCC rule follows the bandwidth", () => {
+  assert.equal(hoppingRule(125).minChannels, 50);
+  assert.equal(hoppingRule(125).window_s, 20);
+  assert.equal(hoppingRule(250).minChannels, 25);
+  assert.equal(hoppingRule(250).window_s, 10);
+  assert.equal(hoppingRule(500).id, "dts");
+});
+
+test("hop sequence visits every channel once per cycle", () => {
+  const seq = hopSequence(64, 3);
+  assert.deepEqual([...seq].sort((a, b) => a - b), Array.from({ length: 64 }, (_, i) => i));
+  assert.deepEqual(hopSequence(64, 3), seq);
+  assert.notDeepEqual(hopSequence(64, 4), seq);
+});
+
+test("64 channels at a quarter-hour pass; 8 channels fail the channel count", () => {
+  const all = calcHopping({ hopping: hop(), bw: 125, airtime: 200, txPerHour: 4 });
+  assert.equal(all.channels_used, 64);
+  assert.ok(all.compliant);
+  close(all.worst_occupancy_s, 0.2);
+  assert.equal(all.channels[0].freq_MHz, 902.3);
+  assert.equal(all.channels[63].freq_MHz, 914.9);
+
+  const sub2 = calcHopping({ hopping: hop({ firstChannel: 8, channels: 8 }), bw: 125, airtime: 200, txPerHour: 4 });
+  assert.equal(sub2.channels_ok, false);
+  assert.deepEqual([...sub2.sequence].sort((a, b) => a - b), [8, 9, 10, 11, 12, 13, 14, 15]);
+});
+
+test("a fast burst breaks averaged occupancy while each packet passes dwell", () => {
+  // 20 events 1 s apart on 8 channels: back on a channel every 8 s, 3 × 300 ms in 20 s
+  const r = calcHopping({ hopping: hop({ channels: 8, burstCount: 20, burstSpacing_s: 1 }), bw: 125, airtime: 300, txPerHour: 4 });
+  assert.equal(r.dwell_ok, true);
+  assert.equal(r.revisit_s, 8);
+  close(r.worst_occupancy_s, 0.9);
+  assert.equal(r.occupancy_ok, false);
+  // Spread over all 64 channels the same burst never repeats a channel
+  assert.ok(calcHopping({ hopping: hop({ burstCount: 20, burstSpacing_s: 1 }), bw: 125, airtime: 300, txPerHour: 4 }).occupancy_ok);
+});
+
+test("fleet usage adds up and nodes start on different channels", () => {
+  const r = calcHopping({ hopping: hop({ nodes: 4, burstCount: 0 }), bw: 125, airtime: 100, txPerHour: 64 });
+  const fleet = r.channels.reduce((s, c) => s + c.fleet_airtime_s_per_hour, 0);
+  close(fleet, 4 * 64 * 0.1);
+  assert.ok(r.channels.every(c => c.packets_per_hour === 1));
+});
+
+test("evaluateConfig flags W18 / W19 and fails compliance for US only", () => {
+  assert.equal(evaluateConfig({ ...base, hopping: hop() }).hopping.compliant, true);
+  const r = evaluateConfig({ ...base, hopping: hop({ firstChannel: 8, channels: 8, burstCount: 20, burstSpacing_s: 1 }) });
+  assert.ok(r.dwell_ok);
+  assert.equal(r.compliant, false);
+  assert.deepEqual(r.warnings.map(w => w.id).filter(id => ["W18", "W19"].includes(id)), ["W18", "W19"]);
+  assert.match(r.warnings.find(w => w.id === "W19").message, /every packet passes the 400 ms dwell check/);
+  const checks = complianceChecks(base, r).filter(c => c.label.includes("occupancy") || c.label.startsWith("Hopping"));
+  assert.deepEqual(checks.map(c => c.pass), [false, false]);
+  assert.equal(evaluateConfig({ ...base, region: "eu", euBand: "g1", hopping: hop() }).hopping, null);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateFirmware, paSettings, sx1276Registers } from "../src/lora-engine/index.js";
+
+const BASE = {
+  region: "eu", euBand: "g3", sf: 12, bw: 125, cr: 4, preamble: 8, crc: true,
+  explicitHeader: true, ldrOptimize: true, txPower: 14, payload: 12,
+};
+const regs = r => Object.fromEntries(r.registers.map(x => [x.name, x.value]));
+
+test("modem registers match RadioHead's predefined configs", () => {
+  // RH_RF95::Bw125Cr45Sf128 = { 0x72, 0x74, 0x04 }
+  const a = regs(sx1276Registers({ ...BASE, sf: 7, cr: 1, ldrOptimize: false, freq_MHz: 868.1 }));
+  assert.deepEqual([a.RegModemConfig1, a.RegModemConfig2, a.RegModemConfig3], [0x72, 0x74, 0x04]);
+  // RH_RF95::Bw125Cr48Sf4096 = { 0x78, 0xC4, 0x0C }
+  const b = regs(sx1276Registers({ ...BASE, freq_MHz: 868.1 }));
+  assert.deepEqual([b.RegModemConfig1, b.RegModemConfig2, b.RegModemConfig3], [0x78, 0xC4, 0x0C]);
+});
+
+test("carrier frequency registers", () => {
+  const r = regs(sx1276Registers({ ...BASE, freq_MHz: 868.1 }));
+  // 868.1 MHz → Frf 0xD90666
+  assert.deepEqual([r.RegFrfMsb, r.RegFrfMid, r.RegFrfLsb], [0xD9, 0x06, 0x66]);
+});
+
+test("PA path follows the TX_CURRENT split", () => {
+  assert.equal(paSettings(14).path, "RFO_HF");
+  assert.equal(paSettings(14).paConfig, 0x7E);
+  assert.equal(paSettings(17).path, "PA_BOOST");
+  assert.equal(paSettings(17).paConfig, 0x8F);
+  const hp = paSettings(20);
+  assert.equal(hp.paConfig, 0x8F);
+  assert.equal(hp.paDac, 0x87);
+  assert.equal(hp.ocp_mA, 140);
+  assert.equal(paSettings(14, true).paConfig, 0x8C);
+});
+
+test("SF6 exports implicit header even when explicit is selected (W8)", () => {
+  const fw = generateFirmware({ ...BASE, sf: 6, ldrOptimize: false });
+  assert.equal(fw.implicitHeader, true);
+  const r = regs(fw);
+  assert.equal(r.RegModemConfig1 & 1, 1);
+  assert.equal(r.RegDetectOptimize, 0xC5);
+  assert.equal(r.RegDetectionThreshold, 0x0C);
+  assert.match(fw.code.radiolib, /implicitHeader\(12\)/);
+  assert.match(fw.code.lmic, /MAKERPS\(SF6, BW125, CR_4_8, 12, 0\)/);
+  assert.ok(fw.notes.some(n => n.startsWith("W8")));
+});
+
+test("every target is generated", () => {
+  const fw = generateFirmware({ ...BASE, region: "us", txPower: 20 });
+  assert.equal(fw.freq_MHz, 915);
+  assert.match(fw.code.radiolib, /radio\.begin\(915\.000, 125\.0, 12, 8, 0x12, 20, 8, 0\)/);
+  assert.match(fw.code.radiolib, /setCurrentLimit\(140\)/);
+  assert.match(fw.code.radiohead, /setTxPower\(20, false\)/);
+  assert.match(fw.code.python, /"pa_boost": True/);
+  assert.match(fw.code.registers, /RegPreambleLsb\s+0x21 = 0x08/);
+});
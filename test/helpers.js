@@ -0,0 +1,14 @@
+import assert from "node:assert/strict";
+
+// ─── Shared test helpers ──────────────────────────────────────────────────
+export const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+// evaluateConfig inputs: SF9/BW125, 12 bytes every 15 min on EU g1
+export const BASE_CONFIG = {
+  region: "eu", sf: 9, bw: 125, payload: 12, cr: 1, preamble: 8, crc: true, explicitHeader: true,
+  txPower: 14, voltage: 3.7, txIntervalMin: 15, euBand: "g1", battCapacity: 2000,
+};
+
+// Radio as the planners and simulators take it (bw in kHz)
+export const RADIO = { sf: 7, bw: 125, cr: 1, preamble: 8, crc: true, explicitHeader: true, ldrOptimize: false };
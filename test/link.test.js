@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_LINK, calcLinkBudget, pathLoss, maxDistance, runOptimizer } from "../src/lora-engine/index.js";
+import { close } from "./helpers.js";
+
+test("free-space loss at 1 km / 868 MHz", () => {
+  close(pathLoss(1, 868, { model: "fspl" }), 32.44 + 20 * Math.log10(868));
+});
+
+test("max distance inverts every path-loss model", () => {
+  for (const model of ["fspl", "hata", "logd"]) {
+    const link = { ...DEFAULT_LINK, model };
+    const d = maxDistance(140, 868, link);
+    close(pathLoss(d, 868, link), 140, 1e-9);
+  }
+});
+
+test("link margin equals the fade margin at the max distance", () => {
+  const link = { ...DEFAULT_LINK, model: "logd" };
+  const r = calcLinkBudget({ sf: 12, bw: 125, txPower: 14, region: "eu", link });
+  assert.equal(r.sensitivity_dBm, -136);
+  const atMax = calcLinkBudget({ sf: 12, bw: 125, txPower: 14, region: "eu", link: { ...link, distance_km: r.max_distance_km } });
+  close(atMax.link_margin_dB, link.fadeMargin_dB);
+});
+
+test("higher SF and narrower BW reach further", () => {
+  const range = (sf, bw) => calcLinkBudget({ sf, bw, txPower: 14, region: "eu", link: DEFAULT_LINK }).max_distance_km;
+  assert.ok(range(12, 125) > range(7, 125));
+  assert.ok(range(7, 125) > range(7, 500));
+});
+
+test("optimizer reports range when link settings are given", () => {
+  const { front } = runOptimizer({ payloadBytes: 12, region: "eu", txInterval_min: 15, link: DEFAULT_LINK });
+  assert.ok(front.every(r => r.range_km > 0));
+  assert.ok(runOptimizer({ payloadBytes: 12, region: "eu", txInterval_min: 15 }).front.every(r => r.range_km === null));
+});
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  calcAirtime, calcDutyCycle, calcRearm, calcDwell, calcEnergy, calcBattery,
+  evaluateWarnings, evaluateConfig, runOptimizer, ldroRequired,
+} from "../src/lora-engine/index.js";
+import { close } from "./helpers.js";
+
+const base = {
+  preamble: 8, crc: true, explicitHeader: true, lowDROptimize: false,
+};
+
+// ─── Time on air — Semtech AN1200.13 formula ──────────────────────────────
+test("ToA matches AN1200.13 reference values (13-byte frame, CR4/5)", () => {
+  close(calcAirtime({ ...base, sf: 7, bw: 125000, payloadBytes: 13, cr: 1 }), 46.336);
+  close(calcAirtime({ ...base, sf: 12, bw: 125000, payloadBytes: 13, cr: 1, lowDROptimize: true }), 1155.072);
+});
+
+test("ToA matches preset comments for US SF7/BW125 CR4/6", () => {
+  close(calcAirtime({ ...base, sf: 7, bw: 125000, payloadBytes: 12, cr: 2 }), 45.312);
+  close(calcAirtime({ ...base, sf: 7, bw: 125000, payloadBytes: 24, cr: 2 }), 69.888);
+  close(calcAirtime({ ...base, sf: 7, bw: 125000, payloadBytes: 8, cr: 2 }), 39.168);
+});
+
+test("SF6 always uses implicit header", () => {
+  const explicit = calcAirtime({ ...base, sf: 6, bw: 125000, payloadBytes: 8, cr: 1 });
+  const implicit = calcAirtime({ ...base, sf: 6, bw: 125000, payloadBytes: 8, cr: 1, explicitHeader: false });
+  assert.equal(explicit, implicit);
+});
+
+test("LDRO is required only when Tsym exceeds 16 ms", () => {
+  assert.equal(ldroRequired(11, 125), true);
+  assert.equal(ldroRequired(12, 250), true);
+  assert.equal(ldroRequired(10, 125), false);
+  assert.equal(ldroRequired(12, 500), false);
+});
+
+// ─── Calculator sheet — docs/lora_airtime_calculator_23.xlsx ─────────────
+// Heartbeat: SF12 / BW125 / CR4:6 / 12 B / 14 dBm / 3.7 V / 15 min / g / 2000 mAh
+const sheet = {
+  region: "eu", sf: 12, bw: 125, payload: 12, cr: 2, preamble: 8, crc: true,
+  explicitHeader: true, txPower: 14, voltage: 3.7, txIntervalMin: 15,
+  euBand: "g", battCapacity: 2000,
+};
+
+test("heartbeat matches the Calculator sheet", () => {
+  const r = evaluateConfig(sheet);
+  assert.equal(r.ldrOptimize, true);
+  close(r.tSym_ms, 32.768);
+  close(r.airtime, 1253.376);
+  close(r.bitrate_kbps, 0.244140625);
+  assert.equal(r.current_mA, 31);
+  close(r.energy_mJ, 143.7622272);
+  close(r.energy_uAh, 10.79296);
+  close(r.tx_energy_per_day_mAh, 1.03612416);
+  close(r.batt_days / 365, 5.288412592168993);
+  close(r.duty_used_per_hour, 0.139264);
+  close(r.duty_pct_of_limit, 13.9264);
+  assert.equal(r.max_tx_per_hour, 28);
+  close(r.min_interval_s, 125.3376);
+  close(r.rearm_g_s, 125.3376);
+  close(r.rearm_g3_s, 12.53376);
+  assert.equal(r.compliant, true);
+  assert.deepEqual(r.warnings, []);
+});
+
+// ─── Duty cycle, dwell, energy ────────────────────────────────────────────
+test("duty cycle flags a breach above the sub-band limit", () => {
+  const d = calcDutyCycle({ airtime: 1253.376, euBand: "g2", txIntervalMin: 15 });
+  assert.equal(d.duty_limit, 0.1);
+  assert.equal(d.compliant, false);
+});
+
+test("zero interval means no transmissions and infinite battery life", () => {
+  const d = calcDutyCycle({ airtime: 50, euBand: "g3", txIntervalMin: 0 });
+  assert.equal(d.tx_per_hour, 0);
+  const b = calcBattery({ energy_uAh: 1, txPerHour: d.tx_per_hour, battCapacity: 2000 });
+  assert.equal(b.batt_days, Infinity);
+});
+
+test("re-arm scales with sub-band duty", () => {
+  const { rearm_g_s, rearm_g3_s } = calcRearm(100);
+  close(rearm_g_s, 10);
+  close(rearm_g3_s, 1);
+});
+
+test("US dwell boundary is inclusive at 400 ms", () => {
+  assert.equal(calcDwell(400).dwell_ok, true);
+  assert.equal(calcDwell(400.1).dwell_ok, false);
+});
+
+test("unknown TX power falls back to the RFO_HF maximum current", () => {
+  assert.equal(calcEnergy({ airtime: 100, txPower: 15, voltage: 3.7 }).current_mA, 31);
+  assert.equal(calcEnergy({ airtime: 100, txPower: 20, voltage: 3.7 }).current_mA, 120);
+});
+
+// ─── Warnings W1–W8 ───────────────────────────────────────────────────────
+const ok = {
+  region: "eu", sf: 7, bw: 125, euBand: "g3", txPower: 14,
+  preamble: 8, explicitHeader: true, airtime: 50,
+};
+const ids = cfg => evaluateWarnings({ ...ok, ...cfg }).map(w => w.id);
+
+test("each warning fires on its trigger", () => {
+  assert.deepEqual(ids({}), []);
+  assert.deepEqual(ids({ bw: 500 }), ["W1"]);
+  assert.deepEqual(ids({ bw: 250 }), ["W2"]);
+  assert.deepEqual(ids({ txPower: 17, euBand: "g1" }), ["W3"]);
+  assert.deepEqual(ids({ region: "us", txPower: 20 }), ["W4"]);
+  assert.deepEqual(ids({ region: "us", airtime: 401 }), ["W5"]);
+  assert.deepEqual(ids({ euBand: "g2" }), ["W6"]);
+  assert.deepEqual(ids({ preamble: 6 }), ["W7"]);
+  assert.deepEqual(ids({ sf: 6 }), ["W8"]);
+});
+
+test("EU-only warnings do not fire in the US", () => {
+  assert.deepEqual(ids({ region: "us", bw: 500, txPower: 17, euBand: "g2" }), []);
+});
+
+// ─── Optimizer ────────────────────────────────────────────────────────────
+test("optimizer front only holds compliant configs", () => {
+  const eu = runOptimizer({ payloadBytes: 12, region: "eu", txInterval_min: 15, objectives: ["energy", "txPerHour"] });
+  assert.ok(eu.front.length > 0);
+  assert.ok(eu.front.every(r => r.txPower <= 14));
+  assert.ok(eu.front.every(r => !(r.band.id === "g3" && r.bw >= 250)));
+  assert.ok(eu.front.every(r => r.cr >= 1 && r.cr <= 4));
+
+  const us = runOptimizer({ payloadBytes: 12, region: "us", txInterval_min: 15 });
+  assert.ok(us.front.every(r => r.toa <= 400));
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_LORAWAN, DEFAULT_LINK, DEFAULT_POWER, lorawanFrame, lorawanDataRate, adrDataRate, lorawanRateTable,
+  evaluateConfig,
+} from "../src/lora-engine/index.js";
+import { close, BASE_CONFIG } from "./helpers.js";
+
+const base = { ...BASE_CONFIG, bw: 250, cr: 3, preamble: 12, crc: false, explicitHeader: false };
+const lw = (args = {}) => evaluateConfig({ ...base, lorawan: { ...DEFAULT_LORAWAN, enabled: true, ...args } });
+
+test("frame adds 13 bytes of MAC overhead plus FOpts", () => {
+  assert.deepEqual(lorawanFrame({ appPayload: 12, maxMac: 59 }),
+    { overhead_bytes: 13, phy_payload: 25, mac_payload: 20, max_app_payload: 51, payload_ok: true });
+  // No FPort without an app payload
+  assert.equal(lorawanFrame({ appPayload: 0 }).phy_payload, 12);
+  assert.equal(lorawanFrame({ appPayload: 12, fOpts: 3, maxMac: 59 }).max_app_payload, 48);
+  assert.equal(lorawanDataRate("us", 0).maxMac, 19);
+  assert.equal(lorawanDataRate("as923", 0).dr, 2); // DR0/DR1 unavailable with dwell limit
+});
+
+test("data rate sets the radio and the on-air payload", () => {
+  const r = lw({ dr: 5 });
+  assert.deepEqual(r.radio, { sf: 7, bw: 125, cr: 1, preamble: 8, crc: true, explicitHeader: true, ldrOptimize: false });
+  assert.equal(r.air_payload, 25);
+  close(r.airtime, 61.696);
+  close(lw({ dr: 0 }).airtime, 1482.752);
+  assert.equal(evaluateConfig(base).lorawan, null);
+});
+
+test("max payload per DR raises W12", () => {
+  const ids = r => r.warnings.map(w => w.id);
+  assert.ok(!ids(lw({ dr: 0 })).includes("W12"));
+  const big = evaluateConfig({ ...base, payload: 60, lorawan: { ...DEFAULT_LORAWAN, enabled: true, dr: 0 } });
+  assert.equal(big.lorawan.payload_ok, false);
+  assert.ok(ids(big).includes("W12"));
+  assert.ok(lorawanRateTable({ region: "eu", appPayload: 60 }).filter(r => r.payload_ok).every(r => r.dr >= 3));
+});
+
+test("receive windows follow RX1 and the plan's RX2", () => {
+  const { lorawan: l } = lw({ dr: 5 });
+  close(l.rx1.window_ms, 8.192);
+  close(l.rx2.window_ms, 262.144);
+  assert.equal(l.rx2.freq_MHz, 869.525);
+  close(l.rx_ms_per_uplink, 270.336);
+  // US RX1 answers on 500 kHz downlink channels
+  assert.equal(evaluateConfig({ ...base, region: "us", lorawan: { ...DEFAULT_LORAWAN, enabled: true, dr: 1 } }).lorawan.rx1.bw, 500);
+
+  // The windows count as RX after TX in the node budget
+  const withPower = evaluateConfig({ ...base, power: DEFAULT_POWER, lorawan: { ...DEFAULT_LORAWAN, enabled: true, dr: 5 } });
+  const raw = evaluateConfig({ ...base, power: DEFAULT_POWER });
+  assert.ok(withPower.power.daily.rx > raw.power.daily.rx);
+});
+
+test("TTN fair use: 30 s uplink airtime and 10 downlinks per day", () => {
+  const slow = lw({ dr: 0 });
+  close(slow.lorawan.airtime_per_day_s, 142.34, 0.01);
+  assert.equal(slow.lorawan.fair_use_ok, false);
+  assert.equal(slow.lorawan.max_uplinks_per_day, 20);
+  assert.ok(slow.warnings.some(w => w.id === "W13"));
+
+  const fast = lw({ dr: 5 });
+  assert.equal(fast.lorawan.fair_use_ok, true);
+  assert.ok(!fast.warnings.some(w => w.id === "W13"));
+
+  const confirmed = lw({ dr: 5, confirmed: true });
+  assert.equal(confirmed.lorawan.downlinks_per_day, 96);
+  assert.ok(confirmed.warnings.some(w => w.id === "W14"));
+  assert.equal(lw({ dr: 5, downlinksPerDay: 10 }).lorawan.downlinks_ok, true);
+});
+
+test("ADR picks the fastest DR that keeps the margin", () => {
+  const near = adrDataRate({ region: "eu", txPower: 14, link: { ...DEFAULT_LINK, distance_km: 0.5 } });
+  const far = adrDataRate({ region: "eu", txPower: 14, link: { ...DEFAULT_LINK, distance_km: 8 } });
+  assert.ok(near.dr > far.dr);
+  const r = evaluateConfig({ ...base, link: { ...DEFAULT_LINK, distance_km: 8 }, lorawan: { ...DEFAULT_LORAWAN, enabled: true, adr: true, dr: 5 } });
+  assert.equal(r.lorawan.dr, far.dr);
+  assert.equal(r.radio.sf, far.sf);
+});
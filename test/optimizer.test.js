@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_LINK, OPTIMIZER_OBJECTIVES, paretoFront, runOptimizer } from "../src/lora-engine/index.js";
+
+const obj = ids => OPTIMIZER_OBJECTIVES.filter(o => ids.includes(o.id));
+const BASE = { payloadBytes: 12, region: "eu", txInterval_min: 15, link: DEFAULT_LINK };
+
+test("pareto front drops dominated points and keeps trade-offs", () => {
+  const pts = [
+    { energy_mJ: 1, range_km: 1 },
+    { energy_mJ: 2, range_km: 3 },
+    { energy_mJ: 2, range_km: 2 }, // dominated by the one above
+    { energy_mJ: 3, range_km: 3 }, // dominated
+    { energy_mJ: 4, range_km: 5 },
+  ];
+  const front = paretoFront(pts, obj(["energy", "range"]));
+  assert.deepEqual(front, [pts[0], pts[1], pts[4]]);
+});
+
+test("no front member is dominated by any feasible config", () => {
+  const objectives = ["energy", "range", "txPerHour"];
+  const r = runOptimizer({ ...BASE, objectives, search: { preambles: [8, 12], headers: ["explicit", "implicit"] } });
+  const os = obj(objectives);
+  const all = runOptimizer({ ...BASE, objectives: [], search: { preambles: [8, 12], headers: ["explicit", "implicit"] } }).front;
+  assert.equal(all.length, r.feasible);
+  for (const p of r.front) {
+    assert.ok(!all.some(q => os.every(o => (q[o.key] - p[o.key]) * o.dir >= 0)
+      && os.some(o => (q[o.key] - p[o.key]) * o.dir > 1e-9)));
+  }
+});
+
+test("constraints and search dimensions are honoured", () => {
+  const r = runOptimizer({
+    ...BASE, objectives: ["energy", "range"],
+    constraints: { minBattDays: 365, minRange_km: 3, maxSf: 10 },
+    search: { preambles: [6, 12], headers: ["explicit", "implicit"] },
+  });
+  assert.ok(r.front.length > 0);
+  assert.ok(r.front.every(p => p.sf <= 10 && p.batt_days >= 365 && p.range_km >= 3));
+  assert.ok(r.front.every(p => [6, 12].includes(p.preamble)));
+  // SF6 only with implicit header (W8)
+  const sf6 = runOptimizer({ ...BASE, objectives: ["toa"], search: { preambles: [8], headers: ["explicit", "implicit"] } });
+  assert.ok(sf6.front.every(p => p.sf !== 6 || !p.explicitHeader));
+});
+
+test("range objective trades TX power against energy", () => {
+  const r = runOptimizer({ ...BASE, objectives: ["energy", "range"] });
+  const powers = new Set(r.front.map(p => p.txPower));
+  assert.ok(powers.size > 1);
+  for (let i = 1; i < r.front.length; i++) assert.ok(r.front[i].energy_mJ >= r.front[i - 1].energy_mJ);
+});
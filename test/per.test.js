@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_DOWNLINK, DEFAULT_LINK, DEFAULT_POWER, REQUIRED_SNR_DB, packetErrorRate, retryOutcome,
+  compareCodingRates, perCurve, evaluateConfig,
+} from "../src/lora-engine/index.js";
+import { close, BASE_CONFIG, RADIO } from "./helpers.js";
+
+const radio = { ...RADIO, sf: 9 };
+const per = (margin, over = {}) =>
+  packetErrorRate({ radio: { ...radio, ...over }, payloadBytes: 12, snr_dB: REQUIRED_SNR_DB[9] + margin, ...over });
+
+const base = BASE_CONFIG;
+// 10 km on the Hata model leaves ~3.7 dB of SNR margin at SF9
+const far = { ...DEFAULT_LINK, distance_km: 10 };
+const rel = (args = {}, over = {}) =>
+  evaluateConfig({ ...base, link: far, ...over, reliability: { enabled: true, rayleigh: true, repeats: 1, ...args } });
+
+test("PER falls steeply around the demodulator floor", () => {
+  assert.ok(per(-4) > 0.99);
+  assert.ok(per(0) > 0.01 && per(0) < 0.5);
+  assert.ok(per(4) < 1e-6);
+  const curve = perCurve({ radio, payloadBytes: 12, step: 1 });
+  assert.equal(curve.length, 21);
+  curve.slice(1).forEach((p, i) => assert.ok(p.per <= curve[i].per));
+});
+
+test("Hamming CR 4/7 and 4/8 correct symbol errors, 4/5 and 4/6 do not", () => {
+  assert.ok(per(0, { cr: 3 }) < per(0, { cr: 1 }) / 10);
+  assert.ok(per(0, { cr: 4 }) < per(0, { cr: 2 }) / 10);
+  // Rayleigh fading dominates: deep fades are lost at any coding rate
+  assert.ok(per(10, { rayleigh: true }) > 0.05);
+  assert.ok(per(10, { rayleigh: true }) > 1000 * per(10));
+});
+
+test("ACK retries and blind repeats", () => {
+  const arq = retryOutcome({ loss: 0.5, policy: "arq", attempts: 4 });
+  close(arq.expected_tx, 1.875, 1e-9);
+  close(arq.delivery, 0.9375, 1e-9);
+  const rep = retryOutcome({ loss: 0.5, policy: "repeat", attempts: 2 });
+  assert.equal(rep.expected_tx, 2);
+  close(rep.tx_per_delivered, 2 / 0.75, 1e-9);
+  assert.equal(retryOutcome({ loss: 1, policy: "arq", attempts: 3 }).tx_per_delivered, Infinity);
+});
+
+test("off by default; repeats scale duty, battery and the node budget", () => {
+  const plain = evaluateConfig({ ...base, link: far, power: DEFAULT_POWER });
+  assert.equal(plain.reliability, null);
+  const twice = rel({ repeats: 2 }, { power: DEFAULT_POWER });
+  const r = twice.reliability;
+  assert.equal(r.policy, "repeat");
+  assert.equal(r.expected_tx, 2);
+  close(r.snr_margin_dB, 3.75, 0.1);
+  close(twice.duty_used_per_hour, plain.duty_used_per_hour * 2, 1e-9);
+  close(twice.batt_days, plain.batt_days / 2, 1e-6);
+  close(twice.power.daily.tx, plain.power.daily.tx * 2, 1e-6);
+  assert.equal(twice.tx_per_hour, plain.tx_per_hour);
+  close(r.effective_toa, twice.airtime * r.tx_per_delivered, 1e-9);
+  assert.ok(r.delivery_pct > 100 * (1 - r.per));
+});
+
+test("with ACKs the modelled exchange loss replaces the manual one", () => {
+  const acked = rel({}, { downlink: { ...DEFAULT_DOWNLINK, confirmed: true, retries: 3 } });
+  const r = acked.reliability;
+  assert.equal(r.policy, "arq");
+  assert.equal(r.attempts, 4);
+  assert.ok(r.ack_per > 0 && r.ack_per < r.per);
+  close(acked.downlink.lossPct, r.loss * 100, 1e-9);
+  close(acked.downlink.expected_attempts, r.expected_tx, 1e-9);
+  // Without a link budget the default link sets the SNR
+  assert.ok(rel({}, { link: null }).reliability.snr_margin_dB > 20);
+});
+
+test("coding-rate trade-off: airtime against resends", () => {
+  const rows = compareCodingRates({
+    radio, payload: 12, snr_dB: REQUIRED_SNR_DB[9] - 1, reliability: { repeats: 1 },
+    confirmed: true, retries: 3, ackPayload: 2, txPower: 14, voltage: 3.7,
+  });
+  assert.deepEqual(rows.map(r => r.cr), [1, 2, 3, 4]);
+  rows.slice(1).forEach((r, i) => assert.ok(r.toa > rows[i].toa));
+  // Just under the floor CR 4/7 costs more airtime per packet but less per delivered message
+  assert.ok(rows[2].effective_toa < rows[0].effective_toa);
+  assert.ok(rows[2].delivery_pct > rows[0].delivery_pct);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_POWER, calcPowerBudget, evaluateConfig } from "../src/lora-engine/index.js";
+import { close, BASE_CONFIG } from "./helpers.js";
+
+const cfg = { ...BASE_CONFIG, sf: 12, cr: 2, euBand: "g" };
+const idle = {
+  sleep_uA: 0, rx_mA: 0, rxPerTx_ms: 0, listen_pct: 0, cad_mA: 0,
+  cadPerDetection: 0, detectionsPerDay: 0, mcu_mA: 0, mcuDuty_pct: 0, geophone_mA: 0,
+};
+
+test("with every other load zeroed the budget equals the TX-only estimate", () => {
+  const r = evaluateConfig({ ...cfg, power: idle });
+  close(r.power.total_mAh_per_day, r.tx_energy_per_day_mAh);
+  close(r.power.batt_days, r.batt_days, 1e-6);
+});
+
+test("each component adds its own daily charge", () => {
+  const radio = { sf: 7, bw: 125, preamble: 8 };
+  const r = calcPowerBudget({
+    power: { ...idle, geophone_mA: 0.5, mcu_mA: 100, mcuDuty_pct: 1, rx_mA: 10, listen_pct: 10 },
+    radio, txPerDay: 0, txAirtimePerDay_ms: 0, tx_mAh_per_day: 0, battCapacity: 2000, voltage: 3.7,
+  });
+  close(r.daily.geophone, 12);
+  close(r.daily.mcu, 24);
+  close(r.daily.rx, 24);
+  close(r.total_mAh_per_day, 60);
+  close(r.avg_current_mA, 2.5);
+  close(r.breakdown.reduce((s, c) => s + c.share, 0), 1);
+});
+
+test("sleep only covers the idle part of the day", () => {
+  const radio = { sf: 7, bw: 125, preamble: 8 };
+  const r = calcPowerBudget({
+    power: { ...idle, sleep_uA: 1000, mcuDuty_pct: 50 },
+    radio, txPerDay: 0, txAirtimePerDay_ms: 0, tx_mAh_per_day: 0, battCapacity: 2000, voltage: 3.7,
+  });
+  close(r.daily.sleep, 12);
+});
+
+test("the default budget is far shorter than the TX-only estimate", () => {
+  const r = evaluateConfig({ ...cfg, power: DEFAULT_POWER });
+  assert.ok(r.power.batt_days < r.batt_days / 10);
+});
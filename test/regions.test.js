@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  REGIONS, PRESETS, getRegion, regionBand, regionTxPowers, accessRules, presetRadio, planArray,
+  calcDutyCycle, evaluateConfig, evaluateWarnings, runOptimizer, generateFirmware,
+} from "../src/lora-engine/index.js";
+
+const base = {
+  sf: 9, bw: 125, payload: 12, cr: 1, preamble: 8, crc: true, explicitHeader: true,
+  txPower: 14, voltage: 3.7, txIntervalMin: 15, euBand: "g3", battCapacity: 2000,
+};
+const ids = args => evaluateWarnings({ ...base, airtime: 100, ...args }).map(w => w.id);
+
+test("every plan is complete", () => {
+  for (const r of REGIONS) {
+    assert.ok(r.subBands.length > 0, r.id);
+    assert.ok(r.bandwidths.length > 0, r.id);
+    for (const b of r.subBands) {
+      assert.ok(b.freq_MHz >= b.low_MHz && b.freq_MHz <= b.high_MHz, `${r.id} ${b.id}`);
+      assert.ok(b.low_MHz >= r.range_MHz[0] && b.high_MHz <= r.range_MHz[1], `${r.id} ${b.id}`);
+    }
+  }
+  assert.equal(getRegion("nope").id, "eu");
+  assert.equal(regionBand("kr920", "g3").id, "kr920");
+  assert.equal(regionBand("eu", "g").id, "g1");
+});
+
+test("EU sub-bands do not overlap and carry their own EIRP", () => {
+  const eu = getRegion("eu").subBands;
+  for (let i = 1; i < eu.length; i++) assert.ok(eu[i].low_MHz >= eu[i - 1].high_MHz, eu[i].id);
+  assert.deepEqual(eu.map(b => b.duty), [0.1, 1, 1, 0.1, 10, 1]);
+  assert.deepEqual(regionTxPowers("eu", "g3"), [2, 5, 8, 11, 14, 17, 20]);
+  assert.deepEqual(regionTxPowers("eu", "g4"), [2, 5, 8, 11, 14]);
+  assert.ok(!ids({ euBand: "g3", txPower: 20 }).includes("W3"));
+  assert.ok(ids({ euBand: "g4", txPower: 17 }).includes("W3"));
+});
+
+test("W1/W2 follow the sub-band edges", () => {
+  assert.deepEqual(ids({ euBand: "g4", bw: 500 }), ["W1"]);
+  assert.deepEqual(ids({ euBand: "g4", bw: 250 }), ["W2"]);
+  assert.deepEqual(ids({ euBand: "g2", bw: 500 }), ["W2", "W6"]);
+  assert.deepEqual(ids({ euBand: "g1", bw: 500 }), ["W2"]);
+  assert.deepEqual(ids({ euBand: "g1", bw: 250 }), []);
+  assert.deepEqual(ids({ region: "as923", bw: 250 }), []);
+});
+
+test("LBT+AFA replaces the duty cycle with TX-on limits", () => {
+  const rules = accessRules("eu", "g2", "lbtafa");
+  assert.equal(rules.mode, "lbtafa");
+  assert.equal(rules.duty, 2.778);
+  assert.equal(rules.dwell_ms, 1000);
+  // Only plans with polite access switch
+  assert.equal(accessRules("us", "us", "lbtafa").mode, "duty");
+
+  // SF11 every 5 min: 0.19% against g2's 0.1% duty, well inside 100 s/hour
+  const cfg = { ...base, region: "eu", sf: 11, euBand: "g2", txIntervalMin: 5 };
+  assert.equal(evaluateConfig(cfg).compliant, false);
+  const lbt = evaluateConfig({ ...cfg, access: "lbtafa" });
+  assert.equal(lbt.duty_limit, 2.778);
+  assert.equal(lbt.dwell_limit_ms, 1000);
+  assert.equal(lbt.compliant, true);
+  assert.deepEqual(lbt.warnings.map(w => w.id), ["W10"]);
+
+  // …but SF12's 1.16 s packet breaks the per-transmission TX-on cap
+  const long = evaluateConfig({ ...cfg, sf: 12, access: "lbtafa" });
+  assert.ok(long.airtime > 1000);
+  assert.equal(long.dwell_ok, false);
+  assert.ok(long.warnings.some(w => w.id === "W5"));
+
+  const radio = { sf: 11, bw: 125, cr: 1, preamble: 8, crc: true, explicitHeader: true, ldrOptimize: true };
+  const arr = planArray({ nodeCount: 1, messages: [{ id: "hb", payload: 12, intervalMin: 5 }], radio, region: "eu", euBand: "g2", access: "lbtafa" });
+  assert.equal(arr.node_duty_limit, 2.778);
+  assert.equal(arr.node_compliant, true);
+});
+
+test("EIRP cap drives TX power options and W3", () => {
+  assert.deepEqual(regionTxPowers("eu433"), [2, 5, 8, 11]);
+  assert.deepEqual(regionTxPowers("as923"), [2, 5, 8, 11, 14]);
+  assert.ok(ids({ region: "as923", txPower: 17 }).includes("W3"));
+  assert.ok(!ids({ region: "in865", txPower: 20 }).includes("W3"));
+});
+
+test("dwell, bandwidth, LBT and module checks come from the plan", () => {
+  assert.ok(ids({ region: "as923", airtime: 500 }).includes("W5"));
+  assert.ok(ids({ region: "au915", airtime: 500 }).includes("W5"));
+  assert.ok(!ids({ region: "in865", airtime: 500 }).includes("W5"));
+  assert.ok(ids({ region: "in865", bw: 250 }).includes("W9"));
+  assert.ok(!ids({ region: "eu", bw: 250, euBand: "g" }).includes("W9"));
+  assert.ok(ids({ region: "kr920" }).includes("W10"));
+  assert.ok(ids({ region: "eu433", txPower: 11 }).includes("W11"));
+  assert.deepEqual(ids({ region: "us", bw: 500, txPower: 17, euBand: "g2" }), []);
+});
+
+test("duty applies only where the plan has a duty limit", () => {
+  const kr = calcDutyCycle({ airtime: 1000, euBand: "g3", txIntervalMin: 0.5, region: "kr920" });
+  assert.equal(kr.duty_limit, null);
+  assert.equal(kr.compliant, true);
+  const eu433 = calcDutyCycle({ airtime: 1000, euBand: "g3", txIntervalMin: 0.1, region: "eu433" });
+  assert.equal(eu433.duty_limit, 10);
+  assert.equal(eu433.compliant, false);
+
+  // AS923 limits both duty and dwell
+  const as = evaluateConfig({ ...base, region: "as923", sf: 12, txIntervalMin: 60 });
+  assert.equal(as.dutyCompliant, true);
+  assert.equal(as.dwell_ok, false);
+  assert.equal(as.compliant, false);
+});
+
+test("optimizer respects each plan", () => {
+  for (const r of REGIONS) {
+    const { front } = runOptimizer({ payloadBytes: 12, region: r.id, txInterval_min: 15, objectives: ["energy", "toa"] });
+    assert.ok(front.length > 0, r.id);
+    assert.ok(front.every(p => r.bandwidths.includes(p.bw) && p.txPower <= accessRules(r.id, p.band.id).maxEirp_dBm), r.id);
+    if (r.dwell_ms != null) assert.ok(front.every(p => p.toa <= r.dwell_ms), r.id);
+  }
+  const lbt = runOptimizer({ payloadBytes: 40, region: "eu", access: "lbtafa", txInterval_min: 15, objectives: ["energy", "toa"] });
+  assert.ok(lbt.front.length > 0 && lbt.front.every(p => p.toa <= 1000));
+});
+
+test("presets adapt to the plan", () => {
+  assert.deepEqual(presetRadio(PRESETS.heartbeat, "eu"), { sf: 12, bw: 125, txPower: 14 });
+  assert.deepEqual(presetRadio(PRESETS.heartbeat, "au915"), { sf: 7, bw: 125, txPower: 14 });
+  assert.deepEqual(presetRadio(PRESETS.heartbeat, "eu433"), { sf: 12, bw: 125, txPower: 11 });
+  assert.equal(generateFirmware({ ...base, region: "in865", ldrOptimize: false }).freq_MHz, 865.0625);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  DEFAULT_CONFIG, DEFAULT_LORAWAN, REFERENCES, TOOL_VERSION, complianceChecks, configHash, evaluateConfig, generateReport,
+} from "../src/lora-engine/index.js";
+
+const run = (over = {}) => {
+  const config = { ...DEFAULT_CONFIG, ...over };
+  return { config, result: evaluateConfig({ ...config, traffic: null }) };
+};
+
+test("config hash is stable and follows the setup", () => {
+  assert.match(configHash(DEFAULT_CONFIG), /^[0-9a-f]{8}$/);
+  assert.equal(configHash({ ...DEFAULT_CONFIG }), configHash(DEFAULT_CONFIG));
+  assert.notEqual(configHash({ ...DEFAULT_CONFIG, sf: 9 }), configHash(DEFAULT_CONFIG));
+});
+
+test("EU checks the sub-band duty cycle with its margin", () => {
+  const { config, result } = run({ region: "eu", euBand: "g1", sf: 9 });
+  const checks = complianceChecks(config, result);
+  const duty = checks.find(c => c.label.startsWith("Sub-band duty"));
+  assert.equal(duty.rule, "ETSI EN 300 220");
+  assert.equal(duty.limit, "1%");
+  assert.equal(duty.pass, true);
+  assert.ok(!checks.some(c => c.label.startsWith("Dwell")));
+  assert.ok(checks.every(c => c.pass));
+});
+
+test("US checks FCC dwell and fails SF12 at 125 kHz", () => {
+  const { config, result } = run({ region: "us", sf: 12 });
+  const dwell = complianceChecks(config, result).find(c => c.label.startsWith("Dwell"));
+  assert.equal(dwell.rule, "FCC §15.247");
+  assert.equal(dwell.limit, "400 ms");
+  assert.equal(dwell.pass, false);
+  assert.match(dwell.margin, /^-/);
+  assert.equal(complianceChecks(config, run({ region: "us", sf: 9 }).result).find(c => c.label.startsWith("Dwell")).pass, true);
+});
+
+test("LoRaWAN adds the fair-use checks", () => {
+  const { config, result } = run({ lorawan: { ...DEFAULT_LORAWAN, enabled: true } });
+  const fair = complianceChecks(config, result).filter(c => c.rule === "TTN fair use");
+  assert.equal(fair.length, 2);
+});
+
+test("report carries version, hash, checks, warnings and references", () => {
+  const { config, result } = run({ region: "us", sf: 12 });
+  const html = generateReport({ config, result, generatedAt: new Date("2026-01-02T03:04:00Z") });
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.ok(html.includes(`v${TOOL_VERSION}`));
+  assert.ok(html.includes(configHash(config)));
+  assert.ok(html.includes("2026-01-02 03:04 UTC"));
+  assert.ok(html.includes("FAIL"));
+  assert.ok(result.warnings.length > 0 && result.warnings.every(w => html.includes(`<td>${w.id}</td>`)));
+  assert.ok(html.includes("Battery life, TX only"));
+  assert.ok(REFERENCES.every(ref => html.includes(ref.replace(/"/g, "&quot;"))));
+});
+
+test("report references match the README", () => {
+  const readme = readFileSync(new URL("../README.md", import.meta.url), "utf8");
+  const cited = readme.split("## References")[1].split("\n").filter(l => l.startsWith("- ")).map(l => l.slice(2).replace(/\*/g, ""));
+  assert.deepEqual(REFERENCES, cited);
+});
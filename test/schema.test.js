@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PRESETS, DEFAULT_CONFIG, schemaFields, schemaLayout, encodeSchema, decodeSchema, generateSchemaCode, normalizeConfig,
+} from "../src/lora-engine/index.js";
+
+test("preset schemas pack to the preset payload sizes", () => {
+  for (const p of Object.values(PRESETS)) {
+    if (p.schema) assert.equal(schemaLayout(p.schema).bytes, p.payload, p.label);
+  }
+  // Detection: node ID 8 + timestamp 32 + amplitude 16 + flags 8
+  assert.deepEqual(schemaLayout(PRESETS.detection.schema).fields.map(f => f.start), [0, 8, 40, 56]);
+});
+
+test("bit widths round up to whole bytes", () => {
+  const fields = [
+    ...schemaFields("node_id"),
+    { name: "battery_mv", type: "uint", bits: 12, scale: 1, offset: 0, unit: "mV" },
+    { name: "temperature", type: "int", bits: 10, scale: 0.1, offset: 0, unit: "°C" },
+    ...schemaFields("alarm"),
+  ];
+  const l = schemaLayout(fields);
+  assert.equal(l.bits, 31);
+  assert.equal(l.bytes, 4);
+  assert.equal(l.padding_bits, 1);
+  assert.deepEqual([l.fields[2].min, l.fields[2].max], [-51.2, 51.1]);
+});
+
+test("layout errors: names, widths and size", () => {
+  const bad = schemaLayout([
+    { name: "1st", type: "uint", bits: 8, scale: 1, offset: 0, unit: "" },
+    { name: "x", type: "uint", bits: 40, scale: 1, offset: 0, unit: "" },
+    { name: "x", type: "int", bits: 8, scale: 1, offset: 0, unit: "" },
+  ]);
+  assert.equal(bad.errors.length, 3);
+  assert.equal(schemaLayout([]).errors.length, 1);
+  assert.equal(generateSchemaCode([]), null);
+});
+
+test("encode / decode round-trip with signed and scaled fields", () => {
+  const fields = PRESETS.status.schema;
+  const values = {
+    node_id: 42, seq: 65535, timestamp: 1700000000, battery_mv: 3712, temperature: -12.34, flags: 0x81,
+    uptime: 86400, rssi: -117, snr: -7.25, detections: 3, noise_floor: 120, cpu_temp: 48.5,
+  };
+  const bytes = encodeSchema(fields, values);
+  assert.equal(bytes.length, 24);
+  assert.deepEqual(bytes.slice(0, 3), [42, 0xFF, 0xFF]);
+  assert.deepEqual(decodeSchema(fields, bytes), values);
+  // Out-of-range values clamp to the field
+  assert.equal(decodeSchema(fields, encodeSchema(fields, { rssi: -200 })).rssi, -128);
+});
+
+test("generated JS decoder matches the engine", () => {
+  const fields = [
+    ...PRESETS.detection.schema,
+    { name: "temp", type: "int", bits: 11, scale: 0.1, offset: -20, unit: "°C" },
+    ...schemaFields("alarm"),
+  ];
+  const code = generateSchemaCode(fields);
+  const decodeUplink = new Function(`${code.js}\nreturn decodeUplink;`)();
+  const values = { node_id: 3, timestamp: 1712345678, amplitude: 40000, flags: 2, temp: -31.5, alarm: true };
+  const bytes = encodeSchema(fields, values);
+  assert.deepEqual(decodeUplink({ bytes }).data, decodeSchema(fields, bytes));
+  assert.deepEqual(decodeUplink({ bytes }).data, values);
+
+  assert.match(code.c, /#define PAYLOAD_LEN 10/);
+  assert.match(code.c, /int16_t\s+temp;/);
+  assert.match(code.c, /put_bits\(buf, &pos, \(uint32_t\)p->temp, 11\);/);
+  assert.match(code.c, /bool\s+alarm;/);
+});
+
+test("an enabled schema sets the config payload", () => {
+  const schema = { enabled: true, fields: PRESETS.detection.schema };
+  const { config, ignored } = normalizeConfig({ payload: 50, schema });
+  assert.deepEqual(ignored, []);
+  assert.equal(config.payload, 8);
+  // A broken field drops the whole schema
+  const broken = normalizeConfig({ schema: { enabled: true, fields: [{ name: "x y", type: "uint", bits: 8 }] } });
+  assert.deepEqual(broken.ignored, ["schema"]);
+  assert.deepEqual(broken.config.schema, DEFAULT_CONFIG.schema);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_SOLAR, DEFAULT_POWER, DEFAULT_BATTERY_MODEL, peakSunHours, calcSolar, evaluateConfig,
+} from "../src/lora-engine/index.js";
+import { close, BASE_CONFIG } from "./helpers.js";
+
+const solar = (over = {}) => ({ ...DEFAULT_SOLAR, enabled: true, ...over });
+const run = (over = {}, load = 40) =>
+  calcSolar({ solar: solar(over), capacity_mAh: 2000, voltage: 3.7, load_mAh_per_day: load });
+
+const base = BASE_CONFIG;
+
+test("peak-sun-hours follow latitude and season", () => {
+  const equator = peakSunHours(-2);
+  assert.equal(equator.length, 12);
+  assert.ok(Math.max(...equator) - Math.min(...equator) < 1);
+  const north = peakSunHours(50);
+  assert.ok(north[5] > 4 * north[11]);
+  // Mirror image in the southern hemisphere
+  const south = peakSunHours(-50);
+  assert.ok(south[11] > 4 * south[5]);
+  assert.deepEqual(peakSunHours(0, 0), Array(12).fill(0));
+});
+
+test("harvest per month and the worst month", () => {
+  const r = run({ panel_W: 0.3, peakSunHours: [5, 5, 5, 5, 5, 2, 5, 5, 5, 5, 5, 5] });
+  // 0.3 W × 5 h × 70% / 3.7 V
+  close(r.months[0].harvest_mAh_per_day, 283.78, 0.01);
+  assert.equal(r.worst_month, 5);
+  close(r.months[5].balance_mAh_per_day, 0.3 * 2 * 0.7 / 3.7 * 1000 - 40);
+  assert.equal(r.days.length, 365);
+  assert.ok(r.energy_neutral);
+  close(r.autonomy_days, 50);
+});
+
+test("a dark winter runs the battery flat", () => {
+  const winter = [0.5, 1, 3, 4, 5, 6, 6, 5, 4, 3, 1, 0.5];
+  const r = run({ panel_W: 0.2, peakSunHours: winter }, 60);
+  assert.equal(r.energy_neutral, false);
+  assert.ok(r.empty_days > 0);
+  assert.equal(r.min_soc_pct, 0);
+  assert.ok([0, 11].includes(r.worst_month));
+});
+
+test("cloudy stretch at the start of the worst month", () => {
+  // 10 mAh/day to spare refills the battery within the year; five dark days
+  // take five days' load out of 2000 mAh
+  const psh = Array(12).fill(1);
+  const load = 0.5 * 1 * 0.7 / 3.7 * 1000 - 10;
+  const r = run({ panel_W: 0.5, peakSunHours: psh, cloudyDays: 5, cloudyHarvest_pct: 0 }, load);
+  assert.ok(r.energy_neutral && r.cloudy_ok);
+  close(r.cloudy_min_soc_pct, 100 - (5 * load) / 20, 0.1);
+  assert.equal(run({ panel_W: 0.5, peakSunHours: psh, cloudyDays: 60, cloudyHarvest_pct: 0 }, load).cloudy_ok, false);
+});
+
+test("evaluateConfig charges the full-node load against the usable battery", () => {
+  assert.equal(evaluateConfig(base).solar, null);
+  const r = evaluateConfig({ ...base, power: DEFAULT_POWER, solar: solar() });
+  close(r.solar.autonomy_days, 2000 / r.power.total_mAh_per_day, 1e-9);
+  const cell = evaluateConfig({
+    ...base, power: DEFAULT_POWER, solar: solar(), batteryModel: { ...DEFAULT_BATTERY_MODEL, chemistry: "lifepo4" },
+  });
+  close(cell.solar.autonomy_days, cell.batteryLife.usable_mAh / r.power.total_mAh_per_day, 1e-9);
+});
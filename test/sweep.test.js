@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_CONFIG, DEFAULT_LORAWAN, SWEEP_PARAMS, TX_INTERVAL_RANGE_MIN, evaluateConfig, normalizeConfig, sweepConfig,
+} from "../src/lora-engine/index.js";
+import { BASE_CONFIG } from "./helpers.js";
+
+const base = BASE_CONFIG;
+
+test("each sweep point matches a calculator run at that value", () => {
+  for (const p of SWEEP_PARAMS) {
+    const s = sweepConfig(base, p.id);
+    assert.equal(s.available, true);
+    assert.equal(s.current, base[p.id]);
+    const mid = s.points[Math.floor(s.points.length / 2)];
+    const r = evaluateConfig({ ...base, [p.id]: mid.x });
+    assert.equal(mid.airtime, r.airtime);
+    assert.equal(mid.energy, r.energy_mJ);
+    assert.equal(mid.duty, r.duty_used_per_hour);
+    assert.equal(mid.battery, r.batt_days);
+  }
+});
+
+test("payload sweep covers 1–255 bytes with rising ToA", () => {
+  const { points } = sweepConfig(base, "payload");
+  assert.equal(points.length, 255);
+  assert.deepEqual([points[0].x, points[254].x], [1, 255]);
+  assert.ok(points.every((p, i) => i === 0 || p.airtime >= points[i - 1].airtime));
+});
+
+test("region limits come with the sweep", () => {
+  assert.deepEqual(sweepConfig(base, "sf").limits, { airtime: null, duty: 1 });
+  const us = sweepConfig({ ...base, region: "us", euBand: null }, "sf");
+  assert.deepEqual(us.limits, { airtime: 400, duty: null });
+  // SF11 and SF12 at 125 kHz break the 400 ms dwell time
+  assert.deepEqual(us.points.filter(p => !p.compliant).map(p => p.x), [11, 12]);
+  // TX power options stop at the plan's EIRP cap
+  assert.equal(Math.max(...sweepConfig(base, "txPower").points.map(p => p.x)), 14);
+});
+
+test("inputs owned elsewhere are flagged as not available", () => {
+  const lorawan = { ...DEFAULT_LORAWAN, enabled: true };
+  assert.equal(sweepConfig({ ...base, lorawan }, "sf").available, false);
+  assert.equal(sweepConfig({ ...base, lorawan }, "payload").available, true);
+  assert.equal(sweepConfig({ ...base, traffic: [] }, "txIntervalMin").available, false);
+});
+
+test("every sweep point is a design the calculator can load", () => {
+  for (const p of SWEEP_PARAMS) {
+    for (const { x } of sweepConfig(base, p.id).points) {
+      const { config, ignored } = normalizeConfig({ ...DEFAULT_CONFIG, [p.id]: x });
+      assert.deepEqual(ignored, [], `${p.id} = ${x}`);
+      assert.equal(config[p.id], x);
+    }
+  }
+  const xs = sweepConfig(base, "txIntervalMin").points.map(p => p.x);
+  assert.deepEqual([xs[0], xs[xs.length - 1]], TX_INTERVAL_RANGE_MIN);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calcAirtime, planTdma, tdmaCsv } from "../src/lora-engine/index.js";
+import { close, RADIO } from "./helpers.js";
+
+const radio = { ...RADIO, sf: 9 };
+const toa = payload => calcAirtime({ ...radio, bw: 125000, payloadBytes: payload, lowDROptimize: false });
+const mix = [
+  { id: "heartbeat", label: "Heartbeat", payload: 12, intervalMin: 15 },
+  { id: "status", label: "Status", payload: 20, intervalMin: 60 },
+  { id: "detection", label: "Detection", payload: 8, intervalMin: 30 },
+  { id: "ping", label: "Ping", payload: 4, intervalMin: 0 },
+];
+const plan = (over = {}) => planTdma({ nodeCount: 50, messages: mix, radio, region: "eu", euBand: "g1", ...over });
+
+test("slot length is ToA plus twice the drift over a resync period", () => {
+  const t = plan({ driftPpm: 20, resyncMin: 60 });
+  close(t.guard_s, 2 * 20e-6 * 3600);
+  assert.equal(t.frame_s, 900);
+  assert.equal(t.window_s, 18);
+  assert.deepEqual(t.lanes.map(l => l.id), ["heartbeat", "status"]);
+  close(t.lanes[0].slot_s, toa(12) / 1000 + t.guard_s);
+  assert.equal(t.lanes[1].every, 4);
+  // Status sits half a frame after the node's heartbeat, in frame j mod 4
+  assert.deepEqual(t.nodes[0].slots.map(s => s.offset_s), [0, 450.288]);
+  assert.equal(t.nodes[1].slots[0].offset_s, 18);
+  close(t.nodes[1].slots[1].offset_s, 900 + 468.288);
+  assert.ok(t.compliant);
+});
+
+test("intervals that are not whole frames are rounded and reported", () => {
+  assert.deepEqual(plan().retimed, []);
+  const t = plan({ messages: mix.map(m => m.id === "status" ? { ...m, intervalMin: 20 } : m) });
+  assert.deepEqual(t.retimed, [{ id: "status", label: "Status", requested_s: 1200, interval_s: 900 }]);
+  assert.equal(t.lanes[1].retimed, true);
+  // Duty counts what the schedule sends: status every frame
+  close(t.scheduled_s_per_hour, 4 * (toa(12) + toa(20)) / 1000);
+});
+
+test("no two slots on a channel overlap across the hyperperiod", () => {
+  const t = plan({ nodeCount: 30, channels: 2, messages: mix.map(m => (m.id === "ping" ? { ...m, intervalMin: 5 } : m)) });
+  assert.equal(t.frame_s, 300);
+  assert.equal(t.per_channel, 15);
+  for (const c of [0, 1]) {
+    const busy = t.nodes.filter(nd => nd.channel === c).flatMap(nd => nd.slots.flatMap((s, k) =>
+      Array.from({ length: 3600 / s.every_s }, (_, r) => [s.offset_s + r * s.every_s, t.lanes[k].slot_s])))
+      .map(([t0, w]) => [t0 % 3600, w]).sort((a, b) => a[0] - b[0]);
+    assert.ok(busy.every(([t0, w], i) => i === busy.length - 1 || t0 + w <= busy[i + 1][0] + 1e-6));
+  }
+});
+
+test("too many nodes overflow the frame; close slots break re-arm", () => {
+  const full = plan({ nodeCount: 500, radio: { ...radio, sf: 12 } });
+  assert.equal(full.fits, false);
+  assert.equal(full.compliant, false);
+  // SF12 with a 5 min ping: three ~1 s packets per frame need more re-arm time than the frame has
+  const tight = plan({ radio: { ...radio, sf: 12 }, messages: mix.map(m => (m.id === "ping" ? { ...m, intervalMin: 5 } : m)) });
+  assert.equal(tight.fits, true);
+  assert.equal(tight.duty_ok, true);
+  assert.equal(tight.rearm_ok, false);
+  assert.ok(tight.min_slack_s < 0);
+  // LBT + AFA has no per-packet re-arm
+  assert.equal(plan({ access: "lbtafa" }).rearm_checked, false);
+});
+
+test("detection headroom and slot table export", () => {
+  const t = plan();
+  close(t.free_s_per_hour, 3600 * (1 - t.used_s / 900));
+  close(t.event_s_per_hour, 50 * 2 * toa(8) / 1000);
+  assert.ok(t.events_fit);
+  const scheduled_s = 4 * toa(12) / 1000 + toa(20) / 1000;
+  close(t.node_duty_pct, scheduled_s / 36);
+  assert.equal(t.node_events_per_hour, Math.floor((36 - scheduled_s) / (toa(8) / 1000)));
+
+  const lines = tdmaCsv(t).trim().split("\n");
+  assert.equal(lines[0], "node_id,channel,message,offset_s,every_s");
+  assert.equal(lines.length, 1 + 50 * 2);
+  assert.equal(lines[1], "1,0,heartbeat,0,900");
+  assert.equal(plan({ messages: [mix[2]] }).frame_s, null);
+});
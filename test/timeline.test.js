@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_BURST, DEFAULT_TRACE_BURST, MAX_TRACE_SPAN_S, burstTrace, checkTrace, parseTrace, simulateHour,
+} from "../src/lora-engine/index.js";
+import { close } from "./helpers.js";
+
+const noBurst = { ...DEFAULT_BURST, count: 0 };
+
+test("re-arm lockout blocks a burst right after a packet", () => {
+  // 1 s ToA at 1% → 100 s re-arm; burst at 20:00 lands well after the 15:00 packet
+  const r = simulateHour({ airtime: 1000, interval_s: 900, duty_limit: 1 });
+  close(r.rearm_s, 100);
+  assert.equal(r.budget_s, 36);
+  assert.equal(r.burst_sent, 1);
+  assert.equal(r.burst_blocked, DEFAULT_BURST.count - 1);
+  const burst = r.events.filter(e => e.kind === "burst");
+  assert.ok(burst.slice(1).every(e => e.reason === "rearm" && e.lockout_end_s === null));
+  close(burst[0].lockout_end_s, 1300);
+  assert.equal(r.events.filter(e => e.kind === "scheduled" && e.sent).length, 4);
+});
+
+test("a full hourly budget blocks events even without re-arm", () => {
+  // 36 packets of 1 s per hour use the whole 36 s of a 1% band
+  const r = simulateHour({ airtime: 1000, interval_s: 100, duty_limit: 1, rearm: false });
+  assert.equal(r.rearm_s, 0);
+  assert.equal(r.burst_sent, 0);
+  assert.ok(r.events.filter(e => e.kind === "burst").every(e => e.reason === "budget"));
+  assert.equal(r.events.filter(e => e.kind === "scheduled").every(e => e.sent), true);
+});
+
+test("rolling-hour usage starts at the steady-state level", () => {
+  const r = simulateHour({ airtime: 1000, interval_s: 900, duty_limit: 1, burst: noBurst });
+  assert.equal(r.budget.length, 120);
+  assert.ok(r.budget.every(b => b.used_s === 4));
+  close(r.budget[0].used_pct, 4 / 36);
+  assert.equal(r.blocked, 0);
+});
+
+test("no duty limit sends everything", () => {
+  const r = simulateHour({ airtime: 1482, interval_s: 60, duty_limit: null, burst: { count: 10, at_min: 5, spacing_s: 0.5 } });
+  assert.equal(r.rearm_s, 0);
+  assert.equal(r.budget_s, Infinity);
+  assert.equal(r.blocked, 0);
+  assert.equal(r.sent, 70);
+  // No schedule: the first burst event goes out, the 100 s re-arm stops the rest
+  assert.equal(simulateHour({ airtime: 1000, interval_s: Infinity, duty_limit: 1 }).sent, 1);
+});
+
+test("trace parser accepts seconds, clock times and ISO stamps", () => {
+  assert.deepEqual(parseTrace("5\n1:05, 0:01:35;\n\n").times, [0, 60, 90]);
+  const iso = parseTrace("2024-05-01T12:00:30Z\n2024-05-01T12:00:00Z\nsoon");
+  assert.deepEqual(iso.times, [0, 30]);
+  assert.deepEqual(iso.errors, [{ index: 3, token: "soon" }]);
+  assert.deepEqual(burstTrace({ count: 3, spacing_s: 10, repeats: 2, every_min: 1 }), [0, 10, 20, 60, 70, 80]);
+});
+
+test("traces that mix seconds and date-times or span too long are cut", () => {
+  const mixed = parseTrace("0\n2024-01-01T00:00:00Z\n0:30");
+  assert.equal(mixed.mixed, true);
+  assert.deepEqual(mixed.times, [0, 30]);
+  assert.deepEqual(mixed.errors, [{ index: 2, token: "2024-01-01T00:00:00Z" }]);
+  assert.equal(parseTrace("0\n5").mixed, false);
+  // A year between two stamps: only the first survives
+  const long = parseTrace("2024-01-01T00:00:00Z\n2025-01-01T00:00:00Z");
+  assert.deepEqual(long.times, [0]);
+  assert.equal(long.errors.length, 1);
+  assert.equal(long.errors[0].index, 2);
+  // checkTrace bounds the schedule grid itself, whatever the caller passes
+  const r = checkTrace({ trace: [0, 10, 1.7e9], airtime: 100, duty_limit: 1, interval_s: 900 });
+  assert.equal(r.events.length, 2);
+  assert.equal(r.beyond_span, 1);
+  assert.ok(r.scheduled <= (MAX_TRACE_SPAN_S + 3600) / 900 + 1);
+  assert.ok(burstTrace({ count: 5, spacing_s: 60, repeats: 24, every_min: 1440 }).every(t => t <= MAX_TRACE_SPAN_S));
+});
+
+test("a burst across the clock hour breaks the rolling window", () => {
+  // 20 events at 50:00 and 20 at 60:00 — each clock hour holds 20 of 36, any rolling hour all 40
+  const half = burstTrace({ count: 20, spacing_s: 2 });
+  const r = checkTrace({ trace: [...half, ...half.map(t => t + 600)], airtime: 1000, duty_limit: 1, rearm: false });
+  assert.equal(r.per_hour, 36);
+  assert.deepEqual(r.first_violation, { t_s: 632, event: 37, used_s: 37, packets: 37 });
+  assert.equal(r.compliant, false);
+  assert.equal(r.suppressed_by_budget, 4);
+  // Queued, event 37 waits until event 1 leaves the window
+  const e37 = r.events[36];
+  assert.equal(e37.send_s, 3600);
+  assert.equal(r.delayed, 4);
+  // Events 37–40 each wait for the matching event of the first burst
+  assert.equal(r.worst_latency_s, 3600 - 632);
+  assert.equal(r.worst_event, 37);
+});
+
+test("re-arm suppresses a herd burst the hourly budget would allow", () => {
+  const trace = burstTrace(DEFAULT_TRACE_BURST);
+  const r = checkTrace({ trace, airtime: 1000, duty_limit: 1, interval_s: 900 });
+  assert.equal(r.first_violation, null);
+  // Starts 450 s after a heartbeat: the first event goes out, each next waits 100 s
+  assert.equal(r.suppressed, 18);
+  assert.equal(r.suppressed_by_rearm, 18);
+  assert.deepEqual(r.events.slice(0, 3).map(e => e.send_s), [0, 100, 200]);
+  assert.equal(r.worst_latency_s, 1900 - 114);
+  // Right after a heartbeat even the first event is locked out
+  assert.equal(checkTrace({ trace, airtime: 1000, duty_limit: 1, interval_s: 900, after_s: 0 }).events[0].reason, "rearm");
+});
+
+test("last hour's schedule counts against the budget; no limit sends everything", () => {
+  // 4 heartbeats already in the window leave room for 32 events
+  const trace = burstTrace({ count: 40, spacing_s: 1 });
+  const r = checkTrace({ trace, airtime: 1000, duty_limit: 1, interval_s: 900, rearm: false });
+  assert.equal(r.first_violation.event, 33);
+  assert.equal(r.events[32].send_s, 3600 - 3 * 900 - 450);
+  // Intervals that do not divide the hour still cover the whole trace
+  assert.equal(checkTrace({ trace: [0, 2500], airtime: 100, duty_limit: 1, interval_s: 1000, after_s: 0 }).scheduled, 3);
+  const free = checkTrace({ trace, airtime: 1000, duty_limit: null, interval_s: 900 });
+  assert.equal(free.suppressed, 0);
+  assert.equal(free.worst_latency_s, 0);
+});
+
+test("a packet longer than the hourly budget is never sent", () => {
+  // 14 s ToA on a 0.1% sub-band: the budget is 3.6 s an hour
+  const r = checkTrace({ trace: [0, 30, 60], airtime: 14000, duty_limit: 0.1, interval_s: 900 });
+  assert.equal(r.per_hour, 0);
+  assert.equal(r.never, true);
+  assert.equal(r.suppressed, 3);
+  assert.equal(r.suppressed_by_budget, 3);
+  assert.ok(r.events.every(e => e.send_s === null && e.latency_s === Infinity));
+  assert.equal(r.worst_latency_s, Infinity);
+  assert.equal(r.worst_event, 1);
+  assert.equal(r.last_send_s, null);
+  assert.deepEqual(r.first_violation, { t_s: 0, event: 1, used_s: 14, packets: 1 });
+});
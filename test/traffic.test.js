@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_TRAFFIC, calcTraffic, evaluateConfig, streamPerDay } from "../src/lora-engine/index.js";
+import { close, BASE_CONFIG } from "./helpers.js";
+
+const cfg = { ...BASE_CONFIG, sf: 12, cr: 2, euBand: "g" };
+const heartbeatOnly = [{ id: "heartbeat", label: "Heartbeat", payload: 12, enabled: true, mode: "interval", intervalMin: 15, eventsPerDay: 0 }];
+
+test("stream rate comes from the interval or events per day", () => {
+  assert.equal(streamPerDay({ enabled: true, mode: "interval", intervalMin: 15 }), 96);
+  assert.equal(streamPerDay({ enabled: true, mode: "rate", eventsPerDay: 40 }), 40);
+  assert.equal(streamPerDay({ enabled: false, mode: "rate", eventsPerDay: 40 }), 0);
+  assert.equal(streamPerDay({ enabled: true, mode: "interval", intervalMin: 0 }), 0);
+});
+
+test("a single periodic stream reproduces the single-packet model", () => {
+  const single = evaluateConfig(cfg);
+  const mixed = evaluateConfig({ ...cfg, traffic: heartbeatOnly });
+  close(mixed.duty_used_per_hour, single.duty_used_per_hour);
+  close(mixed.tx_energy_per_day_mAh, single.tx_energy_per_day_mAh);
+  close(mixed.batt_days, single.batt_days, 1e-6);
+});
+
+test("combined airtime adds every enabled stream", () => {
+  const radio = { sf: 7, bw: 125, cr: 1, preamble: 8, crc: true, explicitHeader: true, ldrOptimize: false };
+  const t = calcTraffic({ streams: DEFAULT_TRAFFIC, radio, txPower: 14 });
+  const sum = t.streams.reduce((s, r) => s + r.toa * r.per_day, 0);
+  close(t.airtime_per_day_ms, sum);
+  assert.equal(t.streams.find(r => r.id === "ping").per_day, 0);
+  close(t.streams.reduce((s, r) => s + r.share, 0), 1);
+});
+
+test("mixed traffic can breach a sub-band the single packet fits", () => {
+  const busy = [...heartbeatOnly, { id: "detection", label: "Detection", payload: 8, enabled: true, mode: "rate", intervalMin: 0, eventsPerDay: 800 }];
+  assert.equal(evaluateConfig(cfg).dutyCompliant, true);
+  assert.equal(evaluateConfig({ ...cfg, traffic: busy }).dutyCompliant, false);
+});
+
+test("mixed traffic limits the rate by the average packet of the mix", () => {
+  const busy = [...heartbeatOnly, { id: "detection", label: "Detection", payload: 40, enabled: true, mode: "rate", intervalMin: 0, eventsPerDay: 96 }];
+  const single = evaluateConfig(cfg);
+  const r = evaluateConfig({ ...cfg, traffic: busy });
+  const avg_ms = r.traffic.airtime_per_day_ms / r.traffic.tx_per_day;
+  assert.ok(avg_ms > r.airtime);
+  close(r.min_interval_s, avg_ms / (r.duty_limit / 100) / 1000);
+  assert.equal(r.max_tx_per_hour, Math.floor((r.duty_limit / 100) * 3_600_000 / avg_ms));
+  assert.ok(r.max_tx_per_hour < single.max_tx_per_hour);
+  // At the limit the mix's own usage fills the budget exactly
+  close(r.duty_used_per_hour / r.tx_per_hour * (3600 / r.min_interval_s), r.duty_limit);
+});